@@ -308,6 +308,7 @@ class PaymentSystem {
             'share_purchase': 'Share Purchase',
             'loan_repayment': 'Loan Repayment',
             'deposit': 'Deposit',
+            'thrift': 'Thrift Contribution',
             'other': 'Other'
         };
         return purposes[purpose] || purpose;
@@ -0,0 +1,9 @@
+// Registered details of the society, printed on receipts, letters and certificates
+const society = {
+    name: 'KAFAL Co-operative Urban Thrift & Credit Society Ltd.',
+    registration_no: '10405(E)',
+    registration_date: '03.05.2016',
+    upi_id: 'meghajoshisut30@oksbi'
+};
+
+module.exports = society;
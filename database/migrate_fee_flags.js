@@ -0,0 +1,48 @@
+// Membership fee flag migration for Kafal Cooperative Society
+// Databases created before fees were allocated per head record them as the entry_fee_paid,
+// welfare_fund_paid and building_fund_paid flags on members. This turns the flags into
+// membership_fee_allocations (and welfare fund contributions), then drops the columns.
+// Run once after creating the new tables from schema.sql: node database/migrate_fee_flags.js
+
+require('dotenv').config();
+
+const { executeQuery, transaction, closePool } = require('../config/database');
+const { migrateLegacyFeeFlags } = require('../services/membershipFees');
+
+const LEGACY_COLUMNS = ['entry_fee_paid', 'welfare_fund_paid', 'building_fund_paid'];
+
+const migrate = async () => {
+    const columns = await executeQuery(
+        `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'members' AND COLUMN_NAME IN (?, ?, ?)`,
+        LEGACY_COLUMNS
+    );
+
+    if (columns.length < LEGACY_COLUMNS.length) {
+        console.log('No legacy fee flags to migrate');
+        return;
+    }
+
+    const members = await executeQuery(
+        `SELECT member_id FROM members
+         WHERE entry_fee_paid OR welfare_fund_paid OR building_fund_paid OR membership_fees_paid > 0
+         ORDER BY member_id`
+    );
+
+    for (const { member_id: memberId } of members) {
+        const allocations = await transaction(async (connection) => {
+            return await migrateLegacyFeeFlags(connection, memberId);
+        });
+        console.log(`Member ${memberId}: ${allocations.map(a => `${a.fee_name} ₹${a.amount}`).join(', ') || 'already migrated'}`);
+    }
+
+    await executeQuery(`ALTER TABLE members ${LEGACY_COLUMNS.map(column => `DROP COLUMN ${column}`).join(', ')}`);
+    console.log(`Migrated ${members.length} members and dropped the legacy fee flags`);
+};
+
+migrate()
+    .catch((error) => {
+        console.error('Fee flag migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(closePool);
@@ -88,9 +88,6 @@ INSERT INTO members (
     share_count,
     share_value,
     membership_fees_paid,
-    entry_fee_paid,
-    welfare_fund_paid,
-    building_fund_paid,
     status,
     created_at
 ) VALUES 
@@ -108,9 +105,6 @@ INSERT INTO members (
     20,
     2000.00,
     2400.00,
-    TRUE,
-    TRUE,
-    TRUE,
     'active',
     NOW()
 ),
@@ -125,16 +119,34 @@ INSERT INTO members (
     'savings',
     '$2a$12$LQv3c1yqBwEHFgXRKGOCOe.b5QcGhn5VQ/H9M6CxHgEKf7u.aGjyq', -- Member@123456
     0.00,
-    2,
-    200.00,
+    0,
+    0.00,
     0.00,
-    FALSE,
-    FALSE,
-    FALSE,
     'pending_payment',
     NOW()
 );
 
+-- Opening share register entry backing the approved member's shares
+INSERT INTO share_certificates (
+    certificate_number,
+    member_id,
+    share_count,
+    face_value,
+    amount,
+    issue_date,
+    source,
+    status
+) VALUES (
+    'SC0001',
+    (SELECT id FROM members WHERE account_number = 'KCS2025001'),
+    20,
+    100.00,
+    2000.00,
+    CURDATE(),
+    'Opening',
+    'Active'
+);
+
 -- Sample UPI payment requests for testing
 INSERT INTO upi_payment_requests (
     member_id,
@@ -187,3 +199,36 @@ INSERT INTO payment_receipts (
     '{"society_name":"KAFAL Co-operative Urban Thrift & Credit Society Ltd.","registration_no":"10405(E)","registration_date":"03.05.2016","upi_id":"meghajoshisut30@oksbi","transaction_id":"KCS1692611234567","bank_reference":"UPI123456789","payment_method":"UPI"}',
     NOW()
 );
+
+-- Fee heads cleared by the sample membership fee payment
+INSERT INTO membership_fee_allocations (
+    member_id,
+    fee_head,
+    fee_name,
+    amount,
+    payment_mode,
+    payment_request_id,
+    payment_reference
+) VALUES
+((SELECT id FROM members WHERE account_number = 'KCS2025001'), 'entry_fee', 'Entry Fee', 200.00, 'UPI', 1, 'KCS1692611234567'),
+((SELECT id FROM members WHERE account_number = 'KCS2025001'), 'welfare_fund', 'Welfare Fund', 200.00, 'UPI', 1, 'KCS1692611234567'),
+((SELECT id FROM members WHERE account_number = 'KCS2025001'), 'building_fund', 'Building Fund', 2000.00, 'UPI', 1, 'KCS1692611234567');
+
+-- Welfare fund contribution from the sample member's welfare fund fee
+INSERT INTO welfare_fund_ledger (
+    entry_type,
+    member_id,
+    amount,
+    balance_after,
+    allocation_id,
+    description,
+    entry_date
+) VALUES (
+    'Contribution',
+    (SELECT id FROM members WHERE account_number = 'KCS2025001'),
+    200.00,
+    200.00,
+    (SELECT allocation_id FROM membership_fee_allocations WHERE fee_head = 'welfare_fund' AND payment_request_id = 1),
+    'Welfare fund contribution from membership fees',
+    CURDATE()
+);
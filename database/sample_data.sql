@@ -6,12 +6,60 @@
 -- =============================================
 INSERT INTO system_settings (setting_key, setting_value, description, updated_by) VALUES
 ('min_deposit_amount', '1000', 'Minimum deposit amount for new accounts', 1),
-('max_loan_amount', '1000000', 'Maximum loan amount per member', 1),
+('max_loan_amount', '500000', 'Maximum loan amount per member', 1),
+('loan_min_amount', '1000', 'Minimum loan amount', 1),
+('small_loan_limit', '20000', 'Small loans up to this amount are allowed without full share money cover', 1),
+('loan_share_money_ratio', '10', 'Share money must be at least this percentage of total borrowing', 1),
+('loan_required_guarantors', '2', 'Number of co-member guarantors required per loan', 1),
+('max_guarantees_per_member', '2', 'Maximum open loans one member may guarantee', 1),
+('max_guarantee_exposure', '500000', 'Maximum total loan exposure one member may guarantee', 1),
 ('default_savings_interest', '4.0', 'Default interest rate for savings accounts', 1),
 ('default_fd_interest', '8.5', 'Default interest rate for fixed deposits', 1),
 ('loan_processing_fee', '1.0', 'Loan processing fee percentage', 1),
+('loan_penal_interest_rate', '2.0', 'Penal interest (% per annum) charged on overdue installment amounts', 1),
+('loan_npa_days', '90', 'Days past due after which a loan is classified as NPA', 1),
+('loan_foreclosure_charge', '2.0', 'Foreclosure charge as a percentage of outstanding principal', 1),
+('loan_review_required', 'true', 'Loans must be reviewed by a field officer before approval', 1),
+('loan_second_approval_threshold', '100000', 'Loans above this amount need a second approver', 1),
+('loan_against_deposit_ratio', '90', 'Loans against fixed deposits are capped at this percentage of the deposit balance', 1),
+('loan_against_deposit_rate_margin', '2.0', 'Interest margin (%) over the pledged deposit rate for loans against deposits', 1),
+('senior_citizen_age', '60', 'Age from which members receive the senior citizen rate uplift', 1),
+('interest_calculation_method', 'daily_balance', 'Deposit interest basis for batch posting: daily_balance or minimum_monthly_balance', 1),
+('interest_auto_posting', 'true', 'Automatically post deposit interest for the previous quarter at the start of each quarter', 1),
+('tds_interest_threshold', '40000', 'Deposit interest per financial year above which TDS is deducted', 1),
+('tds_senior_citizen_threshold', '50000', 'TDS threshold on deposit interest for senior citizens', 1),
+('tds_rate', '10', 'TDS rate (%) on deposit interest for members with a PAN', 1),
+('tds_rate_without_pan', '20', 'TDS rate (%) on deposit interest for members without a PAN', 1),
+('deposit_premature_penalty', '1.0', 'Interest rate penalty (%) on deposits closed before maturity', 1),
+('rd_missed_installment_fee', '1.5', 'Default fee per ₹100 of a recurring deposit installment missed past its due date', 1),
+('share_face_value', '100', 'Face value of one share of the society', 1),
+('min_share_holding', '2', 'Shares a member must hold while their membership is active', 1),
+('max_dividend_rate', '15', 'Highest dividend rate (%) that can be declared on share capital', 1),
+('thrift_monthly_amount', '500', 'Compulsory monthly thrift contribution; subscriptions cannot be set below it', 1),
+('thrift_due_day', '10', 'Day of the month by which the monthly thrift contribution is due', 1),
+('welfare_fund_fee_head', 'welfare_fund', 'Membership fee head whose payments go to the welfare fund', 1),
+('welfare_medical_claim_limit', '25000', 'Most a member can be paid from the welfare fund for medical emergencies per financial year', 1),
+('welfare_death_claim_limit', '50000', 'Most that can be paid from the welfare fund as death benefit on one member', 1),
 ('member_registration_fee', '500', 'One-time member registration fee', 1),
+('membership_fee_heads', '[{"code":"entry_fee","name":"Entry Fee","amount":200,"mandatory":true},{"code":"welfare_fund","name":"Welfare Fund","amount":200,"mandatory":true},{"code":"building_fund","name":"Building Fund","amount":2000,"mandatory":true}]', 'Membership fee heads (JSON list of code, name, amount, mandatory); a member is activated once every mandatory head is paid', 1),
 ('cooperative_name', 'Kafal Cooperative Society', 'Official name of the cooperative', 1),
 ('contact_email', 'info@kafalcoop.com', 'Official contact email', 1),
 ('contact_phone', '+977-1-4567890', 'Official contact phone number', 1),
 ('office_address', 'Kathmandu, Nepal', 'Official office address', 1);
+
+-- =============================================
+-- INSERT INTEREST RATES
+-- =============================================
+INSERT INTO interest_rates (product_category, product_type, min_tenure_months, max_tenure_months, interest_rate, senior_citizen_uplift, effective_from, notes, created_by) VALUES
+('Loan', 'Personal', 0, NULL, 16.00, 0.00, '2025-08-20', 'Published loan rate', 1),
+('Loan', 'Business', 0, NULL, 16.00, 0.00, '2025-08-20', 'Published loan rate', 1),
+('Loan', 'Education', 0, NULL, 16.00, 0.00, '2025-08-20', 'Published loan rate', 1),
+('Loan', 'Home', 0, NULL, 16.00, 0.00, '2025-08-20', 'Published loan rate', 1),
+('Loan', 'Vehicle', 0, NULL, 16.00, 0.00, '2025-08-20', 'Published loan rate', 1),
+('Loan', 'Emergency', 0, NULL, 16.00, 0.00, '2025-08-20', 'Published loan rate', 1),
+('Deposit', 'Fixed Deposit', 0, 11, 7.50, 0.50, '2025-08-20', 'Short-term FD', 1),
+('Deposit', 'Fixed Deposit', 12, 35, 8.50, 0.50, '2025-08-20', 'FD 1-3 years', 1),
+('Deposit', 'Fixed Deposit', 36, NULL, 8.75, 0.50, '2025-08-20', 'FD 3 years and above', 1),
+('Deposit', 'Recurring Deposit', 0, NULL, 8.00, 0.50, '2025-08-20', 'Standard RD rate', 1),
+('Deposit', 'Savings', 0, NULL, 4.00, 0.00, '2025-08-20', 'Savings account rate', 1),
+('Deposit', 'Current', 0, NULL, 0.00, 0.00, '2025-08-20', 'Current accounts earn no interest', 1);
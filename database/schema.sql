@@ -14,15 +14,13 @@ CREATE TABLE members (
     phone VARCHAR(15) NOT NULL,
     address TEXT NOT NULL,
     date_of_birth DATE NOT NULL,
+    pan_number VARCHAR(10), -- TDS is deducted at the higher rate when missing
     account_type ENUM('savings', 'current', 'salary') NOT NULL,
     password_hash VARCHAR(255) NOT NULL,
     balance DECIMAL(12,2) DEFAULT 0.00,
-    share_count INT DEFAULT 2,
-    share_value DECIMAL(10,2) DEFAULT 200.00,
-    membership_fees_paid DECIMAL(10,2) DEFAULT 0.00,
-    entry_fee_paid BOOLEAN DEFAULT FALSE,
-    welfare_fund_paid BOOLEAN DEFAULT FALSE,
-    building_fund_paid BOOLEAN DEFAULT FALSE,
+    share_count INT DEFAULT 0, -- derived from active share_certificates
+    share_value DECIMAL(10,2) DEFAULT 0.00, -- share money held, kept apart from balance
+    membership_fees_paid DECIMAL(10,2) DEFAULT 0.00, -- derived from membership_fee_allocations
     status ENUM('active', 'inactive', 'suspended', 'pending_payment') DEFAULT 'pending_payment',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -119,7 +117,9 @@ CREATE TABLE upi_payment_requests (
     transaction_id VARCHAR(50) UNIQUE NOT NULL,
     upi_id VARCHAR(100) DEFAULT 'meghajoshisut30@oksbi',
     amount DECIMAL(12,2) NOT NULL,
-    purpose ENUM('membership_fee', 'share_purchase', 'loan_repayment', 'deposit', 'other') NOT NULL,
+    purpose ENUM('membership_fee', 'share_purchase', 'loan_repayment', 'deposit', 'thrift', 'other') NOT NULL,
+    loan_id INT NULL, -- loan being repaid when purpose is loan_repayment
+    deposit_id INT NULL, -- recurring deposit installment being paid when purpose is deposit
     description TEXT,
     payment_status ENUM('pending', 'completed', 'failed', 'expired') DEFAULT 'pending',
     payment_method VARCHAR(50),
@@ -166,7 +166,7 @@ CREATE TABLE document_uploads (
     member_id INT NULL,
     admin_id INT NULL,
     request_id INT NULL,
-    document_type ENUM('aadhaar', 'pan', 'photo', 'electricity_bill', 'affidavit', 'other') NOT NULL,
+    document_type ENUM('aadhaar', 'pan', 'photo', 'electricity_bill', 'affidavit', 'medical_bill', 'death_certificate', 'other') NOT NULL,
     original_filename VARCHAR(255) NOT NULL,
     stored_filename VARCHAR(255) NOT NULL,
     file_path VARCHAR(500) NOT NULL,
@@ -195,7 +195,7 @@ CREATE TABLE loans (
     loan_id INT PRIMARY KEY AUTO_INCREMENT,
     loan_number VARCHAR(20) UNIQUE NOT NULL,
     member_id INT NOT NULL,
-    loan_type ENUM('Personal', 'Business', 'Education', 'Home', 'Vehicle', 'Emergency') NOT NULL,
+    loan_type ENUM('Personal', 'Business', 'Education', 'Home', 'Vehicle', 'Emergency', 'Loan Against Deposit') NOT NULL,
     loan_amount DECIMAL(12,2) NOT NULL,
     interest_rate DECIMAL(5,2) NOT NULL,
     tenure_months INT NOT NULL,
@@ -208,10 +208,20 @@ CREATE TABLE loans (
     application_date DATE NOT NULL,
     approval_date DATE,
     disbursement_date DATE,
+    processing_fee DECIMAL(10,2) DEFAULT 0,
+    net_disbursed_amount DECIMAL(12,2),
     status ENUM('Applied', 'Under Review', 'Approved', 'Rejected', 'Disbursed', 'Active', 'Completed', 'Defaulted') DEFAULT 'Applied',
     outstanding_amount DECIMAL(12,2) DEFAULT 0,
     total_paid DECIMAL(12,2) DEFAULT 0,
     next_due_date DATE,
+    days_past_due INT DEFAULT 0,
+    asset_classification ENUM('Standard', 'SMA-0', 'SMA-1', 'SMA-2', 'NPA') DEFAULT 'Standard',
+    closed_date DATE,
+    closure_type ENUM('Repaid', 'Foreclosed', 'Topped Up', 'Restructured'),
+    loan_origin ENUM('New', 'Top-up', 'Restructure') DEFAULT 'New',
+    parent_loan_id INT NULL, -- loan closed into this one by a top-up or restructure
+    original_loan_number VARCHAR(20), -- first loan in the top-up/restructure chain
+    initiated_by INT NULL, -- admin who raised a restructure (cannot approve it)
     processed_by INT,
     admin_notes TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -220,8 +230,13 @@ CREATE TABLE loans (
     INDEX idx_loan_number (loan_number),
     INDEX idx_member_id (member_id),
     INDEX idx_status (status),
+    INDEX idx_asset_classification (asset_classification),
     INDEX idx_application_date (application_date),
+    INDEX idx_parent_loan_id (parent_loan_id),
+    INDEX idx_original_loan_number (original_loan_number),
     FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_loan_id) REFERENCES loans(loan_id) ON DELETE SET NULL,
+    FOREIGN KEY (initiated_by) REFERENCES admins(admin_id) ON DELETE SET NULL,
     FOREIGN KEY (processed_by) REFERENCES admins(admin_id) ON DELETE SET NULL
 );
 
@@ -231,7 +246,7 @@ CREATE TABLE loans (
 CREATE TABLE loan_documents (
     document_id INT PRIMARY KEY AUTO_INCREMENT,
     loan_id INT NOT NULL,
-    document_type VARCHAR(50) NOT NULL, -- 'income_proof', 'id_proof', 'address_proof', etc.
+    document_type VARCHAR(50) NOT NULL, -- 'income_proof', 'id_proof', 'address_proof', 'sanction_letter', 'loan_agreement', etc.
     document_name VARCHAR(100) NOT NULL,
     file_path VARCHAR(255) NOT NULL,
     uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -240,6 +255,104 @@ CREATE TABLE loan_documents (
     FOREIGN KEY (loan_id) REFERENCES loans(loan_id) ON DELETE CASCADE
 );
 
+-- =============================================
+-- 6. LOAN SCHEDULES TABLE (amortization per installment)
+-- =============================================
+CREATE TABLE loan_schedules (
+    schedule_id INT PRIMARY KEY AUTO_INCREMENT,
+    loan_id INT NOT NULL,
+    installment_number INT NOT NULL,
+    due_date DATE NOT NULL,
+    opening_balance DECIMAL(12,2) NOT NULL,
+    emi_amount DECIMAL(10,2) NOT NULL,
+    principal_component DECIMAL(12,2) NOT NULL,
+    interest_component DECIMAL(12,2) NOT NULL,
+    closing_balance DECIMAL(12,2) NOT NULL,
+    principal_paid DECIMAL(12,2) DEFAULT 0,
+    interest_paid DECIMAL(12,2) DEFAULT 0,
+    penalty_amount DECIMAL(12,2) DEFAULT 0,
+    penalty_paid DECIMAL(12,2) DEFAULT 0,
+    penalty_accrued_until DATE,
+    paid_date DATE,
+    status ENUM('Pending', 'Partially Paid', 'Paid', 'Overdue', 'Foreclosed') DEFAULT 'Pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_loan_installment (loan_id, installment_number),
+    INDEX idx_due_date (due_date),
+    INDEX idx_status (status),
+    FOREIGN KEY (loan_id) REFERENCES loans(loan_id) ON DELETE CASCADE
+);
+
+-- =============================================
+-- 6. LOAN GUARANTORS TABLE (co-member guarantees with consent)
+-- =============================================
+CREATE TABLE loan_guarantors (
+    guarantor_id INT PRIMARY KEY AUTO_INCREMENT,
+    loan_id INT NOT NULL,
+    member_id INT NOT NULL,
+    guaranteed_amount DECIMAL(12,2) NOT NULL,
+    status ENUM('Pending', 'Accepted', 'Declined', 'Released') DEFAULT 'Pending',
+    response_notes TEXT,
+    responded_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_loan_guarantor (loan_id, member_id),
+    INDEX idx_loan_id (loan_id),
+    INDEX idx_member_id (member_id),
+    INDEX idx_status (status),
+    FOREIGN KEY (loan_id) REFERENCES loans(loan_id) ON DELETE CASCADE,
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE
+);
+
+-- =============================================
+-- 6. LOAN REPAYMENTS TABLE (allocation of each payment)
+-- =============================================
+CREATE TABLE loan_repayments (
+    repayment_id INT PRIMARY KEY AUTO_INCREMENT,
+    loan_id INT NOT NULL,
+    member_id INT NOT NULL,
+    transaction_id INT,
+    repayment_type ENUM('EMI', 'Prepayment', 'Foreclosure') DEFAULT 'EMI',
+    amount DECIMAL(12,2) NOT NULL,
+    penalty_component DECIMAL(12,2) DEFAULT 0,
+    interest_component DECIMAL(12,2) DEFAULT 0,
+    principal_component DECIMAL(12,2) DEFAULT 0,
+    charges_component DECIMAL(12,2) DEFAULT 0,
+    payment_date DATE NOT NULL,
+    payment_mode ENUM('Cash', 'Cheque', 'Bank Transfer', 'UPI', 'Internal Transfer') NOT NULL,
+    reference_number VARCHAR(100),
+    outstanding_after DECIMAL(12,2) NOT NULL,
+    processed_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_loan_id (loan_id),
+    INDEX idx_member_id (member_id),
+    INDEX idx_payment_date (payment_date),
+    INDEX idx_transaction_id (transaction_id),
+    FOREIGN KEY (loan_id) REFERENCES loans(loan_id) ON DELETE CASCADE,
+    FOREIGN KEY (processed_by) REFERENCES admins(admin_id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- 6. LOAN APPROVALS TABLE (maker-checker approval stages)
+-- =============================================
+CREATE TABLE loan_approvals (
+    approval_id INT PRIMARY KEY AUTO_INCREMENT,
+    loan_id INT NOT NULL,
+    stage ENUM('Review', 'Approval', 'Second Approval') NOT NULL,
+    decision ENUM('Recommended', 'Not Recommended', 'Approved', 'Rejected') NOT NULL,
+    admin_id INT NOT NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_loan_id (loan_id),
+    INDEX idx_admin_id (admin_id),
+    FOREIGN KEY (loan_id) REFERENCES loans(loan_id) ON DELETE CASCADE,
+    FOREIGN KEY (admin_id) REFERENCES admins(admin_id) ON DELETE CASCADE
+);
+
 -- =============================================
 -- 7. DEPOSITS TABLE
 -- =============================================
@@ -254,10 +367,12 @@ CREATE TABLE deposits (
     maturity_amount DECIMAL(12,2),
     deposit_date DATE NOT NULL,
     maturity_date DATE,
-    status ENUM('Active', 'Matured', 'Premature Closure', 'Closed') DEFAULT 'Active',
+    status ENUM('Active', 'Matured', 'Renewed', 'Premature Closure', 'Closed') DEFAULT 'Active',
     auto_renewal BOOLEAN DEFAULT FALSE,
     current_balance DECIMAL(12,2) NOT NULL,
     last_interest_credited DATE,
+    closed_date DATE,
+    renewed_from_deposit_id INT NULL, -- matured deposit whose proceeds opened this one
     processed_by INT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -266,10 +381,131 @@ CREATE TABLE deposits (
     INDEX idx_member_id (member_id),
     INDEX idx_status (status),
     INDEX idx_deposit_date (deposit_date),
+    INDEX idx_maturity_date (maturity_date),
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
+    FOREIGN KEY (processed_by) REFERENCES admins(admin_id) ON DELETE SET NULL,
+    FOREIGN KEY (renewed_from_deposit_id) REFERENCES deposits(deposit_id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- 7. DEPOSIT LIENS TABLE (fixed deposits pledged against loans)
+-- =============================================
+CREATE TABLE deposit_liens (
+    lien_id INT PRIMARY KEY AUTO_INCREMENT,
+    deposit_id INT NOT NULL,
+    loan_id INT NOT NULL,
+    lien_amount DECIMAL(12,2) NOT NULL,
+    status ENUM('Active', 'Released') DEFAULT 'Active',
+    released_at TIMESTAMP NULL,
+    -- Set only while the lien is active, so a deposit can carry one active lien at a time
+    active_deposit_id INT AS (IF(status = 'Active', deposit_id, NULL)) STORED,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_active_lien (active_deposit_id),
+    INDEX idx_deposit_id (deposit_id),
+    INDEX idx_loan_id (loan_id),
+    INDEX idx_status (status),
+    FOREIGN KEY (deposit_id) REFERENCES deposits(deposit_id) ON DELETE CASCADE,
+    FOREIGN KEY (loan_id) REFERENCES loans(loan_id) ON DELETE CASCADE
+);
+
+-- =============================================
+-- 7. RECURRING DEPOSIT INSTALLMENTS TABLE
+-- =============================================
+CREATE TABLE deposit_installments (
+    installment_id INT PRIMARY KEY AUTO_INCREMENT,
+    deposit_id INT NOT NULL,
+    installment_number INT NOT NULL,
+    due_date DATE NOT NULL,
+    installment_amount DECIMAL(12,2) NOT NULL,
+    amount_paid DECIMAL(12,2) DEFAULT 0,
+    default_fee DECIMAL(12,2) DEFAULT 0, -- charged by the daily job when the installment is missed
+    fee_paid DECIMAL(12,2) DEFAULT 0,
+    paid_date DATE,
+    status ENUM('Pending', 'Partially Paid', 'Paid', 'Missed') DEFAULT 'Pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_deposit_installment (deposit_id, installment_number),
+    INDEX idx_due_date (due_date),
+    INDEX idx_status (status),
+    FOREIGN KEY (deposit_id) REFERENCES deposits(deposit_id) ON DELETE CASCADE
+);
+
+-- =============================================
+-- 7. RECURRING DEPOSIT INSTALLMENT PAYMENTS TABLE
+-- =============================================
+CREATE TABLE deposit_installment_payments (
+    payment_id INT PRIMARY KEY AUTO_INCREMENT,
+    deposit_id INT NOT NULL,
+    member_id INT NOT NULL,
+    transaction_id INT,
+    amount DECIMAL(12,2) NOT NULL,
+    installment_component DECIMAL(12,2) DEFAULT 0,
+    fee_component DECIMAL(12,2) DEFAULT 0,
+    payment_date DATE NOT NULL,
+    payment_mode ENUM('Cash', 'Cheque', 'Bank Transfer', 'UPI') NOT NULL,
+    reference_number VARCHAR(100),
+    processed_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_deposit_id (deposit_id),
+    INDEX idx_member_id (member_id),
+    INDEX idx_payment_date (payment_date),
+    FOREIGN KEY (deposit_id) REFERENCES deposits(deposit_id) ON DELETE CASCADE,
     FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
     FOREIGN KEY (processed_by) REFERENCES admins(admin_id) ON DELETE SET NULL
 );
 
+-- =============================================
+-- 7. NOMINEES TABLE (member-level, or overriding per deposit)
+-- =============================================
+CREATE TABLE nominees (
+    nominee_id INT PRIMARY KEY AUTO_INCREMENT,
+    member_id INT NOT NULL,
+    deposit_id INT NULL, -- NULL for the member-level nomination
+    nominee_name VARCHAR(100) NOT NULL,
+    relation VARCHAR(50) NOT NULL,
+    date_of_birth DATE NOT NULL,
+    share_percentage DECIMAL(5,2) NOT NULL,
+    guardian_name VARCHAR(100), -- required while the nominee is a minor
+    guardian_relation VARCHAR(50),
+    status ENUM('Active', 'Replaced') DEFAULT 'Active',
+    created_by_type ENUM('Admin', 'Member') NOT NULL,
+    created_by INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_member_deposit (member_id, deposit_id),
+    INDEX idx_status (status),
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
+    FOREIGN KEY (deposit_id) REFERENCES deposits(deposit_id) ON DELETE CASCADE
+);
+
+-- =============================================
+-- 7. NOMINEE CHANGE REQUESTS TABLE (raised by members, applied on approval)
+-- =============================================
+CREATE TABLE nominee_change_requests (
+    request_id INT PRIMARY KEY AUTO_INCREMENT,
+    member_id INT NOT NULL,
+    deposit_id INT NULL,
+    nominees JSON NOT NULL, -- the complete replacement nomination
+    reason TEXT,
+    status ENUM('Pending', 'Approved', 'Rejected') DEFAULT 'Pending',
+    reviewed_by INT,
+    review_notes TEXT,
+    reviewed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_member_id (member_id),
+    INDEX idx_status (status),
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
+    FOREIGN KEY (deposit_id) REFERENCES deposits(deposit_id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewed_by) REFERENCES admins(admin_id) ON DELETE SET NULL
+);
+
 -- =============================================
 -- 8. TRANSACTIONS TABLE
 -- =============================================
@@ -277,7 +513,7 @@ CREATE TABLE transactions (
     transaction_id INT PRIMARY KEY AUTO_INCREMENT,
     transaction_number VARCHAR(30) UNIQUE NOT NULL,
     member_id INT NOT NULL,
-    transaction_type ENUM('Deposit', 'Withdrawal', 'Loan Payment', 'Interest Credit', 'Fee', 'Transfer') NOT NULL,
+    transaction_type ENUM('Deposit', 'Withdrawal', 'Loan Payment', 'Interest Credit', 'Fee', 'Transfer', 'TDS') NOT NULL,
     amount DECIMAL(12,2) NOT NULL,
     balance_after DECIMAL(12,2) NOT NULL,
     reference_type ENUM('Loan', 'Deposit', 'General') NOT NULL,
@@ -294,6 +530,319 @@ CREATE TABLE transactions (
     FOREIGN KEY (processed_by) REFERENCES admins(admin_id) ON DELETE SET NULL
 );
 
+-- =============================================
+-- 8. TDS DECLARATIONS TABLE (Form 15G/15H per financial year)
+-- =============================================
+CREATE TABLE tds_declarations (
+    declaration_id INT PRIMARY KEY AUTO_INCREMENT,
+    member_id INT NOT NULL,
+    form_type ENUM('15G', '15H') NOT NULL,
+    financial_year VARCHAR(7) NOT NULL, -- e.g. 2025-26
+    declaration_date DATE NOT NULL,
+    estimated_income DECIMAL(12,2),
+    document_id INT, -- scanned declaration in document_uploads
+    status ENUM('Active', 'Revoked') DEFAULT 'Active',
+    recorded_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_member_year (member_id, financial_year),
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
+    FOREIGN KEY (recorded_by) REFERENCES admins(admin_id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- 8. TDS RECORDS TABLE (every deposit interest credit and the TDS on it)
+-- =============================================
+CREATE TABLE tds_records (
+    tds_record_id INT PRIMARY KEY AUTO_INCREMENT,
+    member_id INT NOT NULL,
+    deposit_id INT,
+    financial_year VARCHAR(7) NOT NULL,
+    quarter TINYINT NOT NULL, -- 1 = April to June
+    interest_amount DECIMAL(12,2) NOT NULL, -- negative when excess interest is recovered
+    taxable_amount DECIMAL(12,2) DEFAULT 0, -- interest TDS was computed on, including earlier untaxed credits
+    tds_rate DECIMAL(5,2) DEFAULT 0,
+    tds_amount DECIMAL(12,2) DEFAULT 0,
+    exemption ENUM('Below Threshold', 'Form 15G', 'Form 15H') NULL,
+    cumulative_interest DECIMAL(12,2) NOT NULL, -- member's interest in the financial year after this credit
+    interest_transaction_id INT,
+    tds_transaction_id INT,
+    credited_on DATE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_member_year (member_id, financial_year),
+    INDEX idx_year_quarter (financial_year, quarter),
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
+    FOREIGN KEY (deposit_id) REFERENCES deposits(deposit_id) ON DELETE SET NULL,
+    FOREIGN KEY (interest_transaction_id) REFERENCES transactions(transaction_id) ON DELETE SET NULL,
+    FOREIGN KEY (tds_transaction_id) REFERENCES transactions(transaction_id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- 8. SHARE CERTIFICATES TABLE (share capital held, one row per certificate)
+-- =============================================
+CREATE TABLE share_certificates (
+    certificate_id INT PRIMARY KEY AUTO_INCREMENT,
+    certificate_number VARCHAR(20) UNIQUE, -- SC + certificate_id, set in the same transaction as the insert
+    member_id INT NOT NULL,
+    share_count INT NOT NULL,
+    face_value DECIMAL(10,2) NOT NULL,
+    amount DECIMAL(12,2) NOT NULL,
+    issue_date DATE NOT NULL,
+    source ENUM('Allotment', 'Transfer', 'Balance', 'Opening') NOT NULL,
+    parent_certificate_id INT NULL, -- certificate this one was split or transferred from
+    payment_request_id INT NULL, -- UPI payment the share money came from
+    payment_reference VARCHAR(100),
+    status ENUM('Active', 'Transferred', 'Refunded') DEFAULT 'Active',
+    closed_date DATE,
+    issued_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_member_status (member_id, status),
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_certificate_id) REFERENCES share_certificates(certificate_id) ON DELETE SET NULL,
+    FOREIGN KEY (issued_by) REFERENCES admins(admin_id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- 8. SHARE REGISTER TABLE (every allotment, transfer and refund)
+-- =============================================
+CREATE TABLE share_register (
+    entry_id INT PRIMARY KEY AUTO_INCREMENT,
+    member_id INT NOT NULL,
+    certificate_id INT NOT NULL,
+    entry_type ENUM('Allotment', 'Transfer In', 'Transfer Out', 'Refund') NOT NULL,
+    share_count INT NOT NULL,
+    amount DECIMAL(12,2) NOT NULL,
+    entry_date DATE NOT NULL,
+    counterparty_member_id INT NULL, -- the other member in a transfer
+    transaction_id INT NULL,
+    payment_request_id INT NULL,
+    processed_by INT,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_member_id (member_id),
+    INDEX idx_entry_date (entry_date),
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
+    FOREIGN KEY (certificate_id) REFERENCES share_certificates(certificate_id) ON DELETE CASCADE,
+    FOREIGN KEY (counterparty_member_id) REFERENCES members(member_id) ON DELETE SET NULL,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id) ON DELETE SET NULL,
+    FOREIGN KEY (processed_by) REFERENCES admins(admin_id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- 8. DIVIDEND DECLARATIONS TABLE (one per financial year)
+-- =============================================
+CREATE TABLE dividend_declarations (
+    declaration_id INT PRIMARY KEY AUTO_INCREMENT,
+    financial_year VARCHAR(7) NOT NULL, -- e.g. 2025-26
+    dividend_rate DECIMAL(5,2) NOT NULL,
+    pro_rated BOOLEAN DEFAULT FALSE, -- share capital weighted by days held during the year
+    agm_date DATE NULL,
+    resolution_reference VARCHAR(100),
+    status ENUM('Running', 'Completed', 'Failed') DEFAULT 'Running',
+    members_count INT DEFAULT 0,
+    total_dividend DECIMAL(14,2) DEFAULT 0,
+    error_message TEXT,
+    declared_by INT,
+    declared_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    heartbeat_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP, -- refreshed as items are credited; stale once the run has stopped
+    completed_at TIMESTAMP NULL,
+
+    UNIQUE KEY unique_financial_year (financial_year),
+    INDEX idx_status (status),
+    FOREIGN KEY (declared_by) REFERENCES admins(admin_id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- 8. DIVIDEND ITEMS TABLE (each member's dividend; unclaimed for inactive members)
+-- =============================================
+CREATE TABLE dividend_items (
+    item_id INT PRIMARY KEY AUTO_INCREMENT,
+    declaration_id INT NOT NULL,
+    member_id INT NOT NULL,
+    share_capital DECIMAL(12,2) NOT NULL, -- held at the end of the year
+    dividend_basis DECIMAL(12,2) NOT NULL, -- share capital the rate was applied to
+    dividend_amount DECIMAL(12,2) NOT NULL,
+    status ENUM('Pending', 'Credited', 'Unclaimed', 'Paid') DEFAULT 'Pending',
+    transaction_id INT,
+    credited_at TIMESTAMP NULL,
+
+    UNIQUE KEY unique_declaration_member (declaration_id, member_id),
+    INDEX idx_status (status),
+    FOREIGN KEY (declaration_id) REFERENCES dividend_declarations(declaration_id) ON DELETE CASCADE,
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- 8. MEMBERSHIP FEE ALLOCATIONS TABLE (each fee payment split across fee heads)
+-- =============================================
+CREATE TABLE membership_fee_allocations (
+    allocation_id INT PRIMARY KEY AUTO_INCREMENT,
+    member_id INT NOT NULL,
+    fee_head VARCHAR(50) NOT NULL, -- code from the membership_fee_heads setting
+    fee_name VARCHAR(100) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    payment_mode ENUM('UPI', 'Cash') NOT NULL,
+    payment_request_id INT NULL,
+    payment_reference VARCHAR(100),
+    transaction_id INT,
+    processed_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_member_head (member_id, fee_head),
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
+    FOREIGN KEY (payment_request_id) REFERENCES upi_payment_requests(request_id) ON DELETE SET NULL,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id) ON DELETE SET NULL,
+    FOREIGN KEY (processed_by) REFERENCES admins(admin_id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- 8. THRIFT SUBSCRIPTIONS TABLE (compulsory monthly thrift deposit per member)
+-- =============================================
+CREATE TABLE thrift_subscriptions (
+    subscription_id INT PRIMARY KEY AUTO_INCREMENT,
+    member_id INT NOT NULL,
+    monthly_amount DECIMAL(10,2) NOT NULL,
+    start_month DATE NOT NULL, -- dues are raised from this month; moved forward when a paused subscription resumes
+    status ENUM('Active', 'Paused', 'Closed') DEFAULT 'Active',
+    thrift_balance DECIMAL(12,2) DEFAULT 0.00,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_member (member_id),
+    INDEX idx_status (status),
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES admins(admin_id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- 8. THRIFT DUES TABLE (one per subscription per month, raised by the monthly job)
+-- =============================================
+CREATE TABLE thrift_dues (
+    due_id INT PRIMARY KEY AUTO_INCREMENT,
+    subscription_id INT NOT NULL,
+    member_id INT NOT NULL,
+    due_month DATE NOT NULL,
+    due_date DATE NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    amount_paid DECIMAL(10,2) DEFAULT 0,
+    paid_date DATE,
+    status ENUM('Pending', 'Partially Paid', 'Paid') DEFAULT 'Pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY unique_subscription_month (subscription_id, due_month),
+    INDEX idx_member_id (member_id),
+    INDEX idx_due_date (due_date),
+    INDEX idx_status (status),
+    FOREIGN KEY (subscription_id) REFERENCES thrift_subscriptions(subscription_id) ON DELETE CASCADE,
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE
+);
+
+-- =============================================
+-- 8. THRIFT PAYMENTS TABLE
+-- =============================================
+CREATE TABLE thrift_payments (
+    payment_id INT PRIMARY KEY AUTO_INCREMENT,
+    subscription_id INT NOT NULL,
+    member_id INT NOT NULL,
+    transaction_id INT,
+    amount DECIMAL(12,2) NOT NULL,
+    payment_date DATE NOT NULL,
+    payment_mode ENUM('Cash', 'UPI') NOT NULL,
+    payment_request_id INT NULL,
+    reference_number VARCHAR(100),
+    processed_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_member_id (member_id),
+    INDEX idx_payment_date (payment_date),
+    FOREIGN KEY (subscription_id) REFERENCES thrift_subscriptions(subscription_id) ON DELETE CASCADE,
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id) ON DELETE SET NULL,
+    FOREIGN KEY (payment_request_id) REFERENCES upi_payment_requests(request_id) ON DELETE SET NULL,
+    FOREIGN KEY (processed_by) REFERENCES admins(admin_id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- 8. WELFARE CLAIMS TABLE (medical emergency and death benefit claims on the welfare fund)
+-- =============================================
+CREATE TABLE welfare_claims (
+    claim_id INT PRIMARY KEY AUTO_INCREMENT,
+    claim_number VARCHAR(20) UNIQUE, -- WC + claim_id, set in the same transaction as the insert
+    member_id INT NOT NULL,
+    category ENUM('Medical Emergency', 'Death Benefit') NOT NULL,
+    claimant_type ENUM('Member', 'Nominee') NOT NULL,
+    nominee_id INT NULL, -- set when a nominee claims on the member's account
+    claimant_name VARCHAR(100) NOT NULL,
+    claimed_amount DECIMAL(12,2) NOT NULL,
+    approved_amount DECIMAL(12,2) NULL,
+    incident_date DATE NOT NULL,
+    description TEXT NOT NULL,
+    status ENUM('Submitted', 'Approved', 'Rejected', 'Paid') DEFAULT 'Submitted',
+    filed_by_type ENUM('Admin', 'Member') NOT NULL,
+    filed_by INT NOT NULL,
+    reviewed_by INT,
+    review_notes TEXT,
+    reviewed_at TIMESTAMP NULL,
+    payout_mode ENUM('Savings', 'Cash') NULL,
+    transaction_id INT,
+    paid_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_member_category (member_id, category, incident_date),
+    INDEX idx_status (status),
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
+    FOREIGN KEY (nominee_id) REFERENCES nominees(nominee_id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by) REFERENCES admins(admin_id) ON DELETE SET NULL,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- 8. WELFARE CLAIM DOCUMENTS TABLE (uploads supporting a claim)
+-- =============================================
+CREATE TABLE welfare_claim_documents (
+    claim_id INT NOT NULL,
+    upload_id INT NOT NULL,
+
+    PRIMARY KEY (claim_id, upload_id),
+    FOREIGN KEY (claim_id) REFERENCES welfare_claims(claim_id) ON DELETE CASCADE,
+    FOREIGN KEY (upload_id) REFERENCES document_uploads(upload_id) ON DELETE CASCADE
+);
+
+-- =============================================
+-- 8. WELFARE FUND LEDGER TABLE (contributions in, claim payouts out)
+-- =============================================
+CREATE TABLE welfare_fund_ledger (
+    entry_id INT PRIMARY KEY AUTO_INCREMENT,
+    entry_type ENUM('Contribution', 'Claim Payout') NOT NULL,
+    member_id INT NOT NULL,
+    amount DECIMAL(12,2) NOT NULL, -- negative for payouts
+    balance_after DECIMAL(14,2) NOT NULL,
+    allocation_id INT NULL,
+    claim_id INT NULL,
+    transaction_id INT NULL,
+    description TEXT NOT NULL,
+    entry_date DATE NOT NULL,
+    processed_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_member_id (member_id),
+    INDEX idx_entry_date (entry_date),
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
+    FOREIGN KEY (allocation_id) REFERENCES membership_fee_allocations(allocation_id) ON DELETE SET NULL,
+    FOREIGN KEY (claim_id) REFERENCES welfare_claims(claim_id) ON DELETE SET NULL,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id) ON DELETE SET NULL,
+    FOREIGN KEY (processed_by) REFERENCES admins(admin_id) ON DELETE SET NULL
+);
+
 -- =============================================
 -- 9. MEMBER SESSIONS TABLE (for login tracking)
 -- =============================================
@@ -345,6 +894,78 @@ CREATE TABLE system_settings (
     FOREIGN KEY (updated_by) REFERENCES admins(admin_id) ON DELETE SET NULL
 );
 
+-- =============================================
+-- 11. INTEREST RATES TABLE (rate history per product and tenure slab)
+-- =============================================
+CREATE TABLE interest_rates (
+    rate_id INT PRIMARY KEY AUTO_INCREMENT,
+    product_category ENUM('Loan', 'Deposit') NOT NULL,
+    product_type VARCHAR(50) NOT NULL, -- loan_type or deposit_type
+    min_tenure_months INT NOT NULL DEFAULT 0,
+    max_tenure_months INT NULL, -- NULL for no upper limit
+    interest_rate DECIMAL(5,2) NOT NULL,
+    senior_citizen_uplift DECIMAL(5,2) DEFAULT 0,
+    effective_from DATE NOT NULL,
+    notes TEXT,
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_product (product_category, product_type),
+    INDEX idx_effective_from (effective_from),
+    FOREIGN KEY (created_by) REFERENCES admins(admin_id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- 11. INTEREST RUNS TABLE (batch interest posting per period)
+-- =============================================
+CREATE TABLE interest_runs (
+    run_id INT PRIMARY KEY AUTO_INCREMENT,
+    period_label VARCHAR(50) NOT NULL,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    calculation_method ENUM('daily_balance', 'minimum_monthly_balance') NOT NULL,
+    status ENUM('Running', 'Completed', 'Failed') DEFAULT 'Running',
+    deposits_count INT DEFAULT 0,
+    posted_count INT DEFAULT 0,
+    total_interest DECIMAL(14,2) DEFAULT 0,
+    error_message TEXT,
+    started_by INT, -- NULL when started by the scheduler
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    heartbeat_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP, -- refreshed as items post; stale once the run has stopped
+    completed_at TIMESTAMP NULL,
+
+    UNIQUE KEY unique_period (period_start, period_end),
+    INDEX idx_status (status),
+    FOREIGN KEY (started_by) REFERENCES admins(admin_id) ON DELETE SET NULL
+);
+
+-- =============================================
+-- 11. INTEREST RUN ITEMS TABLE (one posting per deposit per run)
+-- =============================================
+CREATE TABLE interest_run_items (
+    item_id INT PRIMARY KEY AUTO_INCREMENT,
+    run_id INT NOT NULL,
+    deposit_id INT NOT NULL,
+    member_id INT NOT NULL,
+    accrual_start DATE NOT NULL,
+    accrual_end DATE NOT NULL,
+    days INT NOT NULL,
+    balance_basis DECIMAL(12,2) NOT NULL, -- average daily balance or average monthly minimum
+    interest_rate DECIMAL(5,2) NOT NULL,
+    interest_amount DECIMAL(12,2) NOT NULL,
+    tds_amount DECIMAL(12,2) DEFAULT 0,
+    status ENUM('Pending', 'Posted', 'Skipped') DEFAULT 'Pending',
+    transaction_id INT,
+    posted_at TIMESTAMP NULL,
+
+    UNIQUE KEY unique_run_deposit (run_id, deposit_id),
+    INDEX idx_status (status),
+    FOREIGN KEY (run_id) REFERENCES interest_runs(run_id) ON DELETE CASCADE,
+    FOREIGN KEY (deposit_id) REFERENCES deposits(deposit_id) ON DELETE CASCADE,
+    FOREIGN KEY (member_id) REFERENCES members(member_id) ON DELETE CASCADE,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(transaction_id) ON DELETE SET NULL
+);
+
 -- =============================================
 -- 12. AUDIT LOGS TABLE
 -- =============================================
@@ -0,0 +1,155 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const {
+    buildAmortizationSchedule, buildFdSchedule, buildRdSchedule, formatDate
+} = require('../utils/finance');
+const { getApplicableRate } = require('../services/interestRates');
+
+const router = express.Router();
+
+// Rate given explicitly, or the rate in force today for the product and tenure
+const resolveRate = async (rate, category, productType, tenureMonths, seniorCitizen) => {
+    if (rate !== undefined) {
+        return parseFloat(rate);
+    }
+    const applicable = await getApplicableRate(category, productType, tenureMonths, {
+        seniorCitizen: seniorCitizen === true
+    });
+    return applicable.interest_rate;
+};
+
+// Loan EMI calculator with full amortization schedule (public)
+router.get('/emi', [
+    query('principal').isFloat({ min: 1 }),
+    query('tenure_months').isInt({ min: 1, max: 360 }),
+    query('rate').optional().isFloat({ min: 0, max: 50 }),
+    query('loan_type').optional().isIn(['Personal', 'Business', 'Education', 'Home', 'Vehicle', 'Emergency']),
+    query('senior_citizen').optional().isBoolean().toBoolean(),
+    query('start_date').optional().isISO8601()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { principal, tenure_months, rate, loan_type, senior_citizen, start_date } = req.query;
+
+        if (rate === undefined && !loan_type) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide either rate or loan_type'
+            });
+        }
+
+        const interestRate = await resolveRate(rate, 'Loan', loan_type, parseInt(tenure_months), senior_citizen);
+
+        const startDate = start_date ? formatDate(start_date) : formatDate(new Date());
+        const schedule = buildAmortizationSchedule(
+            parseFloat(principal), interestRate, parseInt(tenure_months), startDate
+        );
+
+        res.json({
+            success: true,
+            data: {
+                principal: parseFloat(principal),
+                interest_rate: interestRate,
+                tenure_months: parseInt(tenure_months),
+                start_date: startDate,
+                ...schedule
+            }
+        });
+    } catch (error) {
+        console.error('EMI calculator error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to calculate EMI'
+        });
+    }
+});
+
+// Fixed deposit maturity calculator with month-by-month growth (public)
+router.get('/fd-maturity', [
+    query('principal').isFloat({ min: 1 }),
+    query('tenure_months').isInt({ min: 1, max: 120 }),
+    query('rate').optional().isFloat({ min: 0, max: 50 }),
+    query('senior_citizen').optional().isBoolean().toBoolean(),
+    query('start_date').optional().isISO8601()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { principal, tenure_months, rate, senior_citizen, start_date } = req.query;
+        const interestRate = await resolveRate(rate, 'Deposit', 'Fixed Deposit', parseInt(tenure_months), senior_citizen);
+        const startDate = start_date ? formatDate(start_date) : formatDate(new Date());
+
+        res.json({
+            success: true,
+            data: {
+                interest_rate: interestRate,
+                tenure_months: parseInt(tenure_months),
+                start_date: startDate,
+                ...buildFdSchedule(parseFloat(principal), interestRate, parseInt(tenure_months), startDate)
+            }
+        });
+    } catch (error) {
+        console.error('FD calculator error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to calculate FD maturity'
+        });
+    }
+});
+
+// Recurring deposit maturity calculator with installment-wise interest (public)
+router.get('/rd-maturity', [
+    query('monthly_installment').isFloat({ min: 1 }),
+    query('tenure_months').isInt({ min: 1, max: 120 }),
+    query('rate').optional().isFloat({ min: 0, max: 50 }),
+    query('senior_citizen').optional().isBoolean().toBoolean(),
+    query('start_date').optional().isISO8601()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { monthly_installment, tenure_months, rate, senior_citizen, start_date } = req.query;
+        const interestRate = await resolveRate(rate, 'Deposit', 'Recurring Deposit', parseInt(tenure_months), senior_citizen);
+        const startDate = start_date ? formatDate(start_date) : formatDate(new Date());
+
+        res.json({
+            success: true,
+            data: {
+                interest_rate: interestRate,
+                tenure_months: parseInt(tenure_months),
+                start_date: startDate,
+                ...buildRdSchedule(parseFloat(monthly_installment), interestRate, parseInt(tenure_months), startDate)
+            }
+        });
+    } catch (error) {
+        console.error('RD calculator error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to calculate RD maturity'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,7 +1,17 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { executeQuery, getOne, transaction } = require('../config/database');
-const { authenticateMember, authenticateAdmin, requireRole } = require('../middleware/auth');
+const { authenticateMember, authenticateAdmin, requireRole, optionalAuth } = require('../middleware/auth');
+const { buildFdSchedule, buildRdSchedule, roundCurrency } = require('../utils/finance');
+const { recordTransaction } = require('../utils/transactions');
+const {
+    RD_TYPE, generateDepositNumber, createRdInstallments, postRdInstallment,
+    getPrematureClosureQuote, closeDepositPrematurely
+} = require('../services/depositLedger');
+const { getMemberRate } = require('../services/interestRates');
+const { validateNominees, getNominees, getEffectiveNominees, replaceNominees } = require('../services/nominees');
+const { getNumericSetting } = require('../utils/settings');
+const { getCalculationMethod, creditDepositInterest } = require('../services/interestPosting');
 
 const router = express.Router();
 
@@ -10,7 +20,8 @@ router.post('/create', authenticateMember, [
     body('deposit_type').isIn(['Fixed Deposit', 'Recurring Deposit', 'Savings', 'Current']),
     body('principal_amount').isFloat({ min: 1000 }),
     body('tenure_months').optional().isInt({ min: 6, max: 120 }),
-    body('auto_renewal').optional().isBoolean()
+    body('auto_renewal').optional().isBoolean(),
+    body('nominees').optional().isArray({ min: 1 })
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -22,7 +33,7 @@ router.post('/create', authenticateMember, [
             });
         }
 
-        const { deposit_type, principal_amount, tenure_months, auto_renewal } = req.body;
+        const { deposit_type, principal_amount, tenure_months, auto_renewal, nominees } = req.body;
 
         // Validate tenure for deposit types that require it
         if ((deposit_type === 'Fixed Deposit' || deposit_type === 'Recurring Deposit') && !tenure_months) {
@@ -32,76 +43,99 @@ router.post('/create', authenticateMember, [
             });
         }
 
-        // Set interest rates based on deposit type
-        const interestRates = {
-            'Fixed Deposit': 8.5,
-            'Recurring Deposit': 8.0,
-            'Savings': 4.0,
-            'Current': 0.0
-        };
+        // Nominees given here override the member's own nomination for this deposit
+        if (nominees) {
+            const problems = validateNominees(nominees);
+            if (problems.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Nomination is not valid',
+                    errors: problems
+                });
+            }
+        } else if (deposit_type === 'Fixed Deposit' && !(await getNominees(req.member.member_id)).length) {
+            return res.status(400).json({
+                success: false,
+                message: 'A nominee is required for a Fixed Deposit. Add nominees to your profile or with this deposit'
+            });
+        }
 
-        const interest_rate = interestRates[deposit_type];
+        // Rate in force today for this product and tenure; the deposit keeps it until maturity
+        const { interest_rate } = await getMemberRate(
+            req.member.member_id, 'Deposit', deposit_type, tenure_months ? parseInt(tenure_months) : 0
+        );
         
-        // Calculate maturity amount for fixed deposits
+        // Maturity uses the same schedule the public calculators quote
         let maturity_amount = null;
         let maturity_date = null;
         
         if (deposit_type === 'Fixed Deposit' && tenure_months) {
-            const rate = interest_rate / 100;
-            maturity_amount = principal_amount * Math.pow(1 + rate / 12, tenure_months);
-            maturity_date = new Date();
-            maturity_date.setMonth(maturity_date.getMonth() + tenure_months);
+            const schedule = buildFdSchedule(parseFloat(principal_amount), interest_rate, parseInt(tenure_months), new Date());
+            maturity_amount = schedule.maturity_amount;
+            maturity_date = schedule.maturity_date;
         } else if (deposit_type === 'Recurring Deposit' && tenure_months) {
-            // RD maturity calculation: P * n * (n+1) * r / (2 * 12) + P * n
-            const monthlyRate = interest_rate / 100 / 12;
-            maturity_amount = principal_amount * tenure_months + 
-                             (principal_amount * tenure_months * (tenure_months + 1) * monthlyRate / 2);
-            maturity_date = new Date();
-            maturity_date.setMonth(maturity_date.getMonth() + tenure_months);
+            // For an RD the principal is the monthly installment
+            const schedule = buildRdSchedule(parseFloat(principal_amount), interest_rate, parseInt(tenure_months), new Date());
+            maturity_amount = schedule.maturity_amount;
+            maturity_date = schedule.maturity_date;
         }
 
-        // Generate deposit number
-        const [lastDeposit] = await executeQuery(
-            'SELECT deposit_number FROM deposits ORDER BY deposit_id DESC LIMIT 1'
-        );
+        const { depositId, depositNumber } = await transaction(async (connection) => {
+            const number = await generateDepositNumber(connection, deposit_type);
+
+            const [result] = await connection.execute(
+                `INSERT INTO deposits 
+                 (deposit_number, member_id, deposit_type, principal_amount, interest_rate, 
+                  tenure_months, maturity_amount, deposit_date, maturity_date, status, 
+                  auto_renewal, current_balance, processed_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, CURDATE(), ?, 'Active', ?, ?, ?)`,
+                [number, req.member.member_id, deposit_type, principal_amount, 
+                 interest_rate, tenure_months || null, maturity_amount, maturity_date, 
+                 auto_renewal || false, principal_amount, null]
+            );
 
-        let depositNumber = 'FD001';
-        if (lastDeposit.length > 0) {
-            const lastNumber = parseInt(lastDeposit[0].deposit_number.substring(2));
-            const prefix = deposit_type === 'Fixed Deposit' ? 'FD' : 
-                          deposit_type === 'Recurring Deposit' ? 'RD' : 
-                          deposit_type === 'Savings' ? 'SAV' : 'CUR';
-            depositNumber = `${prefix}${String(lastNumber + 1).padStart(3, '0')}`;
-        }
+            // An RD tracks every monthly installment; the opening deposit pays the first
+            if (deposit_type === RD_TYPE) {
+                await createRdInstallments(connection, {
+                    deposit_id: result.insertId,
+                    principal_amount,
+                    interest_rate,
+                    tenure_months: parseInt(tenure_months),
+                    deposit_date: new Date()
+                });
+            }
 
-        const result = await executeQuery(
-            `INSERT INTO deposits 
-             (deposit_number, member_id, deposit_type, principal_amount, interest_rate, 
-              tenure_months, maturity_amount, deposit_date, maturity_date, status, 
-              auto_renewal, current_balance, processed_by)
-             VALUES (?, ?, ?, ?, ?, ?, ?, CURDATE(), ?, 'Active', ?, ?, ?)`,
-            [depositNumber, req.member.member_id, deposit_type, principal_amount, 
-             interest_rate, tenure_months, maturity_amount, maturity_date, 
-             auto_renewal || false, principal_amount, null]
-        );
+            if (nominees) {
+                await replaceNominees(connection, {
+                    memberId: req.member.member_id,
+                    depositId: result.insertId,
+                    nominees,
+                    createdByType: 'Member',
+                    createdBy: req.member.member_id
+                });
+            }
 
-        // Create transaction record
-        await executeQuery(
-            `INSERT INTO transactions 
-             (transaction_number, member_id, transaction_type, amount, balance_after, 
-              reference_type, reference_id, description)
-             VALUES (?, ?, 'Deposit', ?, ?, 'Deposit', ?, ?)`,
-            [`TXN${Date.now()}`, req.member.member_id, principal_amount, 
-             principal_amount, result.insertId, `${deposit_type} - Initial deposit`]
-        );
+            // Create transaction record
+            await recordTransaction(connection, {
+                memberId: req.member.member_id,
+                type: 'Deposit',
+                amount: principal_amount,
+                balanceAfter: principal_amount,
+                referenceType: 'Deposit',
+                referenceId: result.insertId,
+                description: `${deposit_type} - Initial deposit`
+            });
+
+            return { depositId: result.insertId, depositNumber: number };
+        });
 
         res.status(201).json({
             success: true,
             message: 'Deposit created successfully',
             data: {
-                deposit_id: result.insertId,
+                deposit_id: depositId,
                 deposit_number: depositNumber,
-                maturity_amount: maturity_amount ? Math.round(maturity_amount * 100) / 100 : null,
+                maturity_amount,
                 maturity_date
             }
         });
@@ -118,11 +152,15 @@ router.post('/create', authenticateMember, [
 router.get('/my-deposits', authenticateMember, async (req, res) => {
     try {
         const deposits = await executeQuery(
-            `SELECT deposit_id, deposit_number, deposit_type, principal_amount, 
-             interest_rate, tenure_months, maturity_amount, deposit_date, 
-             maturity_date, status, current_balance, auto_renewal
-             FROM deposits WHERE member_id = ?
-             ORDER BY deposit_date DESC`,
+            `SELECT d.deposit_id, d.deposit_number, d.deposit_type, d.principal_amount, 
+             d.interest_rate, d.tenure_months, d.maturity_amount, d.deposit_date, 
+             d.maturity_date, d.status, d.current_balance, d.auto_renewal,
+             l.loan_number as lien_loan_number
+             FROM deposits d
+             LEFT JOIN deposit_liens dl ON dl.deposit_id = d.deposit_id AND dl.status = 'Active'
+             LEFT JOIN loans l ON dl.loan_id = l.loan_id
+             WHERE d.member_id = ?
+             ORDER BY d.deposit_date DESC`,
             [req.member.member_id]
         );
 
@@ -204,9 +242,12 @@ router.get('/', authenticateAdmin, async (req, res) => {
 router.get('/:id', authenticateAdmin, async (req, res) => {
     try {
         const deposit = await getOne(
-            `SELECT d.*, m.first_name, m.last_name, m.email, m.phone, m.address
+            `SELECT d.*, m.first_name, m.last_name, m.email, m.phone, m.address,
+             dl.lien_amount, l.loan_id as lien_loan_id, l.loan_number as lien_loan_number
              FROM deposits d
              JOIN members m ON d.member_id = m.member_id
+             LEFT JOIN deposit_liens dl ON dl.deposit_id = d.deposit_id AND dl.status = 'Active'
+             LEFT JOIN loans l ON dl.loan_id = l.loan_id
              WHERE d.deposit_id = ?`,
             [req.params.id]
         );
@@ -218,9 +259,15 @@ router.get('/:id', authenticateAdmin, async (req, res) => {
             });
         }
 
+        const { source, nominees } = await getEffectiveNominees(deposit.member_id, deposit.deposit_id);
+
         res.json({
             success: true,
-            data: deposit
+            data: {
+                ...deposit,
+                nominee_source: source,
+                nominees
+            }
         });
     } catch (error) {
         console.error('Get deposit error:', error);
@@ -231,78 +278,247 @@ router.get('/:id', authenticateAdmin, async (req, res) => {
     }
 });
 
-// Credit interest (admin only)
-router.post('/:id/credit-interest', authenticateAdmin, requireRole(['Super Admin', 'Admin']), async (req, res) => {
+// Get RD installment schedule and payments (member who owns the deposit, or admin)
+router.get('/:id/installments', optionalAuth, async (req, res) => {
     try {
-        const depositId = req.params.id;
+        if (!req.member && !req.admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token required'
+            });
+        }
 
-        await transaction(async (connection) => {
-            // Get deposit details
-            const [deposit] = await connection.execute(
-                'SELECT * FROM deposits WHERE deposit_id = ? AND status = "Active"',
-                [depositId]
-            );
+        const deposit = await getOne(
+            `SELECT deposit_id, deposit_number, member_id, deposit_type, principal_amount, interest_rate,
+             tenure_months, maturity_amount, deposit_date, maturity_date, status, current_balance
+             FROM deposits WHERE deposit_id = ?`,
+            [req.params.id]
+        );
 
-            if (!deposit.length) {
-                throw new Error('Deposit not found or not active');
-            }
+        if (!deposit || deposit.deposit_type !== RD_TYPE ||
+            (req.member && !req.admin && deposit.member_id !== req.member.member_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recurring deposit not found'
+            });
+        }
 
-            const depositData = deposit[0];
-            
-            // Calculate interest based on deposit type
-            let interestAmount = 0;
-            const monthlyRate = depositData.interest_rate / 100 / 12;
-            
-            if (depositData.deposit_type === 'Savings' || depositData.deposit_type === 'Current') {
-                // Quarterly interest for savings
-                interestAmount = depositData.current_balance * (depositData.interest_rate / 100 / 4);
-            } else if (depositData.deposit_type === 'Fixed Deposit') {
-                // Monthly interest for FD
-                interestAmount = depositData.principal_amount * monthlyRate;
+        const installments = await executeQuery(
+            `SELECT installment_number, due_date, installment_amount, amount_paid, default_fee,
+             fee_paid, paid_date, status
+             FROM deposit_installments WHERE deposit_id = ?
+             ORDER BY installment_number`,
+            [deposit.deposit_id]
+        );
+
+        const payments = await executeQuery(
+            `SELECT p.payment_id, p.amount, p.installment_component, p.fee_component, p.payment_date,
+             p.payment_mode, p.reference_number, t.transaction_number
+             FROM deposit_installment_payments p
+             LEFT JOIN transactions t ON p.transaction_id = t.transaction_id
+             WHERE p.deposit_id = ?
+             ORDER BY p.payment_date DESC, p.payment_id DESC`,
+            [deposit.deposit_id]
+        );
+
+        const summary = installments.reduce((totals, row) => {
+            totals.amount_paid += parseFloat(row.amount_paid);
+            totals.fees_due += parseFloat(row.default_fee) - parseFloat(row.fee_paid);
+            if (row.status === 'Paid') {
+                totals.installments_paid += 1;
+            } else if (row.status === 'Missed') {
+                totals.installments_missed += 1;
+                totals.arrears += parseFloat(row.installment_amount) - parseFloat(row.amount_paid);
             }
+            return totals;
+        }, { amount_paid: 0, fees_due: 0, arrears: 0, installments_paid: 0, installments_missed: 0 });
 
-            if (interestAmount > 0) {
-                const newBalance = parseFloat(depositData.current_balance) + interestAmount;
-
-                // Update deposit balance
-                await connection.execute(
-                    'UPDATE deposits SET current_balance = ?, last_interest_credited = CURDATE(), updated_at = NOW() WHERE deposit_id = ?',
-                    [newBalance, depositId]
-                );
-
-                // Create transaction record
-                await connection.execute(
-                    `INSERT INTO transactions 
-                     (transaction_number, member_id, transaction_type, amount, balance_after, 
-                      reference_type, reference_id, description, processed_by)
-                     VALUES (?, ?, 'Interest Credit', ?, ?, 'Deposit', ?, ?, ?)`,
-                    [`TXN${Date.now()}`, depositData.member_id, interestAmount, 
-                     newBalance, depositId, `Interest credit for ${depositData.deposit_number}`, req.admin.admin_id]
-                );
+        res.json({
+            success: true,
+            data: {
+                deposit,
+                summary: {
+                    total_installments: installments.length,
+                    installments_paid: summary.installments_paid,
+                    installments_missed: summary.installments_missed,
+                    amount_paid: roundCurrency(summary.amount_paid),
+                    arrears: roundCurrency(summary.arrears),
+                    fees_due: roundCurrency(summary.fees_due)
+                },
+                installments,
+                payments
             }
         });
+    } catch (error) {
+        console.error('Get RD installments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch installments'
+        });
+    }
+});
+
+// Post an RD installment received at the counter (admin only)
+router.post('/:id/installments', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('amount').isFloat({ min: 1 }),
+    body('payment_mode').isIn(['Cash', 'Cheque', 'Bank Transfer', 'UPI']),
+    body('payment_date').optional().isISO8601(),
+    body('reference_number').optional().isLength({ max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const depositId = req.params.id;
+        const { amount, payment_mode, payment_date, reference_number } = req.body;
+
+        const payment = await transaction(async (connection) => {
+            return await postRdInstallment(connection, {
+                depositId,
+                amount: roundCurrency(amount),
+                paymentDate: payment_date ? new Date(payment_date) : new Date(),
+                paymentMode: payment_mode,
+                referenceNumber: reference_number,
+                processedBy: req.admin.admin_id
+            });
+        });
 
         // Log the action
         await executeQuery(
             `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id, 
-             ip_address, user_agent) 
-             VALUES ('Admin', ?, 'CREDIT_INTEREST', 'deposits', ?, ?, ?)`,
-            [req.admin.admin_id, depositId, req.ip, req.get('User-Agent')]
+             new_values, ip_address, user_agent) 
+             VALUES ('Admin', ?, 'RD_INSTALLMENT', 'deposits', ?, ?, ?, ?)`,
+            [req.admin.admin_id, depositId, JSON.stringify(payment), req.ip, req.get('User-Agent')]
         );
 
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.notifyMember(payment.member_id, 'RD_INSTALLMENT', {
+                message: `Installment of ₹${payment.amount} received for ${payment.deposit_number}`,
+                depositId: payment.deposit_id,
+                amount: payment.amount,
+                maturityAmount: payment.maturity_amount
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Installment recorded successfully',
+            data: payment
+        });
+    } catch (error) {
+        console.error('RD installment error:', error);
+        const status = error.message === 'Recurring deposit not found' ? 404
+            : /not active|have been paid|Payment exceeds/.test(error.message) ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: error.message || 'Failed to record installment'
+        });
+    }
+});
+
+// Credit the interest a deposit has accrued since it was last credited (admin only).
+// Calculated like the batch interest runs; periods an interest run covers are left to it.
+router.post('/:id/credit-interest', authenticateAdmin, requireRole(['Super Admin', 'Admin']), async (req, res) => {
+    try {
+        const method = await getCalculationMethod();
+
+        const credit = await transaction(async (connection) => {
+            return await creditDepositInterest(connection, {
+                depositId: req.params.id,
+                method,
+                processedBy: req.admin.admin_id
+            });
+        });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id, 
+             new_values, ip_address, user_agent) 
+             VALUES ('Admin', ?, 'CREDIT_INTEREST', 'deposits', ?, ?, ?, ?)`,
+            [req.admin.admin_id, credit.deposit_id, JSON.stringify(credit), req.ip, req.get('User-Agent')]
+        );
+
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.handleTransactionUpdate({
+                member_id: credit.member_id,
+                transaction_type: 'Interest Credit',
+                amount: credit.interest_amount,
+                transaction_id: credit.transaction_id
+            });
+        }
+
         res.json({
             success: true,
-            message: 'Interest credited successfully'
+            message: 'Interest credited successfully',
+            data: credit
         });
     } catch (error) {
         console.error('Credit interest error:', error);
-        res.status(500).json({
+        const status = error.message === 'Deposit not found or not active' ? 404
+            : /paid at maturity|No interest has accrued|covers part of this period/.test(error.message) ? 400 : 500;
+        res.status(status).json({
             success: false,
             message: error.message || 'Failed to credit interest'
         });
     }
 });
 
+// Quote a premature closure (member who owns the deposit, or admin)
+router.get('/:id/closure-quote', optionalAuth, async (req, res) => {
+    try {
+        if (!req.member && !req.admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token required'
+            });
+        }
+
+        const deposit = await getOne(
+            'SELECT deposit_id, member_id FROM deposits WHERE deposit_id = ?',
+            [req.params.id]
+        );
+
+        if (!deposit || (req.member && !req.admin && deposit.member_id !== req.member.member_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Deposit not found'
+            });
+        }
+
+        const asOf = req.query.as_of ? new Date(req.query.as_of) : new Date();
+        if (Number.isNaN(asOf.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'as_of must be a valid date'
+            });
+        }
+
+        const penaltyRate = await getNumericSetting('deposit_premature_penalty', 1.0);
+        const quote = await transaction(async (connection) => {
+            return await getPrematureClosureQuote(connection, deposit.deposit_id, asOf, penaltyRate);
+        });
+
+        res.json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        console.error('Closure quote error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to calculate closure quote'
+        });
+    }
+});
+
 // Close deposit (premature closure)
 router.put('/:id/close', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
     body('closure_reason').isLength({ min: 10, max: 500 })
@@ -319,35 +535,15 @@ router.put('/:id/close', authenticateAdmin, requireRole(['Super Admin', 'Admin']
 
         const depositId = req.params.id;
         const { closure_reason } = req.body;
-
-        await transaction(async (connection) => {
-            // Get deposit details
-            const [deposit] = await connection.execute(
-                'SELECT * FROM deposits WHERE deposit_id = ? AND status = "Active"',
-                [depositId]
-            );
-
-            if (!deposit.length) {
-                throw new Error('Deposit not found or not active');
-            }
-
-            const depositData = deposit[0];
-
-            // Update deposit status
-            await connection.execute(
-                'UPDATE deposits SET status = "Premature Closure", updated_at = NOW() WHERE deposit_id = ?',
-                [depositId]
-            );
-
-            // Create withdrawal transaction for current balance
-            await connection.execute(
-                `INSERT INTO transactions 
-                 (transaction_number, member_id, transaction_type, amount, balance_after, 
-                  reference_type, reference_id, description, processed_by)
-                 VALUES (?, ?, 'Withdrawal', ?, 0, 'Deposit', ?, ?, ?)`,
-                [`TXN${Date.now()}`, depositData.member_id, depositData.current_balance, 
-                 depositId, `Premature closure - ${closure_reason}`, req.admin.admin_id]
-            );
+        const penaltyRate = await getNumericSetting('deposit_premature_penalty', 1.0);
+
+        const settlement = await transaction(async (connection) => {
+            return await closeDepositPrematurely(connection, {
+                depositId,
+                penaltyRate,
+                closureReason: closure_reason,
+                processedBy: req.admin.admin_id
+            });
         });
 
         // Log the action
@@ -355,12 +551,23 @@ router.put('/:id/close', authenticateAdmin, requireRole(['Super Admin', 'Admin']
             `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id, 
              new_values, ip_address, user_agent) 
              VALUES ('Admin', ?, 'CLOSE_DEPOSIT', 'deposits', ?, ?, ?, ?)`,
-            [req.admin.admin_id, depositId, JSON.stringify({ status: 'Premature Closure', closure_reason }), req.ip, req.get('User-Agent')]
+            [req.admin.admin_id, depositId, JSON.stringify({ status: 'Premature Closure', ...settlement }), req.ip, req.get('User-Agent')]
         );
 
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.notifyMember(settlement.member_id, 'DEPOSIT_CLOSED', {
+                message: `${settlement.deposit_number} was closed early and ₹${settlement.payout_amount} was credited to your savings`,
+                depositId: settlement.deposit_id,
+                amount: settlement.payout_amount,
+                balance: settlement.savings_balance
+            });
+        }
+
         res.json({
             success: true,
-            message: 'Deposit closed successfully'
+            message: 'Deposit closed successfully',
+            data: settlement
         });
     } catch (error) {
         console.error('Close deposit error:', error);
@@ -0,0 +1,398 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { executeQuery, getOne, transaction } = require('../config/database');
+const { authenticateMember, authenticateAdmin, requireRole } = require('../middleware/auth');
+const { getNumericSetting } = require('../utils/settings');
+const { formatDate, roundCurrency } = require('../utils/finance');
+const {
+    UNCLAIMED_PAYOUT_MODES, getYearPeriod, previewDividend, declareDividend, processDividend,
+    getDividendSummary, payUnclaimedDividend
+} = require('../services/dividends');
+
+const router = express.Router();
+
+const FINANCIAL_YEAR_PATTERN = /^\d{4}-\d{2}$/;
+
+const declarationValidation = [
+    body('financial_year').matches(FINANCIAL_YEAR_PATTERN),
+    body('dividend_rate').isFloat({ min: 0.01 }),
+    body('pro_rated').optional().isBoolean().toBoolean()
+];
+
+// Checks shared by the preview and the declaration; returns an error message or null
+const checkDeclaration = async (requestBody) => {
+    if (!getYearPeriod(requestBody.financial_year)) {
+        return 'financial_year must be a financial year such as 2025-26';
+    }
+
+    const maxRate = await getNumericSetting('max_dividend_rate', 15);
+    if (parseFloat(requestBody.dividend_rate) > maxRate) {
+        return `Dividend rate cannot exceed ${maxRate}%`;
+    }
+
+    return null;
+};
+
+// Notify members whose dividend was credited to savings
+const notifyCreditedDividends = (req, declaration, credited) => {
+    const realtimeService = req.app.get('realtime');
+    if (!realtimeService) {
+        return;
+    }
+
+    for (const item of credited) {
+        realtimeService.notifyMember(item.member_id, 'DIVIDEND_CREDITED', {
+            message: `Dividend of ₹${item.dividend_amount} for FY ${declaration.financial_year} credited to your savings`,
+            amount: item.dividend_amount,
+            balance: item.savings_balance
+        });
+    }
+};
+
+// List dividend declarations (admin only)
+router.get('/', authenticateAdmin, async (req, res) => {
+    try {
+        const declarations = await executeQuery(
+            `SELECT d.*, a.first_name as declared_by_first_name, a.last_name as declared_by_last_name
+             FROM dividend_declarations d
+             LEFT JOIN admins a ON d.declared_by = a.admin_id
+             ORDER BY d.financial_year DESC`
+        );
+
+        res.json({
+            success: true,
+            data: declarations
+        });
+    } catch (error) {
+        console.error('Get dividend declarations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch dividend declarations'
+        });
+    }
+});
+
+// Logged-in member's dividends, credited or unclaimed
+router.get('/my', authenticateMember, async (req, res) => {
+    try {
+        const dividends = await executeQuery(
+            `SELECT d.financial_year, d.dividend_rate, d.pro_rated, i.share_capital, i.dividend_basis,
+             i.dividend_amount, i.status, t.transaction_number, i.credited_at
+             FROM dividend_items i
+             JOIN dividend_declarations d ON i.declaration_id = d.declaration_id
+             LEFT JOIN transactions t ON i.transaction_id = t.transaction_id
+             WHERE i.member_id = ? AND i.status != 'Pending'
+             ORDER BY d.financial_year DESC`,
+            [req.member.member_id]
+        );
+
+        res.json({
+            success: true,
+            data: dividends
+        });
+    } catch (error) {
+        console.error('Get my dividends error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch dividends'
+        });
+    }
+});
+
+// Dry-run report of what a declaration would pay each member (admin only)
+router.post('/preview', authenticateAdmin, declarationValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const problem = await checkDeclaration(req.body);
+        if (problem) {
+            return res.status(400).json({
+                success: false,
+                message: problem
+            });
+        }
+
+        const preview = await previewDividend({
+            financialYear: req.body.financial_year,
+            dividendRate: parseFloat(req.body.dividend_rate),
+            proRated: req.body.pro_rated === true
+        });
+
+        res.json({
+            success: true,
+            data: preview
+        });
+    } catch (error) {
+        console.error('Dividend preview error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to preview dividend'
+        });
+    }
+});
+
+// Declare the dividend for a financial year and credit it to savings (admin only)
+router.post('/', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    ...declarationValidation,
+    body('agm_date').optional().isISO8601(),
+    body('resolution_reference').optional().isLength({ max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const problem = await checkDeclaration(req.body);
+        if (problem) {
+            return res.status(400).json({
+                success: false,
+                message: problem
+            });
+        }
+
+        // Dividend is only declared on a year whose accounts have closed
+        if (getYearPeriod(req.body.financial_year).end >= formatDate(new Date())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dividend can only be declared once the financial year has ended'
+            });
+        }
+
+        const { declaration, credited } = await declareDividend({
+            financialYear: req.body.financial_year,
+            dividendRate: parseFloat(req.body.dividend_rate),
+            proRated: req.body.pro_rated === true,
+            agmDate: req.body.agm_date || null,
+            resolutionReference: req.body.resolution_reference || null,
+            declaredBy: req.admin.admin_id
+        });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'DECLARE_DIVIDEND', 'dividend_declarations', ?, ?, ?, ?)`,
+            [req.admin.admin_id, declaration.declaration_id, JSON.stringify(declaration),
+             req.ip, req.get('User-Agent')]
+        );
+
+        notifyCreditedDividends(req, declaration, credited);
+
+        res.status(declaration.status === 'Completed' ? 201 : 500).json({
+            success: declaration.status === 'Completed',
+            message: declaration.status === 'Completed'
+                ? 'Dividend declared and credited successfully'
+                : `Dividend distribution stopped part-way: ${declaration.error_message}. Resume it once the problem is fixed`,
+            data: declaration
+        });
+    } catch (error) {
+        console.error('Declare dividend error:', error);
+        res.status(error.message.startsWith('A dividend has already been declared') ? 400 : 500).json({
+            success: false,
+            message: error.message || 'Failed to declare dividend'
+        });
+    }
+});
+
+// Dividends held for members who were not active when they were distributed (admin only)
+router.get('/unclaimed', authenticateAdmin, [
+    query('financial_year').optional().matches(FINANCIAL_YEAR_PATTERN)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        let whereClause = `WHERE i.status = 'Unclaimed'`;
+        const params = [];
+
+        if (req.query.financial_year) {
+            whereClause += ' AND d.financial_year = ?';
+            params.push(req.query.financial_year);
+        }
+
+        const items = await executeQuery(
+            `SELECT i.item_id, d.financial_year, d.dividend_rate, i.member_id, m.account_number,
+             m.first_name, m.last_name, m.status as member_status, i.share_capital, i.dividend_amount
+             FROM dividend_items i
+             JOIN dividend_declarations d ON i.declaration_id = d.declaration_id
+             JOIN members m ON i.member_id = m.member_id
+             ${whereClause}
+             ORDER BY d.financial_year, m.account_number`,
+            params
+        );
+
+        res.json({
+            success: true,
+            data: {
+                total_unclaimed: roundCurrency(items.reduce((sum, item) => sum + parseFloat(item.dividend_amount), 0)),
+                items
+            }
+        });
+    } catch (error) {
+        console.error('Get unclaimed dividends error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch unclaimed dividends'
+        });
+    }
+});
+
+// Pay out an unclaimed dividend to savings or in cash (admin only)
+router.post('/unclaimed/:itemId/pay', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('payout_mode').isIn(UNCLAIMED_PAYOUT_MODES),
+    body('notes').optional().isLength({ max: 200 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const payout = await transaction(async (connection) => {
+            return await payUnclaimedDividend(connection, {
+                itemId: req.params.itemId,
+                payoutMode: req.body.payout_mode,
+                processedBy: req.admin.admin_id,
+                notes: req.body.notes || null
+            });
+        });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'PAY_UNCLAIMED_DIVIDEND', 'dividend_items', ?, ?, ?, ?)`,
+            [req.admin.admin_id, payout.item_id, JSON.stringify(payout), req.ip, req.get('User-Agent')]
+        );
+
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.notifyMember(payout.member_id, 'DIVIDEND_CREDITED', {
+                message: `Dividend of ₹${payout.dividend_amount} for FY ${payout.financial_year}` +
+                         (payout.payout_mode === 'Savings' ? ' credited to your savings' : ' paid in cash'),
+                amount: payout.dividend_amount
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Unclaimed dividend paid',
+            data: payout
+        });
+    } catch (error) {
+        console.error('Pay unclaimed dividend error:', error);
+        res.status(error.message === 'Unclaimed dividend not found' ? 404 : 500).json({
+            success: false,
+            message: error.message || 'Failed to pay unclaimed dividend'
+        });
+    }
+});
+
+// Get a declaration with each member's dividend (admin only)
+router.get('/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const declaration = await getDividendSummary(req.params.id);
+
+        if (!declaration) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dividend declaration not found'
+            });
+        }
+
+        const items = await executeQuery(
+            `SELECT i.item_id, i.member_id, m.account_number, m.first_name, m.last_name, i.share_capital,
+             i.dividend_basis, i.dividend_amount, i.status, t.transaction_number, i.credited_at
+             FROM dividend_items i
+             JOIN members m ON i.member_id = m.member_id
+             LEFT JOIN transactions t ON i.transaction_id = t.transaction_id
+             WHERE i.declaration_id = ?
+             ORDER BY i.item_id`,
+            [declaration.declaration_id]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                ...declaration,
+                items
+            }
+        });
+    } catch (error) {
+        console.error('Get dividend declaration error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch dividend declaration'
+        });
+    }
+});
+
+// Resume a distribution that stopped part-way, crediting only what is still pending (admin only)
+router.post('/:id/resume', authenticateAdmin, requireRole(['Super Admin', 'Admin']), async (req, res) => {
+    try {
+        const existing = await getOne(
+            'SELECT declaration_id FROM dividend_declarations WHERE declaration_id = ?',
+            [req.params.id]
+        );
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dividend declaration not found'
+            });
+        }
+
+        const { declaration, credited } = await processDividend(existing.declaration_id, req.admin.admin_id);
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'RESUME_DIVIDEND', 'dividend_declarations', ?, ?, ?, ?)`,
+            [req.admin.admin_id, declaration.declaration_id, JSON.stringify(declaration),
+             req.ip, req.get('User-Agent')]
+        );
+
+        notifyCreditedDividends(req, declaration, credited);
+
+        res.status(declaration.status === 'Completed' ? 200 : 500).json({
+            success: declaration.status === 'Completed',
+            message: declaration.status === 'Completed'
+                ? 'Dividend distribution completed'
+                : `Dividend distribution stopped part-way: ${declaration.error_message}`,
+            data: declaration
+        });
+    } catch (error) {
+        console.error('Resume dividend error:', error);
+        const status = ['Dividend has already been distributed', 'Dividend distribution is still running'].includes(error.message)
+            ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: error.message || 'Failed to resume dividend distribution'
+        });
+    }
+});
+
+module.exports = router;
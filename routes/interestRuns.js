@@ -0,0 +1,246 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { executeQuery, getOne } = require('../config/database');
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const {
+    CALCULATION_METHODS, getCalculationMethod, previewInterestRun, startInterestRun,
+    processInterestRun, getInterestRunSummary
+} = require('../services/interestPosting');
+const { formatDate, getFinancialQuarter } = require('../utils/finance');
+
+const router = express.Router();
+
+// A run covers either a financial year quarter or an explicit date range
+const periodValidation = [
+    body('financial_year').optional().isInt({ min: 2000, max: 2100 }),
+    body('quarter').if(body('financial_year').exists()).isInt({ min: 1, max: 4 }),
+    body('period_start').if(body('financial_year').not().exists()).isISO8601(),
+    body('period_end').if(body('financial_year').not().exists()).isISO8601(),
+    body('calculation_method').optional().isIn(CALCULATION_METHODS)
+];
+
+const resolvePeriod = async (requestBody) => {
+    const method = requestBody.calculation_method || await getCalculationMethod();
+
+    if (requestBody.financial_year !== undefined) {
+        const quarter = getFinancialQuarter(parseInt(requestBody.financial_year), parseInt(requestBody.quarter));
+        return { periodStart: quarter.start_date, periodEnd: quarter.end_date, label: quarter.label, method };
+    }
+
+    const periodStart = formatDate(requestBody.period_start);
+    const periodEnd = formatDate(requestBody.period_end);
+    return { periodStart, periodEnd, label: `${periodStart} to ${periodEnd}`, method };
+};
+
+// Notify members whose deposits were credited in a run
+const notifyPostedInterest = (req, posted) => {
+    const realtimeService = req.app.get('realtime');
+    if (!realtimeService) {
+        return;
+    }
+
+    for (const item of posted) {
+        realtimeService.handleInterestCredit(item);
+    }
+};
+
+// List interest runs (admin only)
+router.get('/', authenticateAdmin, async (req, res) => {
+    try {
+        const runs = await executeQuery(
+            `SELECT r.*, a.first_name as started_by_first_name, a.last_name as started_by_last_name
+             FROM interest_runs r
+             LEFT JOIN admins a ON r.started_by = a.admin_id
+             ORDER BY r.period_start DESC, r.run_id DESC`
+        );
+
+        res.json({
+            success: true,
+            data: runs
+        });
+    } catch (error) {
+        console.error('Get interest runs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch interest runs'
+        });
+    }
+});
+
+// Dry-run preview of the interest a period would post (admin only)
+router.post('/preview', authenticateAdmin, periodValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const period = await resolvePeriod(req.body);
+
+        if (period.periodStart > period.periodEnd) {
+            return res.status(400).json({
+                success: false,
+                message: 'period_end must be on or after period_start'
+            });
+        }
+
+        const preview = await previewInterestRun(period);
+
+        res.json({
+            success: true,
+            data: preview
+        });
+    } catch (error) {
+        console.error('Interest run preview error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to preview interest run'
+        });
+    }
+});
+
+// Start an interest run and post it (admin only)
+router.post('/', authenticateAdmin, requireRole(['Super Admin', 'Admin']), periodValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const period = await resolvePeriod(req.body);
+
+        if (period.periodStart > period.periodEnd) {
+            return res.status(400).json({
+                success: false,
+                message: 'period_end must be on or after period_start'
+            });
+        }
+
+        // Interest is only posted for periods that have ended
+        if (period.periodEnd >= formatDate(new Date())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Interest can only be posted once the period has ended'
+            });
+        }
+
+        const { run, posted } = await startInterestRun({ ...period, startedBy: req.admin.admin_id });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'START_INTEREST_RUN', 'interest_runs', ?, ?, ?, ?)`,
+            [req.admin.admin_id, run.run_id, JSON.stringify(run), req.ip, req.get('User-Agent')]
+        );
+
+        notifyPostedInterest(req, posted);
+
+        res.status(run.status === 'Completed' ? 201 : 500).json({
+            success: run.status === 'Completed',
+            message: run.status === 'Completed'
+                ? 'Interest posted successfully'
+                : `Interest run stopped part-way: ${run.error_message}. Resume it once the problem is fixed`,
+            data: run
+        });
+    } catch (error) {
+        console.error('Start interest run error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to start interest run'
+        });
+    }
+});
+
+// Get an interest run with its per-deposit postings (admin only)
+router.get('/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const run = await getOne('SELECT * FROM interest_runs WHERE run_id = ?', [req.params.id]);
+
+        if (!run) {
+            return res.status(404).json({
+                success: false,
+                message: 'Interest run not found'
+            });
+        }
+
+        const items = await executeQuery(
+            `SELECT i.item_id, i.deposit_id, d.deposit_number, d.deposit_type, i.member_id,
+             m.first_name, m.last_name, i.accrual_start, i.accrual_end, i.days, i.balance_basis,
+             i.interest_rate, i.interest_amount, i.tds_amount, i.status, t.transaction_number, i.posted_at
+             FROM interest_run_items i
+             JOIN deposits d ON i.deposit_id = d.deposit_id
+             JOIN members m ON i.member_id = m.member_id
+             LEFT JOIN transactions t ON i.transaction_id = t.transaction_id
+             WHERE i.run_id = ?
+             ORDER BY i.item_id`,
+            [run.run_id]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                ...run,
+                items
+            }
+        });
+    } catch (error) {
+        console.error('Get interest run error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch interest run'
+        });
+    }
+});
+
+// Resume a run that stopped part-way, posting only what is still pending (admin only)
+router.post('/:id/resume', authenticateAdmin, requireRole(['Super Admin', 'Admin']), async (req, res) => {
+    try {
+        const existing = await getInterestRunSummary(req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Interest run not found'
+            });
+        }
+
+        const { run, posted } = await processInterestRun(existing.run_id, req.admin.admin_id);
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'RESUME_INTEREST_RUN', 'interest_runs', ?, ?, ?, ?)`,
+            [req.admin.admin_id, run.run_id, JSON.stringify(run), req.ip, req.get('User-Agent')]
+        );
+
+        notifyPostedInterest(req, posted);
+
+        res.status(run.status === 'Completed' ? 200 : 500).json({
+            success: run.status === 'Completed',
+            message: run.status === 'Completed'
+                ? 'Interest run completed'
+                : `Interest run stopped part-way: ${run.error_message}`,
+            data: run
+        });
+    } catch (error) {
+        console.error('Resume interest run error:', error);
+        const status = ['Interest run has already completed', 'Interest run is still running'].includes(error.message)
+            ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: error.message || 'Failed to resume interest run'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,16 +1,110 @@
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
 const { body, validationResult } = require('express-validator');
 const { executeQuery, getOne, transaction } = require('../config/database');
-const { authenticateMember, authenticateAdmin, requireRole } = require('../middleware/auth');
+const { authenticateMember, authenticateAdmin, requireRole, optionalAuth } = require('../middleware/auth');
+const { buildAmortizationSchedule, calculateEmi, formatDate, roundCurrency } = require('../utils/finance');
+const {
+    REPAYABLE_STATUSES, postLoanRepayment, postPrepayment, getForeclosureQuote, forecloseLoan
+} = require('../services/loanLedger');
+const { getNumericSetting } = require('../utils/settings');
+const { getMemberRate } = require('../services/interestRates');
+const { recordTransaction } = require('../utils/transactions');
+const { creditSavings, debitSavings } = require('../services/savings');
+const {
+    getApprovalSettings, getLoanApprovals, getNextApprovalStage, getRejectionStage,
+    lockLoanForApproval, recordApprovalStage
+} = require('../services/loanApprovals');
+const { generateLoanDocuments, resolveDocumentPath } = require('../services/loanDocuments');
+const { checkLoanEligibility } = require('../services/loanEligibility');
+const {
+    DEPOSIT_LOAN_TYPE, checkDepositLoanEligibility, markLiens, transferLiens, releaseLiens, getLoanLiens
+} = require('../services/depositLiens');
+const {
+    getGuarantorLimits, checkGuarantorCapacity, validateGuarantors, getLoanGuarantors
+} = require('../services/loanGuarantors');
 
 const router = express.Router();
 
+// Next sequential loan number (LN001, LN002, ...)
+const generateLoanNumber = async () => {
+    const lastLoan = await getOne(
+        'SELECT loan_number FROM loans ORDER BY loan_id DESC LIMIT 1'
+    );
+
+    if (!lastLoan) {
+        return 'LN001';
+    }
+
+    const lastNumber = parseInt(lastLoan.loan_number.substring(2));
+    return `LN${String(lastNumber + 1).padStart(3, '0')}`;
+};
+
+// Create a top-up or restructure application linked to the loan it will replace.
+// Guarantors are asked again because the new loan changes what they stand behind.
+const createLinkedLoan = async (parent, {
+    origin, loanAmount, interestRate, tenureMonths, purpose, guarantorIds, initiatedBy = null
+}) => {
+    const loanNumber = await generateLoanNumber();
+    const originalLoanNumber = parent.original_loan_number || parent.loan_number;
+    const monthlyEmi = roundCurrency(calculateEmi(loanAmount, interestRate, tenureMonths));
+
+    const loanId = await transaction(async (connection) => {
+        const [result] = await connection.execute(
+            `INSERT INTO loans 
+             (loan_number, member_id, loan_type, loan_amount, interest_rate, tenure_months, 
+              monthly_emi, purpose, collateral_details, application_date, status, outstanding_amount,
+              loan_origin, parent_loan_id, original_loan_number, initiated_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURDATE(), 'Applied', ?, ?, ?, ?, ?)`,
+            [loanNumber, parent.member_id, parent.loan_type, loanAmount, interestRate, tenureMonths,
+             monthlyEmi, purpose, parent.collateral_details || null, loanAmount,
+             origin, parent.loan_id, originalLoanNumber, initiatedBy]
+        );
+
+        for (const guarantorId of guarantorIds) {
+            await connection.execute(
+                `INSERT INTO loan_guarantors (loan_id, member_id, guaranteed_amount, status)
+                 VALUES (?, ?, ?, 'Pending')`,
+                [result.insertId, guarantorId, loanAmount]
+            );
+        }
+
+        return result.insertId;
+    });
+
+    return {
+        loan_id: loanId,
+        loan_number: loanNumber,
+        loan_origin: origin,
+        parent_loan_number: parent.loan_number,
+        original_loan_number: originalLoanNumber,
+        loan_amount: loanAmount,
+        interest_rate: interestRate,
+        tenure_months: tenureMonths,
+        monthly_emi: monthlyEmi
+    };
+};
+
+// A top-up or restructure already waiting on this loan, if any
+const getPendingReplacement = async (loanId) => {
+    return await getOne(
+        `SELECT loan_id, loan_number, loan_origin FROM loans
+         WHERE parent_loan_id = ? AND status IN ('Applied', 'Under Review', 'Approved')`,
+        [loanId]
+    );
+};
+
 // Apply for loan (member only)
 router.post('/apply', authenticateMember, [
-    body('loan_type').isIn(['Personal', 'Business', 'Education', 'Home', 'Vehicle', 'Emergency']),
-    body('loan_amount').isFloat({ min: 1000, max: 1000000 }),
+    body('loan_type').isIn(['Personal', 'Business', 'Education', 'Home', 'Vehicle', 'Emergency', DEPOSIT_LOAN_TYPE]),
+    body('loan_amount').isFloat({ min: 1 }),
     body('tenure_months').isInt({ min: 6, max: 240 }),
     body('purpose').isLength({ min: 10, max: 500 }),
+    body('guarantor_member_ids').optional().isArray({ max: 5 }),
+    body('guarantor_member_ids.*').isInt({ min: 1 }),
+    body('deposit_ids').if(body('loan_type').equals(DEPOSIT_LOAN_TYPE)).isArray({ min: 1, max: 10 }),
+    body('deposit_ids.*').isInt({ min: 1 }),
     body('guarantor_name').optional().isLength({ min: 2, max: 100 }),
     body('guarantor_phone').optional().matches(/^\+?[1-9]\d{1,14}$/),
     body('guarantor_address').optional().isLength({ min: 10, max: 500 })
@@ -27,55 +121,136 @@ router.post('/apply', authenticateMember, [
 
         const {
             loan_type, loan_amount, tenure_months, purpose,
-            guarantor_name, guarantor_phone, guarantor_address, collateral_details
+            guarantor_name, guarantor_phone, guarantor_address, collateral_details,
+            deposit_ids = []
         } = req.body;
+        const securedByDeposits = loan_type === DEPOSIT_LOAN_TYPE;
+        const guarantor_member_ids = securedByDeposits ? [] : (req.body.guarantor_member_ids || []);
 
-        // Calculate interest rate based on loan type
-        const interestRates = {
-            'Personal': 12.5,
-            'Business': 11.0,
-            'Education': 10.5,
-            'Home': 9.5,
-            'Vehicle': 11.5,
-            'Emergency': 13.0
-        };
-
-        const interest_rate = interestRates[loan_type];
+        let interest_rate;
+        let pledgedDeposits = [];
+
+        if (securedByDeposits) {
+            // Secured by the member's own fixed deposits instead of guarantors
+            const depositEligibility = await checkDepositLoanEligibility(
+                req.member.member_id, deposit_ids, parseFloat(loan_amount)
+            );
+            if (!depositEligibility.eligible) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Loan request does not meet eligibility rules',
+                    errors: depositEligibility.reasons,
+                    data: { max_eligible_amount: depositEligibility.max_eligible_amount }
+                });
+            }
+
+            interest_rate = depositEligibility.interest_rate;
+            pledgedDeposits = depositEligibility.deposits;
+        } else {
+            // Enforce bylaw limits against the member's shares and existing loans
+            const eligibility = await checkLoanEligibility(req.member.member_id, parseFloat(loan_amount));
+            if (!eligibility.eligible) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Loan request does not meet eligibility rules',
+                    errors: eligibility.reasons,
+                    data: { max_eligible_amount: eligibility.max_eligible_amount }
+                });
+            }
+
+            // Guarantors must be co-members with spare guarantee capacity
+            const guarantorLimits = await getGuarantorLimits();
+            const guarantorProblems = await validateGuarantors(
+                req.member.member_id, guarantor_member_ids, parseFloat(loan_amount), guarantorLimits
+            );
+            if (guarantorProblems.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Guarantor requirements not met',
+                    errors: guarantorProblems
+                });
+            }
+
+            // Rate in force today for this loan type and tenure; the loan keeps it for life
+            interest_rate = (await getMemberRate(req.member.member_id, 'Loan', loan_type, parseInt(tenure_months))).interest_rate;
+        }
         
-        // Calculate EMI (simple calculation)
-        const monthlyRate = interest_rate / 100 / 12;
-        const monthly_emi = (loan_amount * monthlyRate * Math.pow(1 + monthlyRate, tenure_months)) / 
-                           (Math.pow(1 + monthlyRate, tenure_months) - 1);
+        // Same EMI the calculator quotes and the disbursement schedule books
+        const monthly_emi = roundCurrency(calculateEmi(parseFloat(loan_amount), interest_rate, parseInt(tenure_months)));
 
         // Generate loan number
-        const [lastLoan] = await executeQuery(
-            'SELECT loan_number FROM loans ORDER BY loan_id DESC LIMIT 1'
-        );
+        const loanNumber = await generateLoanNumber();
+
+        const application = await transaction(async (connection) => {
+            // Another application may have pledged the same deposits since the check above;
+            // repeat it with the deposits locked before marking the liens
+            if (securedByDeposits) {
+                const recheck = await checkDepositLoanEligibility(
+                    req.member.member_id, deposit_ids, parseFloat(loan_amount), connection
+                );
+                if (!recheck.eligible) {
+                    return { reasons: recheck.reasons };
+                }
+                pledgedDeposits = recheck.deposits;
+            }
+
+            const [result] = await connection.execute(
+                `INSERT INTO loans 
+                 (loan_number, member_id, loan_type, loan_amount, interest_rate, tenure_months, 
+                  monthly_emi, purpose, collateral_details, guarantor_name, guarantor_phone, 
+                  guarantor_address, application_date, status, outstanding_amount)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURDATE(), 'Applied', ?)`,
+                [loanNumber, req.member.member_id, loan_type, loan_amount, interest_rate, 
+                 tenure_months, monthly_emi, purpose, collateral_details || null,
+                 guarantor_name || null, guarantor_phone || null, guarantor_address || null, loan_amount]
+            );
 
-        let loanNumber = 'LN001';
-        if (lastLoan.length > 0) {
-            const lastNumber = parseInt(lastLoan[0].loan_number.substring(2));
-            loanNumber = `LN${String(lastNumber + 1).padStart(3, '0')}`;
+            for (const guarantorId of guarantor_member_ids) {
+                await connection.execute(
+                    `INSERT INTO loan_guarantors (loan_id, member_id, guaranteed_amount, status)
+                     VALUES (?, ?, ?, 'Pending')`,
+                    [result.insertId, guarantorId, loan_amount]
+                );
+            }
+
+            // Pledged deposits are held from application so they cannot be closed meanwhile
+            await markLiens(connection, result.insertId, pledgedDeposits);
+
+            return { loanId: result.insertId };
+        });
+
+        if (application.reasons) {
+            return res.status(400).json({
+                success: false,
+                message: 'Loan request does not meet eligibility rules',
+                errors: application.reasons
+            });
         }
 
-        const result = await executeQuery(
-            `INSERT INTO loans 
-             (loan_number, member_id, loan_type, loan_amount, interest_rate, tenure_months, 
-              monthly_emi, purpose, collateral_details, guarantor_name, guarantor_phone, 
-              guarantor_address, application_date, status, outstanding_amount)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURDATE(), 'Applied', ?)`,
-            [loanNumber, req.member.member_id, loan_type, loan_amount, interest_rate, 
-             tenure_months, Math.round(monthly_emi * 100) / 100, purpose, collateral_details,
-             guarantor_name, guarantor_phone, guarantor_address, loan_amount]
-        );
+        const { loanId } = application;
+
+        // Ask each guarantor for consent
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            guarantor_member_ids.forEach(guarantorId => {
+                realtimeService.notifyMember(guarantorId, 'GUARANTOR_REQUEST', {
+                    message: `You have been named as guarantor for loan ${loanNumber} of ₹${loan_amount}`,
+                    loanId,
+                    amount: parseFloat(loan_amount),
+                    borrowerId: req.member.member_id
+                });
+            });
+        }
 
         res.status(201).json({
             success: true,
             message: 'Loan application submitted successfully',
             data: {
-                loan_id: result.insertId,
+                loan_id: loanId,
                 loan_number: loanNumber,
-                monthly_emi: Math.round(monthly_emi * 100) / 100
+                interest_rate,
+                monthly_emi,
+                pledged_deposits: pledgedDeposits.map(deposit => deposit.deposit_number)
             }
         });
     } catch (error) {
@@ -87,13 +262,41 @@ router.post('/apply', authenticateMember, [
     }
 });
 
+// Check loan eligibility before applying (member only)
+router.get('/eligibility', authenticateMember, async (req, res) => {
+    try {
+        const amount = req.query.amount !== undefined ? parseFloat(req.query.amount) : null;
+
+        if (amount !== null && Number.isNaN(amount)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid amount'
+            });
+        }
+
+        const eligibility = await checkLoanEligibility(req.member.member_id, amount);
+
+        res.json({
+            success: true,
+            data: eligibility
+        });
+    } catch (error) {
+        console.error('Loan eligibility error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check loan eligibility'
+        });
+    }
+});
+
 // Get member's loans
 router.get('/my-loans', authenticateMember, async (req, res) => {
     try {
         const loans = await executeQuery(
             `SELECT loan_id, loan_number, loan_type, loan_amount, interest_rate, 
              tenure_months, monthly_emi, application_date, approval_date, 
-             disbursement_date, status, outstanding_amount, total_paid, next_due_date
+             disbursement_date, status, outstanding_amount, total_paid, next_due_date,
+             loan_origin, original_loan_number, closure_type
              FROM loans WHERE member_id = ?
              ORDER BY application_date DESC`,
             [req.member.member_id]
@@ -112,6 +315,44 @@ router.get('/my-loans', authenticateMember, async (req, res) => {
     }
 });
 
+// Get loans where the member has been named as guarantor
+router.get('/guarantor-requests', authenticateMember, async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        let whereClause = 'WHERE g.member_id = ?';
+        let params = [req.member.member_id];
+
+        if (status) {
+            whereClause += ' AND g.status = ?';
+            params.push(status);
+        }
+
+        const requests = await executeQuery(
+            `SELECT g.guarantor_id, g.loan_id, g.status, g.guaranteed_amount, g.responded_at,
+             l.loan_number, l.loan_type, l.loan_amount, l.tenure_months, l.status as loan_status,
+             m.first_name as borrower_first_name, m.last_name as borrower_last_name
+             FROM loan_guarantors g
+             JOIN loans l ON g.loan_id = l.loan_id
+             JOIN members m ON l.member_id = m.member_id
+             ${whereClause}
+             ORDER BY g.created_at DESC`,
+            params
+        );
+
+        res.json({
+            success: true,
+            data: requests
+        });
+    } catch (error) {
+        console.error('Get guarantor requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch guarantor requests'
+        });
+    }
+});
+
 // Get all loans (admin only)
 router.get('/', authenticateAdmin, async (req, res) => {
     try {
@@ -173,6 +414,65 @@ router.get('/', authenticateAdmin, async (req, res) => {
     }
 });
 
+// Overdue loans report with SMA/NPA classification (admin only)
+router.get('/overdue', authenticateAdmin, async (req, res) => {
+    try {
+        const { classification, min_days } = req.query;
+
+        let whereClause = `WHERE l.days_past_due > 0 AND l.status IN ('Disbursed', 'Active', 'Defaulted')`;
+        let params = [];
+
+        if (classification) {
+            whereClause += ' AND l.asset_classification = ?';
+            params.push(classification);
+        }
+
+        if (min_days) {
+            whereClause += ' AND l.days_past_due >= ?';
+            params.push(parseInt(min_days));
+        }
+
+        const loans = await executeQuery(
+            `SELECT l.loan_id, l.loan_number, l.member_id, l.loan_type, l.loan_amount, 
+             l.outstanding_amount, l.monthly_emi, l.next_due_date, l.days_past_due, 
+             l.asset_classification, l.status, m.first_name, m.last_name, m.phone,
+             COUNT(s.schedule_id) as overdue_installments,
+             COALESCE(SUM(s.principal_component - s.principal_paid + s.interest_component - s.interest_paid), 0) as overdue_amount,
+             COALESCE(SUM(s.penalty_amount - s.penalty_paid), 0) as penalty_due
+             FROM loans l
+             JOIN members m ON l.member_id = m.member_id
+             LEFT JOIN loan_schedules s ON s.loan_id = l.loan_id AND s.status = 'Overdue'
+             ${whereClause}
+             GROUP BY l.loan_id
+             ORDER BY l.days_past_due DESC`,
+            params
+        );
+
+        const summary = loans.reduce((buckets, loan) => {
+            const bucket = buckets[loan.asset_classification] || { count: 0, outstanding_amount: 0, overdue_amount: 0 };
+            bucket.count += 1;
+            bucket.outstanding_amount = roundCurrency(bucket.outstanding_amount + parseFloat(loan.outstanding_amount));
+            bucket.overdue_amount = roundCurrency(bucket.overdue_amount + parseFloat(loan.overdue_amount));
+            buckets[loan.asset_classification] = bucket;
+            return buckets;
+        }, {});
+
+        res.json({
+            success: true,
+            data: {
+                summary,
+                loans
+            }
+        });
+    } catch (error) {
+        console.error('Get overdue loans error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch overdue loans'
+        });
+    }
+});
+
 // Get loan by ID
 router.get('/:id', authenticateAdmin, async (req, res) => {
     try {
@@ -191,6 +491,17 @@ router.get('/:id', authenticateAdmin, async (req, res) => {
             });
         }
 
+        loan.guarantors = await getLoanGuarantors(loan.loan_id);
+        loan.approvals = await getLoanApprovals(loan.loan_id);
+        loan.pledged_deposits = await getLoanLiens(loan.loan_id);
+        loan.related_loans = await executeQuery(
+            `SELECT loan_id, loan_number, loan_origin, loan_amount, status, closure_type, application_date
+             FROM loans
+             WHERE (loan_number = ? OR original_loan_number = ?) AND loan_id <> ?
+             ORDER BY loan_id`,
+            [loan.original_loan_number || loan.loan_number, loan.original_loan_number || loan.loan_number, loan.loan_id]
+        );
+
         res.json({
             success: true,
             data: loan
@@ -204,73 +515,81 @@ router.get('/:id', authenticateAdmin, async (req, res) => {
     }
 });
 
-// Approve loan (admin only)
-router.put('/:id/approve', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
-    body('admin_notes').optional().isLength({ max: 500 })
-], async (req, res) => {
+// Get loan repayment schedule (member who owns the loan, or admin)
+router.get('/:id/schedule', optionalAuth, async (req, res) => {
     try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({
+        if (!req.member && !req.admin) {
+            return res.status(401).json({
                 success: false,
-                message: 'Validation failed',
-                errors: errors.array()
+                message: 'Access token required'
             });
         }
 
-        const loanId = req.params.id;
-        const { admin_notes } = req.body;
-
         const loan = await getOne(
-            'SELECT loan_id, status FROM loans WHERE loan_id = ?',
-            [loanId]
+            `SELECT loan_id, loan_number, member_id, loan_type, loan_amount, interest_rate, 
+             tenure_months, monthly_emi, disbursement_date, status, outstanding_amount, 
+             total_paid, next_due_date
+             FROM loans WHERE loan_id = ?`,
+            [req.params.id]
         );
 
-        if (!loan) {
+        if (!loan || (req.member && !req.admin && loan.member_id !== req.member.member_id)) {
             return res.status(404).json({
                 success: false,
                 message: 'Loan not found'
             });
         }
 
-        if (loan.status !== 'Applied' && loan.status !== 'Under Review') {
-            return res.status(400).json({
-                success: false,
-                message: 'Loan cannot be approved in current status'
-            });
-        }
-
-        await executeQuery(
-            `UPDATE loans SET status = 'Approved', approval_date = CURDATE(), 
-             processed_by = ?, admin_notes = ?, updated_at = NOW() 
-             WHERE loan_id = ?`,
-            [req.admin.admin_id, admin_notes || 'Approved by admin', loanId]
+        const installments = await executeQuery(
+            `SELECT installment_number, due_date, opening_balance, emi_amount, 
+             principal_component, interest_component, closing_balance, 
+             principal_paid, interest_paid, paid_date, status
+             FROM loan_schedules WHERE loan_id = ?
+             ORDER BY installment_number`,
+            [loan.loan_id]
         );
 
-        // Log the action
-        await executeQuery(
-            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id, 
-             new_values, ip_address, user_agent) 
-             VALUES ('Admin', ?, 'APPROVE_LOAN', 'loans', ?, ?, ?, ?)`,
-            [req.admin.admin_id, loanId, JSON.stringify({ status: 'Approved' }), req.ip, req.get('User-Agent')]
-        );
+        const summary = installments.reduce((totals, row) => {
+            totals.total_principal += parseFloat(row.principal_component);
+            totals.total_interest += parseFloat(row.interest_component);
+            totals.principal_paid += parseFloat(row.principal_paid);
+            totals.interest_paid += parseFloat(row.interest_paid);
+            if (row.status === 'Paid') {
+                totals.installments_paid += 1;
+            }
+            return totals;
+        }, { total_principal: 0, total_interest: 0, principal_paid: 0, interest_paid: 0, installments_paid: 0 });
 
         res.json({
             success: true,
-            message: 'Loan approved successfully'
+            data: {
+                loan,
+                summary: {
+                    total_installments: installments.length,
+                    installments_paid: summary.installments_paid,
+                    total_principal: roundCurrency(summary.total_principal),
+                    total_interest: roundCurrency(summary.total_interest),
+                    principal_paid: roundCurrency(summary.principal_paid),
+                    interest_paid: roundCurrency(summary.interest_paid)
+                },
+                installments
+            }
         });
     } catch (error) {
-        console.error('Approve loan error:', error);
+        console.error('Get loan schedule error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to approve loan'
+            message: 'Failed to fetch loan schedule'
         });
     }
 });
 
-// Reject loan (admin only)
-router.put('/:id/reject', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
-    body('admin_notes').isLength({ min: 10, max: 500 })
+// Record a loan repayment at the counter (admin only)
+router.post('/:id/repayments', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('amount').isFloat({ min: 1 }),
+    body('payment_mode').isIn(['Cash', 'Cheque', 'Bank Transfer', 'UPI']),
+    body('payment_date').optional().isISO8601(),
+    body('reference_number').optional().isLength({ max: 100 })
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -283,102 +602,1375 @@ router.put('/:id/reject', authenticateAdmin, requireRole(['Super Admin', 'Admin'
         }
 
         const loanId = req.params.id;
-        const { admin_notes } = req.body;
+        const { amount, payment_mode, payment_date, reference_number } = req.body;
+
+        const repayment = await transaction(async (connection) => {
+            return await postLoanRepayment(connection, {
+                loanId,
+                amount: roundCurrency(amount),
+                paymentDate: payment_date ? new Date(payment_date) : new Date(),
+                paymentMode: payment_mode,
+                referenceNumber: reference_number,
+                processedBy: req.admin.admin_id
+            });
+        });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id, 
+             new_values, ip_address, user_agent) 
+             VALUES ('Admin', ?, 'LOAN_REPAYMENT', 'loans', ?, ?, ?, ?)`,
+            [req.admin.admin_id, loanId, JSON.stringify(repayment), req.ip, req.get('User-Agent')]
+        );
+
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.notifyMember(repayment.member_id, 'LOAN_REPAYMENT', {
+                message: `Repayment of ₹${repayment.amount} received for loan ${repayment.loan_number}`,
+                loanId: repayment.loan_id,
+                amount: repayment.amount,
+                outstanding: repayment.outstanding_amount
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Loan repayment recorded successfully',
+            data: repayment
+        });
+    } catch (error) {
+        console.error('Loan repayment error:', error);
+        const status = error.message === 'Loan not found' ? 404
+            : error.message === 'Loan is not open for repayment' || error.message.startsWith('Payment exceeds') ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: error.message || 'Failed to record loan repayment'
+        });
+    }
+});
+
+// Get repayment history for a loan (member who owns the loan, or admin)
+router.get('/:id/repayments', optionalAuth, async (req, res) => {
+    try {
+        if (!req.member && !req.admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token required'
+            });
+        }
 
         const loan = await getOne(
-            'SELECT loan_id, status FROM loans WHERE loan_id = ?',
-            [loanId]
+            'SELECT loan_id, member_id FROM loans WHERE loan_id = ?',
+            [req.params.id]
         );
 
-        if (!loan) {
+        if (!loan || (req.member && !req.admin && loan.member_id !== req.member.member_id)) {
             return res.status(404).json({
                 success: false,
                 message: 'Loan not found'
             });
         }
 
-        if (loan.status !== 'Applied' && loan.status !== 'Under Review') {
+        const repayments = await executeQuery(
+            `SELECT r.repayment_id, r.repayment_type, r.amount, r.penalty_component, r.interest_component, 
+             r.principal_component, r.charges_component, r.payment_date, r.payment_mode, r.reference_number, 
+             r.outstanding_after, t.transaction_number
+             FROM loan_repayments r
+             LEFT JOIN transactions t ON r.transaction_id = t.transaction_id
+             WHERE r.loan_id = ?
+             ORDER BY r.payment_date DESC, r.repayment_id DESC`,
+            [loan.loan_id]
+        );
+
+        res.json({
+            success: true,
+            data: repayments
+        });
+    } catch (error) {
+        console.error('Get loan repayments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch loan repayments'
+        });
+    }
+});
+
+// Record a part-prepayment and recompute the remaining schedule (admin only).
+// The member chooses whether the prepayment reduces the EMI or the tenure.
+router.post('/:id/prepayments', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('amount').isFloat({ min: 1 }),
+    body('option').isIn(['reduce_emi', 'reduce_tenure']),
+    body('payment_mode').isIn(['Cash', 'Cheque', 'Bank Transfer', 'UPI']),
+    body('payment_date').optional().isISO8601(),
+    body('reference_number').optional().isLength({ max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
             return res.status(400).json({
                 success: false,
-                message: 'Loan cannot be rejected in current status'
+                message: 'Validation failed',
+                errors: errors.array()
             });
         }
 
-        await executeQuery(
-            `UPDATE loans SET status = 'Rejected', processed_by = ?, 
-             admin_notes = ?, updated_at = NOW() WHERE loan_id = ?`,
-            [req.admin.admin_id, admin_notes, loanId]
-        );
+        const loanId = req.params.id;
+        const { amount, option, payment_mode, payment_date, reference_number } = req.body;
+
+        const prepayment = await transaction(async (connection) => {
+            return await postPrepayment(connection, {
+                loanId,
+                amount: roundCurrency(amount),
+                option,
+                paymentDate: payment_date ? new Date(payment_date) : new Date(),
+                paymentMode: payment_mode,
+                referenceNumber: reference_number,
+                processedBy: req.admin.admin_id
+            });
+        });
 
         // Log the action
         await executeQuery(
             `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id, 
              new_values, ip_address, user_agent) 
-             VALUES ('Admin', ?, 'REJECT_LOAN', 'loans', ?, ?, ?, ?)`,
-            [req.admin.admin_id, loanId, JSON.stringify({ status: 'Rejected', admin_notes }), req.ip, req.get('User-Agent')]
+             VALUES ('Admin', ?, 'LOAN_PREPAYMENT', 'loans', ?, ?, ?, ?)`,
+            [req.admin.admin_id, loanId, JSON.stringify(prepayment), req.ip, req.get('User-Agent')]
         );
 
-        res.json({
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.notifyMember(prepayment.member_id, 'LOAN_PREPAYMENT', {
+                message: `Prepayment of ₹${prepayment.amount} received for loan ${prepayment.loan_number}. ` +
+                         `New EMI ₹${prepayment.monthly_emi} for ${prepayment.remaining_installments} installment(s)`,
+                loanId: prepayment.loan_id,
+                amount: prepayment.amount,
+                outstanding: prepayment.outstanding_amount
+            });
+        }
+
+        res.status(201).json({
             success: true,
-            message: 'Loan rejected successfully'
+            message: 'Loan prepayment recorded and schedule recomputed',
+            data: prepayment
         });
     } catch (error) {
-        console.error('Reject loan error:', error);
+        console.error('Loan prepayment error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to reject loan'
+            message: error.message || 'Failed to record loan prepayment'
         });
     }
 });
 
-// Disburse loan (admin only)
-router.put('/:id/disburse', authenticateAdmin, requireRole(['Super Admin', 'Admin']), async (req, res) => {
+// Get the payoff amount to foreclose a loan as of a date (member who owns the loan, or admin)
+router.get('/:id/foreclosure-quote', optionalAuth, async (req, res) => {
     try {
-        const loanId = req.params.id;
-
-        await transaction(async (connection) => {
-            // Get loan details
-            const [loan] = await connection.execute(
-                'SELECT * FROM loans WHERE loan_id = ? AND status = "Approved"',
-                [loanId]
-            );
+        if (!req.member && !req.admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token required'
+            });
+        }
 
-            if (!loan.length) {
-                throw new Error('Loan not found or not approved');
-            }
+        const loan = await getOne(
+            'SELECT loan_id, member_id FROM loans WHERE loan_id = ?',
+            [req.params.id]
+        );
 
-            const loanData = loan[0];
+        if (!loan || (req.member && !req.admin && loan.member_id !== req.member.member_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loan not found'
+            });
+        }
 
-            // Update loan status
-            await connection.execute(
-                `UPDATE loans SET status = 'Disbursed', disbursement_date = CURDATE(), 
-                 next_due_date = DATE_ADD(CURDATE(), INTERVAL 1 MONTH), updated_at = NOW() 
-                 WHERE loan_id = ?`,
-                [loanId]
-            );
+        const asOf = req.query.as_of ? new Date(req.query.as_of) : new Date();
+        if (Number.isNaN(asOf.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'as_of must be a valid date'
+            });
+        }
 
-            // Create transaction record
-            await connection.execute(
-                `INSERT INTO transactions 
-                 (transaction_number, member_id, transaction_type, amount, balance_after, 
-                  reference_type, reference_id, description, processed_by)
-                 VALUES (?, ?, 'Deposit', ?, ?, 'Loan', ?, ?, ?)`,
-                [`TXN${Date.now()}`, loanData.member_id, loanData.loan_amount, 
-                 loanData.loan_amount, loanId, `Loan disbursement - ${loanData.loan_number}`, req.admin.admin_id]
-            );
+        const chargeRate = await getNumericSetting('loan_foreclosure_charge', 2.0);
+        const quote = await transaction(async (connection) => {
+            return await getForeclosureQuote(connection, loan.loan_id, asOf, chargeRate);
         });
 
-        // Log the action
-        await executeQuery(
-            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id, 
-             new_values, ip_address, user_agent) 
+        res.json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        console.error('Foreclosure quote error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to calculate foreclosure quote'
+        });
+    }
+});
+
+// Foreclose a loan by settling the full payoff amount (admin only)
+router.post('/:id/foreclose', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('amount').isFloat({ min: 1 }),
+    body('payment_mode').isIn(['Cash', 'Cheque', 'Bank Transfer', 'UPI']),
+    body('closure_date').optional().isISO8601(),
+    body('reference_number').optional().isLength({ max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const loanId = req.params.id;
+        const { amount, payment_mode, closure_date, reference_number } = req.body;
+        const chargeRate = await getNumericSetting('loan_foreclosure_charge', 2.0);
+
+        const settlement = await transaction(async (connection) => {
+            return await forecloseLoan(connection, {
+                loanId,
+                amount: roundCurrency(amount),
+                chargeRate,
+                closureDate: closure_date ? new Date(closure_date) : new Date(),
+                paymentMode: payment_mode,
+                referenceNumber: reference_number,
+                processedBy: req.admin.admin_id
+            });
+        });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id, 
+             new_values, ip_address, user_agent) 
+             VALUES ('Admin', ?, 'LOAN_FORECLOSURE', 'loans', ?, ?, ?, ?)`,
+            [req.admin.admin_id, loanId, JSON.stringify(settlement), req.ip, req.get('User-Agent')]
+        );
+
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.notifyMember(settlement.member_id, 'LOAN_CLOSED', {
+                message: `Loan ${settlement.loan_number} has been foreclosed. Total settled ₹${settlement.total_payable}`,
+                loanId: settlement.loan_id,
+                amount: settlement.total_payable
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Loan foreclosed successfully',
+            data: settlement
+        });
+    } catch (error) {
+        console.error('Loan foreclosure error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to foreclose loan'
+        });
+    }
+});
+
+// List documents held for a loan (member who owns the loan, or admin)
+router.get('/:id/documents', optionalAuth, async (req, res) => {
+    try {
+        if (!req.member && !req.admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token required'
+            });
+        }
+
+        const loan = await getOne(
+            'SELECT loan_id, member_id FROM loans WHERE loan_id = ?',
+            [req.params.id]
+        );
+
+        if (!loan || (req.member && !req.admin && loan.member_id !== req.member.member_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loan not found'
+            });
+        }
+
+        const documents = await executeQuery(
+            `SELECT document_id, document_type, document_name, uploaded_at
+             FROM loan_documents WHERE loan_id = ?
+             ORDER BY uploaded_at DESC`,
+            [loan.loan_id]
+        );
+
+        res.json({
+            success: true,
+            data: documents
+        });
+    } catch (error) {
+        console.error('Get loan documents error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch loan documents'
+        });
+    }
+});
+
+// Download a loan document (member who owns the loan, or admin)
+router.get('/:id/documents/:documentId/download', optionalAuth, async (req, res) => {
+    try {
+        if (!req.member && !req.admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token required'
+            });
+        }
+
+        const document = await getOne(
+            `SELECT d.document_name, d.file_path, l.member_id
+             FROM loan_documents d
+             JOIN loans l ON d.loan_id = l.loan_id
+             WHERE d.document_id = ? AND d.loan_id = ?`,
+            [req.params.documentId, req.params.id]
+        );
+
+        if (!document || (req.member && !req.admin && document.member_id !== req.member.member_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Document not found'
+            });
+        }
+
+        const filePath = resolveDocumentPath(document.file_path);
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Document file is missing'
+            });
+        }
+
+        res.download(filePath, `${document.document_name}${path.extname(filePath)}`);
+    } catch (error) {
+        console.error('Download loan document error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to download loan document'
+        });
+    }
+});
+
+// Regenerate the sanction letter and loan agreement (admin only)
+router.post('/:id/documents/generate', authenticateAdmin, requireRole(['Super Admin', 'Admin']), async (req, res) => {
+    try {
+        const loan = await getOne(
+            'SELECT loan_id, status FROM loans WHERE loan_id = ?',
+            [req.params.id]
+        );
+
+        if (!loan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loan not found'
+            });
+        }
+
+        if (!['Approved', 'Disbursed', 'Active', 'Completed', 'Defaulted'].includes(loan.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Documents are only issued for approved loans'
+            });
+        }
+
+        const documents = await generateLoanDocuments(loan.loan_id);
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id, 
+             new_values, ip_address, user_agent) 
+             VALUES ('Admin', ?, 'GENERATE_LOAN_DOCUMENTS', 'loan_documents', ?, ?, ?, ?)`,
+            [req.admin.admin_id, loan.loan_id, JSON.stringify(documents), req.ip, req.get('User-Agent')]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Loan documents generated successfully',
+            data: documents
+        });
+    } catch (error) {
+        console.error('Generate loan documents error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to generate loan documents'
+        });
+    }
+});
+
+// Apply for a top-up on an active loan (member only). The new loan pays off the
+// existing balance at disbursement and the remainder is credited to savings.
+router.post('/:id/top-up', authenticateMember, [
+    body('loan_amount').isFloat({ min: 1 }),
+    body('tenure_months').isInt({ min: 6, max: 240 }),
+    body('purpose').isLength({ min: 10, max: 500 }),
+    body('guarantor_member_ids').optional().isArray({ max: 5 }),
+    body('guarantor_member_ids.*').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const parent = await getOne('SELECT * FROM loans WHERE loan_id = ?', [req.params.id]);
+
+        if (!parent || parent.member_id !== req.member.member_id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loan not found'
+            });
+        }
+
+        if (parent.status !== 'Active' || parent.asset_classification !== 'Standard') {
+            return res.status(400).json({
+                success: false,
+                message: 'Top-up is only available on active loans with no overdue installments'
+            });
+        }
+
+        if (parent.loan_type === DEPOSIT_LOAN_TYPE) {
+            return res.status(400).json({
+                success: false,
+                message: 'Loans against deposits cannot be topped up; apply for a new loan against further deposits'
+            });
+        }
+
+        const pending = await getPendingReplacement(parent.loan_id);
+        if (pending) {
+            return res.status(400).json({
+                success: false,
+                message: `A ${pending.loan_origin.toLowerCase()} request (${pending.loan_number}) is already pending for this loan`
+            });
+        }
+
+        const loanAmount = roundCurrency(req.body.loan_amount);
+        const quote = await transaction(async (connection) => {
+            return await getForeclosureQuote(connection, parent.loan_id, new Date(), 0);
+        });
+
+        if (loanAmount <= quote.total_payable) {
+            return res.status(400).json({
+                success: false,
+                message: `Top-up amount must be more than the current payoff of ₹${quote.total_payable}`
+            });
+        }
+
+        // The loan being closed does not count against the member's limit
+        const eligibility = await checkLoanEligibility(req.member.member_id, loanAmount, parent.loan_id);
+        if (!eligibility.eligible) {
+            return res.status(400).json({
+                success: false,
+                message: 'Loan request does not meet eligibility rules',
+                errors: eligibility.reasons,
+                data: { max_eligible_amount: eligibility.max_eligible_amount }
+            });
+        }
+
+        // Default to the guarantors who stand behind the existing loan
+        const guarantorIds = req.body.guarantor_member_ids ||
+            (await getLoanGuarantors(parent.loan_id))
+                .filter(guarantor => guarantor.status === 'Accepted')
+                .map(guarantor => guarantor.member_id);
+
+        const guarantorProblems = await validateGuarantors(
+            req.member.member_id, guarantorIds, loanAmount, await getGuarantorLimits(), parent.loan_id
+        );
+        if (guarantorProblems.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Guarantor requirements not met',
+                errors: guarantorProblems
+            });
+        }
+
+        const topUp = await createLinkedLoan(parent, {
+            origin: 'Top-up',
+            loanAmount,
+            interestRate: (await getMemberRate(
+                req.member.member_id, 'Loan', parent.loan_type, parseInt(req.body.tenure_months)
+            )).interest_rate,
+            tenureMonths: parseInt(req.body.tenure_months),
+            purpose: req.body.purpose,
+            guarantorIds
+        });
+
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            guarantorIds.forEach(guarantorId => {
+                realtimeService.notifyMember(guarantorId, 'GUARANTOR_REQUEST', {
+                    message: `You have been named as guarantor for top-up loan ${topUp.loan_number} of ₹${loanAmount} ` +
+                             `(replacing ${parent.loan_number})`,
+                    loanId: topUp.loan_id,
+                    amount: loanAmount,
+                    borrowerId: req.member.member_id
+                });
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Top-up application submitted successfully',
+            data: {
+                ...topUp,
+                current_payoff: quote.total_payable,
+                estimated_net_amount: roundCurrency(loanAmount - quote.total_payable)
+            }
+        });
+    } catch (error) {
+        console.error('Loan top-up error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to submit top-up application'
+        });
+    }
+});
+
+// Propose a restructure of a loan with a new rate and/or tenure (admin only).
+// The outstanding balance moves into a new loan that goes through approval;
+// the admin who raises it cannot approve it.
+router.post('/:id/restructure', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('interest_rate').optional().isFloat({ min: 0, max: 36 }),
+    body('tenure_months').optional().isInt({ min: 1, max: 240 }),
+    body('reason').isLength({ min: 10, max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { interest_rate, tenure_months, reason } = req.body;
+
+        if (interest_rate === undefined && tenure_months === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide a new interest rate or tenure'
+            });
+        }
+
+        const parent = await getOne('SELECT * FROM loans WHERE loan_id = ?', [req.params.id]);
+
+        if (!parent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loan not found'
+            });
+        }
+
+        if (!REPAYABLE_STATUSES.includes(parent.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only disbursed loans can be restructured'
+            });
+        }
+
+        const pending = await getPendingReplacement(parent.loan_id);
+        if (pending) {
+            return res.status(400).json({
+                success: false,
+                message: `A ${pending.loan_origin.toLowerCase()} request (${pending.loan_number}) is already pending for this loan`
+            });
+        }
+
+        // Outstanding principal and overdue interest become the new principal; penalty is not
+        // capitalised. The exact figure is fixed again at disbursement.
+        const quote = await transaction(async (connection) => {
+            return await getForeclosureQuote(connection, parent.loan_id, new Date(), 0);
+        });
+
+        const remaining = await getOne(
+            `SELECT COUNT(*) as installments FROM loan_schedules
+             WHERE loan_id = ? AND status NOT IN ('Paid', 'Foreclosed')`,
+            [parent.loan_id]
+        );
+
+        const guarantorIds = (await getLoanGuarantors(parent.loan_id))
+            .filter(guarantor => guarantor.status === 'Accepted')
+            .map(guarantor => guarantor.member_id);
+
+        const restructure = await createLinkedLoan(parent, {
+            origin: 'Restructure',
+            loanAmount: roundCurrency(quote.principal_outstanding + quote.overdue_interest),
+            interestRate: interest_rate !== undefined ? parseFloat(interest_rate) : parseFloat(parent.interest_rate),
+            tenureMonths: tenure_months !== undefined ? parseInt(tenure_months) : Math.max(remaining.installments, 1),
+            purpose: `Restructure of ${parent.loan_number}: ${reason}`,
+            guarantorIds,
+            initiatedBy: req.admin.admin_id
+        });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id, 
+             new_values, ip_address, user_agent) 
+             VALUES ('Admin', ?, 'RESTRUCTURE_LOAN', 'loans', ?, ?, ?, ?)`,
+            [req.admin.admin_id, parent.loan_id, JSON.stringify({ ...restructure, reason }), req.ip, req.get('User-Agent')]
+        );
+
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.notifyMember(parent.member_id, 'LOAN_STATUS', {
+                message: `A restructure of loan ${parent.loan_number} has been proposed: ` +
+                         `EMI ₹${restructure.monthly_emi} for ${restructure.tenure_months} months`,
+                loanId: restructure.loan_id,
+                status: 'Applied'
+            });
+            guarantorIds.forEach(guarantorId => {
+                realtimeService.notifyMember(guarantorId, 'GUARANTOR_REQUEST', {
+                    message: `Loan ${parent.loan_number} you guarantee is being restructured as ${restructure.loan_number}; ` +
+                             'please confirm your guarantee',
+                    loanId: restructure.loan_id,
+                    amount: restructure.loan_amount,
+                    borrowerId: parent.member_id
+                });
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Restructure proposal created and sent for approval',
+            data: restructure
+        });
+    } catch (error) {
+        console.error('Loan restructure error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to restructure loan'
+        });
+    }
+});
+
+// Accept or decline a guarantor request (guarantor member only)
+router.put('/:id/guarantors/respond', authenticateMember, [
+    body('decision').isIn(['Accepted', 'Declined']),
+    body('notes').optional().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const loanId = req.params.id;
+        const { decision, notes } = req.body;
+
+        const request = await getOne(
+            `SELECT g.guarantor_id, g.status, l.loan_id, l.loan_number, l.member_id, 
+             l.loan_amount, l.status as loan_status, l.parent_loan_id
+             FROM loan_guarantors g
+             JOIN loans l ON g.loan_id = l.loan_id
+             WHERE g.loan_id = ? AND g.member_id = ?`,
+            [loanId, req.member.member_id]
+        );
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Guarantor request not found'
+            });
+        }
+
+        if (request.status !== 'Pending' || !['Applied', 'Under Review'].includes(request.loan_status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Guarantor request has already been processed'
+            });
+        }
+
+        // Re-check capacity at the time of consent; other guarantees may have been given since applying.
+        // A loan being replaced by this one (top-up or restructure) does not count twice.
+        if (decision === 'Accepted') {
+            const limits = await getGuarantorLimits();
+            const problem = await checkGuarantorCapacity(
+                req.member.member_id, parseFloat(request.loan_amount), limits,
+                [request.loan_id, request.parent_loan_id].filter(Boolean)
+            );
+            if (problem) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Cannot accept: member ${problem}`
+                });
+            }
+        }
+
+        await executeQuery(
+            `UPDATE loan_guarantors SET status = ?, response_notes = ?, responded_at = NOW() 
+             WHERE guarantor_id = ?`,
+            [decision, notes || null, request.guarantor_id]
+        );
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id, 
+             new_values, ip_address, user_agent) 
+             VALUES ('Member', ?, 'GUARANTOR_RESPONSE', 'loan_guarantors', ?, ?, ?, ?)`,
+            [req.member.member_id, request.guarantor_id, JSON.stringify({ loan_id: request.loan_id, status: decision }), 
+             req.ip, req.get('User-Agent')]
+        );
+
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            const payload = {
+                message: `Guarantor ${decision.toLowerCase()} for loan ${request.loan_number}`,
+                loanId: request.loan_id,
+                guarantorId: req.member.member_id,
+                decision
+            };
+            realtimeService.notifyMember(request.member_id, 'GUARANTOR_RESPONSE', payload);
+            realtimeService.notifyAdmins('GUARANTOR_RESPONSE', payload);
+        }
+
+        res.json({
+            success: true,
+            message: `Guarantee ${decision.toLowerCase()} successfully`
+        });
+    } catch (error) {
+        console.error('Guarantor response error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record guarantor response'
+        });
+    }
+});
+
+// Name a replacement guarantor after one declines (borrower only)
+router.post('/:id/guarantors', authenticateMember, [
+    body('member_id').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const guarantorId = parseInt(req.body.member_id);
+
+        const loan = await getOne(
+            `SELECT loan_id, loan_number, loan_amount, status FROM loans 
+             WHERE loan_id = ? AND member_id = ?`,
+            [req.params.id, req.member.member_id]
+        );
+
+        if (!loan || !['Applied', 'Under Review'].includes(loan.status)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loan not found or no longer open for changes'
+            });
+        }
+
+        const existing = await getOne(
+            `SELECT guarantor_id, status FROM loan_guarantors 
+             WHERE loan_id = ? AND member_id = ?`,
+            [loan.loan_id, guarantorId]
+        );
+
+        if (existing && ['Pending', 'Accepted'].includes(existing.status)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Member is already a guarantor for this loan'
+            });
+        }
+
+        const limits = await getGuarantorLimits();
+        const problems = await validateGuarantors(
+            req.member.member_id, [guarantorId], parseFloat(loan.loan_amount), { ...limits, required_guarantors: 1 }
+        );
+        if (problems.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Guarantor requirements not met',
+                errors: problems
+            });
+        }
+
+        // A member who declined earlier is asked again on the same row (one row per loan and guarantor)
+        if (existing) {
+            await executeQuery(
+                `UPDATE loan_guarantors SET status = 'Pending', guaranteed_amount = ?, response_notes = NULL,
+                 responded_at = NULL
+                 WHERE guarantor_id = ?`,
+                [loan.loan_amount, existing.guarantor_id]
+            );
+        } else {
+            await executeQuery(
+                `INSERT INTO loan_guarantors (loan_id, member_id, guaranteed_amount, status)
+                 VALUES (?, ?, ?, 'Pending')`,
+                [loan.loan_id, guarantorId, loan.loan_amount]
+            );
+        }
+
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.notifyMember(guarantorId, 'GUARANTOR_REQUEST', {
+                message: `You have been named as guarantor for loan ${loan.loan_number} of ₹${loan.loan_amount}`,
+                loanId: loan.loan_id,
+                amount: parseFloat(loan.loan_amount),
+                borrowerId: req.member.member_id
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Guarantor added successfully'
+        });
+    } catch (error) {
+        console.error('Add guarantor error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add guarantor'
+        });
+    }
+});
+
+// Field officer review: moves an application to Under Review with a recommendation (any admin)
+router.put('/:id/review', authenticateAdmin, [
+    body('recommendation').isIn(['Recommended', 'Not Recommended']),
+    body('notes').isLength({ min: 10, max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const loanId = req.params.id;
+        const { recommendation, notes } = req.body;
+
+        const outcome = await transaction(async (connection) => {
+            const locked = await lockLoanForApproval(connection, loanId);
+
+            if (!locked) {
+                return { code: 404, problem: 'Loan not found' };
+            }
+
+            if (locked.loan.status !== 'Applied') {
+                return { code: 400, problem: 'Only new applications can be reviewed' };
+            }
+
+            await recordApprovalStage(connection, {
+                loanId,
+                stage: 'Review',
+                decision: recommendation,
+                adminId: req.admin.admin_id,
+                notes
+            });
+
+            await connection.execute(
+                `UPDATE loans SET status = 'Under Review', updated_at = NOW() WHERE loan_id = ?`,
+                [loanId]
+            );
+
+            return { loan: locked.loan };
+        });
+
+        if (outcome.problem) {
+            return res.status(outcome.code).json({
+                success: false,
+                message: outcome.problem
+            });
+        }
+
+        const { loan } = outcome;
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id, 
+             new_values, ip_address, user_agent) 
+             VALUES ('Admin', ?, 'REVIEW_LOAN', 'loans', ?, ?, ?, ?)`,
+            [req.admin.admin_id, loanId, JSON.stringify({ status: 'Under Review', recommendation, notes }),
+             req.ip, req.get('User-Agent')]
+        );
+
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.notifyMember(loan.member_id, 'LOAN_STATUS', {
+                message: `Your loan application ${loan.loan_number} is under review`,
+                loanId: loan.loan_id,
+                status: 'Under Review'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Loan review recorded successfully'
+        });
+    } catch (error) {
+        console.error('Review loan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to review loan'
+        });
+    }
+});
+
+// Approve loan (admin only). Large loans need a second, different approver,
+// and nobody who reviewed or approved a loan may approve it again.
+router.put('/:id/approve', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('admin_notes').optional().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const loanId = req.params.id;
+        const { admin_notes } = req.body;
+
+        const loan = await getOne(
+            `SELECT loan_id, loan_number, member_id, loan_type, loan_amount, status, initiated_by
+             FROM loans WHERE loan_id = ?`,
+            [loanId]
+        );
+
+        if (!loan) {
+            return res.status(404).json({
+                success: false,
+                message: 'Loan not found'
+            });
+        }
+
+        if (loan.status !== 'Applied' && loan.status !== 'Under Review') {
+            return res.status(400).json({
+                success: false,
+                message: 'Loan cannot be approved in current status'
+            });
+        }
+
+        // Every named guarantor must have consented, and enough of them
+        // (loans against deposits are secured by the lien instead)
+        const guarantors = await getLoanGuarantors(loanId);
+        const accepted = guarantors.filter(guarantor => guarantor.status === 'Accepted').length;
+        const awaiting = guarantors.filter(guarantor => guarantor.status === 'Pending').length;
+        const required_guarantors = loan.loan_type === DEPOSIT_LOAN_TYPE
+            ? 0
+            : (await getGuarantorLimits()).required_guarantors;
+
+        if (awaiting > 0 || accepted < required_guarantors) {
+            return res.status(400).json({
+                success: false,
+                message: `Loan cannot be approved until guarantors consent (${accepted} of ${required_guarantors} accepted, ${awaiting} pending)`
+            });
+        }
+
+        // The status and approval chain are checked again under the loan lock so two
+        // approvers acting together cannot both count as the first approval
+        const settings = await getApprovalSettings();
+        const nextStage = await transaction(async (connection) => {
+            const locked = await lockLoanForApproval(connection, loanId);
+
+            if (locked.loan.status !== 'Applied' && locked.loan.status !== 'Under Review') {
+                return { code: 400, problem: 'Loan cannot be approved in current status' };
+            }
+
+            const stage = getNextApprovalStage(locked.loan, locked.approvals, req.admin.admin_id, settings);
+            if (stage.problem) {
+                return { code: 403, ...stage };
+            }
+
+            await recordApprovalStage(connection, {
+                loanId,
+                stage: stage.stage,
+                decision: 'Approved',
+                adminId: req.admin.admin_id,
+                notes: admin_notes || null
+            });
+
+            if (stage.final) {
+                await connection.execute(
+                    `UPDATE loans SET status = 'Approved', approval_date = CURDATE(), 
+                     processed_by = ?, admin_notes = ?, updated_at = NOW() 
+                     WHERE loan_id = ?`,
+                    [req.admin.admin_id, admin_notes || 'Approved by admin', loanId]
+                );
+            } else {
+                await connection.execute(
+                    `UPDATE loans SET status = 'Under Review', updated_at = NOW() WHERE loan_id = ?`,
+                    [loanId]
+                );
+            }
+
+            return stage;
+        });
+
+        if (nextStage.problem) {
+            return res.status(nextStage.code).json({
+                success: false,
+                message: nextStage.problem
+            });
+        }
+
+        const status = nextStage.final ? 'Approved' : 'Under Review';
+
+        // Sanction letter and agreement are issued once the loan is finally approved;
+        // a failure here does not undo the approval and can be retried from /documents/generate
+        let documents = [];
+        if (nextStage.final) {
+            try {
+                documents = await generateLoanDocuments(loanId);
+            } catch (documentError) {
+                console.error('Generate loan documents error:', documentError);
+            }
+        }
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id, 
+             new_values, ip_address, user_agent) 
+             VALUES ('Admin', ?, 'APPROVE_LOAN', 'loans', ?, ?, ?, ?)`,
+            [req.admin.admin_id, loanId, JSON.stringify({ status, stage: nextStage.stage, admin_notes }),
+             req.ip, req.get('User-Agent')]
+        );
+
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            if (nextStage.final) {
+                realtimeService.notifyMember(loan.member_id, 'LOAN_STATUS', {
+                    message: `Your loan ${loan.loan_number} has been approved`,
+                    loanId: loan.loan_id,
+                    status
+                });
+            } else {
+                realtimeService.notifyAdmins('LOAN_SECOND_APPROVAL', {
+                    message: `Loan ${loan.loan_number} (₹${loan.loan_amount}) needs a second approval`,
+                    loanId: loan.loan_id
+                });
+            }
+        }
+
+        res.json({
+            success: true,
+            message: nextStage.final
+                ? 'Loan approved successfully'
+                : 'Approval recorded; loan needs a second approver',
+            data: {
+                loan_id: loan.loan_id,
+                stage: nextStage.stage,
+                status,
+                documents
+            }
+        });
+    } catch (error) {
+        console.error('Approve loan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to approve loan'
+        });
+    }
+});
+
+// Reject loan (admin only)
+router.put('/:id/reject', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('admin_notes').isLength({ min: 10, max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const loanId = req.params.id;
+        const { admin_notes } = req.body;
+
+        const rejection = await transaction(async (connection) => {
+            const locked = await lockLoanForApproval(connection, loanId);
+
+            if (!locked) {
+                return { code: 404, problem: 'Loan not found' };
+            }
+
+            if (locked.loan.status !== 'Applied' && locked.loan.status !== 'Under Review') {
+                return { code: 400, problem: 'Loan cannot be rejected in current status' };
+            }
+
+            await recordApprovalStage(connection, {
+                loanId,
+                stage: getRejectionStage(locked.loan, locked.approvals),
+                decision: 'Rejected',
+                adminId: req.admin.admin_id,
+                notes: admin_notes
+            });
+
+            await connection.execute(
+                `UPDATE loans SET status = 'Rejected', processed_by = ?, 
+                 admin_notes = ?, updated_at = NOW() WHERE loan_id = ?`,
+                [req.admin.admin_id, admin_notes, loanId]
+            );
+
+            await connection.execute(
+                `UPDATE loan_guarantors SET status = 'Released', updated_at = NOW() 
+                 WHERE loan_id = ? AND status IN ('Pending', 'Accepted')`,
+                [loanId]
+            );
+
+            await releaseLiens(connection, loanId);
+            return {};
+        });
+
+        if (rejection.problem) {
+            return res.status(rejection.code).json({
+                success: false,
+                message: rejection.problem
+            });
+        }
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id, 
+             new_values, ip_address, user_agent) 
+             VALUES ('Admin', ?, 'REJECT_LOAN', 'loans', ?, ?, ?, ?)`,
+            [req.admin.admin_id, loanId, JSON.stringify({ status: 'Rejected', admin_notes }), req.ip, req.get('User-Agent')]
+        );
+
+        res.json({
+            success: true,
+            message: 'Loan rejected successfully'
+        });
+    } catch (error) {
+        console.error('Reject loan error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reject loan'
+        });
+    }
+});
+
+// Disburse loan (admin only)
+router.put('/:id/disburse', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('fee_mode').optional().isIn(['deduct', 'separate'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const loanId = req.params.id;
+        const feeMode = req.body.fee_mode || 'deduct';
+        const configuredFeeRate = await getNumericSetting('loan_processing_fee', 1.0);
+
+        const disbursement = await transaction(async (connection) => {
+            // Get loan details
+            const [loan] = await connection.execute(
+                'SELECT * FROM loans WHERE loan_id = ? AND status = "Approved" FOR UPDATE',
+                [loanId]
+            );
+
+            if (!loan.length) {
+                throw new Error('Loan not found or not approved');
+            }
+
+            const loanData = loan[0];
+            const disbursementDate = new Date();
+            const isRestructure = loanData.loan_origin === 'Restructure';
+            let loanAmount = roundCurrency(loanData.loan_amount);
+
+            // A top-up or restructure first closes the loan it replaces. A top-up pays the payoff
+            // out of the new loan. A restructure carries the outstanding principal and overdue
+            // interest as the new principal; penalty and interest accrued since the last due date
+            // are not capitalised but carried as dues on the first installment, so the old loan
+            // is closed for the principal and overdue interest only.
+            let settlement = null;
+            let carriedDues = null;
+            if (loanData.parent_loan_id) {
+                // Deposits pledged for the old loan keep securing the restructured one
+                if (isRestructure) {
+                    await transferLiens(connection, loanData.parent_loan_id, loanData.loan_id);
+                }
+
+                settlement = await forecloseLoan(connection, {
+                    loanId: loanData.parent_loan_id,
+                    chargeRate: 0,
+                    closureDate: disbursementDate,
+                    paymentMode: 'Internal Transfer',
+                    referenceNumber: loanData.loan_number,
+                    processedBy: req.admin.admin_id,
+                    closureType: isRestructure ? 'Restructured' : 'Topped Up',
+                    carryDues: isRestructure
+                });
+
+                if (isRestructure) {
+                    loanAmount = settlement.amount_settled;
+                    carriedDues = { penalty: settlement.carried_penalty, interest: settlement.carried_interest };
+                }
+            }
+            const payoffAmount = settlement ? settlement.amount_settled : 0;
+            const feeRate = isRestructure ? 0 : configuredFeeRate;
+
+            // Generate the amortization schedule from the disbursement date
+            const schedule = buildAmortizationSchedule(
+                loanAmount,
+                parseFloat(loanData.interest_rate),
+                loanData.tenure_months,
+                disbursementDate
+            );
+
+            if (carriedDues) {
+                const first = schedule.installments[0];
+                first.interest_component = roundCurrency(first.interest_component + carriedDues.interest);
+                first.emi_amount = roundCurrency(first.emi_amount + carriedDues.interest);
+            }
+
+            for (const row of schedule.installments) {
+                await connection.execute(
+                    `INSERT INTO loan_schedules 
+                     (loan_id, installment_number, due_date, opening_balance, emi_amount, 
+                      principal_component, interest_component, penalty_amount, closing_balance)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [loanId, row.installment_number, row.due_date, row.opening_balance, row.emi_amount,
+                     row.principal_component, row.interest_component,
+                     carriedDues && row.installment_number === 1 ? carriedDues.penalty : 0, row.closing_balance]
+                );
+            }
+
+            // Processing fee is either deducted from the proceeds or charged to savings afterwards;
+            // either way the member's balance ends up with the loan amount less the fee
+            const processingFee = roundCurrency(loanAmount * feeRate / 100);
+            const netAmount = roundCurrency(loanAmount - processingFee - payoffAmount);
+            const creditAmount = feeMode === 'deduct' ? netAmount : roundCurrency(loanAmount - payoffAmount);
+
+            if (netAmount < 0) {
+                throw new Error(`Loan amount does not cover the payoff of ₹${payoffAmount} and the processing fee`);
+            }
+
+            // Update loan status
+            await connection.execute(
+                `UPDATE loans SET status = 'Disbursed', disbursement_date = ?, 
+                 next_due_date = ?, loan_amount = ?, outstanding_amount = ?, monthly_emi = ?,
+                 processing_fee = ?, net_disbursed_amount = ?, updated_at = NOW() 
+                 WHERE loan_id = ?`,
+                [formatDate(disbursementDate), schedule.installments[0].due_date,
+                 loanAmount, loanAmount, schedule.monthly_emi, processingFee, netAmount, loanId]
+            );
+
+            // Credit the proceeds to the member's savings balance
+            const deductions = [];
+            if (payoffAmount > 0) deductions.push(`payoff of ${settlement.loan_number} ₹${payoffAmount}`);
+            if (feeMode === 'deduct' && processingFee > 0) deductions.push(`processing fee ₹${processingFee}`);
+
+            let balance = await creditSavings(connection, loanData.member_id, creditAmount);
+            let disbursementTxn = null;
+            if (creditAmount > 0) {
+                disbursementTxn = await recordTransaction(connection, {
+                    memberId: loanData.member_id,
+                    type: 'Deposit',
+                    amount: creditAmount,
+                    balanceAfter: balance,
+                    referenceType: 'Loan',
+                    referenceId: loanId,
+                    description: deductions.length
+                        ? `Loan disbursement - ${loanData.loan_number} (₹${loanAmount} less ${deductions.join(', ')})`
+                        : `Loan disbursement - ${loanData.loan_number}`,
+                    processedBy: req.admin.admin_id
+                });
+            }
+
+            let feeTxn = null;
+            if (processingFee > 0) {
+                if (feeMode === 'separate') {
+                    balance = await debitSavings(connection, loanData.member_id, processingFee);
+                }
+                feeTxn = await recordTransaction(connection, {
+                    memberId: loanData.member_id,
+                    type: 'Fee',
+                    amount: processingFee,
+                    balanceAfter: balance,
+                    referenceType: 'Loan',
+                    referenceId: loanId,
+                    description: `Loan processing fee (${feeRate}%) - ${loanData.loan_number}`,
+                    processedBy: req.admin.admin_id
+                });
+            }
+
+            return {
+                loan_id: loanData.loan_id,
+                loan_number: loanData.loan_number,
+                member_id: loanData.member_id,
+                status: 'Disbursed',
+                disbursement_date: formatDate(disbursementDate),
+                next_due_date: schedule.installments[0].due_date,
+                loan_amount: loanAmount,
+                monthly_emi: schedule.monthly_emi,
+                loan_origin: loanData.loan_origin,
+                replaced_loan_number: settlement ? settlement.loan_number : null,
+                payoff_amount: payoffAmount,
+                carried_penalty: carriedDues ? carriedDues.penalty : 0,
+                carried_interest: carriedDues ? carriedDues.interest : 0,
+                fee_mode: feeMode,
+                processing_fee_rate: feeRate,
+                processing_fee: processingFee,
+                net_disbursed_amount: netAmount,
+                savings_balance: balance,
+                transaction_number: disbursementTxn ? disbursementTxn.transaction_number : null,
+                fee_transaction_number: feeTxn ? feeTxn.transaction_number : null
+            };
+        });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id, 
+             new_values, ip_address, user_agent) 
              VALUES ('Admin', ?, 'DISBURSE_LOAN', 'loans', ?, ?, ?, ?)`,
-            [req.admin.admin_id, loanId, JSON.stringify({ status: 'Disbursed' }), req.ip, req.get('User-Agent')]
+            [req.admin.admin_id, loanId, JSON.stringify(disbursement), req.ip, req.get('User-Agent')]
         );
 
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.notifyMember(disbursement.member_id, 'LOAN_DISBURSED', {
+                message: disbursement.loan_origin === 'Restructure'
+                    ? `Loan ${disbursement.replaced_loan_number} has been restructured as ${disbursement.loan_number} ` +
+                      `with an EMI of ₹${disbursement.monthly_emi}`
+                    : `Loan ${disbursement.loan_number} disbursed. ₹${disbursement.net_disbursed_amount} credited to your savings ` +
+                      `after a processing fee of ₹${disbursement.processing_fee}` +
+                      (disbursement.payoff_amount > 0 ? ` and payoff of ${disbursement.replaced_loan_number}` : ''),
+                loanId: disbursement.loan_id,
+                amount: disbursement.net_disbursed_amount
+            });
+        }
+
         res.json({
             success: true,
-            message: 'Loan disbursed successfully'
+            message: 'Loan disbursed successfully',
+            data: disbursement
         });
     } catch (error) {
         console.error('Disburse loan error:', error);
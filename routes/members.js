@@ -1,7 +1,11 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { executeQuery, getOne } = require('../config/database');
+const { executeQuery, getOne, transaction } = require('../config/database');
 const { authenticateMember, authenticateAdmin, requireRole } = require('../middleware/auth');
+const { validateNominees, getMemberNominations, replaceNominees } = require('../services/nominees');
+const { getFeeStatus, getFeeLedger, allocateFeePayment } = require('../services/membershipFees');
+const { getThriftArrears } = require('../services/thrift');
+const { roundCurrency } = require('../utils/finance');
 
 const router = express.Router();
 
@@ -10,7 +14,7 @@ router.get('/profile', authenticateMember, async (req, res) => {
     try {
         const member = await getOne(
             `SELECT member_id, member_number, first_name, last_name, email, phone, 
-             address, date_of_birth, gender, occupation, annual_income, member_type, 
+             address, date_of_birth, gender, occupation, annual_income, pan_number, member_type, 
              status, join_date FROM members WHERE member_id = ?`,
             [req.member.member_id]
         );
@@ -24,7 +28,10 @@ router.get('/profile', authenticateMember, async (req, res) => {
 
         res.json({
             success: true,
-            data: member
+            data: {
+                ...member,
+                thrift: await getThriftArrears(member.member_id)
+            }
         });
     } catch (error) {
         console.error('Get member profile error:', error);
@@ -42,7 +49,8 @@ router.put('/profile', authenticateMember, [
     body('phone').optional().matches(/^\+?[1-9]\d{1,14}$/),
     body('address').optional().isLength({ min: 10, max: 500 }),
     body('occupation').optional().isLength({ max: 100 }),
-    body('annual_income').optional().isFloat({ min: 0 })
+    body('annual_income').optional().isFloat({ min: 0 }),
+    body('pan_number').optional().toUpperCase().matches(/^[A-Z]{5}[0-9]{4}[A-Z]$/)
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -54,7 +62,7 @@ router.put('/profile', authenticateMember, [
             });
         }
 
-        const allowedFields = ['first_name', 'last_name', 'phone', 'address', 'occupation', 'annual_income'];
+        const allowedFields = ['first_name', 'last_name', 'phone', 'address', 'occupation', 'annual_income', 'pan_number'];
         const updates = {};
         
         allowedFields.forEach(field => {
@@ -91,6 +99,151 @@ router.put('/profile', authenticateMember, [
     }
 });
 
+// Membership fees paid and due per fee head, with every payment allocation
+router.get('/profile/fees', authenticateMember, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                ...await getFeeStatus(req.member.member_id),
+                payments: await getFeeLedger(req.member.member_id)
+            }
+        });
+    } catch (error) {
+        console.error('Get membership fees error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch membership fees'
+        });
+    }
+});
+
+// Nominees on the member's account and on each open deposit
+router.get('/profile/nominees', authenticateMember, async (req, res) => {
+    try {
+        const nominations = await getMemberNominations(req.member.member_id);
+        const requests = await executeQuery(
+            `SELECT r.request_id, r.deposit_id, d.deposit_number, r.nominees, r.reason, r.status,
+             r.review_notes, r.reviewed_at, r.created_at
+             FROM nominee_change_requests r
+             LEFT JOIN deposits d ON r.deposit_id = d.deposit_id
+             WHERE r.member_id = ?
+             ORDER BY r.created_at DESC`,
+            [req.member.member_id]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                ...nominations,
+                change_requests: requests
+            }
+        });
+    } catch (error) {
+        console.error('Get nominees error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch nominees'
+        });
+    }
+});
+
+// Request a change of nominees, for the account or for one deposit; applied once an admin approves
+router.post('/profile/nominees/requests', authenticateMember, [
+    body('deposit_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('nominees').isArray({ min: 1 }),
+    body('reason').optional().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { nominees, reason } = req.body;
+        const depositId = req.body.deposit_id ? parseInt(req.body.deposit_id) : null;
+
+        const problems = validateNominees(nominees);
+        if (problems.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nomination is not valid',
+                errors: problems
+            });
+        }
+
+        if (depositId) {
+            const deposit = await getOne(
+                `SELECT deposit_id FROM deposits WHERE deposit_id = ? AND member_id = ? AND status = 'Active'`,
+                [depositId, req.member.member_id]
+            );
+
+            if (!deposit) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Deposit not found'
+                });
+            }
+        }
+
+        const pending = await getOne(
+            `SELECT request_id FROM nominee_change_requests
+             WHERE member_id = ? AND status = 'Pending' AND ${depositId ? 'deposit_id = ?' : 'deposit_id IS NULL'}`,
+            depositId ? [req.member.member_id, depositId] : [req.member.member_id]
+        );
+
+        if (pending) {
+            return res.status(409).json({
+                success: false,
+                message: 'A nominee change request is already pending'
+            });
+        }
+
+        const result = await executeQuery(
+            `INSERT INTO nominee_change_requests (member_id, deposit_id, nominees, reason)
+             VALUES (?, ?, ?, ?)`,
+            [req.member.member_id, depositId, JSON.stringify(nominees), reason || null]
+        );
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             new_values, ip_address, user_agent)
+             VALUES ('Member', ?, 'REQUEST_NOMINEE_CHANGE', 'nominee_change_requests', ?, ?, ?, ?)`,
+            [req.member.member_id, result.insertId, JSON.stringify({ deposit_id: depositId, nominees }),
+             req.ip, req.get('User-Agent')]
+        );
+
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.notifyAdmins('NOMINEE_CHANGE_REQUEST', {
+                requestId: result.insertId,
+                memberId: req.member.member_id,
+                depositId
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Nominee change request submitted for approval',
+            data: {
+                request_id: result.insertId,
+                status: 'Pending'
+            }
+        });
+    } catch (error) {
+        console.error('Nominee change request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to submit nominee change request'
+        });
+    }
+});
+
 // Submit member registration request
 router.post('/register', [
     body('firstName').isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
@@ -231,6 +384,177 @@ router.get('/', authenticateAdmin, async (req, res) => {
     }
 });
 
+// List nominee change requests (admin only)
+router.get('/nominee-requests', authenticateAdmin, async (req, res) => {
+    try {
+        const status = req.query.status || 'Pending';
+        const requests = await executeQuery(
+            `SELECT r.*, m.first_name, m.last_name, m.account_number, d.deposit_number
+             FROM nominee_change_requests r
+             JOIN members m ON r.member_id = m.member_id
+             LEFT JOIN deposits d ON r.deposit_id = d.deposit_id
+             WHERE r.status = ?
+             ORDER BY r.created_at`,
+            [status]
+        );
+
+        res.json({
+            success: true,
+            data: requests
+        });
+    } catch (error) {
+        console.error('Get nominee requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch nominee change requests'
+        });
+    }
+});
+
+// Approve a nominee change request and apply the new nomination (admin only)
+router.put('/nominee-requests/:requestId/approve', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('review_notes').optional().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const outcome = await transaction(async (connection) => {
+            const [requests] = await connection.execute(
+                'SELECT * FROM nominee_change_requests WHERE request_id = ? FOR UPDATE',
+                [req.params.requestId]
+            );
+
+            if (!requests.length || requests[0].status !== 'Pending') {
+                throw new Error('Nominee change request not found or already reviewed');
+            }
+
+            const request = requests[0];
+            const nominees = typeof request.nominees === 'string' ? JSON.parse(request.nominees) : request.nominees;
+
+            // Re-check in case a minor nominee has come of age or the rules changed meanwhile
+            const problems = validateNominees(nominees);
+            if (problems.length) {
+                throw new Error(problems.join('; '));
+            }
+
+            const replaced = await replaceNominees(connection, {
+                memberId: request.member_id,
+                depositId: request.deposit_id,
+                nominees,
+                createdByType: 'Member',
+                createdBy: request.member_id
+            });
+
+            await connection.execute(
+                `UPDATE nominee_change_requests SET status = 'Approved', reviewed_by = ?, review_notes = ?,
+                 reviewed_at = NOW(), updated_at = NOW() WHERE request_id = ?`,
+                [req.admin.admin_id, req.body.review_notes || null, request.request_id]
+            );
+
+            return { request, ...replaced };
+        });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             old_values, new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'APPROVE_NOMINEE_CHANGE', 'nominees', ?, ?, ?, ?, ?)`,
+            [req.admin.admin_id, outcome.request.request_id, JSON.stringify(outcome.previous),
+             JSON.stringify({ member_id: outcome.request.member_id, deposit_id: outcome.request.deposit_id, nominees: outcome.nominees }),
+             req.ip, req.get('User-Agent')]
+        );
+
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.notifyMember(outcome.request.member_id, 'NOMINEE_CHANGE_APPROVED', {
+                message: 'Your nominee change request has been approved',
+                requestId: outcome.request.request_id
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Nominee change approved',
+            data: outcome.nominees
+        });
+    } catch (error) {
+        console.error('Approve nominee change error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to approve nominee change'
+        });
+    }
+});
+
+// Reject a nominee change request (admin only)
+router.put('/nominee-requests/:requestId/reject', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('review_notes').isLength({ min: 5, max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const request = await getOne(
+            'SELECT * FROM nominee_change_requests WHERE request_id = ?',
+            [req.params.requestId]
+        );
+
+        if (!request || request.status !== 'Pending') {
+            return res.status(404).json({
+                success: false,
+                message: 'Nominee change request not found or already reviewed'
+            });
+        }
+
+        await executeQuery(
+            `UPDATE nominee_change_requests SET status = 'Rejected', reviewed_by = ?, review_notes = ?,
+             reviewed_at = NOW(), updated_at = NOW() WHERE request_id = ?`,
+            [req.admin.admin_id, req.body.review_notes, request.request_id]
+        );
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'REJECT_NOMINEE_CHANGE', 'nominee_change_requests', ?, ?, ?, ?)`,
+            [req.admin.admin_id, request.request_id, JSON.stringify({ review_notes: req.body.review_notes }),
+             req.ip, req.get('User-Agent')]
+        );
+
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.notifyMember(request.member_id, 'NOMINEE_CHANGE_REJECTED', {
+                message: `Your nominee change request was not approved: ${req.body.review_notes}`,
+                requestId: request.request_id
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Nominee change rejected'
+        });
+    } catch (error) {
+        console.error('Reject nominee change error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reject nominee change'
+        });
+    }
+});
+
 // Get member by ID (admin only)
 router.get('/:id', authenticateAdmin, async (req, res) => {
     try {
@@ -259,6 +583,210 @@ router.get('/:id', authenticateAdmin, async (req, res) => {
     }
 });
 
+// Nominees of a member and their deposits (admin only)
+router.get('/:id/nominees', authenticateAdmin, async (req, res) => {
+    try {
+        const member = await getOne('SELECT member_id FROM members WHERE member_id = ?', [req.params.id]);
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await getMemberNominations(member.member_id)
+        });
+    } catch (error) {
+        console.error('Get member nominees error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch nominees'
+        });
+    }
+});
+
+// Set a member's nominees, or override them on one deposit (admin only)
+router.put('/:id/nominees', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('deposit_id').optional({ nullable: true }).isInt({ min: 1 }),
+    body('nominees').isArray({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const memberId = parseInt(req.params.id);
+        const depositId = req.body.deposit_id ? parseInt(req.body.deposit_id) : null;
+
+        const problems = validateNominees(req.body.nominees);
+        if (problems.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nomination is not valid',
+                errors: problems
+            });
+        }
+
+        const member = await getOne('SELECT member_id FROM members WHERE member_id = ?', [memberId]);
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        if (depositId) {
+            const deposit = await getOne(
+                'SELECT deposit_id FROM deposits WHERE deposit_id = ? AND member_id = ?',
+                [depositId, memberId]
+            );
+
+            if (!deposit) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Deposit not found'
+                });
+            }
+        }
+
+        const replaced = await transaction(async (connection) => {
+            return await replaceNominees(connection, {
+                memberId,
+                depositId,
+                nominees: req.body.nominees,
+                createdByType: 'Admin',
+                createdBy: req.admin.admin_id
+            });
+        });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             old_values, new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'UPDATE_NOMINEES', 'nominees', ?, ?, ?, ?, ?)`,
+            [req.admin.admin_id, memberId, JSON.stringify(replaced.previous),
+             JSON.stringify({ deposit_id: depositId, nominees: replaced.nominees }), req.ip, req.get('User-Agent')]
+        );
+
+        res.json({
+            success: true,
+            message: 'Nominees updated successfully',
+            data: replaced.nominees
+        });
+    } catch (error) {
+        console.error('Update nominees error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update nominees'
+        });
+    }
+});
+
+// Membership fees paid and due per fee head (admin only)
+router.get('/:id/fees', authenticateAdmin, async (req, res) => {
+    try {
+        const member = await getOne('SELECT member_id FROM members WHERE member_id = ?', [req.params.id]);
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...await getFeeStatus(member.member_id),
+                payments: await getFeeLedger(member.member_id)
+            }
+        });
+    } catch (error) {
+        console.error('Get member fees error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch membership fees'
+        });
+    }
+});
+
+// Record membership fees paid in cash at the counter (admin only)
+router.post('/:id/fees/payments', authenticateAdmin, [
+    body('amount').isFloat({ min: 1 }),
+    body('payment_reference').optional().isLength({ max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const memberId = parseInt(req.params.id);
+        const amount = roundCurrency(req.body.amount);
+
+        const fees = await getFeeStatus(memberId);
+        if (amount > fees.total_due) {
+            return res.status(400).json({
+                success: false,
+                message: fees.total_due > 0
+                    ? `Amount exceeds the membership fees due of ₹${fees.total_due}`
+                    : 'Membership fees are already paid'
+            });
+        }
+
+        const payment = await transaction(async (connection) => {
+            return await allocateFeePayment(connection, {
+                memberId,
+                amount,
+                paymentMode: 'Cash',
+                paymentReference: req.body.payment_reference || null,
+                processedBy: req.admin.admin_id
+            });
+        });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'RECORD_MEMBERSHIP_FEE', 'membership_fee_allocations', ?, ?, ?, ?)`,
+            [req.admin.admin_id, memberId, JSON.stringify(payment), req.ip, req.get('User-Agent')]
+        );
+
+        if (payment.activated) {
+            const realtimeService = req.app.get('realtime');
+            if (realtimeService) {
+                realtimeService.notifyMember(memberId, 'MEMBERSHIP_ACTIVATED', {
+                    message: 'All membership fees are paid and your membership is now active'
+                });
+            }
+        }
+
+        res.status(201).json({
+            success: true,
+            message: payment.activated
+                ? 'Membership fees recorded and membership activated'
+                : 'Membership fees recorded',
+            data: payment
+        });
+    } catch (error) {
+        console.error('Record membership fee error:', error);
+        res.status(error.message === 'Member not found' ? 404 : 500).json({
+            success: false,
+            message: error.message || 'Failed to record membership fees'
+        });
+    }
+});
+
 // Update member status (admin only)
 router.put('/:id/status', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
     body('status').isIn(['Active', 'Inactive', 'Suspended'])
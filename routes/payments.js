@@ -2,12 +2,20 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { query, getOne, transaction } = require('../config/database');
+const society = require('../config/society');
+const { postLoanRepayment, REPAYABLE_STATUSES } = require('../services/loanLedger');
+const { RD_TYPE, postRdInstallment } = require('../services/depositLedger');
+const { getShareSettings, allotShares } = require('../services/shareRegister');
+const { getFeeStatus, allocateFeePayment } = require('../services/membershipFees');
+const { getThriftArrears, postThriftPayment } = require('../services/thrift');
 const router = express.Router();
 
 // Generate UPI payment request
 router.post('/upi/generate', authenticateToken, [
     body('amount').isFloat({ min: 1 }).withMessage('Amount must be greater than 0'),
-    body('purpose').isIn(['membership_fee', 'share_purchase', 'loan_repayment', 'deposit', 'other']).withMessage('Invalid payment purpose'),
+    body('purpose').isIn(['membership_fee', 'share_purchase', 'loan_repayment', 'deposit', 'thrift', 'other']).withMessage('Invalid payment purpose'),
+    body('loan_id').if(body('purpose').equals('loan_repayment')).isInt({ min: 1 }).withMessage('Loan ID is required for loan repayments'),
+    body('deposit_id').optional().isInt({ min: 1 }).withMessage('Invalid deposit ID'),
     body('description').optional().isLength({ max: 500 }).withMessage('Description too long')
 ], async (req, res) => {
     try {
@@ -22,6 +30,81 @@ router.post('/upi/generate', authenticateToken, [
 
         const { amount, purpose, description } = req.body;
         const memberId = req.user.id;
+        const loanId = purpose === 'loan_repayment' ? req.body.loan_id : null;
+        const depositId = purpose === 'deposit' && req.body.deposit_id ? req.body.deposit_id : null;
+
+        // Repayments must name one of the member's open loans
+        if (loanId) {
+            const loan = await getOne(`
+                SELECT loan_id, status FROM loans 
+                WHERE loan_id = ? AND member_id = ?
+            `, [loanId, memberId]);
+
+            if (!loan || !REPAYABLE_STATUSES.includes(loan.status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Loan not found or not open for repayment'
+                });
+            }
+        }
+
+        // Deposits naming an RD are posted as installments against that deposit
+        if (depositId) {
+            const deposit = await getOne(`
+                SELECT deposit_id, deposit_type, status FROM deposits 
+                WHERE deposit_id = ? AND member_id = ?
+            `, [depositId, memberId]);
+
+            if (!deposit || deposit.deposit_type !== RD_TYPE || deposit.status !== 'Active') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Recurring deposit not found or not active'
+                });
+            }
+        }
+
+        // Share money buys whole shares only
+        if (purpose === 'share_purchase') {
+            const { face_value } = await getShareSettings();
+            if (Math.round(amount * 100) % Math.round(face_value * 100) !== 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Share money must be a multiple of the face value of ₹${face_value}`
+                });
+            }
+        }
+
+        // Membership fees are paid towards the heads still due, in one payment or several
+        if (purpose === 'membership_fee') {
+            const fees = await getFeeStatus(memberId);
+            if (amount > fees.total_due) {
+                return res.status(400).json({
+                    success: false,
+                    message: fees.total_due > 0
+                        ? `Amount exceeds the membership fees due of ₹${fees.total_due}`
+                        : 'Membership fees are already paid'
+                });
+            }
+        }
+
+        // Thrift payments settle dues already raised, oldest first
+        if (purpose === 'thrift') {
+            const thrift = await getThriftArrears(memberId);
+            if (!thrift) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No thrift subscription found'
+                });
+            }
+            if (amount > thrift.outstanding) {
+                return res.status(400).json({
+                    success: false,
+                    message: thrift.outstanding > 0
+                        ? `Amount exceeds the thrift dues outstanding of ₹${thrift.outstanding}`
+                        : 'No thrift dues are outstanding'
+                });
+            }
+        }
 
         // Generate unique transaction ID
         const transactionId = `KCS${Date.now()}${Math.floor(Math.random() * 1000)}`;
@@ -36,10 +119,12 @@ router.post('/upi/generate', authenticateToken, [
                 transaction_id, 
                 amount, 
                 purpose, 
+                loan_id, 
+                deposit_id, 
                 description, 
                 expires_at
-            ) VALUES (?, ?, ?, ?, ?, ?)
-        `, [memberId, transactionId, amount, purpose, description || null, expiresAt]);
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [memberId, transactionId, amount, purpose, loanId, depositId, description || null, expiresAt]);
 
         // Get member details for UPI request
         const member = await getOne(`
@@ -53,14 +138,16 @@ router.post('/upi/generate', authenticateToken, [
             data: {
                 request_id: result.insertId,
                 transaction_id: transactionId,
-                upi_id: 'meghajoshisut30@oksbi',
+                upi_id: society.upi_id,
                 amount: parseFloat(amount),
                 purpose,
+                loan_id: loanId,
+                deposit_id: depositId,
                 description,
                 member_name: `${member.first_name} ${member.last_name}`,
                 account_number: member.account_number,
                 expires_at: expiresAt,
-                payment_url: `upi://pay?pa=meghajoshisut30@oksbi&pn=KAFAL%20Cooperative&am=${amount}&cu=INR&tn=${encodeURIComponent(`${purpose} - ${member.account_number}`)}`
+                payment_url: `upi://pay?pa=${society.upi_id}&pn=KAFAL%20Cooperative&am=${amount}&cu=INR&tn=${encodeURIComponent(`${purpose} - ${member.account_number}`)}`
             }
         });
 
@@ -130,10 +217,10 @@ router.post('/upi/confirm', authenticateToken, [
             // Generate receipt
             const receiptNumber = `RCP${Date.now()}${Math.floor(Math.random() * 100)}`;
             const receiptData = {
-                society_name: 'KAFAL Co-operative Urban Thrift & Credit Society Ltd.',
-                registration_no: '10405(E)',
-                registration_date: '03.05.2016',
-                upi_id: 'meghajoshisut30@oksbi',
+                society_name: society.name,
+                registration_no: society.registration_no,
+                registration_date: society.registration_date,
+                upi_id: society.upi_id,
                 transaction_id: paymentRequest.transaction_id,
                 bank_reference: bank_reference_number,
                 payment_method: payment_method || 'UPI'
@@ -192,47 +279,72 @@ router.post('/upi/confirm', authenticateToken, [
 
 // Update member account based on payment purpose
 async function updateMemberForPayment(paymentRequest, connection) {
-    const { member_id, amount, purpose } = paymentRequest;
+    const { member_id, amount, purpose, loan_id, deposit_id } = paymentRequest;
+
+    // Loan repayments are posted against the loan schedule, which writes its own transaction;
+    // the money has already been received, so any overpayment goes to savings
+    if (purpose === 'loan_repayment' && loan_id) {
+        await postLoanRepayment(connection, {
+            loanId: loan_id,
+            amount: parseFloat(amount),
+            paymentMode: 'UPI',
+            referenceNumber: paymentRequest.transaction_id,
+            excessToSavings: true
+        });
+        return;
+    }
 
-    switch (purpose) {
-        case 'membership_fee':
-            await query(`
-                UPDATE members 
-                SET 
-                    membership_fees_paid = membership_fees_paid + ?,
-                    entry_fee_paid = CASE WHEN ? >= 200 THEN TRUE ELSE entry_fee_paid END,
-                    welfare_fund_paid = CASE WHEN ? >= 400 THEN TRUE ELSE welfare_fund_paid END,
-                    building_fund_paid = CASE WHEN ? >= 2400 THEN TRUE ELSE building_fund_paid END,
-                    status = CASE 
-                        WHEN ? >= 2400 THEN 'active' 
-                        ELSE 'pending_payment' 
-                    END
-                WHERE id = ?
-            `, [amount, amount, amount, amount, amount, member_id], connection);
-            break;
+    // RD installments are posted against the deposit's installment schedule; as with loans,
+    // any overpayment goes to savings
+    if (purpose === 'deposit' && deposit_id) {
+        await postRdInstallment(connection, {
+            depositId: deposit_id,
+            amount: parseFloat(amount),
+            paymentMode: 'UPI',
+            referenceNumber: paymentRequest.transaction_id,
+            excessToSavings: true
+        });
+        return;
+    }
 
-        case 'share_purchase':
-            const shareCount = Math.floor(amount / 100);
-            await query(`
-                UPDATE members 
-                SET 
-                    share_count = share_count + ?,
-                    share_value = share_value + ?,
-                    balance = balance + ?
-                WHERE id = ?
-            `, [shareCount, amount, amount, member_id], connection);
-            break;
+    // Share money is allotted on the share register, separate from the savings balance
+    if (purpose === 'share_purchase') {
+        await allotShares(connection, {
+            memberId: member_id,
+            amount: parseFloat(amount),
+            paymentRequestId: paymentRequest.request_id,
+            paymentReference: paymentRequest.transaction_id
+        });
+        return;
+    }
 
-        case 'deposit':
-            await query(`
-                UPDATE members 
-                SET balance = balance + ?
-                WHERE id = ?
-            `, [amount, member_id], connection);
-            break;
+    // Membership fees are allocated across the fee heads, activating the member once all mandatory heads are paid
+    if (purpose === 'membership_fee') {
+        await allocateFeePayment(connection, {
+            memberId: member_id,
+            amount: parseFloat(amount),
+            paymentMode: 'UPI',
+            paymentRequestId: paymentRequest.request_id,
+            paymentReference: paymentRequest.transaction_id
+        });
+        return;
+    }
 
-        case 'loan_repayment':
-            // Handle loan repayment logic here
+    // Thrift contributions settle the member's monthly thrift dues
+    if (purpose === 'thrift') {
+        await postThriftPayment(connection, {
+            memberId: member_id,
+            amount: parseFloat(amount),
+            paymentMode: 'UPI',
+            paymentRequestId: paymentRequest.request_id,
+            referenceNumber: paymentRequest.transaction_id,
+            excessToSavings: true
+        });
+        return;
+    }
+
+    switch (purpose) {
+        case 'deposit':
             await query(`
                 UPDATE members 
                 SET balance = balance + ?
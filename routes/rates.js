@@ -0,0 +1,192 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { executeQuery, getOne } = require('../config/database');
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const { getCurrentRates } = require('../services/interestRates');
+const { formatDate } = require('../utils/finance');
+
+const router = express.Router();
+
+// Rates currently in force for every product and tenure slab (public)
+router.get('/', async (req, res) => {
+    try {
+        const rates = await getCurrentRates();
+
+        res.json({
+            success: true,
+            data: rates
+        });
+    } catch (error) {
+        console.error('Get interest rates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch interest rates'
+        });
+    }
+});
+
+// Full rate history, newest first (public)
+router.get('/history', async (req, res) => {
+    try {
+        const { product_category, product_type } = req.query;
+
+        let whereClause = 'WHERE 1=1';
+        let params = [];
+
+        if (product_category) {
+            whereClause += ' AND r.product_category = ?';
+            params.push(product_category);
+        }
+
+        if (product_type) {
+            whereClause += ' AND r.product_type = ?';
+            params.push(product_type);
+        }
+
+        const rates = await executeQuery(
+            `SELECT r.rate_id, r.product_category, r.product_type, r.min_tenure_months, r.max_tenure_months,
+             r.interest_rate, r.senior_citizen_uplift, r.effective_from, r.notes, r.created_at
+             FROM interest_rates r
+             ${whereClause}
+             ORDER BY r.product_category, r.product_type, r.effective_from DESC, r.min_tenure_months`,
+            params
+        );
+
+        res.json({
+            success: true,
+            data: rates
+        });
+    } catch (error) {
+        console.error('Get rate history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch rate history'
+        });
+    }
+});
+
+// Publish a new rate for a product and tenure slab (admin only).
+// Rates are never edited in place: a new row with a later effective date supersedes the old one.
+router.post('/', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('product_category').isIn(['Loan', 'Deposit']),
+    body('product_type').custom((value, { req }) => {
+        const products = req.body.product_category === 'Loan'
+            ? ['Personal', 'Business', 'Education', 'Home', 'Vehicle', 'Emergency']
+            : ['Fixed Deposit', 'Recurring Deposit', 'Savings', 'Current'];
+        if (!products.includes(value)) {
+            throw new Error(`product_type must be one of: ${products.join(', ')}`);
+        }
+        return true;
+    }),
+    body('min_tenure_months').optional().isInt({ min: 0, max: 360 }),
+    body('max_tenure_months').optional({ nullable: true }).isInt({ min: 0, max: 360 }),
+    body('interest_rate').isFloat({ min: 0, max: 50 }),
+    body('senior_citizen_uplift').optional().isFloat({ min: 0, max: 5 }),
+    body('effective_from').isISO8601(),
+    body('notes').optional().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const {
+            product_category, product_type, min_tenure_months = 0, max_tenure_months = null,
+            interest_rate, senior_citizen_uplift = 0, effective_from, notes
+        } = req.body;
+
+        if (max_tenure_months !== null && parseInt(max_tenure_months) < parseInt(min_tenure_months)) {
+            return res.status(400).json({
+                success: false,
+                message: 'max_tenure_months cannot be less than min_tenure_months'
+            });
+        }
+
+        // Back-dating would rewrite which rate was in force for accounts already opened
+        const effectiveFrom = formatDate(effective_from);
+        if (effectiveFrom < formatDate(new Date())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Effective date cannot be in the past'
+            });
+        }
+
+        const result = await executeQuery(
+            `INSERT INTO interest_rates
+             (product_category, product_type, min_tenure_months, max_tenure_months, interest_rate,
+              senior_citizen_uplift, effective_from, notes, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [product_category, product_type, min_tenure_months, max_tenure_months, interest_rate,
+             senior_citizen_uplift, effectiveFrom, notes || null, req.admin.admin_id]
+        );
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'CREATE_INTEREST_RATE', 'interest_rates', ?, ?, ?, ?)`,
+            [req.admin.admin_id, result.insertId, JSON.stringify(req.body), req.ip, req.get('User-Agent')]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Interest rate published successfully',
+            data: { rate_id: result.insertId }
+        });
+    } catch (error) {
+        console.error('Create interest rate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to publish interest rate'
+        });
+    }
+});
+
+// Withdraw a rate that has not taken effect yet (admin only)
+router.delete('/:id', authenticateAdmin, requireRole(['Super Admin', 'Admin']), async (req, res) => {
+    try {
+        const rate = await getOne('SELECT * FROM interest_rates WHERE rate_id = ?', [req.params.id]);
+
+        if (!rate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Interest rate not found'
+            });
+        }
+
+        if (formatDate(rate.effective_from) <= formatDate(new Date())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Rates already in force are kept for history; publish a new rate instead'
+            });
+        }
+
+        await executeQuery('DELETE FROM interest_rates WHERE rate_id = ?', [rate.rate_id]);
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             old_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'DELETE_INTEREST_RATE', 'interest_rates', ?, ?, ?, ?)`,
+            [req.admin.admin_id, rate.rate_id, JSON.stringify(rate), req.ip, req.get('User-Agent')]
+        );
+
+        res.json({
+            success: true,
+            message: 'Scheduled interest rate withdrawn'
+        });
+    } catch (error) {
+        console.error('Delete interest rate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to withdraw interest rate'
+        });
+    }
+});
+
+module.exports = router;
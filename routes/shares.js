@@ -0,0 +1,329 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { executeQuery, transaction } = require('../config/database');
+const { authenticateMember, authenticateAdmin, requireRole, optionalAuth } = require('../middleware/auth');
+const { getNumericSetting } = require('../utils/settings');
+const { recordTransaction } = require('../utils/transactions');
+const { roundCurrency } = require('../utils/finance');
+const { debitSavings } = require('../services/savings');
+const {
+    REFUND_MODES, allotShares, transferShares, refundShares, getMemberShares, getCertificate
+} = require('../services/shareRegister');
+const { streamShareCertificate } = require('../services/shareCertificates');
+
+const router = express.Router();
+
+// Errors raised by the register for bad requests rather than failures
+const clientErrorStatus = (error) => {
+    if (error.message === 'Member not found') {
+        return 404;
+    }
+    return /must|cannot|only|Insufficient/.test(error.message) ? 400 : 500;
+};
+
+// Logged-in member's shares, certificates and register history
+router.get('/my', authenticateMember, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await getMemberShares(req.member.member_id)
+        });
+    } catch (error) {
+        console.error('Get my shares error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch shares'
+        });
+    }
+});
+
+// Share register entries across members (admin only)
+router.get('/register', authenticateAdmin, [
+    query('entry_type').optional().isIn(['Allotment', 'Transfer In', 'Transfer Out', 'Refund']),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        let whereClause = 'WHERE 1=1';
+        const params = [];
+
+        if (req.query.entry_type) {
+            whereClause += ' AND r.entry_type = ?';
+            params.push(req.query.entry_type);
+        }
+
+        if (req.query.from) {
+            whereClause += ' AND r.entry_date >= ?';
+            params.push(req.query.from);
+        }
+
+        if (req.query.to) {
+            whereClause += ' AND r.entry_date <= ?';
+            params.push(req.query.to);
+        }
+
+        const entries = await executeQuery(
+            `SELECT r.entry_id, r.entry_date, r.entry_type, r.member_id, m.account_number, m.first_name, m.last_name,
+             c.certificate_number, r.share_count, r.amount, cm.account_number as counterparty_account_number,
+             t.transaction_number, r.notes
+             FROM share_register r
+             JOIN members m ON r.member_id = m.member_id
+             JOIN share_certificates c ON r.certificate_id = c.certificate_id
+             LEFT JOIN members cm ON r.counterparty_member_id = cm.member_id
+             LEFT JOIN transactions t ON r.transaction_id = t.transaction_id
+             ${whereClause}
+             ORDER BY r.entry_date DESC, r.entry_id DESC`,
+            params
+        );
+
+        res.json({
+            success: true,
+            data: entries
+        });
+    } catch (error) {
+        console.error('Get share register error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch share register'
+        });
+    }
+});
+
+// A member's shares, certificates and register history (admin only)
+router.get('/members/:memberId', authenticateAdmin, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: await getMemberShares(req.params.memberId)
+        });
+    } catch (error) {
+        console.error('Get member shares error:', error);
+        res.status(error.message === 'Member not found' ? 404 : 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch shares'
+        });
+    }
+});
+
+// Allot shares against share money paid at the counter or from savings (admin only)
+router.post('/allotments', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('member_id').isInt({ min: 1 }),
+    body('amount').isFloat({ min: 1 }),
+    body('payment_mode').isIn(['Cash', 'Savings']),
+    body('payment_reference').optional().isLength({ max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const memberId = parseInt(req.body.member_id);
+        const amount = roundCurrency(req.body.amount);
+        const { payment_mode, payment_reference } = req.body;
+        const minimumBalance = payment_mode === 'Savings' ? await getNumericSetting('min_deposit_amount', 1000) : 0;
+
+        const allotment = await transaction(async (connection) => {
+            // Share money taken from savings moves out of the savings balance first
+            if (payment_mode === 'Savings') {
+                const savingsBalance = await debitSavings(connection, memberId, amount, minimumBalance);
+                await recordTransaction(connection, {
+                    memberId,
+                    type: 'Transfer',
+                    amount,
+                    balanceAfter: savingsBalance,
+                    referenceType: 'General',
+                    description: 'Transfer from savings to share capital',
+                    processedBy: req.admin.admin_id
+                });
+            }
+
+            return await allotShares(connection, {
+                memberId,
+                amount,
+                paymentMode: payment_mode,
+                paymentReference: payment_reference || null,
+                processedBy: req.admin.admin_id
+            });
+        });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'ALLOT_SHARES', 'share_certificates', ?, ?, ?, ?)`,
+            [req.admin.admin_id, allotment.certificate.certificate_id, JSON.stringify(allotment),
+             req.ip, req.get('User-Agent')]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: `${allotment.certificate.share_count} shares allotted on certificate ${allotment.certificate.certificate_number}`,
+            data: allotment
+        });
+    } catch (error) {
+        console.error('Share allotment error:', error);
+        res.status(clientErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to allot shares'
+        });
+    }
+});
+
+// Transfer shares between members (admin only)
+router.post('/transfers', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('from_member_id').isInt({ min: 1 }),
+    body('to_member_id').isInt({ min: 1 }),
+    body('share_count').isInt({ min: 1 }),
+    body('notes').optional().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const transfer = await transaction(async (connection) => {
+            return await transferShares(connection, {
+                fromMemberId: parseInt(req.body.from_member_id),
+                toMemberId: parseInt(req.body.to_member_id),
+                shareCount: parseInt(req.body.share_count),
+                processedBy: req.admin.admin_id,
+                notes: req.body.notes || null
+            });
+        });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'TRANSFER_SHARES', 'share_certificates', ?, ?, ?, ?)`,
+            [req.admin.admin_id, transfer.transferee_certificate.certificate_id, JSON.stringify(transfer),
+             req.ip, req.get('User-Agent')]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: `${transfer.share_count} shares transferred on certificate ${transfer.transferee_certificate.certificate_number}`,
+            data: transfer
+        });
+    } catch (error) {
+        console.error('Share transfer error:', error);
+        res.status(clientErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to transfer shares'
+        });
+    }
+});
+
+// Refund shares at face value to savings or in cash (admin only)
+router.post('/refunds', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('member_id').isInt({ min: 1 }),
+    body('share_count').isInt({ min: 1 }),
+    body('payout_mode').optional().isIn(REFUND_MODES),
+    body('notes').optional().isLength({ max: 500 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const memberId = parseInt(req.body.member_id);
+
+        const refund = await transaction(async (connection) => {
+            return await refundShares(connection, {
+                memberId,
+                shareCount: parseInt(req.body.share_count),
+                payoutMode: req.body.payout_mode || 'Savings',
+                processedBy: req.admin.admin_id,
+                notes: req.body.notes || null
+            });
+        });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'REFUND_SHARES', 'share_certificates', ?, ?, ?, ?)`,
+            [req.admin.admin_id, memberId, JSON.stringify(refund), req.ip, req.get('User-Agent')]
+        );
+
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.notifyMember(memberId, 'SHARES_REFUNDED', {
+                message: `${refund.share_count} shares were refunded for ₹${refund.amount}` +
+                         (refund.payout_mode === 'Savings' ? ' to your savings' : ' in cash'),
+                amount: refund.amount
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `${refund.share_count} shares refunded`,
+            data: refund
+        });
+    } catch (error) {
+        console.error('Share refund error:', error);
+        res.status(clientErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to refund shares'
+        });
+    }
+});
+
+// Share certificate PDF (member who holds it, or admin)
+router.get('/certificates/:certificateNumber', optionalAuth, async (req, res) => {
+    try {
+        if (!req.member && !req.admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token required'
+            });
+        }
+
+        const certificate = await getCertificate(req.params.certificateNumber);
+
+        if (!certificate || (req.member && !req.admin && certificate.member_id !== req.member.member_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificate not found'
+            });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=share_certificate_${certificate.certificate_number}.pdf`);
+        streamShareCertificate(certificate, res);
+    } catch (error) {
+        console.error('Share certificate error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Failed to generate share certificate'
+            });
+        }
+    }
+});
+
+module.exports = router;
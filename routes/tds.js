@@ -0,0 +1,369 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { executeQuery, getOne } = require('../config/database');
+const { authenticateAdmin, requireRole, optionalAuth } = require('../middleware/auth');
+const { getFinancialYear, getFinancialQuarter, roundCurrency } = require('../utils/finance');
+const { isSeniorCitizen } = require('../services/interestRates');
+const { getMemberTdsSummary, getQuarterlyTdsSummary } = require('../services/tds');
+const { streamTdsCertificate } = require('../services/tdsCertificates');
+
+const router = express.Router();
+
+const FINANCIAL_YEAR_PATTERN = /^\d{4}-\d{2}$/;
+
+// Financial year a request refers to, defaulting to the current one
+const resolveFinancialYear = (value) => value || getFinancialYear(new Date()).label;
+
+// Members may only see their own TDS; admins pass the member_id they want
+const resolveMemberId = (req) => {
+    if (req.admin) {
+        return req.query.member_id ? parseInt(req.query.member_id) : null;
+    }
+    return req.member ? req.member.member_id : null;
+};
+
+// Record a Form 15G/15H declaration for a financial year (admin only)
+router.post('/declarations', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('member_id').isInt({ min: 1 }),
+    body('form_type').isIn(['15G', '15H']),
+    body('financial_year').optional().matches(FINANCIAL_YEAR_PATTERN),
+    body('declaration_date').optional().isISO8601(),
+    body('estimated_income').optional().isFloat({ min: 0 }),
+    body('document_id').optional().isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { member_id, form_type, estimated_income, document_id } = req.body;
+        const declarationDate = req.body.declaration_date ? new Date(req.body.declaration_date) : new Date();
+        const financialYear = req.body.financial_year || getFinancialYear(declarationDate).label;
+
+        const member = await getOne(
+            'SELECT member_id, date_of_birth FROM members WHERE member_id = ?',
+            [member_id]
+        );
+
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        // Form 15H is for senior citizens only; everyone else files Form 15G
+        const senior = await isSeniorCitizen(member.date_of_birth, declarationDate);
+        if (senior !== (form_type === '15H')) {
+            return res.status(400).json({
+                success: false,
+                message: senior
+                    ? 'Senior citizens must file Form 15H'
+                    : 'Form 15H can only be filed by senior citizens; file Form 15G instead'
+            });
+        }
+
+        if (document_id) {
+            const document = await getOne(
+                'SELECT upload_id FROM document_uploads WHERE upload_id = ? AND member_id = ?',
+                [document_id, member_id]
+            );
+
+            if (!document) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Declaration document not found for this member'
+                });
+            }
+        }
+
+        const existing = await getOne(
+            `SELECT declaration_id FROM tds_declarations
+             WHERE member_id = ? AND financial_year = ? AND status = 'Active'`,
+            [member_id, financialYear]
+        );
+
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: `An active declaration already exists for FY ${financialYear}`
+            });
+        }
+
+        const result = await executeQuery(
+            `INSERT INTO tds_declarations
+             (member_id, form_type, financial_year, declaration_date, estimated_income, document_id, recorded_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [member_id, form_type, financialYear, declarationDate, estimated_income || null,
+             document_id || null, req.admin.admin_id]
+        );
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'RECORD_TDS_DECLARATION', 'tds_declarations', ?, ?, ?, ?)`,
+            [req.admin.admin_id, result.insertId,
+             JSON.stringify({ member_id, form_type, financial_year: financialYear, document_id }),
+             req.ip, req.get('User-Agent')]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: `Form ${form_type} recorded for FY ${financialYear}`,
+            data: {
+                declaration_id: result.insertId,
+                member_id,
+                form_type,
+                financial_year: financialYear
+            }
+        });
+    } catch (error) {
+        console.error('Record TDS declaration error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to record declaration'
+        });
+    }
+});
+
+// List Form 15G/15H declarations (admin only)
+router.get('/declarations', authenticateAdmin, [
+    query('member_id').optional().isInt({ min: 1 }),
+    query('financial_year').optional().matches(FINANCIAL_YEAR_PATTERN)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        let whereClause = 'WHERE 1=1';
+        const params = [];
+
+        if (req.query.member_id) {
+            whereClause += ' AND d.member_id = ?';
+            params.push(req.query.member_id);
+        }
+
+        if (req.query.financial_year) {
+            whereClause += ' AND d.financial_year = ?';
+            params.push(req.query.financial_year);
+        }
+
+        const declarations = await executeQuery(
+            `SELECT d.*, m.first_name, m.last_name, m.account_number
+             FROM tds_declarations d
+             JOIN members m ON d.member_id = m.member_id
+             ${whereClause}
+             ORDER BY d.financial_year DESC, d.declaration_date DESC`,
+            params
+        );
+
+        res.json({
+            success: true,
+            data: declarations
+        });
+    } catch (error) {
+        console.error('Get TDS declarations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch declarations'
+        });
+    }
+});
+
+// Revoke a declaration; TDS applies to interest credited from now on (admin only)
+router.put('/declarations/:id/revoke', authenticateAdmin, requireRole(['Super Admin', 'Admin']), async (req, res) => {
+    try {
+        const declaration = await getOne(
+            'SELECT * FROM tds_declarations WHERE declaration_id = ?',
+            [req.params.id]
+        );
+
+        if (!declaration) {
+            return res.status(404).json({
+                success: false,
+                message: 'Declaration not found'
+            });
+        }
+
+        if (declaration.status !== 'Active') {
+            return res.status(400).json({
+                success: false,
+                message: 'Declaration is already revoked'
+            });
+        }
+
+        await executeQuery(
+            `UPDATE tds_declarations SET status = 'Revoked', updated_at = NOW() WHERE declaration_id = ?`,
+            [declaration.declaration_id]
+        );
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             old_values, new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'REVOKE_TDS_DECLARATION', 'tds_declarations', ?, ?, ?, ?, ?)`,
+            [req.admin.admin_id, declaration.declaration_id, JSON.stringify({ status: declaration.status }),
+             JSON.stringify({ status: 'Revoked' }), req.ip, req.get('User-Agent')]
+        );
+
+        res.json({
+            success: true,
+            message: 'Declaration revoked'
+        });
+    } catch (error) {
+        console.error('Revoke TDS declaration error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke declaration'
+        });
+    }
+});
+
+// Interest and TDS for a financial year (member for themselves, or admin)
+router.get('/summary', optionalAuth, [
+    query('member_id').optional().isInt({ min: 1 }),
+    query('financial_year').optional().matches(FINANCIAL_YEAR_PATTERN)
+], async (req, res) => {
+    try {
+        if (!req.member && !req.admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token required'
+            });
+        }
+
+        const errors = validationResult(req);
+        const memberId = resolveMemberId(req);
+        if (!errors.isEmpty() || !memberId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.isEmpty() ? [{ param: 'member_id', msg: 'member_id is required' }] : errors.array()
+            });
+        }
+
+        const summary = await getMemberTdsSummary(memberId, resolveFinancialYear(req.query.financial_year));
+
+        res.json({
+            success: true,
+            data: summary
+        });
+    } catch (error) {
+        console.error('Get TDS summary error:', error);
+        res.status(error.message === 'Member not found' ? 404 : 500).json({
+            success: false,
+            message: error.message || 'Failed to fetch TDS summary'
+        });
+    }
+});
+
+// Download a member's TDS certificate for a financial year (member for themselves, or admin)
+router.get('/certificate', optionalAuth, [
+    query('member_id').optional().isInt({ min: 1 }),
+    query('financial_year').optional().matches(FINANCIAL_YEAR_PATTERN)
+], async (req, res) => {
+    try {
+        if (!req.member && !req.admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token required'
+            });
+        }
+
+        const errors = validationResult(req);
+        const memberId = resolveMemberId(req);
+        if (!errors.isEmpty() || !memberId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.isEmpty() ? [{ param: 'member_id', msg: 'member_id is required' }] : errors.array()
+            });
+        }
+
+        const member = await getOne('SELECT member_id, account_number FROM members WHERE member_id = ?', [memberId]);
+
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        const financialYear = resolveFinancialYear(req.query.financial_year);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition',
+            `attachment; filename=tds_certificate_${member.account_number}_${financialYear}.pdf`);
+        await streamTdsCertificate(member.member_id, financialYear, res);
+    } catch (error) {
+        console.error('TDS certificate error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Failed to generate TDS certificate'
+            });
+        }
+    }
+});
+
+// Export the quarterly TDS summary for the TDS return (admin only)
+router.get('/export', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    query('financial_year').matches(FINANCIAL_YEAR_PATTERN),
+    query('quarter').isInt({ min: 1, max: 4 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const financialYear = req.query.financial_year;
+        const quarter = parseInt(req.query.quarter);
+        const period = getFinancialQuarter(parseInt(financialYear.substring(0, 4)), quarter);
+        const rows = await getQuarterlyTdsSummary(financialYear, quarter);
+
+        // Convert to CSV format
+        const csvHeader = `Quarter,Period From,Period To,Account Number,Member Name,PAN,Interest Paid,Taxable Amount,TDS Rate,TDS Deducted,Exemption\n`;
+        const csvData = rows.map(row =>
+            `"${period.label}","${period.start_date}","${period.end_date}","${row.account_number}",` +
+            `"${row.first_name} ${row.last_name}","${row.pan_number || ''}","${roundCurrency(row.interest_amount)}",` +
+            `"${roundCurrency(row.taxable_amount)}","${parseFloat(row.tds_rate)}","${roundCurrency(row.tds_amount)}",` +
+            `"${row.exemptions || ''}"`
+        ).join('\n');
+
+        // Log the export action before the file goes out, so a failure can still be reported
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'EXPORT_TDS', 'tds_records', ?, ?, ?)`,
+            [req.admin.admin_id, JSON.stringify({ financial_year: financialYear, quarter }), req.ip, req.get('User-Agent')]
+        );
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename=tds_${financialYear}_Q${quarter}.csv`);
+        res.send(csvHeader + csvData);
+    } catch (error) {
+        console.error('Export TDS error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export TDS summary'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { executeQuery, transaction } = require('../config/database');
+const { authenticateAdmin, requireRole, optionalAuth } = require('../middleware/auth');
+const { getNumericSetting } = require('../utils/settings');
+const { roundCurrency } = require('../utils/finance');
+const { postCashDeposit, postCashWithdrawal } = require('../services/savings');
+const { getSlipData, streamCounterSlip } = require('../services/counterSlips');
+
+const router = express.Router();
+
+const postingValidation = [
+    body('member_id').isInt({ min: 1 }),
+    body('amount').isFloat({ min: 1 }),
+    body('remarks').optional().isLength({ max: 200 })
+];
+
+// Audit a counter posting, tell the member and return the slip details
+const completePosting = async (req, res, action, posted) => {
+    // Log the action
+    await executeQuery(
+        `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+         new_values, ip_address, user_agent)
+         VALUES ('Admin', ?, ?, 'transactions', ?, ?, ?, ?)`,
+        [req.admin.admin_id, action, posted.transaction_id, JSON.stringify(posted), req.ip, req.get('User-Agent')]
+    );
+
+    const realtimeService = req.app.get('realtime');
+    if (realtimeService) {
+        realtimeService.handleTransactionUpdate(posted);
+    }
+
+    res.status(201).json({
+        success: true,
+        message: `${posted.transaction_type === 'Deposit' ? 'Cash deposit' : 'Cash withdrawal'} posted successfully`,
+        data: {
+            ...posted,
+            slip_url: `/api/teller/slips/${posted.transaction_number}`
+        }
+    });
+};
+
+// Cash deposit to a member's savings at the counter (admin only)
+router.post('/deposit', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    ...postingValidation,
+    body('depositor_name').optional().isLength({ max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const memberId = parseInt(req.body.member_id);
+        const amount = roundCurrency(req.body.amount);
+
+        const posted = await transaction(async (connection) => {
+            return await postCashDeposit(connection, {
+                memberId,
+                amount,
+                depositedBy: req.body.depositor_name,
+                remarks: req.body.remarks,
+                processedBy: req.admin.admin_id
+            });
+        });
+
+        await completePosting(req, res, 'CASH_DEPOSIT', {
+            ...posted,
+            member_id: memberId,
+            transaction_type: 'Deposit',
+            amount
+        });
+    } catch (error) {
+        console.error('Cash deposit error:', error);
+        res.status(error.message === 'Member not found' ? 404 : 500).json({
+            success: false,
+            message: error.message || 'Failed to post cash deposit'
+        });
+    }
+});
+
+// Cash withdrawal from a member's savings at the counter, keeping the minimum balance (admin only)
+router.post('/withdraw', authenticateAdmin, requireRole(['Super Admin', 'Admin']), postingValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const memberId = parseInt(req.body.member_id);
+        const amount = roundCurrency(req.body.amount);
+        const minimumBalance = await getNumericSetting('min_deposit_amount', 1000);
+
+        const posted = await transaction(async (connection) => {
+            return await postCashWithdrawal(connection, {
+                memberId,
+                amount,
+                minimumBalance,
+                remarks: req.body.remarks,
+                processedBy: req.admin.admin_id
+            });
+        });
+
+        await completePosting(req, res, 'CASH_WITHDRAWAL', {
+            ...posted,
+            member_id: memberId,
+            transaction_type: 'Withdrawal',
+            amount
+        });
+    } catch (error) {
+        console.error('Cash withdrawal error:', error);
+        const status = error.message === 'Member not found' ? 404
+            : error.message.startsWith('Insufficient') ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: error.message || 'Failed to post cash withdrawal'
+        });
+    }
+});
+
+// Printable slip for a counter deposit or withdrawal (member for their own, or admin)
+router.get('/slips/:transactionNumber', optionalAuth, async (req, res) => {
+    try {
+        if (!req.member && !req.admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token required'
+            });
+        }
+
+        const slip = await getSlipData(req.params.transactionNumber);
+
+        if (!slip || (req.member && !req.admin && slip.member_id !== req.member.member_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Slip not found'
+            });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename=slip_${slip.transaction_number}.pdf`);
+        streamCounterSlip(slip, res);
+    } catch (error) {
+        console.error('Counter slip error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Failed to generate slip'
+            });
+        }
+    }
+});
+
+module.exports = router;
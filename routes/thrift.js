@@ -0,0 +1,384 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { executeQuery, getOne, transaction } = require('../config/database');
+const { authenticateMember, authenticateAdmin, requireRole } = require('../middleware/auth');
+const { roundCurrency, formatDate } = require('../utils/finance');
+const {
+    SUBSCRIPTION_STATUSES, getThriftSettings, createSubscription, postThriftPayment,
+    getThriftArrears, getThriftDefaulters
+} = require('../services/thrift');
+
+const router = express.Router();
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// A member's subscription with arrears, every due raised and every payment
+const getThriftAccount = async (memberId) => {
+    const subscription = await getThriftArrears(memberId);
+
+    if (!subscription) {
+        return null;
+    }
+
+    const dues = await executeQuery(
+        `SELECT due_id, due_month, due_date, amount, amount_paid, paid_date, status
+         FROM thrift_dues WHERE subscription_id = ?
+         ORDER BY due_month DESC`,
+        [subscription.subscription_id]
+    );
+
+    const payments = await executeQuery(
+        `SELECT p.payment_id, p.amount, p.payment_date, p.payment_mode, p.reference_number, t.transaction_number
+         FROM thrift_payments p
+         LEFT JOIN transactions t ON p.transaction_id = t.transaction_id
+         WHERE p.subscription_id = ?
+         ORDER BY p.payment_date DESC, p.payment_id DESC`,
+        [subscription.subscription_id]
+    );
+
+    return { ...subscription, dues, payments };
+};
+
+// Logged-in member's thrift subscription, dues and payments
+router.get('/my', authenticateMember, async (req, res) => {
+    try {
+        const account = await getThriftAccount(req.member.member_id);
+
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                message: 'No thrift subscription found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: account
+        });
+    } catch (error) {
+        console.error('Get my thrift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch thrift account'
+        });
+    }
+});
+
+// List thrift subscriptions with their arrears (admin only)
+router.get('/subscriptions', authenticateAdmin, [
+    query('status').optional().isIn(SUBSCRIPTION_STATUSES)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        let whereClause = 'WHERE 1=1';
+        const params = [];
+
+        if (req.query.status) {
+            whereClause += ' AND s.status = ?';
+            params.push(req.query.status);
+        }
+
+        const subscriptions = await executeQuery(
+            `SELECT s.*, m.account_number, m.first_name, m.last_name,
+             (SELECT COALESCE(SUM(d.amount - d.amount_paid), 0) FROM thrift_dues d
+              WHERE d.subscription_id = s.subscription_id AND d.status IN ('Pending', 'Partially Paid')) as outstanding
+             FROM thrift_subscriptions s
+             JOIN members m ON s.member_id = m.member_id
+             ${whereClause}
+             ORDER BY m.account_number`,
+            params
+        );
+
+        res.json({
+            success: true,
+            data: subscriptions
+        });
+    } catch (error) {
+        console.error('Get thrift subscriptions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch thrift subscriptions'
+        });
+    }
+});
+
+// Start a member's thrift subscription, raising dues from the start month (admin only)
+router.post('/subscriptions', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('member_id').isInt({ min: 1 }),
+    body('monthly_amount').optional().isFloat({ min: 1 }),
+    body('start_month').optional().matches(MONTH_PATTERN)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const settings = await getThriftSettings();
+        const monthlyAmount = req.body.monthly_amount !== undefined
+            ? roundCurrency(req.body.monthly_amount)
+            : settings.monthly_amount;
+
+        if (monthlyAmount < settings.monthly_amount) {
+            return res.status(400).json({
+                success: false,
+                message: `Monthly thrift cannot be less than the compulsory ₹${settings.monthly_amount}`
+            });
+        }
+
+        const startMonth = req.body.start_month
+            ? `${req.body.start_month}-01`
+            : `${formatDate(new Date()).substring(0, 7)}-01`;
+
+        const subscription = await transaction(async (connection) => {
+            return await createSubscription(connection, {
+                memberId: parseInt(req.body.member_id),
+                monthlyAmount,
+                startMonth,
+                createdBy: req.admin.admin_id
+            });
+        });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'CREATE_THRIFT_SUBSCRIPTION', 'thrift_subscriptions', ?, ?, ?, ?)`,
+            [req.admin.admin_id, subscription.subscription_id, JSON.stringify(subscription),
+             req.ip, req.get('User-Agent')]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'Thrift subscription started',
+            data: subscription
+        });
+    } catch (error) {
+        console.error('Create thrift subscription error:', error);
+        const status = error.message === 'Member not found' ? 404
+            : error.message.startsWith('Member already has') ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: error.message || 'Failed to start thrift subscription'
+        });
+    }
+});
+
+// Change the monthly amount (for dues raised from now on) or pause/close a subscription (admin only)
+router.put('/subscriptions/:id', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('monthly_amount').optional().isFloat({ min: 1 }),
+    body('status').optional().isIn(SUBSCRIPTION_STATUSES)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const subscription = await getOne(
+            'SELECT * FROM thrift_subscriptions WHERE subscription_id = ?',
+            [req.params.id]
+        );
+
+        if (!subscription) {
+            return res.status(404).json({
+                success: false,
+                message: 'Thrift subscription not found'
+            });
+        }
+
+        const settings = await getThriftSettings();
+        const updates = {
+            monthly_amount: req.body.monthly_amount !== undefined
+                ? roundCurrency(req.body.monthly_amount)
+                : parseFloat(subscription.monthly_amount),
+            status: req.body.status || subscription.status
+        };
+
+        if (updates.monthly_amount < settings.monthly_amount) {
+            return res.status(400).json({
+                success: false,
+                message: `Monthly thrift cannot be less than the compulsory ₹${settings.monthly_amount}`
+            });
+        }
+
+        // Months spent paused are not charged: dues restart from the month it resumes
+        if (updates.status === 'Active' && subscription.status !== 'Active') {
+            const currentMonth = `${formatDate(new Date()).substring(0, 7)}-01`;
+            if (currentMonth > formatDate(subscription.start_month)) {
+                updates.start_month = currentMonth;
+            }
+        }
+
+        await executeQuery(
+            `UPDATE thrift_subscriptions SET monthly_amount = ?, status = ?, start_month = ?, updated_at = NOW()
+             WHERE subscription_id = ?`,
+            [updates.monthly_amount, updates.status, updates.start_month || formatDate(subscription.start_month),
+             subscription.subscription_id]
+        );
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             old_values, new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'UPDATE_THRIFT_SUBSCRIPTION', 'thrift_subscriptions', ?, ?, ?, ?, ?)`,
+            [req.admin.admin_id, subscription.subscription_id,
+             JSON.stringify({ monthly_amount: subscription.monthly_amount, status: subscription.status }),
+             JSON.stringify(updates), req.ip, req.get('User-Agent')]
+        );
+
+        res.json({
+            success: true,
+            message: 'Thrift subscription updated successfully',
+            data: { ...subscription, ...updates }
+        });
+    } catch (error) {
+        console.error('Update thrift subscription error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update thrift subscription'
+        });
+    }
+});
+
+// A member's thrift subscription, dues and payments (admin only)
+router.get('/members/:memberId', authenticateAdmin, async (req, res) => {
+    try {
+        const account = await getThriftAccount(req.params.memberId);
+
+        if (!account) {
+            return res.status(404).json({
+                success: false,
+                message: 'No thrift subscription found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: account
+        });
+    } catch (error) {
+        console.error('Get member thrift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch thrift account'
+        });
+    }
+});
+
+// Thrift paid in cash at the counter, settling dues oldest first (admin only)
+router.post('/payments', authenticateAdmin, [
+    body('member_id').isInt({ min: 1 }),
+    body('amount').isFloat({ min: 1 }),
+    body('reference_number').optional().isLength({ max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const memberId = parseInt(req.body.member_id);
+        const amount = roundCurrency(req.body.amount);
+
+        const payment = await transaction(async (connection) => {
+            return await postThriftPayment(connection, {
+                memberId,
+                amount,
+                paymentMode: 'Cash',
+                referenceNumber: req.body.reference_number || null,
+                processedBy: req.admin.admin_id
+            });
+        });
+
+        // Log the action
+        await executeQuery(
+            `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+             new_values, ip_address, user_agent)
+             VALUES ('Admin', ?, 'THRIFT_PAYMENT', 'thrift_payments', ?, ?, ?, ?)`,
+            [req.admin.admin_id, payment.transaction_id, JSON.stringify(payment), req.ip, req.get('User-Agent')]
+        );
+
+        const realtimeService = req.app.get('realtime');
+        if (realtimeService) {
+            realtimeService.handleTransactionUpdate({
+                member_id: memberId,
+                transaction_type: 'Deposit',
+                amount,
+                transaction_id: payment.transaction_id
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Thrift payment applied to ${payment.applied.map(item => item.month).join(', ')}`,
+            data: payment
+        });
+    } catch (error) {
+        console.error('Thrift payment error:', error);
+        const status = error.message === 'Thrift subscription not found' ? 404
+            : error.message.startsWith('Payment exceeds') ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: error.message || 'Failed to post thrift payment'
+        });
+    }
+});
+
+// Members with thrift dues past their due date (admin only)
+router.get('/defaulters', authenticateAdmin, [
+    query('min_months').optional().isInt({ min: 1 }),
+    query('as_of').optional().isISO8601()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const asOf = req.query.as_of ? formatDate(req.query.as_of) : formatDate(new Date());
+        const defaulters = await getThriftDefaulters(asOf, parseInt(req.query.min_months || 1));
+
+        res.json({
+            success: true,
+            data: {
+                as_of: asOf,
+                defaulters_count: defaulters.length,
+                total_overdue: roundCurrency(defaulters.reduce((sum, row) => sum + row.overdue_amount, 0)),
+                defaulters
+            }
+        });
+    } catch (error) {
+        console.error('Thrift defaulters report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate defaulters report'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,414 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { executeQuery, transaction } = require('../config/database');
+const { authenticateMember, authenticateAdmin, requireRole, optionalAuth } = require('../middleware/auth');
+const {
+    CLAIM_CATEGORIES, CLAIM_PAYOUT_MODES, getFundBalance, getClaimLimits, fileClaim,
+    approveClaim, rejectClaim, payClaim, getClaim
+} = require('../services/welfareFund');
+
+const router = express.Router();
+
+// Errors raised by the welfare fund for bad requests rather than failures
+const clientErrorStatus = (error) => {
+    if (error.message === 'Member not found' || error.message === 'Claim not found') {
+        return 404;
+    }
+    return /must|cannot|only|still open|not contributed|insufficient/i.test(error.message) ? 400 : 500;
+};
+
+// Audit a claim action and tell the member
+const completeClaimAction = async (req, action, claim, message) => {
+    // Log the action
+    await executeQuery(
+        `INSERT INTO audit_logs (user_type, user_id, action, table_name, record_id,
+         new_values, ip_address, user_agent)
+         VALUES (?, ?, ?, 'welfare_claims', ?, ?, ?, ?)`,
+        [req.admin ? 'Admin' : 'Member', req.admin ? req.admin.admin_id : req.member.member_id, action,
+         claim.claim_id, JSON.stringify(claim), req.ip, req.get('User-Agent')]
+    );
+
+    const realtimeService = req.app.get('realtime');
+    if (realtimeService) {
+        realtimeService.notifyMember(claim.member_id, 'WELFARE_CLAIM_UPDATE', {
+            message,
+            claim_number: claim.claim_number
+        });
+        if (action === 'FILE_WELFARE_CLAIM') {
+            realtimeService.notifyAdmins('WELFARE_CLAIM_FILED', {
+                message: `Welfare claim ${claim.claim_number} filed for review`,
+                claim_id: claim.claim_id
+            });
+        }
+    }
+};
+
+// Logged-in member's claims and what is left of each category limit
+router.get('/my', authenticateMember, async (req, res) => {
+    try {
+        const claims = await executeQuery(
+            `SELECT c.claim_id, c.claim_number, c.category, c.claimant_type, c.claimant_name, c.claimed_amount,
+             c.approved_amount, c.incident_date, c.status, c.review_notes, c.payout_mode, c.paid_at, c.created_at
+             FROM welfare_claims c
+             WHERE c.member_id = ?
+             ORDER BY c.created_at DESC`,
+            [req.member.member_id]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                limits: await getClaimLimits(req.member.member_id),
+                claims
+            }
+        });
+    } catch (error) {
+        console.error('Get my welfare claims error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch welfare claims'
+        });
+    }
+});
+
+// File a claim: members for themselves, admins for a member or on behalf of a nominee
+router.post('/claims', optionalAuth, [
+    body('member_id').if((value, { req }) => req.admin).isInt({ min: 1 }),
+    body('category').isIn(CLAIM_CATEGORIES),
+    body('claimant_type').optional().isIn(['Member', 'Nominee']),
+    body('nominee_id').if(body('claimant_type').equals('Nominee')).isInt({ min: 1 }),
+    body('claimed_amount').isFloat({ min: 1 }),
+    body('incident_date').isISO8601(),
+    body('description').trim().isLength({ min: 10, max: 2000 }),
+    body('document_ids').isArray({ min: 1 }),
+    body('document_ids.*').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        if (!req.member && !req.admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token required'
+            });
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        // Nominees claim through the society office, so only admins can file for them
+        const claimantType = req.body.claimant_type || 'Member';
+        if (!req.admin && claimantType !== 'Member') {
+            return res.status(403).json({
+                success: false,
+                message: 'Nominee claims are filed at the society office'
+            });
+        }
+
+        if (new Date(req.body.incident_date) > new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'incident_date cannot be in the future'
+            });
+        }
+
+        const claim = await transaction(async (connection) => {
+            return await fileClaim(connection, {
+                memberId: req.admin ? parseInt(req.body.member_id) : req.member.member_id,
+                category: req.body.category,
+                claimantType,
+                nomineeId: claimantType === 'Nominee' ? parseInt(req.body.nominee_id) : null,
+                claimedAmount: parseFloat(req.body.claimed_amount),
+                incidentDate: req.body.incident_date,
+                description: req.body.description,
+                documentIds: req.body.document_ids.map(id => parseInt(id)),
+                filedByType: req.admin ? 'Admin' : 'Member',
+                filedBy: req.admin ? req.admin.admin_id : req.member.member_id
+            });
+        });
+
+        await completeClaimAction(req, 'FILE_WELFARE_CLAIM', claim,
+            `Welfare claim ${claim.claim_number} for ₹${claim.claimed_amount} has been filed`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Welfare claim filed successfully',
+            data: claim
+        });
+    } catch (error) {
+        console.error('File welfare claim error:', error);
+        res.status(clientErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to file welfare claim'
+        });
+    }
+});
+
+// List claims by status / category (admin only)
+router.get('/claims', authenticateAdmin, [
+    query('status').optional().isIn(['Submitted', 'Approved', 'Rejected', 'Paid']),
+    query('category').optional().isIn(CLAIM_CATEGORIES)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        let whereClause = 'WHERE 1=1';
+        const params = [];
+
+        if (req.query.status) {
+            whereClause += ' AND c.status = ?';
+            params.push(req.query.status);
+        }
+
+        if (req.query.category) {
+            whereClause += ' AND c.category = ?';
+            params.push(req.query.category);
+        }
+
+        const claims = await executeQuery(
+            `SELECT c.claim_id, c.claim_number, c.member_id, m.account_number, m.first_name, m.last_name,
+             c.category, c.claimant_type, c.claimant_name, c.claimed_amount, c.approved_amount,
+             c.incident_date, c.status, c.created_at, c.reviewed_at, c.paid_at
+             FROM welfare_claims c
+             JOIN members m ON c.member_id = m.member_id
+             ${whereClause}
+             ORDER BY c.created_at DESC`,
+            params
+        );
+
+        res.json({
+            success: true,
+            data: claims
+        });
+    } catch (error) {
+        console.error('Get welfare claims error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch welfare claims'
+        });
+    }
+});
+
+// A claim with its documents and the member's remaining limits (member for their own, or admin)
+router.get('/claims/:id', optionalAuth, async (req, res) => {
+    try {
+        if (!req.member && !req.admin) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token required'
+            });
+        }
+
+        const claim = await getClaim(req.params.id);
+
+        if (!claim || (req.member && !req.admin && claim.member_id !== req.member.member_id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Claim not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...claim,
+                limits: await getClaimLimits(claim.member_id)
+            }
+        });
+    } catch (error) {
+        console.error('Get welfare claim error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch welfare claim'
+        });
+    }
+});
+
+// Approve a claim within the category limit (admin only)
+router.put('/claims/:id/approve', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('approved_amount').isFloat({ min: 1 }),
+    body('review_notes').optional().isLength({ max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const claim = await transaction(async (connection) => {
+            return await approveClaim(connection, {
+                claimId: req.params.id,
+                approvedAmount: parseFloat(req.body.approved_amount),
+                reviewNotes: req.body.review_notes || null,
+                reviewedBy: req.admin.admin_id
+            });
+        });
+
+        await completeClaimAction(req, 'APPROVE_WELFARE_CLAIM', claim,
+            `Welfare claim ${claim.claim_number} approved for ₹${claim.approved_amount}`);
+
+        res.json({
+            success: true,
+            message: 'Welfare claim approved',
+            data: claim
+        });
+    } catch (error) {
+        console.error('Approve welfare claim error:', error);
+        res.status(clientErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to approve welfare claim'
+        });
+    }
+});
+
+// Reject a claim (admin only)
+router.put('/claims/:id/reject', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('review_notes').trim().isLength({ min: 1, max: 1000 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const claim = await transaction(async (connection) => {
+            return await rejectClaim(connection, {
+                claimId: req.params.id,
+                reviewNotes: req.body.review_notes,
+                reviewedBy: req.admin.admin_id
+            });
+        });
+
+        await completeClaimAction(req, 'REJECT_WELFARE_CLAIM', claim,
+            `Welfare claim ${claim.claim_number} was rejected: ${claim.review_notes}`);
+
+        res.json({
+            success: true,
+            message: 'Welfare claim rejected',
+            data: claim
+        });
+    } catch (error) {
+        console.error('Reject welfare claim error:', error);
+        res.status(clientErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to reject welfare claim'
+        });
+    }
+});
+
+// Pay an approved claim from the welfare fund to savings or in cash (admin only)
+router.post('/claims/:id/pay', authenticateAdmin, requireRole(['Super Admin', 'Admin']), [
+    body('payout_mode').isIn(CLAIM_PAYOUT_MODES)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const payout = await transaction(async (connection) => {
+            return await payClaim(connection, {
+                claimId: req.params.id,
+                payoutMode: req.body.payout_mode,
+                processedBy: req.admin.admin_id
+            });
+        });
+
+        await completeClaimAction(req, 'PAY_WELFARE_CLAIM', payout,
+            `Welfare claim ${payout.claim_number} of ₹${payout.amount}` +
+            (payout.payout_mode === 'Savings' ? ' credited to your savings' : ` paid in cash to ${payout.claimant_name}`));
+
+        res.json({
+            success: true,
+            message: 'Welfare claim paid',
+            data: payout
+        });
+    } catch (error) {
+        console.error('Pay welfare claim error:', error);
+        res.status(clientErrorStatus(error)).json({
+            success: false,
+            message: error.message || 'Failed to pay welfare claim'
+        });
+    }
+});
+
+// Welfare fund balance and ledger entries by `from` / `to` (admin only)
+router.get('/fund', authenticateAdmin, [
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        let whereClause = 'WHERE 1=1';
+        const params = [];
+
+        if (req.query.from) {
+            whereClause += ' AND l.entry_date >= ?';
+            params.push(req.query.from);
+        }
+
+        if (req.query.to) {
+            whereClause += ' AND l.entry_date <= ?';
+            params.push(req.query.to);
+        }
+
+        const entries = await executeQuery(
+            `SELECT l.entry_id, l.entry_date, l.entry_type, l.member_id, m.account_number, m.first_name, m.last_name,
+             l.amount, l.balance_after, c.claim_number, t.transaction_number, l.description
+             FROM welfare_fund_ledger l
+             JOIN members m ON l.member_id = m.member_id
+             LEFT JOIN welfare_claims c ON l.claim_id = c.claim_id
+             LEFT JOIN transactions t ON l.transaction_id = t.transaction_id
+             ${whereClause}
+             ORDER BY l.entry_id DESC`,
+            params
+        );
+
+        res.json({
+            success: true,
+            data: {
+                balance: await getFundBalance(),
+                entries
+            }
+        });
+    } catch (error) {
+        console.error('Get welfare fund error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch welfare fund ledger'
+        });
+    }
+});
+
+module.exports = router;
@@ -11,6 +11,10 @@ require('dotenv').config();
 
 const { testConnection } = require('./config/database');
 const RealtimeService = require('./services/realtime');
+const LoanMonitorService = require('./services/loanMonitor');
+const DepositMonitorService = require('./services/depositMonitor');
+const { runScheduledInterestPosting } = require('./services/interestPosting');
+const { raiseThriftDues } = require('./services/thrift');
 
 const authRoutes = require('./routes/auth');
 const membersRoutes = require('./routes/members');
@@ -18,8 +22,18 @@ const adminRoutes = require('./routes/admin');
 const uploadRoutes = require('./routes/upload');
 const paymentsRoutes = require('./routes/payments');
 const depositRoutes = require('./routes/deposits');
+const loanRoutes = require('./routes/loans');
 const noticeRoutes = require('./routes/notices');
 const transactionRoutes = require('./routes/transactions');
+const calculatorRoutes = require('./routes/calculators');
+const rateRoutes = require('./routes/rates');
+const interestRunRoutes = require('./routes/interestRuns');
+const tdsRoutes = require('./routes/tds');
+const tellerRoutes = require('./routes/teller');
+const shareRoutes = require('./routes/shares');
+const dividendRoutes = require('./routes/dividends');
+const thriftRoutes = require('./routes/thrift');
+const welfareRoutes = require('./routes/welfare');
 
 const app = express();
 const server = http.createServer(app);
@@ -33,6 +47,8 @@ const PORT = process.env.PORT || 3000;
 
 // Initialize realtime service
 const realtimeService = new RealtimeService(io);
+const loanMonitorService = new LoanMonitorService(realtimeService);
+const depositMonitorService = new DepositMonitorService(realtimeService);
 
 // Make io and realtime service available to routes
 app.set('io', io);
@@ -106,8 +122,18 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/payments', paymentsRoutes);
 app.use('/api/deposits', depositRoutes);
+app.use('/api/loans', loanRoutes);
 app.use('/api/notices', noticeRoutes);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/calculators', calculatorRoutes);
+app.use('/api/rates', rateRoutes);
+app.use('/api/interest-runs', interestRunRoutes);
+app.use('/api/tds', tdsRoutes);
+app.use('/api/teller', tellerRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/dividends', dividendRoutes);
+app.use('/api/thrift', thriftRoutes);
+app.use('/api/welfare', welfareRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -188,6 +214,73 @@ cron.schedule('*/5 * * * *', async () => {
     }
 });
 
+// Daily loan overdue detection, penal interest and NPA classification
+cron.schedule('30 0 * * *', async () => {
+    try {
+        const summary = await loanMonitorService.runOverdueCheck();
+        console.log(`Loan overdue check: ${summary.checked} checked, ${summary.overdue} overdue, ` +
+                    `${summary.reclassified.length} reclassified`);
+    } catch (error) {
+        console.error('Loan overdue job error:', error);
+    }
+});
+
+// Daily missed recurring deposit installment detection and default fees
+cron.schedule('45 0 * * *', async () => {
+    try {
+        const summary = await depositMonitorService.runMissedInstallmentCheck();
+        console.log(`RD installment check: ${summary.checked} deposits, ${summary.missed} installments missed, ` +
+                    `₹${summary.fees_charged} default fees`);
+    } catch (error) {
+        console.error('RD installment job error:', error);
+    }
+});
+
+// Daily FD/RD maturity payout and auto-renewal
+cron.schedule('0 1 * * *', async () => {
+    try {
+        const summary = await depositMonitorService.runMaturityProcessing();
+        console.log(`Deposit maturity run: ${summary.processed} processed, ${summary.matured} paid to savings, ` +
+                    `${summary.renewed} renewed`);
+    } catch (error) {
+        console.error('Deposit maturity job error:', error);
+    }
+});
+
+// Monthly thrift dues for every active subscription (1st of each month)
+cron.schedule('15 0 1 * *', async () => {
+    try {
+        const summary = await raiseThriftDues();
+        for (const item of summary.raised) {
+            realtimeService.notifyMember(item.member_id, 'THRIFT_DUE', {
+                message: `Thrift contribution of ₹${item.amount} is due for ${item.months.join(', ')}`,
+                amount: item.amount
+            });
+        }
+        console.log(`Thrift dues: ${summary.subscriptions} subscriptions, ${summary.dues_raised} dues raised`);
+    } catch (error) {
+        console.error('Thrift dues job error:', error);
+    }
+});
+
+// Quarterly deposit interest posting for the quarter just ended (1 Apr, 1 Jul, 1 Oct, 1 Jan)
+cron.schedule('0 2 1 1,4,7,10 *', async () => {
+    try {
+        const result = await runScheduledInterestPosting();
+        if (!result) {
+            return;
+        }
+
+        for (const item of result.posted) {
+            realtimeService.handleInterestCredit(item);
+        }
+        console.log(`Interest run #${result.run.run_id} (${result.run.period_label}): ${result.run.status}, ` +
+                    `${result.run.posted_count} deposits credited ₹${result.run.total_interest}`);
+    } catch (error) {
+        console.error('Interest posting job error:', error);
+    }
+});
+
 // Test database connection before starting server
 testConnection().then((connected) => {
     if (connected) {
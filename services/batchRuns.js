@@ -0,0 +1,77 @@
+// Resumable batch runs for Kafal Cooperative Society
+// A run is a header row (Running, Completed or Failed) with one item row per posting.
+// Items are posted one transaction each, so a failure part-way leaves the posted ones
+// in place and a resume picks up from the first pending item.
+
+const { executeQuery, transaction } = require('../config/database');
+
+// A Running run whose heartbeat is older than this has stopped (the process crashed or
+// was restarted) and may be taken over by a resume
+const STALE_RUN_MINUTES = 10;
+
+// Tables behind each kind of run
+const BATCHES = {
+    interest: { table: 'interest_runs', key: 'run_id', itemTable: 'interest_run_items' },
+    dividend: { table: 'dividend_declarations', key: 'declaration_id', itemTable: 'dividend_items' }
+};
+
+// Claim a run for resuming. A Failed run can always be claimed; a Running one only once
+// its heartbeat has gone stale. Only one of two resumes started together gets it.
+const claimRun = async (batch, runId) => {
+    const { table, key } = BATCHES[batch];
+    const claimed = await executeQuery(
+        `UPDATE ${table} SET status = 'Running', error_message = NULL, heartbeat_at = NOW()
+         WHERE ${key} = ? AND (status = 'Failed' OR
+         (status = 'Running' AND (heartbeat_at IS NULL OR heartbeat_at < NOW() - INTERVAL ? MINUTE)))`,
+        [runId, STALE_RUN_MINUTES]
+    );
+
+    return claimed.affectedRows > 0;
+};
+
+// Post every pending item of a run with postItem(connection, item), which returns the
+// posting or null when it had nothing to post. The heartbeat is refreshed before each
+// item. The first failure marks the run Failed with describeItem(item) and the error;
+// otherwise the run is marked Completed. Returns the postings made.
+const postPendingItems = async (batch, runId, postItem, describeItem) => {
+    const { table, key, itemTable } = BATCHES[batch];
+    const items = await executeQuery(
+        `SELECT * FROM ${itemTable} WHERE ${key} = ? AND status = 'Pending' ORDER BY item_id`,
+        [runId]
+    );
+
+    const posted = [];
+
+    for (const item of items) {
+        await executeQuery(`UPDATE ${table} SET heartbeat_at = NOW() WHERE ${key} = ?`, [runId]);
+
+        try {
+            const result = await transaction(async (connection) => {
+                return await postItem(connection, item);
+            });
+            if (result) {
+                posted.push(result);
+            }
+        } catch (error) {
+            console.error(`${describeItem(item)} failed in ${table} #${runId}:`, error);
+            await executeQuery(
+                `UPDATE ${table} SET status = 'Failed', error_message = ? WHERE ${key} = ?`,
+                [`${describeItem(item)}: ${error.message}`, runId]
+            );
+            return posted;
+        }
+    }
+
+    await executeQuery(
+        `UPDATE ${table} SET status = 'Completed', completed_at = NOW() WHERE ${key} = ?`,
+        [runId]
+    );
+
+    return posted;
+};
+
+module.exports = {
+    STALE_RUN_MINUTES,
+    claimRun,
+    postPendingItems
+};
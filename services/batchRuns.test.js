@@ -0,0 +1,81 @@
+jest.mock('../config/database', () => ({
+    executeQuery: jest.fn(),
+    getOne: jest.fn(),
+    transaction: jest.fn(async (callback) => callback({}))
+}));
+
+const { executeQuery } = require('../config/database');
+const { claimRun, postPendingItems, STALE_RUN_MINUTES } = require('./batchRuns');
+
+const updates = () => executeQuery.mock.calls
+    .filter(([sql]) => sql.startsWith('UPDATE'))
+    .map(([sql, params]) => [sql.replace(/\s+/g, ' '), params]);
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('claimRun', () => {
+    test('claims a failed run or one whose heartbeat has gone stale', async () => {
+        executeQuery.mockResolvedValue({ affectedRows: 1 });
+
+        expect(await claimRun('interest', 3)).toBe(true);
+
+        const [sql, params] = executeQuery.mock.calls[0];
+        expect(sql).toMatch(/status = 'Failed' OR/);
+        expect(sql).toMatch(/heartbeat_at < NOW\(\) - INTERVAL \? MINUTE/);
+        expect(params).toEqual([3, STALE_RUN_MINUTES]);
+    });
+
+    test('refuses a run another process is still posting', async () => {
+        executeQuery.mockResolvedValue({ affectedRows: 0 });
+
+        expect(await claimRun('interest', 3)).toBe(false);
+    });
+
+    test('claims dividend declarations by declaration id', async () => {
+        executeQuery.mockResolvedValue({ affectedRows: 1 });
+
+        await claimRun('dividend', 4);
+
+        expect(executeQuery.mock.calls[0][0]).toMatch(/UPDATE dividend_declarations .* WHERE declaration_id = \?/s);
+    });
+});
+
+describe('postPendingItems', () => {
+    const pending = [{ item_id: 1, deposit_id: 10 }, { item_id: 2, deposit_id: 11 }, { item_id: 3, deposit_id: 12 }];
+
+    beforeEach(() => {
+        executeQuery.mockImplementation(async (sql) => (sql.startsWith('SELECT') ? pending : {}));
+    });
+
+    test('posts each item, refreshing the heartbeat, then completes the run', async () => {
+        const postItem = jest.fn(async (connection, item) => (item.item_id === 2 ? null : { item_id: item.item_id }));
+
+        const posted = await postPendingItems('interest', 3, postItem, item => `Deposit ${item.deposit_id}`);
+
+        expect(posted).toEqual([{ item_id: 1 }, { item_id: 3 }]);
+        expect(updates().filter(([sql]) => sql.includes('heartbeat_at = NOW()'))).toHaveLength(3);
+        expect(updates().pop()[0]).toMatch(/SET status = 'Completed'/);
+    });
+
+    test('stops at the first failure and marks the run failed', async () => {
+        const postItem = jest.fn(async (connection, item) => {
+            if (item.item_id === 2) {
+                throw new Error('Lock wait timeout');
+            }
+            return { item_id: item.item_id };
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const posted = await postPendingItems('interest', 3, postItem, item => `Deposit ${item.deposit_id}`);
+
+        expect(posted).toEqual([{ item_id: 1 }]);
+        expect(postItem).toHaveBeenCalledTimes(2);
+        expect(updates().pop()).toEqual([
+            "UPDATE interest_runs SET status = 'Failed', error_message = ? WHERE run_id = ?",
+            ['Deposit 11: Lock wait timeout', 3]
+        ]);
+        console.error.mockRestore();
+    });
+});
@@ -0,0 +1,73 @@
+// Counter slip generation for Kafal Cooperative Society
+// Produces the printable slip handed over for a teller cash deposit or withdrawal
+
+const PDFDocument = require('pdfkit');
+const { getOne } = require('../config/database');
+const society = require('../config/society');
+const { roundCurrency } = require('../utils/finance');
+
+const formatAmount = (value) => `Rs. ${roundCurrency(value).toFixed(2)}`;
+
+const SLIP_TITLES = {
+    'Deposit': 'CASH DEPOSIT SLIP',
+    'Withdrawal': 'CASH WITHDRAWAL SLIP'
+};
+
+// A counter transaction with the member and teller printed on its slip
+const getSlipData = async (transactionNumber) => {
+    return await getOne(
+        `SELECT t.transaction_id, t.transaction_number, t.member_id, t.transaction_type, t.amount,
+         t.balance_after, t.description, t.transaction_date,
+         m.first_name, m.last_name, m.account_number,
+         a.first_name as teller_first_name, a.last_name as teller_last_name
+         FROM transactions t
+         JOIN members m ON t.member_id = m.member_id
+         LEFT JOIN admins a ON t.processed_by = a.admin_id
+         WHERE t.transaction_number = ? AND t.reference_type = 'General'
+         AND t.transaction_type IN ('Deposit', 'Withdrawal')`,
+        [transactionNumber]
+    );
+};
+
+const renderSlip = (doc, slip) => {
+    doc.fontSize(13).font('Helvetica-Bold').text(society.name, { align: 'center' });
+    doc.fontSize(8).font('Helvetica')
+        .text(`Registration No. ${society.registration_no} dated ${society.registration_date}`, { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(12).font('Helvetica-Bold').text(SLIP_TITLES[slip.transaction_type], { align: 'center', underline: true });
+    doc.moveDown();
+
+    doc.fontSize(10);
+    [
+        ['Slip No.', slip.transaction_number],
+        ['Date', new Date(slip.transaction_date).toLocaleString('en-IN')],
+        ['Member', `${slip.first_name} ${slip.last_name}`],
+        ['Account number', slip.account_number],
+        ['Amount', formatAmount(slip.amount)],
+        ['Savings balance after', formatAmount(slip.balance_after)],
+        ['Particulars', slip.description],
+        ['Teller', slip.teller_first_name ? `${slip.teller_first_name} ${slip.teller_last_name}` : '-']
+    ].forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+            .font('Helvetica').text(String(value));
+    });
+
+    doc.moveDown(3);
+    const y = doc.y;
+    doc.text(slip.transaction_type === 'Deposit' ? 'Depositor' : 'Member', 40, y);
+    doc.text('Teller', 40, y, { align: 'right' });
+};
+
+// Stream the slip for a counter transaction as a PDF
+const streamCounterSlip = (slip, output) => {
+    const doc = new PDFDocument({ size: 'A5', margin: 40 });
+
+    doc.pipe(output);
+    renderSlip(doc, slip);
+    doc.end();
+};
+
+module.exports = {
+    getSlipData,
+    streamCounterSlip
+};
@@ -0,0 +1,677 @@
+// Deposit ledger for Kafal Cooperative Society
+// Deposit numbering, RD installment schedules and posting, maturity recomputation,
+// maturity payout or renewal, and premature closure settlement
+
+const { recordTransaction } = require('../utils/transactions');
+const { roundCurrency, formatDate, monthsBetween, buildFdSchedule, buildRdSchedule } = require('../utils/finance');
+const { creditSavings } = require('./savings');
+const { getActiveLien, moveLienToDeposit } = require('./depositLiens');
+const { getMemberRate } = require('./interestRates');
+const { calculateTds, recordTds, deductTdsFromDeposit } = require('./tds');
+const { copyDepositNominees } = require('./nominees');
+
+const FD_TYPE = 'Fixed Deposit';
+const RD_TYPE = 'Recurring Deposit';
+
+const DEPOSIT_PREFIXES = {
+    'Fixed Deposit': 'FD',
+    'Recurring Deposit': 'RD',
+    'Savings': 'SAV',
+    'Current': 'CUR'
+};
+
+// Next deposit number for a product. The running number is shared by every
+// product; only the prefix changes (FD007, RD008, SAV009).
+const generateDepositNumber = async (connection, depositType) => {
+    const [lastDeposit] = await connection.execute(
+        'SELECT deposit_number FROM deposits ORDER BY deposit_id DESC LIMIT 1'
+    );
+
+    const lastNumber = lastDeposit.length
+        ? parseInt(lastDeposit[0].deposit_number.replace(/\D/g, ''), 10) || 0
+        : 0;
+
+    return `${DEPOSIT_PREFIXES[depositType]}${String(lastNumber + 1).padStart(3, '0')}`;
+};
+
+// Write the installment schedule for a new RD. The opening deposit pays installment 1.
+const createRdInstallments = async (connection, deposit) => {
+    const schedule = buildRdSchedule(
+        parseFloat(deposit.principal_amount), parseFloat(deposit.interest_rate),
+        deposit.tenure_months, deposit.deposit_date
+    );
+
+    for (const row of schedule.installments) {
+        const openingInstallment = row.installment_number === 1;
+        await connection.execute(
+            `INSERT INTO deposit_installments
+             (deposit_id, installment_number, due_date, installment_amount, amount_paid, paid_date, status)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [deposit.deposit_id, row.installment_number, row.due_date, row.installment_amount,
+             openingInstallment ? row.installment_amount : 0,
+             openingInstallment ? formatDate(deposit.deposit_date) : null,
+             openingInstallment ? 'Paid' : 'Pending']
+        );
+    }
+
+    return schedule;
+};
+
+// Maturity value of an RD from what has actually been paid. Each installment earns
+// simple interest only for the whole months it is held before maturity, so late
+// payments lose interest; installments not yet due are assumed paid on time and
+// anything past due and unpaid earns nothing.
+const calculateRdMaturity = (deposit, installments, asOf = new Date()) => {
+    const monthlyRate = parseFloat(deposit.interest_rate) / 100 / 12;
+    const maturityDate = formatDate(deposit.maturity_date);
+    const today = formatDate(asOf);
+    let totalDeposited = 0;
+    let totalInterest = 0;
+
+    const earn = (amount, scheduledMonths, paidDate) => {
+        const months = paidDate
+            ? Math.min(scheduledMonths, monthsBetween(paidDate, maturityDate))
+            : scheduledMonths;
+        totalDeposited = roundCurrency(totalDeposited + amount);
+        totalInterest = roundCurrency(totalInterest + roundCurrency(amount * monthlyRate * months));
+    };
+
+    for (const installment of installments) {
+        const scheduledMonths = deposit.tenure_months - installment.installment_number + 1;
+        const paid = parseFloat(installment.amount_paid);
+        const unpaid = roundCurrency(parseFloat(installment.installment_amount) - paid);
+
+        if (paid > 0) {
+            earn(paid, scheduledMonths, installment.paid_date);
+        }
+        if (unpaid > 0 && formatDate(installment.due_date) >= today) {
+            earn(unpaid, scheduledMonths, null);
+        }
+    }
+
+    return {
+        total_deposited: totalDeposited,
+        total_interest: totalInterest,
+        maturity_amount: roundCurrency(totalDeposited + totalInterest)
+    };
+};
+
+// Recompute and store the maturity amount of an RD (inside transaction())
+const recomputeRdMaturity = async (connection, deposit, asOf = new Date()) => {
+    const [installments] = await connection.execute(
+        'SELECT * FROM deposit_installments WHERE deposit_id = ? ORDER BY installment_number',
+        [deposit.deposit_id]
+    );
+
+    const maturity = calculateRdMaturity(deposit, installments, asOf);
+
+    await connection.execute(
+        'UPDATE deposits SET maturity_amount = ?, updated_at = NOW() WHERE deposit_id = ?',
+        [maturity.maturity_amount, deposit.deposit_id]
+    );
+
+    return maturity;
+};
+
+// Lock an active RD and its open installments
+const lockOpenRd = async (connection, depositId) => {
+    const [deposits] = await connection.execute(
+        'SELECT * FROM deposits WHERE deposit_id = ? FOR UPDATE',
+        [depositId]
+    );
+
+    if (!deposits.length || deposits[0].deposit_type !== RD_TYPE) {
+        throw new Error('Recurring deposit not found');
+    }
+
+    const deposit = deposits[0];
+
+    if (deposit.status !== 'Active') {
+        throw new Error('Recurring deposit is not active');
+    }
+
+    const [installments] = await connection.execute(
+        `SELECT * FROM deposit_installments
+         WHERE deposit_id = ? AND status <> 'Paid'
+         ORDER BY installment_number
+         FOR UPDATE`,
+        [depositId]
+    );
+
+    return { deposit, installments };
+};
+
+// Post an RD installment payment: default fees first, then installment amounts,
+// oldest installment first. Payments may run ahead of the schedule but not past its end;
+// anything beyond is refused unless excessToSavings is set (money already received,
+// e.g. a confirmed UPI payment), in which case it is credited to the member's savings.
+const postRdInstallment = async (connection, {
+    depositId, amount, paymentDate = new Date(), paymentMode, referenceNumber = null, processedBy = null,
+    excessToSavings = false
+}) => {
+    const { deposit, installments } = await lockOpenRd(connection, depositId);
+    const paidOn = formatDate(paymentDate);
+
+    if (!installments.length && !excessToSavings) {
+        throw new Error('All installments on this deposit have been paid');
+    }
+
+    let remaining = roundCurrency(amount);
+    let feeComponent = 0;
+    let installmentComponent = 0;
+    const applied = [];
+
+    for (const installment of installments) {
+        if (remaining <= 0) {
+            break;
+        }
+
+        const feeDue = roundCurrency(parseFloat(installment.default_fee) - parseFloat(installment.fee_paid));
+        const fee = Math.min(feeDue, remaining);
+        remaining = roundCurrency(remaining - fee);
+
+        const amountDue = roundCurrency(parseFloat(installment.installment_amount) - parseFloat(installment.amount_paid));
+        const towardsInstallment = Math.min(amountDue, remaining);
+        remaining = roundCurrency(remaining - towardsInstallment);
+
+        const amountPaid = roundCurrency(parseFloat(installment.amount_paid) + towardsInstallment);
+        const feePaid = roundCurrency(parseFloat(installment.fee_paid) + fee);
+        const fullyPaid = amountPaid >= parseFloat(installment.installment_amount) &&
+                          feePaid >= parseFloat(installment.default_fee);
+
+        let status = installment.status === 'Missed' ? 'Missed' : 'Partially Paid';
+        if (fullyPaid) {
+            status = 'Paid';
+        }
+
+        await connection.execute(
+            `UPDATE deposit_installments SET amount_paid = ?, fee_paid = ?, status = ?,
+             paid_date = ?, updated_at = NOW()
+             WHERE installment_id = ?`,
+            [amountPaid, feePaid, status, towardsInstallment > 0 ? paidOn : installment.paid_date,
+             installment.installment_id]
+        );
+
+        feeComponent = roundCurrency(feeComponent + fee);
+        installmentComponent = roundCurrency(installmentComponent + towardsInstallment);
+        applied.push({ installment_number: installment.installment_number, fee, installment: towardsInstallment, status });
+    }
+
+    if (remaining > 0 && !excessToSavings) {
+        throw new Error(`Payment exceeds the amount payable on this deposit by ₹${remaining}`);
+    }
+
+    const balanceAfter = roundCurrency(parseFloat(deposit.current_balance) + installmentComponent);
+
+    await connection.execute(
+        'UPDATE deposits SET current_balance = ?, updated_at = NOW() WHERE deposit_id = ?',
+        [balanceAfter, depositId]
+    );
+
+    let txn = null;
+    if (installmentComponent > 0) {
+        txn = await recordTransaction(connection, {
+            memberId: deposit.member_id,
+            type: 'Deposit',
+            amount: installmentComponent,
+            balanceAfter,
+            referenceType: 'Deposit',
+            referenceId: deposit.deposit_id,
+            description: `RD installment - ${deposit.deposit_number} (${paymentMode})`,
+            processedBy
+        });
+    }
+
+    if (feeComponent > 0) {
+        const feeTxn = await recordTransaction(connection, {
+            memberId: deposit.member_id,
+            type: 'Fee',
+            amount: feeComponent,
+            balanceAfter,
+            referenceType: 'Deposit',
+            referenceId: deposit.deposit_id,
+            description: `RD missed installment fee - ${deposit.deposit_number}`,
+            processedBy
+        });
+        txn = txn || feeTxn;
+    }
+
+    let paymentId = null;
+    if (txn) {
+        const [result] = await connection.execute(
+            `INSERT INTO deposit_installment_payments
+             (deposit_id, member_id, transaction_id, amount, installment_component, fee_component,
+              payment_date, payment_mode, reference_number, processed_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [deposit.deposit_id, deposit.member_id, txn.transaction_id,
+             roundCurrency(installmentComponent + feeComponent),
+             installmentComponent, feeComponent, paidOn, paymentMode, referenceNumber, processedBy]
+        );
+        paymentId = result.insertId;
+    }
+
+    let excessTxn = null;
+    if (remaining > 0) {
+        excessTxn = await recordTransaction(connection, {
+            memberId: deposit.member_id,
+            type: 'Deposit',
+            amount: remaining,
+            balanceAfter: await creditSavings(connection, deposit.member_id, remaining),
+            referenceType: 'Deposit',
+            referenceId: deposit.deposit_id,
+            description: `RD payment in excess of amount payable, credited to savings - ${deposit.deposit_number}`,
+            processedBy
+        });
+    }
+
+    const maturity = await recomputeRdMaturity(connection, deposit, paymentDate);
+
+    return {
+        payment_id: paymentId,
+        deposit_id: deposit.deposit_id,
+        deposit_number: deposit.deposit_number,
+        member_id: deposit.member_id,
+        transaction_number: txn ? txn.transaction_number : null,
+        amount: roundCurrency(installmentComponent + feeComponent),
+        excess_to_savings: remaining,
+        excess_transaction_number: excessTxn ? excessTxn.transaction_number : null,
+        allocation: {
+            fee: feeComponent,
+            installment: installmentComponent
+        },
+        installments: applied,
+        current_balance: balanceAfter,
+        maturity_amount: maturity.maturity_amount
+    };
+};
+
+// Gross interest credited to a deposit so far. TDS on that interest comes out of the
+// deposit balance, so the balance alone understates what has already been paid.
+const getInterestCredited = async (connection, depositId) => {
+    const [[credited]] = await connection.execute(
+        `SELECT COALESCE(SUM(amount), 0) as interest FROM transactions
+         WHERE reference_type = 'Deposit' AND reference_id = ? AND transaction_type = 'Interest Credit'`,
+        [depositId]
+    );
+    return roundCurrency(credited.interest);
+};
+
+// Settle an FD or RD that has reached maturity (inside transaction()). Interest not yet
+// credited is posted to the deposit, less any TDS due, and unpaid RD default fees are
+// recovered from the proceeds. With auto_renewal, or while the deposit secures a loan,
+// the proceeds are renewed as a fixed deposit for the same tenure at the rate in force
+// on the maturity date (the lien and nominees move with them); otherwise they are
+// credited to savings.
+const processMaturity = async (connection, depositId, asOf = new Date()) => {
+    const [deposits] = await connection.execute(
+        'SELECT * FROM deposits WHERE deposit_id = ? FOR UPDATE',
+        [depositId]
+    );
+    const deposit = deposits[0];
+
+    if (!deposit || deposit.status !== 'Active' || !deposit.maturity_date ||
+        formatDate(deposit.maturity_date) > formatDate(asOf)) {
+        throw new Error('Deposit is not due for maturity');
+    }
+
+    const maturedOn = formatDate(deposit.maturity_date);
+    let maturityAmount = roundCurrency(deposit.maturity_amount);
+    let deposited = roundCurrency(deposit.principal_amount);
+    let feesDue = 0;
+
+    if (deposit.deposit_type === RD_TYPE) {
+        const maturity = await recomputeRdMaturity(connection, deposit, maturedOn);
+        maturityAmount = maturity.maturity_amount;
+        deposited = maturity.total_deposited;
+
+        const [[fees]] = await connection.execute(
+            'SELECT COALESCE(SUM(default_fee - fee_paid), 0) as fees_due FROM deposit_installments WHERE deposit_id = ?',
+            [deposit.deposit_id]
+        );
+        feesDue = roundCurrency(fees.fees_due);
+    }
+
+    // Interest still owed is measured against the gross interest credited, not the
+    // balance, so TDS already deducted is not paid out again
+    const interestCredited = await getInterestCredited(connection, deposit.deposit_id);
+    const interestPosted = roundCurrency(Math.max(maturityAmount - deposited - interestCredited, 0));
+    let tdsDeducted = 0;
+
+    if (interestPosted > 0) {
+        const balanceAfterInterest = roundCurrency(parseFloat(deposit.current_balance) + interestPosted);
+        const interestTxn = await recordTransaction(connection, {
+            memberId: deposit.member_id,
+            type: 'Interest Credit',
+            amount: interestPosted,
+            balanceAfter: balanceAfterInterest,
+            referenceType: 'Deposit',
+            referenceId: deposit.deposit_id,
+            description: `Interest on maturity - ${deposit.deposit_number}`
+        });
+
+        const tds = await deductTdsFromDeposit(connection, {
+            deposit,
+            interestAmount: interestPosted,
+            interestTransactionId: interestTxn.transaction_id,
+            balanceAfterInterest,
+            creditedOn: maturedOn
+        });
+        tdsDeducted = tds.tds_amount;
+    }
+
+    const proceeds = roundCurrency(parseFloat(deposit.current_balance) + interestPosted - tdsDeducted - feesDue);
+
+    if (feesDue > 0) {
+        await recordTransaction(connection, {
+            memberId: deposit.member_id,
+            type: 'Fee',
+            amount: feesDue,
+            balanceAfter: proceeds,
+            referenceType: 'Deposit',
+            referenceId: deposit.deposit_id,
+            description: `RD missed installment fees recovered on maturity - ${deposit.deposit_number}`
+        });
+    }
+
+    const lien = await getActiveLien(connection, deposit.deposit_id);
+    const result = {
+        deposit_id: deposit.deposit_id,
+        deposit_number: deposit.deposit_number,
+        deposit_type: deposit.deposit_type,
+        member_id: deposit.member_id,
+        maturity_date: maturedOn,
+        interest_posted: interestPosted,
+        tds_deducted: tdsDeducted,
+        fees_recovered: feesDue,
+        proceeds,
+        lien_loan_number: lien ? lien.loan_number : null,
+        renewed_deposit: null,
+        savings_balance: null
+    };
+
+    if (deposit.auto_renewal || lien) {
+        const tenure = deposit.tenure_months;
+        const { interest_rate } = await getMemberRate(deposit.member_id, 'Deposit', FD_TYPE, tenure, maturedOn);
+        const schedule = buildFdSchedule(proceeds, interest_rate, tenure, maturedOn);
+        const depositNumber = await generateDepositNumber(connection, FD_TYPE);
+
+        const [inserted] = await connection.execute(
+            `INSERT INTO deposits
+             (deposit_number, member_id, deposit_type, principal_amount, interest_rate,
+              tenure_months, maturity_amount, deposit_date, maturity_date, status,
+              auto_renewal, current_balance, renewed_from_deposit_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'Active', ?, ?, ?)`,
+            [depositNumber, deposit.member_id, FD_TYPE, proceeds, interest_rate, tenure,
+             schedule.maturity_amount, maturedOn, schedule.maturity_date,
+             deposit.auto_renewal ? 1 : 0, proceeds, deposit.deposit_id]
+        );
+
+        await connection.execute(
+            `UPDATE deposits SET status = 'Renewed', current_balance = 0, closed_date = ?, updated_at = NOW()
+             WHERE deposit_id = ?`,
+            [maturedOn, deposit.deposit_id]
+        );
+
+        if (lien) {
+            await moveLienToDeposit(connection, lien.lien_id, inserted.insertId);
+        }
+
+        await copyDepositNominees(connection, deposit.deposit_id, inserted.insertId);
+
+        await recordTransaction(connection, {
+            memberId: deposit.member_id,
+            type: 'Transfer',
+            amount: proceeds,
+            balanceAfter: 0,
+            referenceType: 'Deposit',
+            referenceId: deposit.deposit_id,
+            description: `Maturity proceeds of ${deposit.deposit_number} renewed as ${depositNumber}`
+        });
+
+        await recordTransaction(connection, {
+            memberId: deposit.member_id,
+            type: 'Deposit',
+            amount: proceeds,
+            balanceAfter: proceeds,
+            referenceType: 'Deposit',
+            referenceId: inserted.insertId,
+            description: `${FD_TYPE} - Renewal of ${deposit.deposit_number}`
+        });
+
+        result.status = 'Renewed';
+        result.renewed_deposit = {
+            deposit_id: inserted.insertId,
+            deposit_number: depositNumber,
+            interest_rate,
+            tenure_months: tenure,
+            maturity_amount: schedule.maturity_amount,
+            maturity_date: schedule.maturity_date
+        };
+        return result;
+    }
+
+    await connection.execute(
+        `UPDATE deposits SET status = 'Matured', current_balance = 0, closed_date = ?, updated_at = NOW()
+         WHERE deposit_id = ?`,
+        [maturedOn, deposit.deposit_id]
+    );
+
+    const savingsBalance = await creditSavings(connection, deposit.member_id, proceeds);
+
+    await recordTransaction(connection, {
+        memberId: deposit.member_id,
+        type: 'Transfer',
+        amount: proceeds,
+        balanceAfter: savingsBalance,
+        referenceType: 'Deposit',
+        referenceId: deposit.deposit_id,
+        description: `Maturity proceeds of ${deposit.deposit_number} credited to savings`
+    });
+
+    result.status = 'Matured';
+    result.savings_balance = savingsBalance;
+    return result;
+};
+
+// Rate a term deposit would have earned for the period actually held: the slab in force
+// when it was opened, capped at the contracted rate. Deposits opened before any slab was
+// configured (or held for a period no slab covers) keep the contracted rate.
+const getRateForPeriodHeld = async (deposit, monthsHeld) => {
+    const contractedRate = parseFloat(deposit.interest_rate);
+
+    try {
+        const { interest_rate } = await getMemberRate(
+            deposit.member_id, 'Deposit', deposit.deposit_type, monthsHeld, deposit.deposit_date
+        );
+        return Math.min(interest_rate, contractedRate);
+    } catch (error) {
+        if (error.message.startsWith('No interest rate configured')) {
+            return contractedRate;
+        }
+        throw error;
+    }
+};
+
+// Work out a premature closure settlement. A term deposit earns interest only at the
+// rate that was in force on its opening date for the period actually held (never more
+// than its contracted rate), less the premature closure penalty. Interest already
+// credited beyond that is recovered, and TDS and unpaid RD default fees are deducted.
+const calculatePrematureClosure = async (connection, deposit, asOf, penaltyRate) => {
+    const closureDate = formatDate(asOf);
+    const currentBalance = roundCurrency(deposit.current_balance);
+    const termDeposit = [FD_TYPE, RD_TYPE].includes(deposit.deposit_type) && deposit.tenure_months;
+    const monthsHeld = monthsBetween(deposit.deposit_date, closureDate);
+
+    let deposited = roundCurrency(deposit.principal_amount);
+    let installments = [];
+    let feesDue = 0;
+
+    if (deposit.deposit_type === RD_TYPE) {
+        [installments] = await connection.execute(
+            'SELECT * FROM deposit_installments WHERE deposit_id = ? ORDER BY installment_number',
+            [deposit.deposit_id]
+        );
+        deposited = roundCurrency(installments.reduce((sum, row) => sum + parseFloat(row.amount_paid), 0));
+        feesDue = roundCurrency(installments.reduce((sum, row) =>
+            sum + parseFloat(row.default_fee) - parseFloat(row.fee_paid), 0));
+    }
+
+    const interestCredited = await getInterestCredited(connection, deposit.deposit_id);
+    let rateForPeriodHeld = null;
+    let effectiveRate = null;
+    let interestEarned = interestCredited;
+
+    // Savings and current accounts have no term, so there is nothing to recompute
+    if (termDeposit) {
+        rateForPeriodHeld = await getRateForPeriodHeld(deposit, monthsHeld);
+        effectiveRate = Math.max(roundCurrency(rateForPeriodHeld - penaltyRate), 0);
+
+        if (deposit.deposit_type === FD_TYPE) {
+            interestEarned = monthsHeld > 0
+                ? buildFdSchedule(deposited, effectiveRate, monthsHeld, deposit.deposit_date).total_interest
+                : 0;
+        } else {
+            interestEarned = roundCurrency(installments.reduce((sum, row) => {
+                const paid = parseFloat(row.amount_paid);
+                if (paid <= 0 || !row.paid_date) {
+                    return sum;
+                }
+                return sum + roundCurrency(paid * effectiveRate / 100 / 12 * monthsBetween(row.paid_date, closureDate));
+            }, 0));
+        }
+    }
+
+    const excessInterest = roundCurrency(Math.max(interestCredited - interestEarned, 0));
+    const interestPayable = roundCurrency(Math.max(interestEarned - interestCredited, 0));
+    const interestSettled = roundCurrency(interestPayable - excessInterest);
+    const tds = interestSettled !== 0
+        ? await calculateTds(connection, deposit.member_id, interestSettled, closureDate)
+        : null;
+    const tdsDeducted = tds ? tds.tds_amount : 0;
+
+    return {
+        deposit_id: deposit.deposit_id,
+        deposit_number: deposit.deposit_number,
+        deposit_type: deposit.deposit_type,
+        member_id: deposit.member_id,
+        deposit_date: formatDate(deposit.deposit_date),
+        closure_date: closureDate,
+        months_held: monthsHeld,
+        contracted_rate: parseFloat(deposit.interest_rate),
+        rate_for_period_held: rateForPeriodHeld,
+        penalty_rate: termDeposit ? penaltyRate : 0,
+        effective_rate: effectiveRate,
+        amount_deposited: deposited,
+        interest_earned: interestEarned,
+        interest_already_credited: interestCredited,
+        excess_interest_recovered: excessInterest,
+        interest_payable: interestPayable,
+        interest_settled: interestSettled,
+        tds,
+        tds_deducted: tdsDeducted,
+        fees_recovered: feesDue,
+        payout_amount: roundCurrency(Math.max(currentBalance - excessInterest + interestPayable - tdsDeducted - feesDue, 0))
+    };
+};
+
+// Quote what a member would receive on closing a deposit early
+const getPrematureClosureQuote = async (connection, depositId, asOf, penaltyRate) => {
+    const [deposits] = await connection.execute('SELECT * FROM deposits WHERE deposit_id = ?', [depositId]);
+
+    if (!deposits.length) {
+        throw new Error('Deposit not found');
+    }
+
+    if (deposits[0].status !== 'Active') {
+        throw new Error('Deposit is not active');
+    }
+
+    return await calculatePrematureClosure(connection, deposits[0], asOf, penaltyRate);
+};
+
+// Close a deposit before maturity and credit the settlement to the member's savings.
+// The whole breakdown goes into the payout transaction's description.
+const closeDepositPrematurely = async (connection, {
+    depositId, penaltyRate, closureDate = new Date(), closureReason, processedBy = null
+}) => {
+    const [deposits] = await connection.execute(
+        'SELECT * FROM deposits WHERE deposit_id = ? FOR UPDATE',
+        [depositId]
+    );
+
+    if (!deposits.length || deposits[0].status !== 'Active') {
+        throw new Error('Deposit not found or not active');
+    }
+
+    const deposit = deposits[0];
+
+    // A deposit pledged against an open loan stays locked until the loan is closed
+    const lien = await getActiveLien(connection, depositId);
+    if (lien) {
+        throw new Error(`Deposit is under lien against loan ${lien.loan_number} and cannot be closed`);
+    }
+
+    const settlement = await calculatePrematureClosure(connection, deposit, closureDate, penaltyRate);
+
+    await connection.execute(
+        `UPDATE deposits SET status = 'Premature Closure', current_balance = 0, closed_date = ?, updated_at = NOW()
+         WHERE deposit_id = ?`,
+        [settlement.closure_date, depositId]
+    );
+
+    const savingsBalance = await creditSavings(connection, deposit.member_id, settlement.payout_amount);
+
+    const rateNote = settlement.effective_rate !== null
+        ? `interest at ${settlement.effective_rate}% (${settlement.rate_for_period_held}% less ${settlement.penalty_rate}% penalty) ` +
+          `for ${settlement.months_held} months ₹${settlement.interest_earned}, `
+        : '';
+    const txn = await recordTransaction(connection, {
+        memberId: deposit.member_id,
+        type: 'Transfer',
+        amount: settlement.payout_amount,
+        balanceAfter: savingsBalance,
+        referenceType: 'Deposit',
+        referenceId: deposit.deposit_id,
+        description: `Premature closure of ${deposit.deposit_number} - deposited ₹${settlement.amount_deposited}, ` +
+                     rateNote +
+                     `interest already credited ₹${settlement.interest_already_credited}, ` +
+                     `excess interest recovered ₹${settlement.excess_interest_recovered}, ` +
+                     `TDS ₹${settlement.tds_deducted}, ` +
+                     `fees ₹${settlement.fees_recovered}, paid to savings ₹${settlement.payout_amount} (${closureReason})`,
+        processedBy
+    });
+
+    // Excess interest recovered goes on the TDS ledger as negative interest so the
+    // year's total reflects what was actually earned
+    if (settlement.interest_settled !== 0) {
+        await recordTds(connection, {
+            memberId: deposit.member_id,
+            depositId: deposit.deposit_id,
+            depositNumber: deposit.deposit_number,
+            tds: settlement.tds,
+            balanceAfter: 0,
+            creditedOn: settlement.closure_date,
+            processedBy
+        });
+    }
+
+    return {
+        ...settlement,
+        closure_reason: closureReason,
+        transaction_number: txn.transaction_number,
+        savings_balance: savingsBalance
+    };
+};
+
+module.exports = {
+    FD_TYPE,
+    RD_TYPE,
+    generateDepositNumber,
+    createRdInstallments,
+    calculateRdMaturity,
+    recomputeRdMaturity,
+    postRdInstallment,
+    processMaturity,
+    getPrematureClosureQuote,
+    closeDepositPrematurely
+};
@@ -0,0 +1,243 @@
+jest.mock('../config/database', () => ({
+    executeQuery: jest.fn(),
+    getOne: jest.fn(),
+    transaction: jest.fn()
+}));
+jest.mock('../utils/transactions', () => ({
+    recordTransaction: jest.fn()
+}));
+jest.mock('./savings', () => ({
+    creditSavings: jest.fn()
+}));
+jest.mock('./interestRates', () => ({
+    getMemberRate: jest.fn()
+}));
+jest.mock('./tds', () => ({
+    calculateTds: jest.fn(),
+    recordTds: jest.fn(),
+    deductTdsFromDeposit: jest.fn()
+}));
+
+const { recordTransaction } = require('../utils/transactions');
+const { creditSavings } = require('./savings');
+const { getMemberRate } = require('./interestRates');
+const { calculateTds, deductTdsFromDeposit } = require('./tds');
+const {
+    calculateRdMaturity, postRdInstallment, processMaturity, getPrematureClosureQuote
+} = require('./depositLedger');
+
+const rd = {
+    deposit_id: 4,
+    deposit_number: 'RD004',
+    member_id: 1,
+    deposit_type: 'Recurring Deposit',
+    status: 'Active',
+    interest_rate: '12.00',
+    tenure_months: 12,
+    current_balance: '1000.00',
+    maturity_date: '2026-04-10'
+};
+
+const installment = (number, dueDate, { paid = 0, paidDate = null, fee = 0 } = {}) => ({
+    installment_id: number,
+    installment_number: number,
+    due_date: dueDate,
+    installment_amount: '1000.00',
+    amount_paid: String(paid),
+    paid_date: paidDate,
+    default_fee: String(fee),
+    fee_paid: '0',
+    status: paid >= 1000 ? 'Paid' : 'Pending'
+});
+
+describe('calculateRdMaturity', () => {
+    test('an installment paid on time earns interest for its full term', () => {
+        const result = calculateRdMaturity(rd, [installment(1, '2025-04-10', { paid: 1000, paidDate: '2025-04-10' })], '2025-04-10');
+
+        expect(result).toEqual({ total_deposited: 1000, total_interest: 120, maturity_amount: 1120 });
+    });
+
+    test('a late payment earns only the whole months it is held', () => {
+        // Due for 11 months, paid on 15 June: 9 whole months to 10 April
+        const result = calculateRdMaturity(rd, [installment(2, '2025-05-10', { paid: 1000, paidDate: '2025-06-15' })], '2025-07-01');
+
+        expect(result.total_interest).toBe(90);
+    });
+
+    test('installments not yet due are assumed paid on time; missed ones earn nothing', () => {
+        const result = calculateRdMaturity(rd, [
+            installment(3, '2025-06-10'),
+            installment(4, '2025-07-10')
+        ], '2025-07-01');
+
+        expect(result).toEqual({ total_deposited: 1000, total_interest: 90, maturity_amount: 1090 });
+    });
+
+    test('counts the paid part of a partly paid installment', () => {
+        const result = calculateRdMaturity(rd, [
+            installment(4, '2025-07-10', { paid: 400, paidDate: '2025-07-10' })
+        ], '2025-07-01');
+
+        // 400 paid on time plus the 600 still to come, both for 9 months
+        expect(result).toEqual({ total_deposited: 1000, total_interest: 90, maturity_amount: 1090 });
+    });
+});
+
+describe('postRdInstallment', () => {
+    const fakeConnection = () => ({
+        execute: jest.fn(async (sql) => {
+            if (sql.includes('FROM deposits')) {
+                return [[{ ...rd }]];
+            }
+            if (sql.includes('FROM deposit_installments') && sql.includes('FOR UPDATE')) {
+                return [[installment(12, '2026-03-10', { fee: 50 })]];
+            }
+            if (sql.includes('FROM deposit_installments')) {
+                return [[]];
+            }
+            if (sql.startsWith('INSERT')) {
+                return [{ insertId: 8 }];
+            }
+            return [{}];
+        })
+    });
+
+    const pay = (connection, options) => postRdInstallment(connection, {
+        depositId: 4,
+        amount: 1200,
+        paymentDate: '2026-03-12',
+        paymentMode: 'UPI',
+        ...options
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        creditSavings.mockResolvedValue(650);
+        recordTransaction.mockImplementation(async (connection, { type, amount }) => ({
+            transaction_id: amount,
+            transaction_number: `TXN-${type}`
+        }));
+    });
+
+    test('refuses a payment past the end of the schedule by default', async () => {
+        await expect(pay(fakeConnection())).rejects.toThrow('Payment exceeds the amount payable on this deposit by ₹150');
+    });
+
+    test('credits an overpayment already received to savings', async () => {
+        const connection = fakeConnection();
+        const result = await pay(connection, { excessToSavings: true });
+
+        expect(result.allocation).toEqual({ fee: 50, installment: 1000 });
+        expect(result.amount).toBe(1050);
+        expect(result.excess_to_savings).toBe(150);
+        expect(creditSavings).toHaveBeenCalledWith(connection, 1, 150);
+        expect(result.excess_transaction_number).toBe('TXN-Deposit');
+    });
+});
+
+describe('getPrematureClosureQuote', () => {
+    const fd = {
+        deposit_id: 6,
+        deposit_number: 'FD006',
+        member_id: 1,
+        deposit_type: 'Fixed Deposit',
+        status: 'Active',
+        principal_amount: '100000.00',
+        current_balance: '100000.00',
+        interest_rate: '7.50',
+        tenure_months: 24,
+        deposit_date: '2024-04-01'
+    };
+    const connection = {
+        execute: jest.fn(async (sql) => (sql.includes('FROM transactions') ? [[{ interest: '0.00' }]] : [[fd]]))
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        calculateTds.mockResolvedValue({ tds_amount: 0 });
+    });
+
+    test('uses the slab in force at opening when it is below the contracted rate', async () => {
+        getMemberRate.mockResolvedValue({ interest_rate: 7 });
+
+        const quote = await getPrematureClosureQuote(connection, 6, '2025-04-01', 1);
+
+        expect(getMemberRate).toHaveBeenCalledWith(1, 'Deposit', 'Fixed Deposit', 12, '2024-04-01');
+        expect(quote.rate_for_period_held).toBe(7);
+        expect(quote.effective_rate).toBe(6);
+    });
+
+    test('keeps the contracted rate for a deposit opened before any slab was configured', async () => {
+        getMemberRate.mockRejectedValue(new Error('No interest rate configured for Fixed Deposit (12 months)'));
+
+        const quote = await getPrematureClosureQuote(connection, 6, '2025-04-01', 1);
+
+        expect(quote.rate_for_period_held).toBe(7.5);
+        expect(quote.effective_rate).toBe(6.5);
+        expect(quote.interest_earned).toBeGreaterThan(0);
+    });
+
+    test('still fails on other errors', async () => {
+        getMemberRate.mockRejectedValue(new Error('Member not found'));
+
+        await expect(getPrematureClosureQuote(connection, 6, '2025-04-01', 1)).rejects.toThrow('Member not found');
+    });
+});
+
+describe('interest already credited net of TDS', () => {
+    // FD of 1,00,000 that has been credited 10,000 of interest, 1,000 of it taken as TDS
+    const fd = {
+        deposit_id: 7,
+        deposit_number: 'FD007',
+        member_id: 1,
+        deposit_type: 'Fixed Deposit',
+        status: 'Active',
+        principal_amount: '100000.00',
+        current_balance: '109000.00',
+        maturity_amount: '115000.00',
+        interest_rate: '7.00',
+        tenure_months: 24,
+        deposit_date: '2023-04-01',
+        maturity_date: '2025-04-01',
+        auto_renewal: 0
+    };
+    const connection = {
+        execute: jest.fn(async (sql) => {
+            if (sql.includes('FROM transactions')) {
+                return [[{ interest: '10000.00' }]];
+            }
+            if (sql.includes('FROM deposits')) {
+                return [[{ ...fd }]];
+            }
+            return [[]];
+        })
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        recordTransaction.mockResolvedValue({ transaction_id: 30, transaction_number: 'TXN030' });
+        deductTdsFromDeposit.mockResolvedValue({ tds_amount: 500 });
+        calculateTds.mockResolvedValue({ tds_amount: 0 });
+        creditSavings.mockResolvedValue(120000);
+    });
+
+    test('maturity pays only the interest not yet credited', async () => {
+        const result = await processMaturity(connection, 7, '2025-04-01');
+
+        expect(result.interest_posted).toBe(5000);
+        expect(deductTdsFromDeposit).toHaveBeenCalledWith(connection, expect.objectContaining({ interestAmount: 5000 }));
+        expect(result.proceeds).toBe(113500);
+    });
+
+    test('premature closure recovers excess against the gross interest credited', async () => {
+        getMemberRate.mockResolvedValue({ interest_rate: 7 });
+
+        const quote = await getPrematureClosureQuote(connection, 7, '2024-04-01', 1);
+
+        expect(quote.interest_already_credited).toBe(10000);
+        // One year at 6% compounded monthly is 6,167.78; the rest is recovered
+        expect(quote.interest_earned).toBe(6167.78);
+        expect(quote.excess_interest_recovered).toBe(3832.22);
+        expect(quote.payout_amount).toBe(105167.78);
+    });
+});
@@ -0,0 +1,166 @@
+// Deposit lien service for Kafal Cooperative Society
+// Loans secured by a member's fixed deposits: eligibility, marking and releasing liens
+
+const { getOne, executeQuery } = require('../config/database');
+const { getNumericSettings } = require('../utils/settings');
+const { roundCurrency } = require('../utils/finance');
+
+const DEPOSIT_LOAN_TYPE = 'Loan Against Deposit';
+
+// Read loan-against-deposit rules from system_settings
+const getDepositLoanSettings = async () => {
+    const settings = await getNumericSettings({
+        loan_against_deposit_ratio: 90,
+        loan_against_deposit_rate_margin: 2.0
+    });
+
+    return {
+        max_ratio: settings.loan_against_deposit_ratio,
+        rate_margin: settings.loan_against_deposit_rate_margin
+    };
+};
+
+// Check a member may borrow against the given fixed deposits, and how much.
+// Each deposit must be the member's own Active FD and not already under lien.
+// Given a transaction() connection, the deposits are locked in id order so the
+// check can be repeated just before the liens are marked: two applications
+// pledging the same FD then queue on the lock and the second one sees the lien.
+const checkDepositLoanEligibility = async (memberId, depositIds, requestedAmount = null, connection = null) => {
+    const settings = await getDepositLoanSettings();
+    const reasons = [];
+    const uniqueIds = [...new Set(depositIds.map(id => parseInt(id)))].sort((a, b) => a - b);
+
+    const member = await getOne('SELECT member_id, status FROM members WHERE member_id = ?', [memberId]);
+
+    if (!member) {
+        throw new Error('Member not found');
+    }
+
+    if (String(member.status).toLowerCase() !== 'active') {
+        reasons.push('Membership is not active');
+    }
+
+    if (!uniqueIds.length) {
+        reasons.push('Select at least one fixed deposit to pledge');
+    }
+
+    const depositSql = `SELECT d.deposit_id, d.deposit_number, d.member_id, d.deposit_type, d.status,
+             d.current_balance, d.interest_rate, d.maturity_date, l.loan_id as lien_loan_id
+             FROM deposits d
+             LEFT JOIN deposit_liens l ON l.deposit_id = d.deposit_id AND l.status = 'Active'
+             WHERE d.deposit_id = ?`;
+
+    const deposits = [];
+    for (const depositId of uniqueIds) {
+        const deposit = connection
+            ? (await connection.execute(`${depositSql} FOR UPDATE`, [depositId]))[0][0]
+            : await getOne(depositSql, [depositId]);
+
+        if (!deposit || deposit.member_id !== memberId) {
+            reasons.push(`Deposit ${depositId} not found`);
+        } else if (deposit.deposit_type !== 'Fixed Deposit' || deposit.status !== 'Active') {
+            reasons.push(`${deposit.deposit_number} is not an active fixed deposit`);
+        } else if (deposit.lien_loan_id) {
+            reasons.push(`${deposit.deposit_number} is already pledged against another loan`);
+        } else {
+            deposits.push(deposit);
+        }
+    }
+
+    const pledgedValue = roundCurrency(deposits.reduce((sum, deposit) => sum + parseFloat(deposit.current_balance), 0));
+    const maxEligibleAmount = roundCurrency(pledgedValue * settings.max_ratio / 100);
+
+    if (requestedAmount !== null && !reasons.length && requestedAmount > maxEligibleAmount) {
+        reasons.push(`Requested amount exceeds ${settings.max_ratio}% of the pledged deposits (₹${maxEligibleAmount})`);
+    }
+
+    // Rate is a margin over the best rate earned on the pledged deposits
+    const depositRate = deposits.reduce((max, deposit) => Math.max(max, parseFloat(deposit.interest_rate)), 0);
+
+    return {
+        eligible: reasons.length === 0,
+        requested_amount: requestedAmount,
+        max_eligible_amount: maxEligibleAmount,
+        pledged_value: pledgedValue,
+        max_ratio: settings.max_ratio,
+        interest_rate: roundCurrency(depositRate + settings.rate_margin),
+        deposits,
+        reasons
+    };
+};
+
+// Mark a lien on each pledged deposit for a loan (inside transaction(), after
+// checkDepositLoanEligibility has locked the deposits on the same connection)
+const markLiens = async (connection, loanId, deposits) => {
+    for (const deposit of deposits) {
+        await connection.execute(
+            `INSERT INTO deposit_liens (deposit_id, loan_id, lien_amount, status)
+             VALUES (?, ?, ?, 'Active')`,
+            [deposit.deposit_id, loanId, deposit.current_balance]
+        );
+    }
+};
+
+// Move active liens to a loan that replaces the one they secured (restructure)
+const transferLiens = async (connection, fromLoanId, toLoanId) => {
+    await connection.execute(
+        `UPDATE deposit_liens SET loan_id = ?, updated_at = NOW()
+         WHERE loan_id = ? AND status = 'Active'`,
+        [toLoanId, fromLoanId]
+    );
+};
+
+// Move an active lien to the deposit that renews the pledged one on maturity
+const moveLienToDeposit = async (connection, lienId, toDepositId) => {
+    await connection.execute(
+        'UPDATE deposit_liens SET deposit_id = ?, updated_at = NOW() WHERE lien_id = ?',
+        [toDepositId, lienId]
+    );
+};
+
+// Release every active lien held for a loan (loan completed or rejected)
+const releaseLiens = async (connection, loanId) => {
+    await connection.execute(
+        `UPDATE deposit_liens SET status = 'Released', released_at = NOW(), updated_at = NOW()
+         WHERE loan_id = ? AND status = 'Active'`,
+        [loanId]
+    );
+};
+
+// Active lien on a deposit with the loan it secures, or null
+const getActiveLien = async (connection, depositId) => {
+    const [liens] = await connection.execute(
+        `SELECT dl.lien_id, dl.loan_id, dl.lien_amount, l.loan_number, l.status as loan_status
+         FROM deposit_liens dl
+         JOIN loans l ON dl.loan_id = l.loan_id
+         WHERE dl.deposit_id = ? AND dl.status = 'Active'`,
+        [depositId]
+    );
+
+    return liens[0] || null;
+};
+
+// Deposits pledged against a loan
+const getLoanLiens = async (loanId) => {
+    return await executeQuery(
+        `SELECT dl.lien_id, dl.deposit_id, d.deposit_number, d.current_balance, d.maturity_date,
+         dl.lien_amount, dl.status, dl.created_at, dl.released_at
+         FROM deposit_liens dl
+         JOIN deposits d ON dl.deposit_id = d.deposit_id
+         WHERE dl.loan_id = ?
+         ORDER BY dl.lien_id`,
+        [loanId]
+    );
+};
+
+module.exports = {
+    DEPOSIT_LOAN_TYPE,
+    getDepositLoanSettings,
+    checkDepositLoanEligibility,
+    markLiens,
+    transferLiens,
+    moveLienToDeposit,
+    releaseLiens,
+    getActiveLien,
+    getLoanLiens
+};
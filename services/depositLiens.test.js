@@ -0,0 +1,65 @@
+jest.mock('../config/database', () => ({
+    executeQuery: jest.fn(),
+    getOne: jest.fn(),
+    transaction: jest.fn()
+}));
+jest.mock('../utils/settings', () => ({
+    getNumericSettings: jest.fn()
+}));
+
+const { getOne } = require('../config/database');
+const { getNumericSettings } = require('../utils/settings');
+const { checkDepositLoanEligibility } = require('./depositLiens');
+
+const fd = (depositId, overrides = {}) => ({
+    deposit_id: depositId,
+    deposit_number: `FD00${depositId}`,
+    member_id: 1,
+    deposit_type: 'Fixed Deposit',
+    status: 'Active',
+    current_balance: '50000.00',
+    interest_rate: '7.50',
+    lien_loan_id: null,
+    ...overrides
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    getNumericSettings.mockResolvedValue({ loan_against_deposit_ratio: 90, loan_against_deposit_rate_margin: 2 });
+    getOne.mockResolvedValue({ member_id: 1, status: 'active' });
+});
+
+describe('checkDepositLoanEligibility', () => {
+    test('lends up to the pledge ratio at a margin over the deposit rate', async () => {
+        getOne.mockResolvedValueOnce({ member_id: 1, status: 'active' }).mockResolvedValueOnce(fd(3));
+
+        const result = await checkDepositLoanEligibility(1, ['3'], 40000);
+
+        expect(result.eligible).toBe(true);
+        expect(result.max_eligible_amount).toBe(45000);
+        expect(result.interest_rate).toBe(9.5);
+    });
+
+    test('locks the deposits in id order when given a connection', async () => {
+        const connection = {
+            execute: jest.fn(async (sql, [depositId]) => [[fd(depositId)]])
+        };
+
+        await checkDepositLoanEligibility(1, [7, 3, 7], 40000, connection);
+
+        expect(connection.execute.mock.calls.map(([sql, params]) => [/FOR UPDATE$/.test(sql), params[0]]))
+            .toEqual([[true, 3], [true, 7]]);
+        expect(getOne).toHaveBeenCalledTimes(1);
+    });
+
+    test('refuses a deposit already pledged against another loan', async () => {
+        const connection = {
+            execute: jest.fn(async () => [[fd(3, { lien_loan_id: 12 })]])
+        };
+
+        const result = await checkDepositLoanEligibility(1, [3], 40000, connection);
+
+        expect(result.eligible).toBe(false);
+        expect(result.reasons).toEqual(['FD003 is already pledged against another loan']);
+    });
+});
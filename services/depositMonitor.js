@@ -0,0 +1,178 @@
+// Deposit monitoring service for Kafal Cooperative Society
+// Detects missed recurring deposit installments, charges the default fee and recomputes maturity,
+// and pays out or renews deposits that have reached maturity
+
+const { executeQuery, transaction } = require('../config/database');
+const { getNumericSetting } = require('../utils/settings');
+const { roundCurrency, formatDate } = require('../utils/finance');
+const { FD_TYPE, RD_TYPE, recomputeRdMaturity, processMaturity } = require('./depositLedger');
+
+class DepositMonitorService {
+    constructor(realtimeService) {
+        this.realtime = realtimeService;
+    }
+
+    // Run the missed installment check for every active RD as of the given date
+    async runMissedInstallmentCheck(asOf = new Date()) {
+        const feePer100 = await getNumericSetting('rd_missed_installment_fee', 1.5);
+        const deposits = await executeQuery(
+            `SELECT DISTINCT d.deposit_id FROM deposits d
+             JOIN deposit_installments di ON di.deposit_id = d.deposit_id
+             WHERE d.deposit_type = ? AND d.status = 'Active'
+             AND di.status IN ('Pending', 'Partially Paid') AND di.due_date < ?`,
+            [RD_TYPE, formatDate(asOf)]
+        );
+
+        const summary = { checked: 0, missed: 0, fees_charged: 0 };
+
+        for (const { deposit_id } of deposits) {
+            try {
+                const result = await this.checkDeposit(deposit_id, asOf, feePer100);
+                summary.checked += 1;
+                summary.missed += result.missed_installments;
+                summary.fees_charged = roundCurrency(summary.fees_charged + result.fee_charged);
+                this.notifyMissedInstallments(result);
+            } catch (error) {
+                console.error(`Missed installment check failed for deposit ${deposit_id}:`, error);
+            }
+        }
+
+        return summary;
+    }
+
+    // Mark past-due installments of one RD as missed and charge the default fee on the unpaid amount
+    async checkDeposit(depositId, asOf, feePer100) {
+        const today = formatDate(asOf);
+
+        return await transaction(async (connection) => {
+            const [deposits] = await connection.execute(
+                'SELECT * FROM deposits WHERE deposit_id = ? FOR UPDATE',
+                [depositId]
+            );
+            const deposit = deposits[0];
+
+            const [missedInstallments] = await connection.execute(
+                `SELECT * FROM deposit_installments
+                 WHERE deposit_id = ? AND status IN ('Pending', 'Partially Paid') AND due_date < ?
+                 ORDER BY installment_number
+                 FOR UPDATE`,
+                [depositId, today]
+            );
+
+            let feeCharged = 0;
+            let unpaidAmount = 0;
+
+            for (const installment of missedInstallments) {
+                const unpaid = roundCurrency(parseFloat(installment.installment_amount) - parseFloat(installment.amount_paid));
+                const fee = roundCurrency(unpaid * feePer100 / 100);
+
+                await connection.execute(
+                    `UPDATE deposit_installments SET status = 'Missed', default_fee = default_fee + ?, updated_at = NOW()
+                     WHERE installment_id = ?`,
+                    [fee, installment.installment_id]
+                );
+
+                feeCharged = roundCurrency(feeCharged + fee);
+                unpaidAmount = roundCurrency(unpaidAmount + unpaid);
+            }
+
+            const maturity = await recomputeRdMaturity(connection, deposit, asOf);
+
+            return {
+                deposit_id: deposit.deposit_id,
+                deposit_number: deposit.deposit_number,
+                member_id: deposit.member_id,
+                missed_installments: missedInstallments.length,
+                unpaid_amount: unpaidAmount,
+                fee_charged: feeCharged,
+                maturity_amount: maturity.maturity_amount
+            };
+        });
+    }
+
+    // Pay out or renew every FD and RD whose maturity date has arrived
+    async runMaturityProcessing(asOf = new Date()) {
+        const deposits = await executeQuery(
+            `SELECT deposit_id FROM deposits
+             WHERE deposit_type IN (?, ?) AND status = 'Active'
+             AND maturity_date IS NOT NULL AND maturity_date <= ?
+             ORDER BY maturity_date, deposit_id`,
+            [FD_TYPE, RD_TYPE, formatDate(asOf)]
+        );
+
+        const summary = { processed: 0, matured: 0, renewed: 0, paid_out: 0 };
+
+        for (const { deposit_id } of deposits) {
+            try {
+                const result = await transaction(async (connection) => {
+                    return await processMaturity(connection, deposit_id, asOf);
+                });
+                summary.processed += 1;
+                if (result.status === 'Renewed') {
+                    summary.renewed += 1;
+                } else {
+                    summary.matured += 1;
+                    summary.paid_out = roundCurrency(summary.paid_out + result.proceeds);
+                }
+                this.notifyMaturity(result);
+            } catch (error) {
+                console.error(`Maturity processing failed for deposit ${deposit_id}:`, error);
+            }
+        }
+
+        return summary;
+    }
+
+    // Tell the member about the interest posted and where the proceeds went
+    notifyMaturity(result) {
+        if (!this.realtime) {
+            return;
+        }
+
+        if (result.interest_posted > 0) {
+            this.realtime.handleInterestCredit({
+                member_id: result.member_id,
+                deposit_id: result.deposit_id,
+                deposit_type: result.deposit_type,
+                interest_amount: result.interest_posted
+            });
+        }
+
+        if (result.status === 'Renewed') {
+            const renewed = result.renewed_deposit;
+            this.realtime.notifyMember(result.member_id, 'DEPOSIT_RENEWED', {
+                message: `${result.deposit_number} matured and ₹${result.proceeds} was renewed as ${renewed.deposit_number} ` +
+                         `at ${renewed.interest_rate}% until ${renewed.maturity_date}` +
+                         (result.lien_loan_number ? ` (still pledged against loan ${result.lien_loan_number})` : ''),
+                depositId: result.deposit_id,
+                renewedDepositId: renewed.deposit_id,
+                amount: result.proceeds
+            });
+        } else {
+            this.realtime.notifyMember(result.member_id, 'DEPOSIT_MATURED', {
+                message: `${result.deposit_number} matured and ₹${result.proceeds} was credited to your savings`,
+                depositId: result.deposit_id,
+                amount: result.proceeds,
+                balance: result.savings_balance
+            });
+        }
+    }
+
+    // Tell the member what they owe and how their maturity amount has changed
+    notifyMissedInstallments(result) {
+        if (!this.realtime || !result.missed_installments) {
+            return;
+        }
+
+        this.realtime.notifyMember(result.member_id, 'RD_INSTALLMENT_MISSED', {
+            message: `Installment of ₹${result.unpaid_amount} on ${result.deposit_number} was missed. ` +
+                     `A default fee of ₹${result.fee_charged} applies and the maturity amount is now ₹${result.maturity_amount}`,
+            depositId: result.deposit_id,
+            unpaidAmount: result.unpaid_amount,
+            feeCharged: result.fee_charged,
+            maturityAmount: result.maturity_amount
+        });
+    }
+}
+
+module.exports = DepositMonitorService;
@@ -0,0 +1,334 @@
+// Dividend on share capital for Kafal Cooperative Society
+// Computes each member's dividend for a financial year from the share register, previews it,
+// and credits it to savings in a resumable run. Dividends of members who are no longer
+// active are held as unclaimed until they are paid out separately.
+
+const { executeQuery, getOne, transaction } = require('../config/database');
+const { recordTransaction } = require('../utils/transactions');
+const { roundCurrency, formatDate, daysBetween, nextDay, getFinancialYear } = require('../utils/finance');
+const { creditSavings, lockSavingsBalance } = require('./savings');
+const { claimRun, postPendingItems } = require('./batchRuns');
+
+const UNCLAIMED_PAYOUT_MODES = ['Savings', 'Cash'];
+
+// Financial year label (2025-26) to its first and last day, or null if the label is not a real year
+const getYearPeriod = (financialYear) => {
+    const year = getFinancialYear(`${financialYear.substring(0, 4)}-04-01`);
+
+    if (year.label !== financialYear) {
+        return null;
+    }
+
+    return {
+        start: year.start_date,
+        end: year.end_date,
+        days: daysBetween(year.start_date, year.end_date) + 1
+    };
+};
+
+const isActiveMember = (member) => String(member.status).toLowerCase() === 'active';
+
+// Each member's dividend for the year. Without pro-rating the basis is the share capital
+// held on the last day of the year; with pro-rating every certificate earns for the days
+// it was held during the year (a certificate closed on a day stops earning that day).
+const buildDividendItems = async (financialYear, dividendRate, proRated) => {
+    const period = getYearPeriod(financialYear);
+    const yearEndExclusive = nextDay(period.end);
+
+    const certificates = await executeQuery(
+        `SELECT c.member_id, c.amount, c.issue_date, c.closed_date,
+         m.account_number, m.first_name, m.last_name, m.status as member_status
+         FROM share_certificates c
+         JOIN members m ON c.member_id = m.member_id
+         WHERE c.issue_date <= ? AND (c.closed_date IS NULL OR c.closed_date > ?)
+         ORDER BY c.member_id, c.certificate_id`,
+        [period.end, period.start]
+    );
+
+    const members = new Map();
+
+    for (const certificate of certificates) {
+        const member = members.get(certificate.member_id) || {
+            member_id: certificate.member_id,
+            account_number: certificate.account_number,
+            member_name: `${certificate.first_name} ${certificate.last_name}`,
+            member_status: certificate.member_status,
+            share_capital: 0,
+            weighted_capital: 0
+        };
+
+        const amount = parseFloat(certificate.amount);
+        const closed = certificate.closed_date ? formatDate(certificate.closed_date) : null;
+
+        if (!closed || closed > period.end) {
+            member.share_capital += amount;
+        }
+
+        if (proRated) {
+            const from = formatDate(certificate.issue_date) > period.start ? formatDate(certificate.issue_date) : period.start;
+            const to = closed && closed < yearEndExclusive ? closed : yearEndExclusive;
+            member.weighted_capital += amount * daysBetween(from, to) / period.days;
+        }
+
+        members.set(certificate.member_id, member);
+    }
+
+    const items = [];
+
+    for (const member of members.values()) {
+        const basis = roundCurrency(proRated ? member.weighted_capital : member.share_capital);
+        const dividend = roundCurrency(basis * dividendRate / 100);
+
+        if (dividend <= 0) {
+            continue;
+        }
+
+        items.push({
+            member_id: member.member_id,
+            account_number: member.account_number,
+            member_name: member.member_name,
+            share_capital: roundCurrency(member.share_capital),
+            dividend_basis: basis,
+            dividend_amount: dividend,
+            unclaimed: !isActiveMember({ status: member.member_status })
+        });
+    }
+
+    return items;
+};
+
+// Dry run: what declaring the dividend would credit, without writing anything
+const previewDividend = async ({ financialYear, dividendRate, proRated }) => {
+    const items = await buildDividendItems(financialYear, dividendRate, proRated);
+    const existing = await getOne(
+        'SELECT declaration_id, status FROM dividend_declarations WHERE financial_year = ?',
+        [financialYear]
+    );
+    const total = (rows) => roundCurrency(rows.reduce((sum, item) => sum + item.dividend_amount, 0));
+
+    return {
+        financial_year: financialYear,
+        dividend_rate: dividendRate,
+        pro_rated: proRated,
+        already_declared: existing || null,
+        members_count: items.length,
+        total_dividend: total(items),
+        to_credit: total(items.filter(item => !item.unclaimed)),
+        unclaimed: total(items.filter(item => item.unclaimed)),
+        items
+    };
+};
+
+// Credit one member's dividend to savings (inside transaction()). Members who are no
+// longer active are left as unclaimed.
+const postDividendItem = async (connection, declaration, item, processedBy) => {
+    // Re-read the item under lock; another process may have credited it already
+    const [items] = await connection.execute(
+        'SELECT status FROM dividend_items WHERE item_id = ? FOR UPDATE',
+        [item.item_id]
+    );
+    if (!items.length || items[0].status !== 'Pending') {
+        return null;
+    }
+
+    const [members] = await connection.execute(
+        'SELECT member_id, status FROM members WHERE member_id = ? FOR UPDATE',
+        [item.member_id]
+    );
+
+    if (!members.length || !isActiveMember(members[0])) {
+        await connection.execute(
+            `UPDATE dividend_items SET status = 'Unclaimed' WHERE item_id = ?`,
+            [item.item_id]
+        );
+        return null;
+    }
+
+    const amount = roundCurrency(item.dividend_amount);
+    const balanceAfter = await creditSavings(connection, item.member_id, amount);
+
+    const txn = await recordTransaction(connection, {
+        memberId: item.member_id,
+        type: 'Interest Credit',
+        amount,
+        balanceAfter,
+        referenceType: 'General',
+        description: `Dividend for FY ${declaration.financial_year} at ${parseFloat(declaration.dividend_rate)}% ` +
+                     `on share capital of ₹${roundCurrency(item.dividend_basis)}` +
+                     (declaration.pro_rated ? ' (pro-rated for the period held)' : ''),
+        processedBy
+    });
+
+    await connection.execute(
+        `UPDATE dividend_items SET status = 'Credited', transaction_id = ?, credited_at = NOW() WHERE item_id = ?`,
+        [txn.transaction_id, item.item_id]
+    );
+
+    return {
+        member_id: item.member_id,
+        dividend_amount: amount,
+        savings_balance: balanceAfter
+    };
+};
+
+// A declaration with its posting progress
+const getDividendSummary = async (declarationId) => {
+    return await getOne(
+        `SELECT d.*,
+         (SELECT COUNT(*) FROM dividend_items WHERE declaration_id = d.declaration_id AND status = 'Credited') as credited_count,
+         (SELECT COALESCE(SUM(dividend_amount), 0) FROM dividend_items
+          WHERE declaration_id = d.declaration_id AND status IN ('Credited', 'Paid')) as total_credited,
+         (SELECT COUNT(*) FROM dividend_items WHERE declaration_id = d.declaration_id AND status = 'Unclaimed') as unclaimed_count,
+         (SELECT COALESCE(SUM(dividend_amount), 0) FROM dividend_items
+          WHERE declaration_id = d.declaration_id AND status = 'Unclaimed') as total_unclaimed,
+         (SELECT COUNT(*) FROM dividend_items WHERE declaration_id = d.declaration_id AND status = 'Pending') as pending_count
+         FROM dividend_declarations d WHERE d.declaration_id = ?`,
+        [declarationId]
+    );
+};
+
+// Credit every pending item of a declaration (see batchRuns)
+const creditPendingItems = async (declaration, processedBy) => {
+    const credited = await postPendingItems(
+        'dividend',
+        declaration.declaration_id,
+        (connection, item) => postDividendItem(connection, declaration, item, processedBy),
+        item => `Member ${item.member_id}`
+    );
+
+    return { declaration: await getDividendSummary(declaration.declaration_id), credited };
+};
+
+// Resume a distribution that stopped part-way. A declaration still Running is being
+// distributed by another process unless it has stopped sending heartbeats.
+const processDividend = async (declarationId, processedBy = null) => {
+    const declaration = await getOne('SELECT * FROM dividend_declarations WHERE declaration_id = ?', [declarationId]);
+
+    if (!declaration) {
+        throw new Error('Dividend declaration not found');
+    }
+
+    if (declaration.status === 'Completed') {
+        throw new Error('Dividend has already been distributed');
+    }
+
+    if (!await claimRun('dividend', declarationId)) {
+        throw new Error('Dividend distribution is still running');
+    }
+
+    return await creditPendingItems(declaration, processedBy);
+};
+
+// Record the declaration with a snapshot of the preview, then distribute it
+const declareDividend = async ({
+    financialYear, dividendRate, proRated, agmDate = null, resolutionReference = null, declaredBy
+}) => {
+    const existing = await getOne(
+        'SELECT declaration_id, status FROM dividend_declarations WHERE financial_year = ?',
+        [financialYear]
+    );
+
+    if (existing) {
+        const hint = existing.status === 'Completed' ? '' : '; resume that declaration instead';
+        throw new Error(`A dividend has already been declared for FY ${financialYear}${hint}`);
+    }
+
+    const items = await buildDividendItems(financialYear, dividendRate, proRated);
+
+    const declarationId = await transaction(async (connection) => {
+        const [result] = await connection.execute(
+            `INSERT INTO dividend_declarations
+             (financial_year, dividend_rate, pro_rated, agm_date, resolution_reference, members_count,
+              total_dividend, declared_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [financialYear, dividendRate, proRated ? 1 : 0, agmDate ? formatDate(agmDate) : null,
+             resolutionReference, items.length,
+             roundCurrency(items.reduce((sum, item) => sum + item.dividend_amount, 0)), declaredBy]
+        );
+
+        for (const item of items) {
+            await connection.execute(
+                `INSERT INTO dividend_items
+                 (declaration_id, member_id, share_capital, dividend_basis, dividend_amount)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [result.insertId, item.member_id, item.share_capital, item.dividend_basis, item.dividend_amount]
+            );
+        }
+
+        return result.insertId;
+    });
+
+    const declaration = await getOne('SELECT * FROM dividend_declarations WHERE declaration_id = ?', [declarationId]);
+    return await creditPendingItems(declaration, declaredBy);
+};
+
+// Pay out an unclaimed dividend (inside transaction()), to savings or in cash
+const payUnclaimedDividend = async (connection, { itemId, payoutMode, processedBy, notes = null }) => {
+    const [items] = await connection.execute(
+        `SELECT i.*, d.financial_year, d.dividend_rate FROM dividend_items i
+         JOIN dividend_declarations d ON i.declaration_id = d.declaration_id
+         WHERE i.item_id = ? FOR UPDATE`,
+        [itemId]
+    );
+
+    if (!items.length || items[0].status !== 'Unclaimed') {
+        throw new Error('Unclaimed dividend not found');
+    }
+
+    const item = items[0];
+    const amount = roundCurrency(item.dividend_amount);
+    const description = `Unclaimed dividend for FY ${item.financial_year} at ${parseFloat(item.dividend_rate)}%` +
+                        (payoutMode === 'Savings' ? ' credited to savings' : ' paid in cash') +
+                        (notes ? ` - ${notes}` : '');
+
+    let txn;
+    let savingsBalance;
+    if (payoutMode === 'Savings') {
+        savingsBalance = await creditSavings(connection, item.member_id, amount);
+        txn = await recordTransaction(connection, {
+            memberId: item.member_id,
+            type: 'Interest Credit',
+            amount,
+            balanceAfter: savingsBalance,
+            referenceType: 'General',
+            description,
+            processedBy
+        });
+    } else {
+        savingsBalance = await lockSavingsBalance(connection, item.member_id);
+        txn = await recordTransaction(connection, {
+            memberId: item.member_id,
+            type: 'Transfer',
+            amount,
+            balanceAfter: savingsBalance,
+            referenceType: 'General',
+            description,
+            processedBy
+        });
+    }
+
+    await connection.execute(
+        `UPDATE dividend_items SET status = 'Paid', transaction_id = ?, credited_at = NOW() WHERE item_id = ?`,
+        [txn.transaction_id, item.item_id]
+    );
+
+    return {
+        item_id: item.item_id,
+        member_id: item.member_id,
+        financial_year: item.financial_year,
+        dividend_amount: amount,
+        payout_mode: payoutMode,
+        transaction_number: txn.transaction_number,
+        savings_balance: savingsBalance
+    };
+};
+
+module.exports = {
+    UNCLAIMED_PAYOUT_MODES,
+    getYearPeriod,
+    previewDividend,
+    declareDividend,
+    processDividend,
+    getDividendSummary,
+    payUnclaimedDividend
+};
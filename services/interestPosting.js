@@ -0,0 +1,471 @@
+// Batch deposit interest posting for Kafal Cooperative Society
+// Computes interest per deposit for a period on daily or minimum monthly balances,
+// previews it, and posts it in a resumable run that never posts a period twice
+
+const { executeQuery, getOne, transaction } = require('../config/database');
+const { getSetting } = require('../utils/settings');
+const { recordTransaction } = require('../utils/transactions');
+const { deductTdsFromDeposit } = require('./tds');
+const { claimRun, postPendingItems } = require('./batchRuns');
+const {
+    roundCurrency, formatDate, daysBetween, nextDay, previousDay,
+    getFinancialYear, getFinancialQuarter, getFinancialQuarterNumber
+} = require('../utils/finance');
+
+// Savings and current accounts and FDs earn periodic interest; RDs are paid at maturity
+const INTEREST_BEARING_TYPES = ['Savings', 'Current', 'Fixed Deposit'];
+const CALCULATION_METHODS = ['daily_balance', 'minimum_monthly_balance'];
+
+// Ledger entries whose balance_after is the deposit's own balance
+const BALANCE_ENTRY_TYPES = ['Deposit', 'Interest Credit', 'Withdrawal', 'TDS'];
+
+// Configured interest basis, falling back to daily balances
+const getCalculationMethod = async () => {
+    const method = await getSetting('interest_calculation_method', 'daily_balance');
+    return CALCULATION_METHODS.includes(method) ? method : 'daily_balance';
+};
+
+// Days of the period on which a deposit accrues interest. Accrual starts after the
+// last date interest was credited up to, and an FD stops accruing at maturity.
+const getAccrualWindow = (deposit, periodStart, periodEnd) => {
+    let start = formatDate(periodStart);
+    let end = formatDate(periodEnd);
+
+    if (formatDate(deposit.deposit_date) > start) {
+        start = formatDate(deposit.deposit_date);
+    }
+    if (deposit.last_interest_credited && nextDay(deposit.last_interest_credited) > start) {
+        start = nextDay(deposit.last_interest_credited);
+    }
+    if (deposit.maturity_date && previousDay(deposit.maturity_date) < end) {
+        end = previousDay(deposit.maturity_date);
+    }
+
+    return start <= end ? { start, end } : null;
+};
+
+// End-of-day balances of a deposit for each day from start to end, rebuilt from its
+// own ledger entries. Deposits with no entries are taken at their current balance.
+const getDailyBalances = async (deposit, start, end) => {
+    const entries = await executeQuery(
+        `SELECT DATE(transaction_date) as entry_date, balance_after
+         FROM transactions
+         WHERE reference_type = 'Deposit' AND reference_id = ?
+         AND transaction_type IN (${BALANCE_ENTRY_TYPES.map(() => '?').join(', ')})
+         AND DATE(transaction_date) <= ?
+         ORDER BY transaction_date, transaction_id`,
+        [deposit.deposit_id, ...BALANCE_ENTRY_TYPES, end]
+    );
+
+    if (!entries.length) {
+        const balance = roundCurrency(deposit.current_balance);
+        const balances = [];
+        for (let day = start; day <= end; day = nextDay(day)) {
+            balances.push({ date: day, balance });
+        }
+        return balances;
+    }
+
+    let index = 0;
+    let balance = 0;
+    const balances = [];
+
+    for (let day = start; day <= end; day = nextDay(day)) {
+        while (index < entries.length && formatDate(entries[index].entry_date) <= day) {
+            balance = roundCurrency(entries[index].balance_after);
+            index += 1;
+        }
+        balances.push({ date: day, balance });
+    }
+
+    return balances;
+};
+
+// Interest on a run of daily balances. The daily method sums balance x rate / 365 for
+// every day; the minimum monthly method takes the lowest balance in each calendar month,
+// pro-rated for months only partly inside the window.
+const calculateInterest = (balances, annualRate, method) => {
+    if (!balances.length) {
+        return { balance_basis: 0, interest: 0 };
+    }
+
+    if (method === 'minimum_monthly_balance') {
+        const months = new Map();
+        for (const { date, balance } of balances) {
+            const key = date.substring(0, 7);
+            const month = months.get(key) || { minimum: balance, days: 0 };
+            month.minimum = Math.min(month.minimum, balance);
+            month.days += 1;
+            months.set(key, month);
+        }
+
+        let interest = 0;
+        let basis = 0;
+        for (const [key, month] of months) {
+            const [year, monthNumber] = key.split('-').map(Number);
+            const daysInMonth = new Date(year, monthNumber, 0).getDate();
+            interest += month.minimum * annualRate / 100 / 12 * month.days / daysInMonth;
+            basis += month.minimum;
+        }
+
+        return {
+            balance_basis: roundCurrency(basis / months.size),
+            interest: roundCurrency(interest)
+        };
+    }
+
+    const total = balances.reduce((sum, { balance }) => sum + balance, 0);
+    return {
+        balance_basis: roundCurrency(total / balances.length),
+        interest: roundCurrency(total * annualRate / 100 / 365)
+    };
+};
+
+// Work out the interest every active deposit has earned for a period
+const buildInterestItems = async (periodStart, periodEnd, method) => {
+    const deposits = await executeQuery(
+        `SELECT d.deposit_id, d.deposit_number, d.member_id, d.deposit_type, d.interest_rate,
+         d.deposit_date, d.maturity_date, d.current_balance, d.last_interest_credited,
+         m.first_name, m.last_name
+         FROM deposits d
+         JOIN members m ON d.member_id = m.member_id
+         WHERE d.status = 'Active' AND d.interest_rate > 0
+         AND d.deposit_type IN (${INTEREST_BEARING_TYPES.map(() => '?').join(', ')})
+         AND d.deposit_date <= ?
+         ORDER BY d.deposit_id`,
+        [...INTEREST_BEARING_TYPES, formatDate(periodEnd)]
+    );
+
+    const items = [];
+
+    for (const deposit of deposits) {
+        const window = getAccrualWindow(deposit, periodStart, periodEnd);
+        if (!window) {
+            continue;
+        }
+
+        const balances = await getDailyBalances(deposit, window.start, window.end);
+        const rate = parseFloat(deposit.interest_rate);
+        const { balance_basis, interest } = calculateInterest(balances, rate, method);
+
+        if (interest <= 0) {
+            continue;
+        }
+
+        items.push({
+            deposit_id: deposit.deposit_id,
+            deposit_number: deposit.deposit_number,
+            deposit_type: deposit.deposit_type,
+            member_id: deposit.member_id,
+            member_name: `${deposit.first_name} ${deposit.last_name}`,
+            accrual_start: window.start,
+            accrual_end: window.end,
+            days: daysBetween(window.start, window.end) + 1,
+            balance_basis,
+            interest_rate: rate,
+            interest_amount: interest
+        });
+    }
+
+    return items;
+};
+
+// Runs whose period overlaps the given one
+const getOverlappingRun = async (periodStart, periodEnd) => {
+    return await getOne(
+        `SELECT run_id, period_label, period_start, period_end, status FROM interest_runs
+         WHERE period_start <= ? AND period_end >= ?
+         ORDER BY run_id LIMIT 1`,
+        [formatDate(periodEnd), formatDate(periodStart)]
+    );
+};
+
+// Dry run: what a run for the period would post, without writing anything
+const previewInterestRun = async ({ periodStart, periodEnd, label, method }) => {
+    const items = await buildInterestItems(periodStart, periodEnd, method);
+    const existingRun = await getOverlappingRun(periodStart, periodEnd);
+
+    return {
+        period_label: label,
+        period_start: formatDate(periodStart),
+        period_end: formatDate(periodEnd),
+        calculation_method: method,
+        already_posted_by: existingRun || null,
+        deposits_count: items.length,
+        total_interest: roundCurrency(items.reduce((sum, item) => sum + item.interest_amount, 0)),
+        items
+    };
+};
+
+// Credit interest for an accrual window to a locked deposit, recording the transaction
+// and any TDS (inside transaction()). Returns the interest transaction and TDS deducted.
+const creditInterest = async (connection, deposit, {
+    amount, accrualStart, accrualEnd, interestRate, label, processedBy
+}) => {
+    const balanceAfter = roundCurrency(parseFloat(deposit.current_balance) + amount);
+
+    await connection.execute(
+        `UPDATE deposits SET current_balance = ?, last_interest_credited = ?, updated_at = NOW()
+         WHERE deposit_id = ?`,
+        [balanceAfter, formatDate(accrualEnd), deposit.deposit_id]
+    );
+
+    const txn = await recordTransaction(connection, {
+        memberId: deposit.member_id,
+        type: 'Interest Credit',
+        amount,
+        balanceAfter,
+        referenceType: 'Deposit',
+        referenceId: deposit.deposit_id,
+        description: `Interest${label ? ` for ${label}` : ''} - ${deposit.deposit_number} ` +
+                     `(${formatDate(accrualStart)} to ${formatDate(accrualEnd)} at ${parseFloat(interestRate)}%)`,
+        processedBy
+    });
+
+    const tds = await deductTdsFromDeposit(connection, {
+        deposit,
+        interestAmount: amount,
+        interestTransactionId: txn.transaction_id,
+        balanceAfterInterest: balanceAfter,
+        creditedOn: accrualEnd,
+        processedBy
+    });
+
+    return { txn, balance_after: balanceAfter, tds_amount: tds.tds_amount };
+};
+
+// Post one run item: credit the deposit and record the transaction (inside transaction())
+const postRunItem = async (connection, run, item, processedBy) => {
+    // Re-read the item under lock; another process may have posted or skipped it already
+    const [items] = await connection.execute(
+        'SELECT status FROM interest_run_items WHERE item_id = ? FOR UPDATE',
+        [item.item_id]
+    );
+    if (!items.length || items[0].status !== 'Pending') {
+        return null;
+    }
+
+    const [deposits] = await connection.execute(
+        'SELECT * FROM deposits WHERE deposit_id = ? FOR UPDATE',
+        [item.deposit_id]
+    );
+    const deposit = deposits[0];
+
+    // Closed since the run started, or credited by other means for any part of this window
+    if (!deposit || deposit.status !== 'Active' ||
+        (deposit.last_interest_credited && formatDate(deposit.last_interest_credited) >= formatDate(item.accrual_start))) {
+        await connection.execute(
+            `UPDATE interest_run_items SET status = 'Skipped' WHERE item_id = ?`,
+            [item.item_id]
+        );
+        return null;
+    }
+
+    const amount = roundCurrency(item.interest_amount);
+    const { txn, tds_amount } = await creditInterest(connection, deposit, {
+        amount,
+        accrualStart: item.accrual_start,
+        accrualEnd: item.accrual_end,
+        interestRate: item.interest_rate,
+        label: run.period_label,
+        processedBy
+    });
+
+    await connection.execute(
+        `UPDATE interest_run_items SET status = 'Posted', transaction_id = ?, tds_amount = ?, posted_at = NOW()
+         WHERE item_id = ?`,
+        [txn.transaction_id, tds_amount, item.item_id]
+    );
+
+    return {
+        member_id: deposit.member_id,
+        deposit_id: deposit.deposit_id,
+        deposit_type: deposit.deposit_type,
+        interest_amount: amount,
+        tds_amount
+    };
+};
+
+// Post every pending item of a run (see batchRuns)
+const postRun = async (run, processedBy) => {
+    const posted = await postPendingItems(
+        'interest',
+        run.run_id,
+        (connection, item) => postRunItem(connection, run, item, processedBy),
+        item => `Deposit ${item.deposit_id}`
+    );
+
+    return { run: await getInterestRunSummary(run.run_id), posted };
+};
+
+// Resume a run that stopped part-way, from its first pending item. A run still Running
+// is being posted by another process unless it has stopped sending heartbeats.
+const processInterestRun = async (runId, processedBy = null) => {
+    const run = await getOne('SELECT * FROM interest_runs WHERE run_id = ?', [runId]);
+
+    if (!run) {
+        throw new Error('Interest run not found');
+    }
+
+    if (run.status === 'Completed') {
+        throw new Error('Interest run has already completed');
+    }
+
+    if (!await claimRun('interest', runId)) {
+        throw new Error('Interest run is still running');
+    }
+
+    return await postRun(run, processedBy);
+};
+
+// Snapshot the preview into a run and its items, then post it
+const startInterestRun = async ({ periodStart, periodEnd, label, method, startedBy = null }) => {
+    const existingRun = await getOverlappingRun(periodStart, periodEnd);
+    if (existingRun) {
+        const hint = existingRun.status === 'Completed' ? '' : '; resume that run instead';
+        throw new Error(`Interest for ${existingRun.period_label} (run #${existingRun.run_id}) overlaps this period${hint}`);
+    }
+
+    const items = await buildInterestItems(periodStart, periodEnd, method);
+
+    const runId = await transaction(async (connection) => {
+        const [result] = await connection.execute(
+            `INSERT INTO interest_runs
+             (period_label, period_start, period_end, calculation_method, deposits_count, started_by)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [label, formatDate(periodStart), formatDate(periodEnd), method, items.length, startedBy]
+        );
+
+        for (const item of items) {
+            await connection.execute(
+                `INSERT INTO interest_run_items
+                 (run_id, deposit_id, member_id, accrual_start, accrual_end, days,
+                  balance_basis, interest_rate, interest_amount)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [result.insertId, item.deposit_id, item.member_id, item.accrual_start, item.accrual_end,
+                 item.days, item.balance_basis, item.interest_rate, item.interest_amount]
+            );
+        }
+
+        return result.insertId;
+    });
+
+    return await postRun({ run_id: runId, period_label: label }, startedBy);
+};
+
+// A run with its posting progress, totals taken from the posted items
+const getInterestRunSummary = async (runId) => {
+    await executeQuery(
+        `UPDATE interest_runs r SET
+         posted_count = (SELECT COUNT(*) FROM interest_run_items WHERE run_id = r.run_id AND status = 'Posted'),
+         total_interest = (SELECT COALESCE(SUM(interest_amount), 0) FROM interest_run_items
+                           WHERE run_id = r.run_id AND status = 'Posted')
+         WHERE r.run_id = ?`,
+        [runId]
+    );
+
+    return await getOne(
+        `SELECT r.*,
+         (SELECT COUNT(*) FROM interest_run_items WHERE run_id = r.run_id AND status = 'Pending') as pending_count,
+         (SELECT COUNT(*) FROM interest_run_items WHERE run_id = r.run_id AND status = 'Skipped') as skipped_count
+         FROM interest_runs r WHERE r.run_id = ?`,
+        [runId]
+    );
+};
+
+// Credit one deposit the interest accrued since it was last credited, up to the day
+// before asOf (inside transaction()). Uses the same calculation as the batch runs and
+// refuses a window that an interest run already covers, so a period is never paid twice.
+const creditDepositInterest = async (connection, { depositId, asOf = new Date(), method, processedBy = null }) => {
+    const [deposits] = await connection.execute(
+        'SELECT * FROM deposits WHERE deposit_id = ? FOR UPDATE',
+        [depositId]
+    );
+    const deposit = deposits[0];
+
+    if (!deposit || deposit.status !== 'Active') {
+        throw new Error('Deposit not found or not active');
+    }
+
+    if (!INTEREST_BEARING_TYPES.includes(deposit.deposit_type)) {
+        throw new Error(`${deposit.deposit_type} interest is paid at maturity`);
+    }
+
+    const window = getAccrualWindow(deposit, deposit.deposit_date, previousDay(asOf));
+    if (!window) {
+        throw new Error('No interest has accrued since the deposit was last credited');
+    }
+
+    const run = await getOverlappingRun(window.start, window.end);
+    if (run) {
+        throw new Error(`Interest for ${run.period_label} (run #${run.run_id}) covers part of this period; ` +
+                        'post it through that run');
+    }
+
+    const rate = parseFloat(deposit.interest_rate);
+    const balances = await getDailyBalances(deposit, window.start, window.end);
+    const { interest } = calculateInterest(balances, rate, method);
+
+    if (interest <= 0) {
+        throw new Error('No interest has accrued since the deposit was last credited');
+    }
+
+    const { txn, balance_after, tds_amount } = await creditInterest(connection, deposit, {
+        amount: interest,
+        accrualStart: window.start,
+        accrualEnd: window.end,
+        interestRate: rate,
+        label: null,
+        processedBy
+    });
+
+    return {
+        deposit_id: deposit.deposit_id,
+        deposit_number: deposit.deposit_number,
+        member_id: deposit.member_id,
+        accrual_start: window.start,
+        accrual_end: window.end,
+        calculation_method: method,
+        interest_amount: interest,
+        tds_amount,
+        balance_after,
+        transaction_id: txn.transaction_id,
+        transaction_number: txn.transaction_number
+    };
+};
+
+// Scheduled run at the start of a quarter: post the quarter just ended,
+// unless automatic posting is switched off or that quarter already has a run
+const runScheduledInterestPosting = async (asOf = new Date()) => {
+    const enabled = await getSetting('interest_auto_posting', 'true');
+    if (String(enabled).toLowerCase() === 'false') {
+        return null;
+    }
+
+    const lastDay = previousDay(asOf);
+    const period = getFinancialQuarter(getFinancialYear(lastDay).start_year, getFinancialQuarterNumber(lastDay));
+
+    if (await getOverlappingRun(period.start_date, period.end_date)) {
+        return null;
+    }
+
+    return await startInterestRun({
+        periodStart: period.start_date,
+        periodEnd: period.end_date,
+        label: period.label,
+        method: await getCalculationMethod()
+    });
+};
+
+module.exports = {
+    INTEREST_BEARING_TYPES,
+    CALCULATION_METHODS,
+    getCalculationMethod,
+    calculateInterest,
+    previewInterestRun,
+    startInterestRun,
+    processInterestRun,
+    getInterestRunSummary,
+    creditDepositInterest,
+    runScheduledInterestPosting
+};
@@ -0,0 +1,50 @@
+jest.mock('../config/database', () => ({
+    executeQuery: jest.fn(),
+    getOne: jest.fn(),
+    transaction: jest.fn()
+}));
+
+const { calculateInterest } = require('./interestPosting');
+
+// One end-of-day balance per day from start for the given number of days
+const days = (start, count, balance) => Array.from({ length: count }, (_, index) => {
+    const date = new Date(`${start}T00:00:00`);
+    date.setDate(date.getDate() + index);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return { date: `${date.getFullYear()}-${month}-${day}`, balance };
+});
+
+describe('calculateInterest', () => {
+    test('daily balance method sums balance x rate / 365 for every day', () => {
+        const balances = [...days('2025-04-01', 5, 36500), ...days('2025-04-06', 5, 73000)];
+
+        expect(calculateInterest(balances, 10, 'daily_balance')).toEqual({
+            balance_basis: 54750,
+            interest: 150
+        });
+    });
+
+    test('minimum monthly balance method takes the lowest balance in each month', () => {
+        const balances = [...days('2025-04-01', 15, 10000), ...days('2025-04-16', 15, 20000)];
+
+        expect(calculateInterest(balances, 12, 'minimum_monthly_balance')).toEqual({
+            balance_basis: 10000,
+            interest: 100
+        });
+    });
+
+    test('minimum monthly balance is pro-rated for a month only partly in the window', () => {
+        const balances = [...days('2025-04-01', 30, 10000), ...days('2025-05-01', 10, 30000)];
+
+        // April in full, then 10 of May's 31 days
+        expect(calculateInterest(balances, 12, 'minimum_monthly_balance')).toEqual({
+            balance_basis: 20000,
+            interest: 196.77
+        });
+    });
+
+    test('no balances earn nothing', () => {
+        expect(calculateInterest([], 12, 'daily_balance')).toEqual({ balance_basis: 0, interest: 0 });
+    });
+});
@@ -0,0 +1,96 @@
+// Interest rate table service for Kafal Cooperative Society
+// Looks up the rate in force for a product, tenure slab and date, with senior citizen uplift
+
+const { getOne, executeQuery } = require('../config/database');
+const { getNumericSetting } = require('../utils/settings');
+const { formatDate, roundCurrency } = require('../utils/finance');
+
+// Whole years of age on a given date
+const ageOn = (dateOfBirth, asOf) => {
+    const birth = new Date(formatDate(dateOfBirth));
+    const on = new Date(formatDate(asOf));
+    let age = on.getFullYear() - birth.getFullYear();
+    if (on.getMonth() < birth.getMonth() ||
+        (on.getMonth() === birth.getMonth() && on.getDate() < birth.getDate())) {
+        age -= 1;
+    }
+    return age;
+};
+
+// Whether a member counts as a senior citizen on a given date
+const isSeniorCitizen = async (dateOfBirth, asOf = new Date()) => {
+    if (!dateOfBirth) {
+        return false;
+    }
+    const seniorAge = await getNumericSetting('senior_citizen_age', 60);
+    return ageOn(dateOfBirth, asOf) >= seniorAge;
+};
+
+// Rate in force for a product and tenure on a date. The latest slab whose
+// effective_from is on or before the date wins; rates set later never touch
+// accounts already opened, which keep the rate stored on them.
+const getApplicableRate = async (category, productType, tenureMonths = 0, { asOf = new Date(), seniorCitizen = false } = {}) => {
+    const tenure = tenureMonths || 0;
+    const rate = await getOne(
+        `SELECT rate_id, interest_rate, senior_citizen_uplift, effective_from,
+         min_tenure_months, max_tenure_months
+         FROM interest_rates
+         WHERE product_category = ? AND product_type = ?
+         AND min_tenure_months <= ? AND (max_tenure_months IS NULL OR max_tenure_months >= ?)
+         AND effective_from <= ?
+         ORDER BY effective_from DESC, rate_id DESC
+         LIMIT 1`,
+        [category, productType, tenure, tenure, formatDate(asOf)]
+    );
+
+    if (!rate) {
+        throw new Error(`No interest rate configured for ${productType} (${tenure} months)`);
+    }
+
+    const baseRate = parseFloat(rate.interest_rate);
+    const uplift = seniorCitizen ? parseFloat(rate.senior_citizen_uplift) : 0;
+
+    return {
+        rate_id: rate.rate_id,
+        base_rate: baseRate,
+        senior_citizen_uplift: uplift,
+        interest_rate: roundCurrency(baseRate + uplift),
+        effective_from: formatDate(rate.effective_from)
+    };
+};
+
+// Rate in force for a member, applying the senior citizen uplift from their date of birth
+const getMemberRate = async (memberId, category, productType, tenureMonths = 0, asOf = new Date()) => {
+    const member = await getOne('SELECT date_of_birth FROM members WHERE member_id = ?', [memberId]);
+    const seniorCitizen = member ? await isSeniorCitizen(member.date_of_birth, asOf) : false;
+    return await getApplicableRate(category, productType, tenureMonths, { asOf, seniorCitizen });
+};
+
+// Every slab currently in force: a slab is listed when it is the rate getApplicableRate
+// would pick for its own minimum tenure, so slabs replaced by a wider one drop out
+const getCurrentRates = async (asOf = new Date()) => {
+    return await executeQuery(
+        `SELECT r.rate_id, r.product_category, r.product_type, r.min_tenure_months, r.max_tenure_months,
+         r.interest_rate, r.senior_citizen_uplift, r.effective_from
+         FROM interest_rates r
+         WHERE r.rate_id = (
+             SELECT r2.rate_id FROM interest_rates r2
+             WHERE r2.product_category = r.product_category AND r2.product_type = r.product_type
+             AND r2.min_tenure_months <= r.min_tenure_months
+             AND (r2.max_tenure_months IS NULL OR r2.max_tenure_months >= r.min_tenure_months)
+             AND r2.effective_from <= ?
+             ORDER BY r2.effective_from DESC, r2.rate_id DESC
+             LIMIT 1
+         )
+         ORDER BY r.product_category, r.product_type, r.min_tenure_months, r.max_tenure_months`,
+        [formatDate(asOf)]
+    );
+};
+
+module.exports = {
+    ageOn,
+    isSeniorCitizen,
+    getApplicableRate,
+    getMemberRate,
+    getCurrentRates
+};
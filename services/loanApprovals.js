@@ -0,0 +1,105 @@
+// Loan approval chain for Kafal Cooperative Society
+// Field officer review, committee approval and a second approver for large loans (maker-checker)
+
+const { executeQuery } = require('../config/database');
+const { getSettings } = require('../utils/settings');
+
+// Read approval chain rules from system_settings
+const getApprovalSettings = async () => {
+    const settings = await getSettings(['loan_review_required', 'loan_second_approval_threshold']);
+    const threshold = parseFloat(settings.loan_second_approval_threshold);
+
+    return {
+        review_required: String(settings.loan_review_required ?? 'true').toLowerCase() !== 'false',
+        second_approval_threshold: Number.isNaN(threshold) ? 100000 : threshold
+    };
+};
+
+// Stages recorded so far for a loan, oldest first, with admin names
+const getLoanApprovals = async (loanId) => {
+    return await executeQuery(
+        `SELECT la.approval_id, la.stage, la.decision, la.admin_id, a.first_name, a.last_name,
+         la.notes, la.created_at
+         FROM loan_approvals la
+         LEFT JOIN admins a ON la.admin_id = a.admin_id
+         WHERE la.loan_id = ?
+         ORDER BY la.approval_id`,
+        [loanId]
+    );
+};
+
+// Work out which approval stage an admin's approval would complete.
+// Returns { stage, final } or { problem } when the admin may not approve.
+const getNextApprovalStage = (loan, approvals, adminId, settings) => {
+    const reviewed = approvals.some(approval => approval.stage === 'Review');
+    const firstApproval = approvals.find(approval => approval.stage === 'Approval' && approval.decision === 'Approved');
+
+    if (settings.review_required && !reviewed) {
+        return { problem: 'Loan must be reviewed by a field officer before approval' };
+    }
+
+    // Maker-checker: nobody who initiated or has already acted on this loan may approve it
+    if ((loan.initiated_by && String(loan.initiated_by) === String(adminId)) ||
+        approvals.some(approval => String(approval.admin_id) === String(adminId))) {
+        return { problem: 'You have already acted on this loan; a different admin must approve it' };
+    }
+
+    if (firstApproval) {
+        return { stage: 'Second Approval', final: true };
+    }
+
+    const needsSecondApproval = parseFloat(loan.loan_amount) > settings.second_approval_threshold;
+    return { stage: 'Approval', final: !needsSecondApproval };
+};
+
+// The stage a rejection is recorded against, given what has happened so far
+const getRejectionStage = (loan, approvals) => {
+    if (loan.status === 'Applied') {
+        return 'Review';
+    }
+    return approvals.some(approval => approval.stage === 'Approval') ? 'Second Approval' : 'Approval';
+};
+
+// Lock a loan row for an approval decision and read the stages recorded so far.
+// Approvers acting at the same moment queue on the lock, so each one sees the
+// stages the others recorded. Returns null when the loan does not exist.
+const lockLoanForApproval = async (connection, loanId) => {
+    const [loans] = await connection.execute(
+        `SELECT loan_id, loan_number, member_id, loan_type, loan_amount, status, initiated_by
+         FROM loans WHERE loan_id = ? FOR UPDATE`,
+        [loanId]
+    );
+
+    if (!loans.length) {
+        return null;
+    }
+
+    const [approvals] = await connection.execute(
+        `SELECT approval_id, stage, decision, admin_id FROM loan_approvals
+         WHERE loan_id = ? ORDER BY approval_id`,
+        [loanId]
+    );
+
+    return { loan: loans[0], approvals };
+};
+
+// Record one stage of the approval chain inside an open transaction() connection,
+// after lockLoanForApproval
+const recordApprovalStage = async (connection, { loanId, stage, decision, adminId, notes = null }) => {
+    const [result] = await connection.execute(
+        `INSERT INTO loan_approvals (loan_id, stage, decision, admin_id, notes)
+         VALUES (?, ?, ?, ?, ?)`,
+        [loanId, stage, decision, adminId, notes]
+    );
+
+    return result.insertId;
+};
+
+module.exports = {
+    getApprovalSettings,
+    getLoanApprovals,
+    getNextApprovalStage,
+    getRejectionStage,
+    lockLoanForApproval,
+    recordApprovalStage
+};
@@ -0,0 +1,52 @@
+jest.mock('../config/database', () => ({
+    executeQuery: jest.fn(),
+    getOne: jest.fn(),
+    transaction: jest.fn()
+}));
+
+const { getNextApprovalStage, lockLoanForApproval } = require('./loanApprovals');
+
+const settings = { review_required: true, second_approval_threshold: 100000 };
+const review = { stage: 'Review', decision: 'Recommended', admin_id: 3 };
+
+describe('getNextApprovalStage', () => {
+    test('a loan under the threshold is approved by one approver', () => {
+        const loan = { loan_amount: '50000.00', initiated_by: 2 };
+        expect(getNextApprovalStage(loan, [review], 4, settings)).toEqual({ stage: 'Approval', final: true });
+    });
+
+    test('a large loan needs a second, different approver', () => {
+        const loan = { loan_amount: '250000.00', initiated_by: 2 };
+        const first = { stage: 'Approval', decision: 'Approved', admin_id: 4 };
+
+        expect(getNextApprovalStage(loan, [review], 4, settings)).toEqual({ stage: 'Approval', final: false });
+        expect(getNextApprovalStage(loan, [review, first], 5, settings)).toEqual({ stage: 'Second Approval', final: true });
+        expect(getNextApprovalStage(loan, [review, first], 4, settings).problem).toMatch(/already acted/);
+    });
+
+    test('the initiator and the reviewer may not approve', () => {
+        const loan = { loan_amount: '50000.00', initiated_by: 2 };
+        expect(getNextApprovalStage(loan, [review], 2, settings).problem).toMatch(/already acted/);
+        expect(getNextApprovalStage(loan, [review], 3, settings).problem).toMatch(/already acted/);
+    });
+
+    test('review comes first when required', () => {
+        expect(getNextApprovalStage({ loan_amount: '5000.00' }, [], 4, settings).problem)
+            .toBe('Loan must be reviewed by a field officer before approval');
+    });
+});
+
+describe('lockLoanForApproval', () => {
+    test('locks the loan row before reading the stages recorded so far', async () => {
+        const connection = {
+            execute: jest.fn(async (sql) => (sql.includes('FROM loans')
+                ? [[{ loan_id: 5, status: 'Under Review' }]]
+                : [[review]]))
+        };
+
+        const locked = await lockLoanForApproval(connection, 5);
+
+        expect(connection.execute.mock.calls[0][0]).toMatch(/FROM loans WHERE loan_id = \? FOR UPDATE/);
+        expect(locked).toEqual({ loan: { loan_id: 5, status: 'Under Review' }, approvals: [review] });
+    });
+});
@@ -0,0 +1,270 @@
+// Loan document generation for Kafal Cooperative Society
+// Produces the sanction letter and loan agreement PDFs for an approved loan
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { getOne, executeQuery } = require('../config/database');
+const society = require('../config/society');
+const { buildAmortizationSchedule, formatDate, roundCurrency } = require('../utils/finance');
+const { getLoanGuarantors } = require('./loanGuarantors');
+
+const DOCUMENT_DIR = path.join('uploads', 'loan_documents');
+const GENERATED_TYPES = ['sanction_letter', 'loan_agreement'];
+
+const formatAmount = (value) => `Rs. ${roundCurrency(value).toFixed(2)}`;
+
+// Render a PDF to disk and resolve once the file is fully written
+const writePdf = (filePath, render) => {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const stream = fs.createWriteStream(filePath);
+
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+        doc.pipe(stream);
+
+        render(doc);
+        doc.end();
+    });
+};
+
+// Society letterhead and document title
+const renderHeader = (doc, title, data) => {
+    doc.fontSize(16).font('Helvetica-Bold').text(society.name, { align: 'center' });
+    doc.fontSize(9).font('Helvetica')
+        .text(`Registration No. ${society.registration_no} dated ${society.registration_date}`, { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(14).font('Helvetica-Bold').text(title, { align: 'center', underline: true });
+    doc.moveDown();
+    doc.fontSize(10).font('Helvetica')
+        .text(`Ref: ${data.loan.loan_number}`, { continued: true })
+        .text(`Date: ${data.issued_on}`, { align: 'right' });
+    doc.moveDown();
+};
+
+// Two-column list of label/value pairs
+const renderTerms = (doc, rows) => {
+    rows.forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+            .font('Helvetica').text(String(value));
+    });
+    doc.moveDown();
+};
+
+const loanTermRows = (data) => [
+    ['Loan type', data.loan.loan_type],
+    ['Sanctioned amount', formatAmount(data.loan.loan_amount)],
+    ['Interest rate', `${parseFloat(data.loan.interest_rate)}% per annum (reducing balance)`],
+    ['Tenure', `${data.loan.tenure_months} months`],
+    ['Monthly EMI', formatAmount(data.loan.monthly_emi)],
+    ['Purpose', data.loan.purpose]
+];
+
+const scheduleRows = (data) => [
+    ['Number of installments', data.schedule.installments],
+    ['First installment due', data.schedule.first_due_date],
+    ['Last installment due', data.schedule.last_due_date],
+    ['Total interest', formatAmount(data.schedule.total_interest)],
+    ['Total payable', formatAmount(data.schedule.total_payable)]
+];
+
+const renderGuarantors = (doc, guarantors) => {
+    doc.font('Helvetica-Bold').text('Guarantors');
+    doc.font('Helvetica');
+    if (!guarantors.length) {
+        doc.text('None');
+    }
+    guarantors.forEach((guarantor, index) => {
+        doc.text(`${index + 1}. ${guarantor.first_name} ${guarantor.last_name} ` +
+                 `(guaranteeing ${formatAmount(guarantor.guaranteed_amount)})`);
+    });
+    doc.moveDown();
+};
+
+const renderSanctionLetter = (doc, data) => {
+    renderHeader(doc, 'LOAN SANCTION LETTER', data);
+
+    doc.text(`To,\n${data.member.first_name} ${data.member.last_name}\n${data.member.address || ''}`);
+    doc.moveDown();
+    doc.text(`Dear Member,\n\nWe are pleased to inform you that your application for a ${data.loan.loan_type} loan ` +
+             `has been sanctioned by the society on the following terms:`);
+    doc.moveDown();
+
+    renderTerms(doc, loanTermRows(data));
+
+    doc.font('Helvetica-Bold').text(data.schedule.indicative ? 'Repayment schedule (indicative)' : 'Repayment schedule');
+    doc.font('Helvetica');
+    renderTerms(doc, scheduleRows(data));
+
+    renderGuarantors(doc, data.guarantors);
+
+    doc.text('Installments fall due monthly from the date of disbursement. Overdue installments attract penal ' +
+             'interest as per the bylaws of the society. The sanction is subject to execution of the loan agreement.');
+    doc.moveDown(3);
+    doc.text('For ' + society.name, { align: 'right' });
+    doc.moveDown(2);
+    doc.text('Authorised Signatory', { align: 'right' });
+};
+
+const renderLoanAgreement = (doc, data) => {
+    renderHeader(doc, 'LOAN AGREEMENT', data);
+
+    doc.text(`This agreement is made between ${society.name} (Registration No. ${society.registration_no}), ` +
+             `hereinafter "the Society", and ${data.member.first_name} ${data.member.last_name}, ` +
+             `a member of the Society, hereinafter "the Borrower".`);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').text('1. Loan terms');
+    doc.font('Helvetica');
+    renderTerms(doc, loanTermRows(data));
+
+    doc.font('Helvetica-Bold').text('2. Repayment');
+    doc.font('Helvetica');
+    doc.text(`The Borrower shall repay the loan in ${data.schedule.installments} equated monthly installments ` +
+             `of ${formatAmount(data.loan.monthly_emi)}. Payments are applied first to penal interest, then to ` +
+             'interest and then to principal.');
+    renderTerms(doc, scheduleRows(data));
+
+    doc.font('Helvetica-Bold').text('3. Default');
+    doc.font('Helvetica');
+    doc.text('Installments unpaid after the due date attract penal interest. A loan overdue beyond the period set ' +
+             'by the Society is treated as a non-performing asset and may be recovered from the guarantors and ' +
+             'from the Borrower\'s share money and deposits.');
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').text('4. Prepayment');
+    doc.font('Helvetica');
+    doc.text('The Borrower may prepay part of the loan or foreclose it at any time subject to the foreclosure ' +
+             'charge in force on the date of closure.');
+    doc.moveDown();
+
+    renderGuarantors(doc, data.guarantors);
+
+    doc.moveDown(2);
+    doc.text('Borrower', { continued: true }).text('For the Society', { align: 'right' });
+    doc.moveDown(2);
+    data.guarantors.forEach(guarantor => {
+        doc.text(`Guarantor: ${guarantor.first_name} ${guarantor.last_name}`);
+        doc.moveDown();
+    });
+};
+
+// Gather everything printed on the documents. Before disbursement the
+// schedule is indicative, counted from the approval date.
+const getDocumentData = async (loanId) => {
+    const loan = await getOne('SELECT * FROM loans WHERE loan_id = ?', [loanId]);
+
+    if (!loan) {
+        throw new Error('Loan not found');
+    }
+
+    const member = await getOne(
+        'SELECT member_id, first_name, last_name, address FROM members WHERE member_id = ?',
+        [loan.member_id]
+    );
+
+    const installments = await executeQuery(
+        `SELECT due_date, emi_amount, interest_component FROM loan_schedules
+         WHERE loan_id = ? ORDER BY installment_number`,
+        [loanId]
+    );
+
+    let schedule;
+    if (installments.length) {
+        schedule = {
+            indicative: false,
+            installments: installments.length,
+            first_due_date: formatDate(installments[0].due_date),
+            last_due_date: formatDate(installments[installments.length - 1].due_date),
+            total_interest: installments.reduce((sum, row) => sum + parseFloat(row.interest_component), 0),
+            total_payable: installments.reduce((sum, row) => sum + parseFloat(row.emi_amount), 0)
+        };
+    } else {
+        const projected = buildAmortizationSchedule(
+            parseFloat(loan.loan_amount),
+            parseFloat(loan.interest_rate),
+            loan.tenure_months,
+            loan.approval_date || new Date()
+        );
+        schedule = {
+            indicative: true,
+            installments: projected.installments.length,
+            first_due_date: projected.installments[0].due_date,
+            last_due_date: projected.installments[projected.installments.length - 1].due_date,
+            total_interest: projected.total_interest,
+            total_payable: projected.total_payable
+        };
+    }
+
+    const guarantors = (await getLoanGuarantors(loanId))
+        .filter(guarantor => guarantor.status === 'Accepted' || guarantor.status === 'Released');
+
+    return {
+        loan,
+        member,
+        schedule,
+        guarantors,
+        issued_on: formatDate(loan.approval_date || new Date())
+    };
+};
+
+// Generate (or regenerate) the sanction letter and loan agreement for a loan
+// and record them in loan_documents. Returns the stored document rows.
+const generateLoanDocuments = async (loanId) => {
+    const data = await getDocumentData(loanId);
+    const outputDir = path.join(__dirname, '..', DOCUMENT_DIR);
+
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    const documents = [
+        { type: 'sanction_letter', name: `Sanction Letter - ${data.loan.loan_number}`, render: renderSanctionLetter },
+        { type: 'loan_agreement', name: `Loan Agreement - ${data.loan.loan_number}`, render: renderLoanAgreement }
+    ];
+
+    const previous = await executeQuery(
+        `SELECT document_id, file_path FROM loan_documents
+         WHERE loan_id = ? AND document_type IN (${GENERATED_TYPES.map(() => '?').join(', ')})`,
+        [loanId, ...GENERATED_TYPES]
+    );
+
+    const stored = [];
+    for (const document of documents) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const relativePath = path.join(DOCUMENT_DIR, `${document.type}-${data.loan.loan_number}-${uniqueSuffix}.pdf`);
+
+        await writePdf(path.join(__dirname, '..', relativePath), doc => document.render(doc, data));
+
+        const result = await executeQuery(
+            `INSERT INTO loan_documents (loan_id, document_type, document_name, file_path)
+             VALUES (?, ?, ?, ?)`,
+            [loanId, document.type, document.name, relativePath]
+        );
+
+        stored.push({
+            document_id: result.insertId,
+            document_type: document.type,
+            document_name: document.name
+        });
+    }
+
+    // Replace earlier copies only once the new ones are in place
+    for (const old of previous) {
+        await executeQuery('DELETE FROM loan_documents WHERE document_id = ?', [old.document_id]);
+        fs.promises.unlink(path.join(__dirname, '..', old.file_path)).catch(() => {});
+    }
+
+    return stored;
+};
+
+// Absolute path of a stored loan document
+const resolveDocumentPath = (filePath) => {
+    return path.isAbsolute(filePath) ? filePath : path.join(__dirname, '..', filePath);
+};
+
+module.exports = {
+    generateLoanDocuments,
+    resolveDocumentPath
+};
@@ -0,0 +1,112 @@
+// Loan eligibility service for Kafal Cooperative Society
+// Applies society bylaws (share money cover, loan limits, membership standing) to loan requests
+
+const { getOne } = require('../config/database');
+const { getNumericSettings } = require('../utils/settings');
+const { roundCurrency } = require('../utils/finance');
+const { getFeeStatus } = require('./membershipFees');
+
+// Loans that still count against a member's borrowing limit
+const OPEN_LOAN_STATUSES = ['Applied', 'Under Review', 'Approved', 'Disbursed', 'Active', 'Defaulted'];
+
+// Read eligibility limits from system_settings with bylaw defaults
+const getEligibilityLimits = async () => {
+    const settings = await getNumericSettings({
+        loan_min_amount: 1000,
+        max_loan_amount: 500000,
+        small_loan_limit: 20000,
+        loan_share_money_ratio: 10
+    });
+
+    return {
+        min_loan_amount: settings.loan_min_amount,
+        max_loan_amount: settings.max_loan_amount,
+        small_loan_limit: settings.small_loan_limit,
+        share_money_ratio: settings.loan_share_money_ratio
+    };
+};
+
+// Check whether a member may borrow, and how much. When requestedAmount is
+// given, the result also says whether that particular amount is allowed.
+// excludeLoanId leaves out a loan that the new one will close (top-up).
+const checkLoanEligibility = async (memberId, requestedAmount = null, excludeLoanId = null) => {
+    const limits = await getEligibilityLimits();
+    const reasons = [];
+
+    const member = await getOne(
+        'SELECT member_id, status, share_count, share_value FROM members WHERE member_id = ?',
+        [memberId]
+    );
+
+    if (!member) {
+        throw new Error('Member not found');
+    }
+
+    if (String(member.status).toLowerCase() !== 'active') {
+        reasons.push('Membership is not active');
+    }
+
+    const fees = await getFeeStatus(memberId);
+    const pendingFees = fees.heads
+        .filter(head => head.mandatory && !head.cleared)
+        .map(head => head.name.toLowerCase());
+    if (pendingFees.length) {
+        reasons.push(`Membership fees pending: ${pendingFees.join(', ')}`);
+    }
+
+    // Loans against deposits are secured by their own lien and do not use the share-based limit
+    const exposure = await getOne(
+        `SELECT COUNT(*) as open_loans,
+         COALESCE(SUM(CASE WHEN status IN ('Applied', 'Under Review', 'Approved')
+                      THEN loan_amount ELSE outstanding_amount END), 0) as total
+         FROM loans
+         WHERE member_id = ? AND loan_id <> ? AND loan_type <> 'Loan Against Deposit'
+         AND status IN (${OPEN_LOAN_STATUSES.map(() => '?').join(', ')})`,
+        [memberId, excludeLoanId || 0, ...OPEN_LOAN_STATUSES]
+    );
+    const outstandingExposure = roundCurrency(exposure.total);
+
+    // Share money must cover the configured percentage of total borrowing;
+    // small loans up to the small loan limit are allowed regardless
+    const shareValue = parseFloat(member.share_value) || 0;
+    const shareBasedLimit = roundCurrency(shareValue * 100 / limits.share_money_ratio);
+    const borrowingLimit = Math.min(
+        Math.max(shareBasedLimit, limits.small_loan_limit),
+        limits.max_loan_amount
+    );
+    const maxEligibleAmount = roundCurrency(Math.max(borrowingLimit - outstandingExposure, 0));
+
+    if (maxEligibleAmount < limits.min_loan_amount) {
+        reasons.push('Existing loans already use the available borrowing limit');
+    }
+
+    // Standing issues above block any loan; the checks below only concern the amount asked for
+    const memberEligible = reasons.length === 0;
+
+    if (requestedAmount !== null && memberEligible) {
+        if (requestedAmount < limits.min_loan_amount) {
+            reasons.push(`Minimum loan amount is ₹${limits.min_loan_amount}`);
+        } else if (requestedAmount > maxEligibleAmount) {
+            reasons.push(`Requested amount exceeds your eligible limit of ₹${maxEligibleAmount}`);
+        }
+    }
+
+    return {
+        eligible: reasons.length === 0,
+        requested_amount: requestedAmount,
+        max_eligible_amount: memberEligible ? maxEligibleAmount : 0,
+        share_count: member.share_count,
+        share_value: shareValue,
+        share_based_limit: shareBasedLimit,
+        outstanding_exposure: outstandingExposure,
+        open_loans: exposure.open_loans,
+        limits,
+        reasons
+    };
+};
+
+module.exports = {
+    OPEN_LOAN_STATUSES,
+    getEligibilityLimits,
+    checkLoanEligibility
+};
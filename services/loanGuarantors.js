@@ -0,0 +1,119 @@
+// Loan guarantor service for Kafal Cooperative Society
+// Validates co-member guarantors and enforces how much one member may guarantee
+
+const { getOne, executeQuery } = require('../config/database');
+const { getNumericSettings } = require('../utils/settings');
+const { roundCurrency } = require('../utils/finance');
+const { OPEN_LOAN_STATUSES } = require('./loanEligibility');
+
+// Read guarantor rules from system_settings
+const getGuarantorLimits = async () => {
+    const settings = await getNumericSettings({
+        loan_required_guarantors: 2,
+        max_guarantees_per_member: 2,
+        max_guarantee_exposure: 500000
+    });
+
+    return {
+        required_guarantors: settings.loan_required_guarantors,
+        max_guarantees: settings.max_guarantees_per_member,
+        max_exposure: settings.max_guarantee_exposure
+    };
+};
+
+// Loans a member currently stands guarantee for (pending or accepted), optionally
+// excluding one loan or a list of loans
+const getGuarantorExposure = async (memberId, excludeLoanId = null) => {
+    const excluded = [].concat(excludeLoanId || 0);
+    const exposure = await getOne(
+        `SELECT COUNT(*) as guarantees,
+         COALESCE(SUM(CASE WHEN l.status IN ('Applied', 'Under Review', 'Approved')
+                      THEN l.loan_amount ELSE l.outstanding_amount END), 0) as total
+         FROM loan_guarantors g
+         JOIN loans l ON g.loan_id = l.loan_id
+         WHERE g.member_id = ? AND g.status IN ('Pending', 'Accepted')
+         AND l.loan_id NOT IN (${excluded.map(() => '?').join(', ')})
+         AND l.status IN (${OPEN_LOAN_STATUSES.map(() => '?').join(', ')})`,
+        [memberId, ...excluded, ...OPEN_LOAN_STATUSES]
+    );
+
+    return {
+        guarantees: exposure.guarantees,
+        total: roundCurrency(exposure.total)
+    };
+};
+
+// Check that one member can take on a further guarantee of the given amount
+const checkGuarantorCapacity = async (memberId, loanAmount, limits, excludeLoanId = null) => {
+    const exposure = await getGuarantorExposure(memberId, excludeLoanId);
+
+    if (exposure.guarantees >= limits.max_guarantees) {
+        return `already guarantees ${exposure.guarantees} active loan(s)`;
+    }
+
+    if (exposure.total + loanAmount > limits.max_exposure) {
+        return `guarantee exposure would exceed ₹${limits.max_exposure}`;
+    }
+
+    return null;
+};
+
+// Validate the guarantors named on a loan application. Returns a list of problems.
+// excludeLoanId leaves out a loan the application replaces (top-up or restructure).
+const validateGuarantors = async (applicantId, guarantorIds, loanAmount, limits, excludeLoanId = null) => {
+    const problems = [];
+    const uniqueIds = [...new Set(guarantorIds.map(id => parseInt(id)))];
+
+    if (uniqueIds.length !== guarantorIds.length) {
+        problems.push('The same guarantor is listed more than once');
+    }
+
+    if (uniqueIds.length < limits.required_guarantors) {
+        problems.push(`At least ${limits.required_guarantors} co-member guarantor(s) are required`);
+    }
+
+    for (const guarantorId of uniqueIds) {
+        if (guarantorId === applicantId) {
+            problems.push('You cannot stand guarantee for your own loan');
+            continue;
+        }
+
+        const guarantor = await getOne(
+            'SELECT member_id, first_name, last_name, status FROM members WHERE member_id = ?',
+            [guarantorId]
+        );
+
+        if (!guarantor || String(guarantor.status).toLowerCase() !== 'active') {
+            problems.push(`Guarantor ${guarantorId} is not an active member`);
+            continue;
+        }
+
+        const capacityProblem = await checkGuarantorCapacity(guarantorId, loanAmount, limits, excludeLoanId);
+        if (capacityProblem) {
+            problems.push(`${guarantor.first_name} ${guarantor.last_name} ${capacityProblem}`);
+        }
+    }
+
+    return problems;
+};
+
+// Guarantors for a loan with member names
+const getLoanGuarantors = async (loanId) => {
+    return await executeQuery(
+        `SELECT g.guarantor_id, g.member_id, m.first_name, m.last_name, m.phone,
+         g.guaranteed_amount, g.status, g.response_notes, g.responded_at
+         FROM loan_guarantors g
+         JOIN members m ON g.member_id = m.member_id
+         WHERE g.loan_id = ?
+         ORDER BY g.guarantor_id`,
+        [loanId]
+    );
+};
+
+module.exports = {
+    getGuarantorLimits,
+    getGuarantorExposure,
+    checkGuarantorCapacity,
+    validateGuarantors,
+    getLoanGuarantors
+};
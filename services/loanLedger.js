@@ -0,0 +1,590 @@
+// Loan ledger service for Kafal Cooperative Society
+// Posts repayments against the amortization schedule and keeps loan totals in sync
+
+const {
+    roundCurrency, formatDate, daysBetween, buildAmortizationSchedule, calculateTenure
+} = require('../utils/finance');
+const { recordTransaction } = require('../utils/transactions');
+const { releaseLiens } = require('./depositLiens');
+const { creditSavings } = require('./savings');
+
+// Loan statuses that can accept repayments
+const REPAYABLE_STATUSES = ['Disbursed', 'Active', 'Defaulted'];
+
+// Remaining amounts on an installment
+const getInstallmentDues = (installment) => ({
+    penalty: roundCurrency(installment.penalty_amount - installment.penalty_paid),
+    interest: roundCurrency(installment.interest_component - installment.interest_paid),
+    principal: roundCurrency(installment.principal_component - installment.principal_paid)
+});
+
+// Split a payment across unpaid installments: penalty first, then interest and
+// principal on installments already due, then any surplus towards the principal of
+// future installments (their interest has not accrued yet)
+const allocateRepayment = (installments, amount, paymentDate) => {
+    const asOf = formatDate(paymentDate);
+    const rows = installments.map(installment => ({
+        installment,
+        dues: getInstallmentDues(installment),
+        penalty: 0,
+        interest: 0,
+        principal: 0
+    }));
+    let remaining = roundCurrency(amount);
+
+    const take = (row, component) => {
+        const portion = Math.min(remaining, roundCurrency(row.dues[component] - row[component]));
+        if (portion > 0) {
+            row[component] = roundCurrency(row[component] + portion);
+            remaining = roundCurrency(remaining - portion);
+        }
+    };
+
+    const dueRows = rows.filter(row => formatDate(row.installment.due_date) <= asOf);
+    const futureRows = rows.filter(row => formatDate(row.installment.due_date) > asOf);
+
+    rows.forEach(row => take(row, 'penalty'));
+    dueRows.forEach(row => take(row, 'interest'));
+    dueRows.forEach(row => take(row, 'principal'));
+    futureRows.forEach(row => take(row, 'principal'));
+
+    const allocations = rows.filter(row => row.penalty + row.interest + row.principal > 0);
+
+    return {
+        allocations,
+        unallocated: remaining,
+        penalty: roundCurrency(allocations.reduce((sum, row) => sum + row.penalty, 0)),
+        interest: roundCurrency(allocations.reduce((sum, row) => sum + row.interest, 0)),
+        principal: roundCurrency(allocations.reduce((sum, row) => sum + row.principal, 0))
+    };
+};
+
+// Release guarantors once a loan is closed
+const releaseGuarantors = async (connection, loanId) => {
+    await connection.execute(
+        `UPDATE loan_guarantors SET status = 'Released', updated_at = NOW()
+         WHERE loan_id = ? AND status IN ('Pending', 'Accepted')`,
+        [loanId]
+    );
+};
+
+// Mark a loan as fully settled and release everything held against it
+const closeLoan = async (connection, loanId, closureType, closedOn = new Date()) => {
+    await connection.execute(
+        `UPDATE loans SET status = 'Completed', outstanding_amount = 0, next_due_date = NULL,
+         days_past_due = 0, asset_classification = 'Standard',
+         closed_date = ?, closure_type = ?, updated_at = NOW()
+         WHERE loan_id = ?`,
+        [formatDate(closedOn), closureType, loanId]
+    );
+
+    await releaseGuarantors(connection, loanId);
+    await releaseLiens(connection, loanId);
+};
+
+// Lock an open loan row and its unpaid installments for update
+const lockOpenLoan = async (connection, loanId) => {
+    const [loans] = await connection.execute(
+        'SELECT * FROM loans WHERE loan_id = ? FOR UPDATE',
+        [loanId]
+    );
+
+    if (!loans.length) {
+        throw new Error('Loan not found');
+    }
+
+    const loan = loans[0];
+
+    if (!REPAYABLE_STATUSES.includes(loan.status)) {
+        throw new Error('Loan is not open for repayment');
+    }
+
+    const [installments] = await connection.execute(
+        `SELECT * FROM loan_schedules
+         WHERE loan_id = ? AND status NOT IN ('Paid', 'Foreclosed')
+         ORDER BY installment_number
+         FOR UPDATE`,
+        [loanId]
+    );
+
+    return { loan, installments };
+};
+
+// Write the loan_repayments row describing how a payment was applied
+const recordRepayment = async (connection, {
+    loan, transactionId, amount, repaymentType = 'EMI', penalty = 0, interest = 0, principal = 0,
+    charges = 0, paymentDate, paymentMode, referenceNumber = null, outstandingAfter, processedBy = null
+}) => {
+    const [result] = await connection.execute(
+        `INSERT INTO loan_repayments
+         (loan_id, member_id, transaction_id, repayment_type, amount, penalty_component, interest_component,
+          principal_component, charges_component, payment_date, payment_mode, reference_number,
+          outstanding_after, processed_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [loan.loan_id, loan.member_id, transactionId, repaymentType, amount, penalty, interest,
+         principal, charges, formatDate(paymentDate), paymentMode, referenceNumber,
+         outstandingAfter, processedBy]
+    );
+
+    return result.insertId;
+};
+
+// Post a repayment against a loan inside an open transaction() connection.
+// An overpayment is refused unless excessToSavings is set (money already
+// received, e.g. a confirmed UPI payment), in which case the excess is
+// credited to the member's savings.
+const postLoanRepayment = async (connection, {
+    loanId, amount, paymentDate = new Date(), paymentMode, referenceNumber = null, processedBy = null,
+    excessToSavings = false
+}) => {
+    const { loan, installments } = await lockOpenLoan(connection, loanId);
+
+    const allocation = allocateRepayment(installments, amount, paymentDate);
+    const excess = allocation.unallocated;
+
+    if (excess > 0 && !excessToSavings) {
+        throw new Error(`Payment exceeds the amount payable on this loan by ₹${excess}`);
+    }
+
+    const applied = roundCurrency(amount - excess);
+
+    const paidOn = formatDate(paymentDate);
+
+    for (const row of allocation.allocations) {
+        const { installment } = row;
+        const principalPaid = roundCurrency(parseFloat(installment.principal_paid) + row.principal);
+        const interestPaid = roundCurrency(parseFloat(installment.interest_paid) + row.interest);
+        const penaltyPaid = roundCurrency(parseFloat(installment.penalty_paid) + row.penalty);
+        const fullyPaid = principalPaid >= parseFloat(installment.principal_component) &&
+                          interestPaid >= parseFloat(installment.interest_component) &&
+                          penaltyPaid >= parseFloat(installment.penalty_amount);
+
+        let status = 'Partially Paid';
+        if (fullyPaid) {
+            status = 'Paid';
+        } else if (installment.status === 'Overdue') {
+            status = 'Overdue';
+        }
+
+        await connection.execute(
+            `UPDATE loan_schedules SET principal_paid = ?, interest_paid = ?, penalty_paid = ?,
+             status = ?, paid_date = ?, updated_at = NOW()
+             WHERE schedule_id = ?`,
+            [principalPaid, interestPaid, penaltyPaid, status,
+             fullyPaid ? paidOn : installment.paid_date, installment.schedule_id]
+        );
+        installment.status = status;
+    }
+
+    const outstanding = roundCurrency(Math.max(parseFloat(loan.outstanding_amount) - allocation.principal, 0));
+
+    // Once all principal is repaid no further interest accrues, so installments
+    // still showing unpaid future interest are closed off
+    if (outstanding === 0) {
+        for (const installment of installments.filter(row => row.status !== 'Paid')) {
+            await connection.execute(
+                `UPDATE loan_schedules SET status = 'Foreclosed', paid_date = ?, updated_at = NOW()
+                 WHERE schedule_id = ?`,
+                [paidOn, installment.schedule_id]
+            );
+            installment.status = 'Foreclosed';
+        }
+    }
+
+    const nextInstallment = installments.find(installment => !['Paid', 'Foreclosed'].includes(installment.status));
+    const nextDueDate = nextInstallment ? formatDate(nextInstallment.due_date) : null;
+    const completed = !nextInstallment;
+
+    // A loan with no installment left past due is regularised straight away;
+    // the nightly overdue job handles any downgrade
+    const current = completed || nextDueDate >= paidOn;
+    let newStatus = loan.status;
+    if (completed) {
+        newStatus = 'Completed';
+    } else if (loan.status === 'Disbursed' || (loan.status === 'Defaulted' && current)) {
+        newStatus = 'Active';
+    }
+
+    await connection.execute(
+        `UPDATE loans SET outstanding_amount = ?, total_paid = total_paid + ?,
+         next_due_date = ?, status = ?,
+         days_past_due = IF(?, 0, days_past_due),
+         asset_classification = IF(?, 'Standard', asset_classification),
+         updated_at = NOW()
+         WHERE loan_id = ?`,
+        [outstanding, applied, nextDueDate, newStatus, current, current, loanId]
+    );
+
+    if (completed) {
+        await closeLoan(connection, loanId, 'Repaid', paymentDate);
+    }
+
+    const txn = await recordTransaction(connection, {
+        memberId: loan.member_id,
+        type: 'Loan Payment',
+        amount: applied,
+        balanceAfter: outstanding,
+        referenceType: 'Loan',
+        referenceId: loanId,
+        description: `Loan repayment - ${loan.loan_number} (penalty ₹${allocation.penalty}, ` +
+                     `interest ₹${allocation.interest}, principal ₹${allocation.principal})`,
+        processedBy
+    });
+
+    const repaymentId = await recordRepayment(connection, {
+        loan,
+        transactionId: txn.transaction_id,
+        amount: applied,
+        penalty: allocation.penalty,
+        interest: allocation.interest,
+        principal: allocation.principal,
+        paymentDate,
+        paymentMode,
+        referenceNumber,
+        outstandingAfter: outstanding,
+        processedBy
+    });
+
+    let excessTxn = null;
+    if (excess > 0) {
+        excessTxn = await recordTransaction(connection, {
+            memberId: loan.member_id,
+            type: 'Deposit',
+            amount: excess,
+            balanceAfter: await creditSavings(connection, loan.member_id, excess),
+            referenceType: 'Loan',
+            referenceId: loanId,
+            description: `Repayment in excess of amount payable, credited to savings - ${loan.loan_number}`,
+            processedBy
+        });
+    }
+
+    return {
+        repayment_id: repaymentId,
+        loan_id: loan.loan_id,
+        loan_number: loan.loan_number,
+        member_id: loan.member_id,
+        transaction_number: txn.transaction_number,
+        amount: applied,
+        excess_to_savings: excess,
+        excess_transaction_number: excessTxn ? excessTxn.transaction_number : null,
+        allocation: {
+            penalty: allocation.penalty,
+            interest: allocation.interest,
+            principal: allocation.principal
+        },
+        outstanding_amount: outstanding,
+        next_due_date: nextDueDate,
+        status: newStatus
+    };
+};
+
+// Part-prepay principal and recompute the remaining schedule. option is
+// 'reduce_emi' (same number of installments) or 'reduce_tenure' (same EMI).
+const postPrepayment = async (connection, {
+    loanId, amount, option, paymentDate = new Date(), paymentMode, referenceNumber = null, processedBy = null
+}) => {
+    const { loan, installments } = await lockOpenLoan(connection, loanId);
+    const paidOn = formatDate(paymentDate);
+
+    if (installments.some(installment => formatDate(installment.due_date) <= paidOn ||
+                                         installment.status !== 'Pending')) {
+        throw new Error('Clear all due and part-paid installments before making a prepayment');
+    }
+
+    const outstanding = parseFloat(loan.outstanding_amount);
+    if (amount >= outstanding) {
+        throw new Error('Prepayment must be less than the outstanding principal; use foreclosure to close the loan');
+    }
+
+    const newPrincipal = roundCurrency(outstanding - amount);
+    const rate = parseFloat(loan.interest_rate);
+    const firstNumber = installments[0].installment_number;
+    const tenure = option === 'reduce_tenure'
+        ? Math.min(calculateTenure(newPrincipal, rate, parseFloat(loan.monthly_emi)), installments.length)
+        : installments.length;
+
+    // Due dates keep counting from the original disbursement date
+    const schedule = buildAmortizationSchedule(newPrincipal, rate, tenure, loan.disbursement_date, firstNumber);
+
+    await connection.execute(
+        `DELETE FROM loan_schedules WHERE loan_id = ? AND installment_number >= ?`,
+        [loanId, firstNumber]
+    );
+
+    for (const row of schedule.installments) {
+        await connection.execute(
+            `INSERT INTO loan_schedules
+             (loan_id, installment_number, due_date, opening_balance, emi_amount,
+              principal_component, interest_component, closing_balance)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [loanId, row.installment_number, row.due_date, row.opening_balance, row.emi_amount,
+             row.principal_component, row.interest_component, row.closing_balance]
+        );
+    }
+
+    const newTenure = firstNumber - 1 + schedule.installments.length;
+    const nextDueDate = schedule.installments[0].due_date;
+
+    await connection.execute(
+        `UPDATE loans SET outstanding_amount = ?, total_paid = total_paid + ?, monthly_emi = ?,
+         tenure_months = ?, next_due_date = ?,
+         status = IF(status = 'Disbursed', 'Active', status), updated_at = NOW()
+         WHERE loan_id = ?`,
+        [newPrincipal, amount, schedule.monthly_emi, newTenure, nextDueDate, loanId]
+    );
+
+    const txn = await recordTransaction(connection, {
+        memberId: loan.member_id,
+        type: 'Loan Payment',
+        amount,
+        balanceAfter: newPrincipal,
+        referenceType: 'Loan',
+        referenceId: loanId,
+        description: `Loan prepayment - ${loan.loan_number} (${option === 'reduce_tenure' ? 'tenure' : 'EMI'} reduced)`,
+        processedBy
+    });
+
+    const repaymentId = await recordRepayment(connection, {
+        loan,
+        transactionId: txn.transaction_id,
+        amount,
+        repaymentType: 'Prepayment',
+        principal: amount,
+        paymentDate,
+        paymentMode,
+        referenceNumber,
+        outstandingAfter: newPrincipal,
+        processedBy
+    });
+
+    return {
+        repayment_id: repaymentId,
+        loan_id: loan.loan_id,
+        loan_number: loan.loan_number,
+        member_id: loan.member_id,
+        transaction_number: txn.transaction_number,
+        amount: roundCurrency(amount),
+        option,
+        outstanding_amount: newPrincipal,
+        previous_emi: parseFloat(loan.monthly_emi),
+        monthly_emi: schedule.monthly_emi,
+        previous_remaining_installments: installments.length,
+        remaining_installments: schedule.installments.length,
+        next_due_date: nextDueDate
+    };
+};
+
+// Work out the exact amount needed to close a loan on a given date
+const calculateForeclosureQuote = (loan, installments, asOf, chargeRate) => {
+    const quoteDate = formatDate(asOf);
+    const principal = roundCurrency(loan.outstanding_amount);
+    const rate = parseFloat(loan.interest_rate);
+
+    const dueInstallments = installments.filter(installment => formatDate(installment.due_date) <= quoteDate);
+    const futureInstallments = installments.filter(installment => formatDate(installment.due_date) > quoteDate);
+
+    const penalty = roundCurrency(installments.reduce((sum, installment) =>
+        sum + getInstallmentDues(installment).penalty, 0));
+    const overdueInterest = roundCurrency(dueInstallments.reduce((sum, installment) =>
+        sum + getInstallmentDues(installment).interest, 0));
+
+    // Interest accrues daily on the principal from the last due date (or disbursement)
+    // to the quote date, less any interest already paid in advance on future installments
+    const lastDueDate = dueInstallments.length
+        ? dueInstallments[dueInstallments.length - 1].due_date
+        : (loan.last_installment_due_date || loan.disbursement_date);
+    const accrualDays = Math.max(daysBetween(lastDueDate, quoteDate), 0);
+    const advanceInterest = futureInstallments.reduce((sum, installment) =>
+        sum + parseFloat(installment.interest_paid), 0);
+    const accruedInterest = roundCurrency(Math.max(principal * rate / 100 / 365 * accrualDays - advanceInterest, 0));
+
+    const foreclosureCharge = roundCurrency(principal * chargeRate / 100);
+    const interest = roundCurrency(overdueInterest + accruedInterest);
+
+    return {
+        loan_id: loan.loan_id,
+        loan_number: loan.loan_number,
+        quote_date: quoteDate,
+        principal_outstanding: principal,
+        overdue_interest: overdueInterest,
+        accrued_interest: accruedInterest,
+        accrual_days: accrualDays,
+        penalty_due: penalty,
+        foreclosure_charge_rate: chargeRate,
+        foreclosure_charge: foreclosureCharge,
+        total_payable: roundCurrency(principal + interest + penalty + foreclosureCharge)
+    };
+};
+
+// Latest installment due date on or before the quote date among already-paid installments
+const getLastPaidDueDate = async (connection, loanId, asOf) => {
+    const [rows] = await connection.execute(
+        `SELECT MAX(due_date) as last_due_date FROM loan_schedules
+         WHERE loan_id = ? AND status = 'Paid' AND due_date <= ?`,
+        [loanId, formatDate(asOf)]
+    );
+    return rows[0].last_due_date;
+};
+
+// Build a foreclosure quote using the given connection (locks nothing)
+const getForeclosureQuote = async (connection, loanId, asOf, chargeRate) => {
+    const [loans] = await connection.execute('SELECT * FROM loans WHERE loan_id = ?', [loanId]);
+
+    if (!loans.length) {
+        throw new Error('Loan not found');
+    }
+
+    const loan = loans[0];
+
+    if (!REPAYABLE_STATUSES.includes(loan.status)) {
+        throw new Error('Loan is not open for foreclosure');
+    }
+
+    const [installments] = await connection.execute(
+        `SELECT * FROM loan_schedules
+         WHERE loan_id = ? AND status NOT IN ('Paid', 'Foreclosed')
+         ORDER BY installment_number`,
+        [loanId]
+    );
+
+    loan.last_installment_due_date = await getLastPaidDueDate(connection, loanId, asOf);
+
+    return calculateForeclosureQuote(loan, installments, asOf, chargeRate);
+};
+
+// Close a loan early: settle principal, interest and penalty, charge the
+// foreclosure fee and write the final transactions. A null amount settles
+// exactly the payoff (used when a top-up or restructured loan takes it over);
+// any amount above the payoff is credited to the member's savings.
+// With carryDues the penalty and the interest accrued since the last due date
+// are not settled here: they move to the loan that replaces this one
+// (restructure), so only principal and overdue interest are recorded as paid.
+const forecloseLoan = async (connection, {
+    loanId, amount = null, chargeRate, closureDate = new Date(), paymentMode, referenceNumber = null,
+    processedBy = null, closureType = 'Foreclosed', carryDues = false
+}) => {
+    const { loan, installments } = await lockOpenLoan(connection, loanId);
+    loan.last_installment_due_date = await getLastPaidDueDate(connection, loanId, closureDate);
+
+    const quote = calculateForeclosureQuote(loan, installments, closureDate, chargeRate);
+    const carried = carryDues
+        ? { penalty: quote.penalty_due, interest: quote.accrued_interest }
+        : { penalty: 0, interest: 0 };
+    const payoff = roundCurrency(quote.total_payable - carried.penalty - carried.interest);
+    const received = amount === null ? payoff : roundCurrency(amount);
+
+    if (received < payoff) {
+        throw new Error(`Foreclosure requires ₹${payoff}; amount received is short`);
+    }
+
+    const closedOn = formatDate(closureDate);
+
+    for (const installment of installments) {
+        const isDue = formatDate(installment.due_date) <= closedOn;
+        await connection.execute(
+            `UPDATE loan_schedules SET principal_paid = principal_component,
+             interest_paid = IF(?, interest_component, interest_paid),
+             penalty_paid = IF(?, penalty_paid, penalty_amount), status = ?, paid_date = ?, updated_at = NOW()
+             WHERE schedule_id = ?`,
+            [isDue, carryDues, isDue ? 'Paid' : 'Foreclosed', closedOn, installment.schedule_id]
+        );
+    }
+
+    const settlement = roundCurrency(payoff - quote.foreclosure_charge);
+    const interest = roundCurrency(quote.overdue_interest + quote.accrued_interest - carried.interest);
+    const penalty = roundCurrency(quote.penalty_due - carried.penalty);
+
+    await connection.execute(
+        'UPDATE loans SET total_paid = total_paid + ?, updated_at = NOW() WHERE loan_id = ?',
+        [payoff, loanId]
+    );
+    await closeLoan(connection, loanId, closureType, closureDate);
+
+    const paymentTxn = await recordTransaction(connection, {
+        memberId: loan.member_id,
+        type: 'Loan Payment',
+        amount: settlement,
+        balanceAfter: 0,
+        referenceType: 'Loan',
+        referenceId: loanId,
+        description: `${closureType === 'Foreclosed' ? 'Loan foreclosure' : `Loan closed (${closureType.toLowerCase()})`} - ` +
+                     `${loan.loan_number} (principal ₹${quote.principal_outstanding}, ` +
+                     `interest ₹${interest}, penalty ₹${penalty})`,
+        processedBy
+    });
+
+    let feeTxn = null;
+    if (quote.foreclosure_charge > 0) {
+        feeTxn = await recordTransaction(connection, {
+            memberId: loan.member_id,
+            type: 'Fee',
+            amount: quote.foreclosure_charge,
+            balanceAfter: 0,
+            referenceType: 'Loan',
+            referenceId: loanId,
+            description: `Foreclosure charge (${chargeRate}%) - ${loan.loan_number}`,
+            processedBy
+        });
+    }
+
+    const repaymentId = await recordRepayment(connection, {
+        loan,
+        transactionId: paymentTxn.transaction_id,
+        amount: payoff,
+        repaymentType: 'Foreclosure',
+        penalty,
+        interest,
+        principal: quote.principal_outstanding,
+        charges: quote.foreclosure_charge,
+        paymentDate: closureDate,
+        paymentMode,
+        referenceNumber,
+        outstandingAfter: 0,
+        processedBy
+    });
+
+    // Anything received beyond the payoff belongs to the member and is credited to savings
+    const excess = roundCurrency(received - payoff);
+    let excessTxn = null;
+    if (excess > 0) {
+        excessTxn = await recordTransaction(connection, {
+            memberId: loan.member_id,
+            type: 'Deposit',
+            amount: excess,
+            balanceAfter: await creditSavings(connection, loan.member_id, excess),
+            referenceType: 'Loan',
+            referenceId: loanId,
+            description: `Foreclosure amount in excess of payoff, credited to savings - ${loan.loan_number}`,
+            processedBy
+        });
+    }
+
+    return {
+        ...quote,
+        repayment_id: repaymentId,
+        member_id: loan.member_id,
+        amount_settled: payoff,
+        carried_penalty: carried.penalty,
+        carried_interest: carried.interest,
+        amount_received: received,
+        excess_to_savings: excess,
+        transaction_number: paymentTxn.transaction_number,
+        fee_transaction_number: feeTxn ? feeTxn.transaction_number : null,
+        excess_transaction_number: excessTxn ? excessTxn.transaction_number : null,
+        status: 'Completed'
+    };
+};
+
+module.exports = {
+    REPAYABLE_STATUSES,
+    getInstallmentDues,
+    allocateRepayment,
+    releaseGuarantors,
+    closeLoan,
+    postLoanRepayment,
+    postPrepayment,
+    calculateForeclosureQuote,
+    getForeclosureQuote,
+    forecloseLoan
+};
@@ -0,0 +1,224 @@
+jest.mock('../config/database', () => ({
+    executeQuery: jest.fn(),
+    getOne: jest.fn(),
+    transaction: jest.fn()
+}));
+jest.mock('../utils/transactions', () => ({
+    recordTransaction: jest.fn()
+}));
+jest.mock('./savings', () => ({
+    creditSavings: jest.fn()
+}));
+
+const { recordTransaction } = require('../utils/transactions');
+const { creditSavings } = require('./savings');
+const {
+    allocateRepayment, postLoanRepayment, calculateForeclosureQuote, forecloseLoan
+} = require('./loanLedger');
+
+const installment = (number, dueDate, { principal = 800, interest = 200, penalty = 0 } = {}) => ({
+    schedule_id: number,
+    installment_number: number,
+    due_date: dueDate,
+    principal_component: principal,
+    interest_component: interest,
+    penalty_amount: penalty,
+    principal_paid: 0,
+    interest_paid: 0,
+    penalty_paid: 0
+});
+
+describe('allocateRepayment', () => {
+    const installments = [
+        installment(1, '2025-05-10', { penalty: 30 }),
+        installment(2, '2025-06-10', { penalty: 10 }),
+        installment(3, '2025-07-10')
+    ];
+
+    test('takes penalty, then interest, then principal on installments already due', () => {
+        const result = allocateRepayment(installments, 1500, '2025-06-15');
+
+        expect(result.penalty).toBe(40);
+        expect(result.interest).toBe(400);
+        expect(result.principal).toBe(1060);
+        expect(result.unallocated).toBe(0);
+
+        // Interest on both due installments is cleared before any principal
+        expect(result.allocations[0]).toMatchObject({ penalty: 30, interest: 200, principal: 800 });
+        expect(result.allocations[1]).toMatchObject({ penalty: 10, interest: 200, principal: 260 });
+    });
+
+    test('a short payment settles penalty and interest only', () => {
+        const result = allocateRepayment(installments, 300, '2025-06-15');
+
+        expect(result.penalty).toBe(40);
+        expect(result.interest).toBe(260);
+        expect(result.principal).toBe(0);
+    });
+
+    test('surplus goes to future principal only and anything beyond is left unallocated', () => {
+        const result = allocateRepayment(installments, 3500, '2025-06-15');
+
+        expect(result.allocations).toHaveLength(3);
+        // Interest on the July installment has not accrued yet
+        expect(result.allocations[2]).toMatchObject({ interest: 0, principal: 800 });
+        expect(result.unallocated).toBe(660);
+    });
+
+    test('installments partly paid only owe the remainder', () => {
+        const partlyPaid = [{ ...installment(1, '2025-05-10'), interest_paid: 150, principal_paid: 100 }];
+        const result = allocateRepayment(partlyPaid, 1000, '2025-06-15');
+
+        expect(result.interest).toBe(50);
+        expect(result.principal).toBe(700);
+        expect(result.unallocated).toBe(250);
+    });
+});
+
+describe('postLoanRepayment', () => {
+    // Connection stand-in for a loan with one installment due and one to come
+    const fakeConnection = () => ({
+        execute: jest.fn(async (sql) => {
+            if (sql.includes('FROM loans')) {
+                return [[{ loan_id: 5, member_id: 1, loan_number: 'LN005', status: 'Active', outstanding_amount: '1600.00' }]];
+            }
+            if (sql.includes('FROM loan_schedules')) {
+                return [[
+                    { ...installment(1, '2025-05-10'), status: 'Overdue' },
+                    { ...installment(2, '2025-06-10'), status: 'Pending' }
+                ]];
+            }
+            if (sql.startsWith('INSERT')) {
+                return [{ insertId: 9 }];
+            }
+            return [{}];
+        })
+    });
+
+    const repay = (connection, options) => postLoanRepayment(connection, {
+        loanId: 5,
+        amount: 2000,
+        paymentDate: '2025-05-20',
+        paymentMode: 'UPI',
+        ...options
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        creditSavings.mockResolvedValue(1200);
+        recordTransaction.mockImplementation(async (connection, { type }) => ({
+            transaction_id: type === 'Deposit' ? 22 : 21,
+            transaction_number: type === 'Deposit' ? 'TXN022' : 'TXN021'
+        }));
+    });
+
+    test('refuses an overpayment by default', async () => {
+        await expect(repay(fakeConnection())).rejects.toThrow('Payment exceeds the amount payable on this loan by ₹200');
+        expect(creditSavings).not.toHaveBeenCalled();
+    });
+
+    test('credits an overpayment already received to savings and closes the loan', async () => {
+        const connection = fakeConnection();
+        const result = await repay(connection, { excessToSavings: true });
+
+        expect(result.amount).toBe(1800);
+        expect(result.excess_to_savings).toBe(200);
+        expect(result.excess_transaction_number).toBe('TXN022');
+        expect(result.outstanding_amount).toBe(0);
+        expect(creditSavings).toHaveBeenCalledWith(connection, 1, 200);
+
+        // The future installment's unaccrued interest is not collected
+        const closed = connection.execute.mock.calls.filter(([sql]) => sql.includes("status = 'Foreclosed'"));
+        expect(closed.map(([, params]) => params[1])).toEqual([2]);
+        expect(result.status).toBe('Completed');
+    });
+});
+
+describe('calculateForeclosureQuote', () => {
+    const loan = {
+        loan_id: 5,
+        loan_number: 'LN005',
+        outstanding_amount: '36500.00',
+        interest_rate: '12.00',
+        last_installment_due_date: '2025-05-10'
+    };
+
+    test('credits back interest paid in advance on every future installment', () => {
+        const installments = [
+            { ...installment(2, '2025-06-10'), interest_paid: 40 },
+            { ...installment(3, '2025-07-10'), interest_paid: 30 }
+        ];
+        const quote = calculateForeclosureQuote(loan, installments, '2025-05-30', 2);
+
+        // 20 days on 36,500 at 12% is 240, less the 70 already paid
+        expect(quote.accrual_days).toBe(20);
+        expect(quote.accrued_interest).toBe(170);
+        expect(quote.foreclosure_charge).toBe(730);
+        expect(quote.total_payable).toBe(37400);
+    });
+});
+
+describe('forecloseLoan', () => {
+    // Loan with one overdue installment carrying a penalty and one to come
+    const fakeConnection = () => ({
+        execute: jest.fn(async (sql) => {
+            if (sql.includes('FROM loans')) {
+                return [[{
+                    loan_id: 5, member_id: 1, loan_number: 'LN005', status: 'Defaulted',
+                    outstanding_amount: '1600.00', interest_rate: '12.00', disbursement_date: '2025-04-10'
+                }]];
+            }
+            if (sql.includes('MAX(due_date)')) {
+                return [[{ last_due_date: null }]];
+            }
+            if (sql.includes('FROM loan_schedules')) {
+                return [[installment(1, '2025-05-10', { penalty: 50 }), installment(2, '2025-06-10')]];
+            }
+            if (sql.startsWith('INSERT')) {
+                return [{ insertId: 9 }];
+            }
+            return [{}];
+        })
+    });
+
+    const close = (connection, options) => forecloseLoan(connection, {
+        loanId: 5,
+        chargeRate: 0,
+        closureDate: '2025-05-30',
+        paymentMode: 'Internal Transfer',
+        closureType: 'Restructured',
+        ...options
+    });
+
+    const paidTotal = (connection) => connection.execute.mock.calls
+        .find(([sql]) => sql.startsWith('UPDATE loans SET total_paid'))[1][0];
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        recordTransaction.mockResolvedValue({ transaction_id: 21, transaction_number: 'TXN021' });
+    });
+
+    test('settles penalty and accrued interest on an ordinary foreclosure', async () => {
+        const connection = fakeConnection();
+        const result = await close(connection);
+
+        // 20 days on 1,600 at 12% is 10.52 accrued
+        expect(result.accrued_interest).toBe(10.52);
+        expect(result.amount_settled).toBe(1860.52);
+        expect(paidTotal(connection)).toBe(1860.52);
+    });
+
+    test('leaves carried dues out of the settlement when they move to a new loan', async () => {
+        const connection = fakeConnection();
+        const result = await close(connection, { carryDues: true });
+
+        expect(result.amount_settled).toBe(1800);
+        expect(result.carried_penalty).toBe(50);
+        expect(result.carried_interest).toBe(10.52);
+        expect(paidTotal(connection)).toBe(1800);
+        expect(recordTransaction).toHaveBeenCalledWith(connection, expect.objectContaining({ amount: 1800 }));
+
+        const repayment = connection.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO loan_repayments'))[1];
+        expect(repayment.slice(4, 8)).toEqual([1800, 0, 200, 1600]);
+    });
+});
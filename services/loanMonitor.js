@@ -0,0 +1,146 @@
+// Loan monitoring service for Kafal Cooperative Society
+// Detects missed installments, accrues penal interest and classifies loans by days past due
+
+const { executeQuery, transaction } = require('../config/database');
+const { getNumericSetting } = require('../utils/settings');
+const { roundCurrency, formatDate, daysBetween } = require('../utils/finance');
+
+// Classification buckets by days past due (SMA = Special Mention Account)
+const classifyDaysPastDue = (daysPastDue, npaDays) => {
+    if (daysPastDue <= 0) return 'Standard';
+    if (daysPastDue > npaDays) return 'NPA';
+    if (daysPastDue > 60) return 'SMA-2';
+    if (daysPastDue > 30) return 'SMA-1';
+    return 'SMA-0';
+};
+
+class LoanMonitorService {
+    constructor(realtimeService) {
+        this.realtime = realtimeService;
+    }
+
+    // Run the overdue check for every open loan as of the given date
+    async runOverdueCheck(asOf = new Date()) {
+        const penalRate = await getNumericSetting('loan_penal_interest_rate', 2.0);
+        const npaDays = await getNumericSetting('loan_npa_days', 90);
+        const loans = await executeQuery(
+            `SELECT loan_id FROM loans
+             WHERE status IN ('Disbursed', 'Active', 'Defaulted')`
+        );
+
+        const summary = { checked: 0, overdue: 0, penalty_charged: 0, reclassified: [] };
+
+        for (const { loan_id } of loans) {
+            try {
+                const result = await this.checkLoan(loan_id, asOf, penalRate, npaDays);
+                summary.checked += 1;
+                summary.penalty_charged = roundCurrency(summary.penalty_charged + result.penalty_charged);
+                if (result.days_past_due > 0) {
+                    summary.overdue += 1;
+                }
+                if (result.previous_classification !== result.asset_classification) {
+                    summary.reclassified.push(result);
+                    this.notifyClassificationChange(result);
+                }
+            } catch (error) {
+                console.error(`Overdue check failed for loan ${loan_id}:`, error);
+            }
+        }
+
+        return summary;
+    }
+
+    // Mark overdue installments, accrue penal interest and reclassify a single loan
+    async checkLoan(loanId, asOf, penalRate, npaDays) {
+        const today = formatDate(asOf);
+
+        return await transaction(async (connection) => {
+            const [loans] = await connection.execute(
+                'SELECT * FROM loans WHERE loan_id = ? FOR UPDATE',
+                [loanId]
+            );
+            const loan = loans[0];
+
+            const [overdueInstallments] = await connection.execute(
+                `SELECT * FROM loan_schedules
+                 WHERE loan_id = ? AND status <> 'Paid' AND due_date < ?
+                 ORDER BY installment_number
+                 FOR UPDATE`,
+                [loanId, today]
+            );
+
+            let penaltyCharged = 0;
+            let overdueAmount = 0;
+
+            for (const installment of overdueInstallments) {
+                const unpaid = roundCurrency(
+                    (installment.principal_component - installment.principal_paid) +
+                    (installment.interest_component - installment.interest_paid)
+                );
+                const accruedFrom = installment.penalty_accrued_until || installment.due_date;
+                const days = daysBetween(accruedFrom, today);
+                const penalty = days > 0 ? roundCurrency(unpaid * penalRate / 100 / 365 * days) : 0;
+
+                await connection.execute(
+                    `UPDATE loan_schedules SET status = 'Overdue',
+                     penalty_amount = penalty_amount + ?, penalty_accrued_until = ?, updated_at = NOW()
+                     WHERE schedule_id = ?`,
+                    [penalty, today, installment.schedule_id]
+                );
+
+                penaltyCharged = roundCurrency(penaltyCharged + penalty);
+                overdueAmount = roundCurrency(overdueAmount + unpaid);
+            }
+
+            const daysPastDue = overdueInstallments.length
+                ? daysBetween(overdueInstallments[0].due_date, today)
+                : 0;
+            const classification = classifyDaysPastDue(daysPastDue, npaDays);
+
+            let status = loan.status;
+            if (classification === 'NPA') {
+                status = 'Defaulted';
+            } else if (loan.status === 'Defaulted') {
+                status = 'Active';
+            }
+
+            await connection.execute(
+                `UPDATE loans SET days_past_due = ?, asset_classification = ?, status = ?, updated_at = NOW()
+                 WHERE loan_id = ?`,
+                [daysPastDue, classification, status, loanId]
+            );
+
+            return {
+                loan_id: loan.loan_id,
+                loan_number: loan.loan_number,
+                member_id: loan.member_id,
+                days_past_due: daysPastDue,
+                overdue_amount: overdueAmount,
+                penalty_charged: penaltyCharged,
+                previous_classification: loan.asset_classification,
+                asset_classification: classification,
+                status
+            };
+        });
+    }
+
+    // Tell the member (and admins, for new NPAs) when a loan changes bucket
+    notifyClassificationChange(result) {
+        if (!this.realtime) {
+            return;
+        }
+
+        this.realtime.handleLoanOverdue(result);
+
+        if (result.asset_classification === 'NPA') {
+            this.realtime.notifyAdmins('LOAN_NPA', {
+                message: `Loan ${result.loan_number} classified as NPA (${result.days_past_due} days past due)`,
+                loanId: result.loan_id,
+                memberId: result.member_id,
+                overdueAmount: result.overdue_amount
+            });
+        }
+    }
+}
+
+module.exports = LoanMonitorService;
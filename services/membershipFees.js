@@ -0,0 +1,308 @@
+// Membership fee ledger for Kafal Cooperative Society
+// Allocates each fee payment across the fee heads in the schedule from system_settings,
+// keeps a per-head paid/due breakdown and activates a member once every mandatory head is cleared.
+
+const { executeQuery } = require('../config/database');
+const { getSetting } = require('../utils/settings');
+const { recordTransaction } = require('../utils/transactions');
+const { roundCurrency } = require('../utils/finance');
+const { creditSavings, lockSavingsBalance } = require('./savings');
+const { getWelfareSettings, recordWelfareContribution } = require('./welfareFund');
+
+const FEE_PAYMENT_MODES = ['UPI', 'Cash'];
+
+// Schedule used when membership_fee_heads is not configured
+const DEFAULT_FEE_HEADS = [
+    { code: 'entry_fee', name: 'Entry Fee', amount: 200, mandatory: true },
+    { code: 'welfare_fund', name: 'Welfare Fund', amount: 200, mandatory: true },
+    { code: 'building_fund', name: 'Building Fund', amount: 2000, mandatory: true }
+];
+
+// Read the fee schedule (a JSON list of { code, name, amount, mandatory }) from system_settings
+const getFeeHeads = async () => {
+    const value = await getSetting('membership_fee_heads');
+
+    if (!value) {
+        return DEFAULT_FEE_HEADS;
+    }
+
+    try {
+        const heads = JSON.parse(value)
+            .filter(head => head && head.code && parseFloat(head.amount) > 0)
+            .map(head => ({
+                code: String(head.code),
+                name: head.name || String(head.code),
+                amount: roundCurrency(head.amount),
+                mandatory: head.mandatory !== false
+            }));
+
+        return heads.length ? heads : DEFAULT_FEE_HEADS;
+    } catch (error) {
+        console.error('Invalid membership_fee_heads setting:', error);
+        return DEFAULT_FEE_HEADS;
+    }
+};
+
+// Combine the schedule with the amounts paid per head ({ code: paid })
+const summariseFees = (heads, paidByHead) => {
+    const breakdown = heads.map(head => {
+        const paid = roundCurrency(Math.min(paidByHead[head.code] || 0, head.amount));
+        const due = roundCurrency(head.amount - paid);
+        return { ...head, paid, due, cleared: due <= 0 };
+    });
+
+    const sum = (rows, key) => roundCurrency(rows.reduce((total, row) => total + row[key], 0));
+    const mandatory = breakdown.filter(head => head.mandatory);
+
+    return {
+        heads: breakdown,
+        total_fees: sum(breakdown, 'amount'),
+        total_paid: sum(breakdown, 'paid'),
+        total_due: sum(breakdown, 'due'),
+        mandatory_due: sum(mandatory, 'due'),
+        mandatory_cleared: mandatory.every(head => head.cleared)
+    };
+};
+
+const toPaidByHead = (rows) => rows.reduce((paid, row) => {
+    paid[row.fee_head] = roundCurrency(row.paid);
+    return paid;
+}, {});
+
+// A member's per-head paid/due breakdown
+const getFeeStatus = async (memberId) => {
+    const heads = await getFeeHeads();
+    const paid = await executeQuery(
+        `SELECT fee_head, SUM(amount) as paid FROM membership_fee_allocations
+         WHERE member_id = ? GROUP BY fee_head`,
+        [memberId]
+    );
+
+    return summariseFees(heads, toPaidByHead(paid));
+};
+
+// Allocate a fee payment (inside transaction()) to the outstanding heads, mandatory heads
+// first and then in schedule order. Anything paid beyond the fees due goes to savings.
+// A member awaiting payment is activated once every mandatory head is cleared.
+const allocateFeePayment = async (connection, {
+    memberId, amount, paymentMode, paymentRequestId = null, paymentReference = null, processedBy = null
+}) => {
+    const [members] = await connection.execute(
+        'SELECT member_id, status FROM members WHERE member_id = ? FOR UPDATE',
+        [memberId]
+    );
+
+    if (!members.length) {
+        throw new Error('Member not found');
+    }
+
+    const heads = await getFeeHeads();
+    const [paidRows] = await connection.execute(
+        `SELECT fee_head, SUM(amount) as paid FROM membership_fee_allocations
+         WHERE member_id = ? GROUP BY fee_head`,
+        [memberId]
+    );
+    const before = summariseFees(heads, toPaidByHead(paidRows));
+
+    const ordered = [
+        ...before.heads.filter(head => head.mandatory),
+        ...before.heads.filter(head => !head.mandatory)
+    ];
+
+    let remaining = roundCurrency(amount);
+    const allocations = [];
+
+    for (const head of ordered) {
+        if (remaining <= 0) {
+            break;
+        }
+        if (head.due <= 0) {
+            continue;
+        }
+
+        const portion = roundCurrency(Math.min(head.due, remaining));
+        allocations.push({ fee_head: head.code, fee_name: head.name, amount: portion });
+        remaining = roundCurrency(remaining - portion);
+    }
+
+    const allocated = roundCurrency(amount - remaining);
+    let feeTransaction = null;
+
+    if (allocated > 0) {
+        feeTransaction = await recordTransaction(connection, {
+            memberId,
+            type: 'Fee',
+            amount: allocated,
+            balanceAfter: await lockSavingsBalance(connection, memberId),
+            referenceType: 'General',
+            description: `Membership fees: ${allocations.map(a => `${a.fee_name} ₹${a.amount}`).join(', ')}`,
+            processedBy
+        });
+
+        const { fee_head: welfareHead } = await getWelfareSettings();
+
+        for (const allocation of allocations) {
+            const [inserted] = await connection.execute(
+                `INSERT INTO membership_fee_allocations
+                 (member_id, fee_head, fee_name, amount, payment_mode, payment_request_id,
+                  payment_reference, transaction_id, processed_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [memberId, allocation.fee_head, allocation.fee_name, allocation.amount, paymentMode,
+                 paymentRequestId, paymentReference, feeTransaction.transaction_id, processedBy]
+            );
+
+            // The welfare fund head is paid into the welfare fund's own ledger
+            if (allocation.fee_head === welfareHead) {
+                await recordWelfareContribution(connection, {
+                    memberId,
+                    amount: allocation.amount,
+                    allocationId: inserted.insertId,
+                    transactionId: feeTransaction.transaction_id,
+                    processedBy
+                });
+            }
+        }
+    }
+
+    // Overpayments are not lost: the excess is credited to savings
+    let excessTransaction = null;
+    if (remaining > 0) {
+        const balanceAfter = await creditSavings(connection, memberId, remaining);
+        excessTransaction = await recordTransaction(connection, {
+            memberId,
+            type: 'Deposit',
+            amount: remaining,
+            balanceAfter,
+            referenceType: 'General',
+            description: 'Membership fee payment in excess of fees due, credited to savings',
+            processedBy
+        });
+    }
+
+    const paidByHead = toPaidByHead(paidRows);
+    for (const allocation of allocations) {
+        paidByHead[allocation.fee_head] = roundCurrency((paidByHead[allocation.fee_head] || 0) + allocation.amount);
+    }
+    const fees = summariseFees(heads, paidByHead);
+
+    const activated = fees.mandatory_cleared && String(members[0].status).toLowerCase() === 'pending_payment';
+
+    await connection.execute(
+        `UPDATE members SET membership_fees_paid = ?,
+         status = CASE WHEN ? THEN 'active' ELSE status END, updated_at = NOW()
+         WHERE member_id = ?`,
+        [fees.total_paid, activated ? 1 : 0, memberId]
+    );
+
+    return {
+        member_id: memberId,
+        amount: roundCurrency(amount),
+        allocations,
+        excess_to_savings: remaining,
+        transaction_number: feeTransaction ? feeTransaction.transaction_number : null,
+        excess_transaction_number: excessTransaction ? excessTransaction.transaction_number : null,
+        activated,
+        fees
+    };
+};
+
+// Fee heads recorded as flags on members before fees were allocated per head
+const LEGACY_FEE_FLAGS = {
+    entry_fee: 'entry_fee_paid',
+    welfare_fund: 'welfare_fund_paid',
+    building_fund: 'building_fund_paid'
+};
+
+// Turn a member's legacy fee flags (inside transaction(), before the columns are dropped)
+// into allocations: a flagged head is paid in full at its legacy amount, and whatever the
+// member paid beyond the flagged heads goes to the remaining heads in order. The welfare
+// head is also posted to the welfare fund ledger. Heads that already have allocations are
+// left alone, so the migration can be re-run. Returns the allocations made.
+const migrateLegacyFeeFlags = async (connection, memberId) => {
+    const [members] = await connection.execute(
+        `SELECT member_id, membership_fees_paid, ${Object.values(LEGACY_FEE_FLAGS).join(', ')}
+         FROM members WHERE member_id = ? FOR UPDATE`,
+        [memberId]
+    );
+
+    if (!members.length) {
+        throw new Error('Member not found');
+    }
+
+    const member = members[0];
+    const [paidRows] = await connection.execute(
+        `SELECT fee_head, SUM(amount) as paid FROM membership_fee_allocations
+         WHERE member_id = ? GROUP BY fee_head`,
+        [memberId]
+    );
+    const alreadyPaid = toPaidByHead(paidRows);
+
+    const allocations = [];
+    const unflagged = [];
+    let remaining = roundCurrency(member.membership_fees_paid || 0);
+
+    for (const head of DEFAULT_FEE_HEADS) {
+        if (member[LEGACY_FEE_FLAGS[head.code]]) {
+            remaining = roundCurrency(remaining - head.amount);
+            if (!alreadyPaid[head.code]) {
+                allocations.push({ fee_head: head.code, fee_name: head.name, amount: head.amount });
+            }
+        } else {
+            unflagged.push(head);
+        }
+    }
+
+    for (const head of unflagged) {
+        if (remaining <= 0) {
+            break;
+        }
+        const portion = roundCurrency(Math.min(head.amount, remaining));
+        remaining = roundCurrency(remaining - portion);
+        if (!alreadyPaid[head.code]) {
+            allocations.push({ fee_head: head.code, fee_name: head.name, amount: portion });
+        }
+    }
+
+    const { fee_head: welfareHead } = await getWelfareSettings();
+
+    for (const allocation of allocations) {
+        const [inserted] = await connection.execute(
+            `INSERT INTO membership_fee_allocations
+             (member_id, fee_head, fee_name, amount, payment_mode, payment_reference)
+             VALUES (?, ?, ?, ?, 'UPI', 'Legacy fee flags')`,
+            [memberId, allocation.fee_head, allocation.fee_name, allocation.amount]
+        );
+
+        if (allocation.fee_head === welfareHead) {
+            await recordWelfareContribution(connection, {
+                memberId,
+                amount: allocation.amount,
+                allocationId: inserted.insertId
+            });
+        }
+    }
+
+    return allocations;
+};
+
+// Every fee allocation of a member, newest first
+const getFeeLedger = async (memberId) => {
+    return await executeQuery(
+        `SELECT a.allocation_id, a.fee_head, a.fee_name, a.amount, a.payment_mode, a.payment_reference,
+         t.transaction_number, a.created_at
+         FROM membership_fee_allocations a
+         LEFT JOIN transactions t ON a.transaction_id = t.transaction_id
+         WHERE a.member_id = ?
+         ORDER BY a.allocation_id DESC`,
+        [memberId]
+    );
+};
+
+module.exports = {
+    FEE_PAYMENT_MODES,
+    getFeeHeads,
+    getFeeStatus,
+    getFeeLedger,
+    allocateFeePayment,
+    migrateLegacyFeeFlags
+};
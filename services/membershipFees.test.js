@@ -0,0 +1,194 @@
+jest.mock('../config/database', () => ({
+    executeQuery: jest.fn(),
+    getOne: jest.fn(),
+    transaction: jest.fn()
+}));
+jest.mock('../utils/settings', () => ({
+    getSetting: jest.fn()
+}));
+jest.mock('../utils/transactions', () => ({
+    recordTransaction: jest.fn()
+}));
+jest.mock('./savings', () => ({
+    creditSavings: jest.fn(),
+    lockSavingsBalance: jest.fn()
+}));
+jest.mock('./welfareFund', () => ({
+    getWelfareSettings: jest.fn(),
+    recordWelfareContribution: jest.fn()
+}));
+
+const { getSetting } = require('../utils/settings');
+const { recordTransaction } = require('../utils/transactions');
+const { creditSavings, lockSavingsBalance } = require('./savings');
+const { getWelfareSettings, recordWelfareContribution } = require('./welfareFund');
+const { allocateFeePayment, migrateLegacyFeeFlags } = require('./membershipFees');
+
+// Connection stand-in answering the queries allocateFeePayment makes
+const fakeConnection = ({ status = 'pending_payment', paid = [] } = {}) => {
+    let insertId = 0;
+    const connection = {
+        execute: jest.fn(async (sql) => {
+            if (sql.includes('FROM membership_fee_allocations')) {
+                return [paid];
+            }
+            if (sql.includes('FROM members')) {
+                return [[{ member_id: 1, status }]];
+            }
+            if (sql.startsWith('INSERT')) {
+                insertId += 1;
+                return [{ insertId }];
+            }
+            return [{}];
+        })
+    };
+    connection.memberUpdate = () => connection.execute.mock.calls.find(([sql]) => sql.startsWith('UPDATE members'));
+    return connection;
+};
+
+const pay = (connection, amount) => allocateFeePayment(connection, {
+    memberId: 1,
+    amount,
+    paymentMode: 'Cash',
+    processedBy: 7
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    getSetting.mockResolvedValue(null);
+    getWelfareSettings.mockResolvedValue({ fee_head: 'welfare_fund' });
+    lockSavingsBalance.mockResolvedValue(1000);
+    creditSavings.mockImplementation(async (connection, memberId, amount) => 1000 + amount);
+    recordTransaction.mockImplementation(async (connection, { type }) => ({
+        transaction_id: type === 'Fee' ? 11 : 12,
+        transaction_number: type === 'Fee' ? 'TXN011' : 'TXN012'
+    }));
+});
+
+describe('allocateFeePayment', () => {
+    test('fills fee heads in schedule order', async () => {
+        const connection = fakeConnection();
+        const result = await pay(connection, 300);
+
+        expect(result.allocations).toEqual([
+            { fee_head: 'entry_fee', fee_name: 'Entry Fee', amount: 200 },
+            { fee_head: 'welfare_fund', fee_name: 'Welfare Fund', amount: 100 }
+        ]);
+        expect(result.excess_to_savings).toBe(0);
+        expect(result.activated).toBe(false);
+        expect(result.fees.total_due).toBe(2100);
+        expect(creditSavings).not.toHaveBeenCalled();
+    });
+
+    test('pays the welfare fund head into the welfare fund ledger', async () => {
+        await pay(fakeConnection(), 300);
+
+        expect(recordWelfareContribution).toHaveBeenCalledTimes(1);
+        expect(recordWelfareContribution).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+            memberId: 1,
+            amount: 100,
+            allocationId: 2,
+            transactionId: 11
+        }));
+    });
+
+    test('clears mandatory heads before optional ones', async () => {
+        getSetting.mockResolvedValue(JSON.stringify([
+            { code: 'magazine', name: 'Magazine', amount: 50, mandatory: false },
+            { code: 'entry_fee', name: 'Entry Fee', amount: 200 }
+        ]));
+
+        const result = await pay(fakeConnection(), 220);
+
+        expect(result.allocations.map(({ fee_head, amount }) => [fee_head, amount])).toEqual([
+            ['entry_fee', 200],
+            ['magazine', 20]
+        ]);
+        expect(result.fees.mandatory_cleared).toBe(true);
+    });
+
+    test('skips heads already paid and credits the excess to savings', async () => {
+        const connection = fakeConnection({
+            paid: [{ fee_head: 'entry_fee', paid: '200.00' }, { fee_head: 'welfare_fund', paid: '200.00' }]
+        });
+        const result = await pay(connection, 2500);
+
+        expect(result.allocations).toEqual([
+            { fee_head: 'building_fund', fee_name: 'Building Fund', amount: 2000 }
+        ]);
+        expect(result.excess_to_savings).toBe(500);
+        expect(creditSavings).toHaveBeenCalledWith(connection, 1, 500);
+        expect(result.excess_transaction_number).toBe('TXN012');
+    });
+
+    test('activates a member awaiting payment once mandatory heads are cleared', async () => {
+        const connection = fakeConnection({ paid: [{ fee_head: 'entry_fee', paid: '200.00' }] });
+        const result = await pay(connection, 2200);
+
+        expect(result.activated).toBe(true);
+        expect(connection.memberUpdate()[1]).toEqual([2400, 1, 1]);
+    });
+
+    test('does not change the status of a member who is not awaiting payment', async () => {
+        const result = await pay(fakeConnection({ status: 'suspended' }), 2400);
+
+        expect(result.fees.mandatory_cleared).toBe(true);
+        expect(result.activated).toBe(false);
+    });
+});
+
+describe('migrateLegacyFeeFlags', () => {
+    // Connection stand-in for a member row that still has the legacy flags
+    const legacyConnection = (member, paid = []) => {
+        let insertId = 0;
+        return {
+            execute: jest.fn(async (sql) => {
+                if (sql.includes('FROM membership_fee_allocations')) {
+                    return [paid];
+                }
+                if (sql.includes('FROM members')) {
+                    return [[{ member_id: 1, ...member }]];
+                }
+                insertId += 1;
+                return [{ insertId }];
+            })
+        };
+    };
+
+    test('allocates every flagged head in full and posts the welfare contribution', async () => {
+        const connection = legacyConnection({
+            membership_fees_paid: '2400.00', entry_fee_paid: 1, welfare_fund_paid: 1, building_fund_paid: 1
+        });
+
+        expect(await migrateLegacyFeeFlags(connection, 1)).toEqual([
+            { fee_head: 'entry_fee', fee_name: 'Entry Fee', amount: 200 },
+            { fee_head: 'welfare_fund', fee_name: 'Welfare Fund', amount: 200 },
+            { fee_head: 'building_fund', fee_name: 'Building Fund', amount: 2000 }
+        ]);
+        expect(recordWelfareContribution).toHaveBeenCalledWith(connection, {
+            memberId: 1, amount: 200, allocationId: 2
+        });
+        expect(recordTransaction).not.toHaveBeenCalled();
+    });
+
+    test('allocates a part payment beyond the flagged heads to the next head', async () => {
+        const connection = legacyConnection({
+            membership_fees_paid: '300.00', entry_fee_paid: 1, welfare_fund_paid: 0, building_fund_paid: 0
+        });
+
+        expect(await migrateLegacyFeeFlags(connection, 1)).toEqual([
+            { fee_head: 'entry_fee', fee_name: 'Entry Fee', amount: 200 },
+            { fee_head: 'welfare_fund', fee_name: 'Welfare Fund', amount: 100 }
+        ]);
+    });
+
+    test('leaves heads that already have allocations alone', async () => {
+        const connection = legacyConnection(
+            { membership_fees_paid: '400.00', entry_fee_paid: 1, welfare_fund_paid: 1, building_fund_paid: 0 },
+            [{ fee_head: 'entry_fee', paid: '200.00' }, { fee_head: 'welfare_fund', paid: '200.00' }]
+        );
+
+        expect(await migrateLegacyFeeFlags(connection, 1)).toEqual([]);
+        expect(recordWelfareContribution).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,166 @@
+// Nominee service for Kafal Cooperative Society
+// Validates nominations, resolves a deposit's nominees (its own, or the member's) and
+// replaces a nomination while keeping the earlier one for the record
+
+const { executeQuery } = require('../config/database');
+const { formatDate, roundCurrency } = require('../utils/finance');
+const { ageOn } = require('./interestRates');
+
+const MAJORITY_AGE = 18;
+
+const NOMINEE_COLUMNS = `nominee_id, member_id, deposit_id, nominee_name, relation, date_of_birth,
+    share_percentage, guardian_name, guardian_relation, created_at`;
+
+// Validate a complete nomination. Returns a list of problems.
+const validateNominees = (nominees, asOf = new Date()) => {
+    const problems = [];
+
+    if (!Array.isArray(nominees) || !nominees.length) {
+        return ['At least one nominee is required'];
+    }
+
+    const today = formatDate(asOf);
+    let totalShare = 0;
+
+    nominees.forEach((nominee, index) => {
+        const label = nominee.nominee_name ? `Nominee ${nominee.nominee_name}` : `Nominee ${index + 1}`;
+        const share = parseFloat(nominee.share_percentage);
+        const dateOfBirth = nominee.date_of_birth ? new Date(nominee.date_of_birth) : null;
+
+        if (!nominee.nominee_name || !String(nominee.nominee_name).trim()) {
+            problems.push(`${label}: name is required`);
+        }
+
+        if (!nominee.relation || !String(nominee.relation).trim()) {
+            problems.push(`${label}: relation is required`);
+        }
+
+        if (!dateOfBirth || Number.isNaN(dateOfBirth.getTime()) || formatDate(nominee.date_of_birth) > today) {
+            problems.push(`${label}: a valid date of birth is required`);
+        } else if (ageOn(nominee.date_of_birth, asOf) < MAJORITY_AGE &&
+                   (!nominee.guardian_name || !nominee.guardian_relation)) {
+            problems.push(`${label}: a guardian name and relation are required for a minor nominee`);
+        }
+
+        if (Number.isNaN(share) || share <= 0 || share > 100) {
+            problems.push(`${label}: share must be more than 0 and at most 100 percent`);
+        } else {
+            totalShare = roundCurrency(totalShare + share);
+        }
+    });
+
+    if (!problems.length && totalShare !== 100) {
+        problems.push(`Nominee shares must add up to 100 percent (currently ${totalShare})`);
+    }
+
+    return problems;
+};
+
+// Active nominees of a member, either the member-level nomination (depositId null)
+// or the nomination made on one deposit
+const getNominees = async (memberId, depositId = null) => {
+    return await executeQuery(
+        `SELECT ${NOMINEE_COLUMNS} FROM nominees
+         WHERE member_id = ? AND ${depositId ? 'deposit_id = ?' : 'deposit_id IS NULL'} AND status = 'Active'
+         ORDER BY nominee_id`,
+        depositId ? [memberId, depositId] : [memberId]
+    );
+};
+
+// Nominees that apply to a deposit: its own nomination if it has one, otherwise the member's
+const getEffectiveNominees = async (memberId, depositId) => {
+    const own = await getNominees(memberId, depositId);
+    if (own.length) {
+        return { source: 'Deposit', nominees: own };
+    }
+    return { source: 'Member', nominees: await getNominees(memberId) };
+};
+
+// A member's nomination and the nominees that apply to each of their open deposits
+const getMemberNominations = async (memberId) => {
+    const memberNominees = await getNominees(memberId);
+    const deposits = await executeQuery(
+        `SELECT deposit_id, deposit_number, deposit_type, status FROM deposits
+         WHERE member_id = ? AND status = 'Active'
+         ORDER BY deposit_date, deposit_id`,
+        [memberId]
+    );
+
+    for (const deposit of deposits) {
+        const own = await getNominees(memberId, deposit.deposit_id);
+        deposit.nominee_source = own.length ? 'Deposit' : 'Member';
+        deposit.nominees = own.length ? own : memberNominees;
+    }
+
+    return {
+        member_nominees: memberNominees,
+        deposits
+    };
+};
+
+// Replace a nomination (inside transaction()). The earlier nominees are kept as
+// 'Replaced'. Returns the earlier and new nominees for the audit log.
+const replaceNominees = async (connection, { memberId, depositId = null, nominees, createdByType, createdBy }) => {
+    const scope = depositId ? 'deposit_id = ?' : 'deposit_id IS NULL';
+    const scopeParams = depositId ? [memberId, depositId] : [memberId];
+
+    const [previous] = await connection.execute(
+        `SELECT ${NOMINEE_COLUMNS} FROM nominees
+         WHERE member_id = ? AND ${scope} AND status = 'Active'
+         FOR UPDATE`,
+        scopeParams
+    );
+
+    await connection.execute(
+        `UPDATE nominees SET status = 'Replaced', updated_at = NOW()
+         WHERE member_id = ? AND ${scope} AND status = 'Active'`,
+        scopeParams
+    );
+
+    const saved = [];
+    for (const nominee of nominees) {
+        const record = {
+            nominee_name: String(nominee.nominee_name).trim(),
+            relation: String(nominee.relation).trim(),
+            date_of_birth: formatDate(nominee.date_of_birth),
+            share_percentage: roundCurrency(nominee.share_percentage),
+            guardian_name: nominee.guardian_name || null,
+            guardian_relation: nominee.guardian_relation || null
+        };
+
+        const [result] = await connection.execute(
+            `INSERT INTO nominees
+             (member_id, deposit_id, nominee_name, relation, date_of_birth, share_percentage,
+              guardian_name, guardian_relation, created_by_type, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [memberId, depositId, record.nominee_name, record.relation, record.date_of_birth,
+             record.share_percentage, record.guardian_name, record.guardian_relation, createdByType, createdBy]
+        );
+
+        saved.push({ nominee_id: result.insertId, ...record });
+    }
+
+    return { previous, nominees: saved };
+};
+
+// Carry a deposit's own nominees over to the deposit that renews it (inside transaction())
+const copyDepositNominees = async (connection, fromDepositId, toDepositId) => {
+    await connection.execute(
+        `INSERT INTO nominees
+         (member_id, deposit_id, nominee_name, relation, date_of_birth, share_percentage,
+          guardian_name, guardian_relation, created_by_type, created_by)
+         SELECT member_id, ?, nominee_name, relation, date_of_birth, share_percentage,
+          guardian_name, guardian_relation, created_by_type, created_by
+         FROM nominees WHERE deposit_id = ? AND status = 'Active'`,
+        [toDepositId, fromDepositId]
+    );
+};
+
+module.exports = {
+    validateNominees,
+    getNominees,
+    getEffectiveNominees,
+    getMemberNominations,
+    replaceNominees,
+    copyDepositNominees
+};
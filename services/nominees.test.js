@@ -0,0 +1,67 @@
+jest.mock('../config/database', () => ({
+    executeQuery: jest.fn(),
+    getOne: jest.fn(),
+    transaction: jest.fn()
+}));
+
+const { validateNominees } = require('./nominees');
+
+const asOf = '2025-06-01';
+
+const nominee = (overrides = {}) => ({
+    nominee_name: 'Asha Rawat',
+    relation: 'Spouse',
+    date_of_birth: '1985-03-12',
+    share_percentage: 100,
+    ...overrides
+});
+
+describe('validateNominees', () => {
+    test('accepts a complete nomination', () => {
+        expect(validateNominees([nominee()], asOf)).toEqual([]);
+    });
+
+    test('accepts shares that add up to 100 percent', () => {
+        const nominees = [
+            nominee({ share_percentage: 33.33 }),
+            nominee({ nominee_name: 'Kiran Rawat', share_percentage: 33.33 }),
+            nominee({ nominee_name: 'Dev Rawat', share_percentage: 33.34 })
+        ];
+        expect(validateNominees(nominees, asOf)).toEqual([]);
+    });
+
+    test('requires at least one nominee', () => {
+        expect(validateNominees([], asOf)).toEqual(['At least one nominee is required']);
+        expect(validateNominees(undefined, asOf)).toEqual(['At least one nominee is required']);
+    });
+
+    test('rejects shares that do not add up to 100 percent', () => {
+        const nominees = [nominee({ share_percentage: 60 }), nominee({ nominee_name: 'Kiran Rawat', share_percentage: 30 })];
+        expect(validateNominees(nominees, asOf)).toEqual(['Nominee shares must add up to 100 percent (currently 90)']);
+    });
+
+    test('rejects a share outside 0 to 100 percent', () => {
+        expect(validateNominees([nominee({ share_percentage: 0 })], asOf))
+            .toContain('Nominee Asha Rawat: share must be more than 0 and at most 100 percent');
+    });
+
+    test('requires a guardian for a minor', () => {
+        const minor = nominee({ date_of_birth: '2015-01-01' });
+        expect(validateNominees([minor], asOf))
+            .toEqual(['Nominee Asha Rawat: a guardian name and relation are required for a minor nominee']);
+        expect(validateNominees([{ ...minor, guardian_name: 'Mohan Rawat', guardian_relation: 'Father' }], asOf))
+            .toEqual([]);
+    });
+
+    test('rejects a missing or future date of birth', () => {
+        expect(validateNominees([nominee({ date_of_birth: null })], asOf))
+            .toEqual(['Nominee Asha Rawat: a valid date of birth is required']);
+        expect(validateNominees([nominee({ date_of_birth: '2026-01-01' })], asOf))
+            .toEqual(['Nominee Asha Rawat: a valid date of birth is required']);
+    });
+
+    test('names unnamed nominees by position', () => {
+        expect(validateNominees([nominee({ nominee_name: '', relation: '' })], asOf))
+            .toEqual(['Nominee 1: name is required', 'Nominee 1: relation is required']);
+    });
+});
@@ -97,6 +97,21 @@ class RealtimeService {
         });
     }
 
+    // Handle loan overdue / classification change
+    async handleLoanOverdue(loanData) {
+        const message = loanData.asset_classification === 'Standard'
+            ? `Your loan ${loanData.loan_number} is now up to date`
+            : `Your loan ${loanData.loan_number} is overdue by ${loanData.days_past_due} days. Please pay ₹${loanData.overdue_amount} to avoid further penal interest`;
+
+        this.notifyMember(loanData.member_id, 'LOAN_OVERDUE', {
+            message,
+            loanId: loanData.loan_id,
+            daysPastDue: loanData.days_past_due,
+            overdueAmount: loanData.overdue_amount,
+            classification: loanData.asset_classification
+        });
+    }
+
     // Get real-time dashboard stats for admins
     async getDashboardStats() {
         try {
@@ -0,0 +1,96 @@
+// Savings account service for Kafal Cooperative Society
+// Moves money in and out of a member's savings balance inside an open transaction(),
+// including cash taken in and paid out by tellers at the counter
+
+const { roundCurrency } = require('../utils/finance');
+const { recordTransaction } = require('../utils/transactions');
+
+// Lock a member's savings row and return the current balance
+const lockSavingsBalance = async (connection, memberId) => {
+    const [members] = await connection.execute(
+        'SELECT member_id, balance FROM members WHERE member_id = ? FOR UPDATE',
+        [memberId]
+    );
+
+    if (!members.length) {
+        throw new Error('Member not found');
+    }
+
+    return roundCurrency(members[0].balance || 0);
+};
+
+// Credit an amount to a member's savings balance. Returns the balance after the credit.
+const creditSavings = async (connection, memberId, amount) => {
+    const balance = await lockSavingsBalance(connection, memberId);
+    const balanceAfter = roundCurrency(balance + amount);
+
+    await connection.execute(
+        'UPDATE members SET balance = ?, updated_at = NOW() WHERE member_id = ?',
+        [balanceAfter, memberId]
+    );
+
+    return balanceAfter;
+};
+
+// Debit an amount from a member's savings balance, refusing to go below minimumBalance.
+// Returns the balance after the debit.
+const debitSavings = async (connection, memberId, amount, minimumBalance = 0) => {
+    const balance = await lockSavingsBalance(connection, memberId);
+    const balanceAfter = roundCurrency(balance - amount);
+
+    if (balanceAfter < minimumBalance) {
+        throw new Error(`Insufficient savings balance (available ₹${roundCurrency(Math.max(balance - minimumBalance, 0))})`);
+    }
+
+    await connection.execute(
+        'UPDATE members SET balance = ?, updated_at = NOW() WHERE member_id = ?',
+        [balanceAfter, memberId]
+    );
+
+    return balanceAfter;
+};
+
+// Cash paid in at the counter. Returns the transaction and the balance after it.
+const postCashDeposit = async (connection, { memberId, amount, depositedBy, remarks, processedBy }) => {
+    const balanceAfter = await creditSavings(connection, memberId, amount);
+
+    const txn = await recordTransaction(connection, {
+        memberId,
+        type: 'Deposit',
+        amount,
+        balanceAfter,
+        referenceType: 'General',
+        description: 'Cash deposit to savings at counter' +
+                     (depositedBy ? ` by ${depositedBy}` : '') +
+                     (remarks ? ` - ${remarks}` : ''),
+        processedBy
+    });
+
+    return { ...txn, balance_after: balanceAfter };
+};
+
+// Cash paid out at the counter, keeping at least minimumBalance in savings.
+// Returns the transaction and the balance after it.
+const postCashWithdrawal = async (connection, { memberId, amount, minimumBalance, remarks, processedBy }) => {
+    const balanceAfter = await debitSavings(connection, memberId, amount, minimumBalance);
+
+    const txn = await recordTransaction(connection, {
+        memberId,
+        type: 'Withdrawal',
+        amount,
+        balanceAfter,
+        referenceType: 'General',
+        description: 'Cash withdrawal from savings at counter' + (remarks ? ` - ${remarks}` : ''),
+        processedBy
+    });
+
+    return { ...txn, balance_after: balanceAfter };
+};
+
+module.exports = {
+    lockSavingsBalance,
+    creditSavings,
+    debitSavings,
+    postCashDeposit,
+    postCashWithdrawal
+};
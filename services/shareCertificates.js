@@ -0,0 +1,66 @@
+// Share certificate generation for Kafal Cooperative Society
+// Produces the printable certificate for a share allotment, transfer or balance issue
+
+const PDFDocument = require('pdfkit');
+const society = require('../config/society');
+const { formatDate, roundCurrency } = require('../utils/finance');
+
+const formatAmount = (value) => `Rs. ${roundCurrency(value).toFixed(2)}`;
+
+const SOURCE_NOTES = {
+    'Allotment': 'allotted against share money received',
+    'Transfer': 'received by transfer and registered in the name of the holder',
+    'Balance': 'issued as the balance of an earlier certificate',
+    'Opening': 'brought forward from the opening share register'
+};
+
+const renderCertificate = (doc, certificate) => {
+    doc.rect(30, 30, doc.page.width - 60, doc.page.height - 60).stroke();
+
+    doc.moveDown();
+    doc.fontSize(18).font('Helvetica-Bold').text(society.name, { align: 'center' });
+    doc.fontSize(9).font('Helvetica')
+        .text(`Registration No. ${society.registration_no} dated ${society.registration_date}`, { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(16).font('Helvetica-Bold').text('SHARE CERTIFICATE', { align: 'center', underline: true });
+    doc.moveDown();
+    doc.fontSize(10).font('Helvetica')
+        .text(`Certificate No. ${certificate.certificate_number}`, { continued: true })
+        .text(`Date of issue: ${formatDate(certificate.issue_date)}`, { align: 'right' });
+    doc.moveDown(2);
+
+    doc.fontSize(12).text(
+        `This is to certify that ${certificate.first_name} ${certificate.last_name} ` +
+        `(Member Account No. ${certificate.account_number}) is the registered holder of ` +
+        `${certificate.share_count} fully paid share(s) of ${formatAmount(certificate.face_value)} each, ` +
+        `amounting to ${formatAmount(certificate.amount)}, in ${society.name}, subject to the bylaws of the society.`,
+        { align: 'justify' }
+    );
+    doc.moveDown();
+    doc.fontSize(10).text(`These shares were ${SOURCE_NOTES[certificate.source]}.`);
+
+    if (certificate.status !== 'Active') {
+        doc.moveDown();
+        doc.font('Helvetica-Bold')
+            .text(`${certificate.status.toUpperCase()} on ${formatDate(certificate.closed_date)} - no longer valid`, { align: 'center' });
+        doc.font('Helvetica');
+    }
+
+    doc.moveDown(4);
+    const y = doc.y;
+    doc.text('Secretary', 60, y);
+    doc.text('For ' + society.name, 60, y, { align: 'right', width: doc.page.width - 120 });
+};
+
+// Stream a share certificate as a PDF
+const streamShareCertificate = (certificate, output) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 60 });
+
+    doc.pipe(output);
+    renderCertificate(doc, certificate);
+    doc.end();
+};
+
+module.exports = {
+    streamShareCertificate
+};
@@ -0,0 +1,440 @@
+// Share capital register for Kafal Cooperative Society
+// Allots, transfers and refunds shares through numbered certificates. A member's
+// share_count and share_value are always recomputed from their active certificates,
+// and share money is never mixed with the savings balance.
+
+const { executeQuery, getOne } = require('../config/database');
+const { getNumericSettings } = require('../utils/settings');
+const { recordTransaction } = require('../utils/transactions');
+const { roundCurrency, formatDate } = require('../utils/finance');
+const { creditSavings } = require('./savings');
+
+const REFUND_MODES = ['Savings', 'Cash'];
+
+// Read share rules from system_settings
+const getShareSettings = async () => {
+    const settings = await getNumericSettings({
+        share_face_value: 100,
+        min_share_holding: 2
+    });
+
+    return {
+        face_value: settings.share_face_value,
+        min_holding: settings.min_share_holding
+    };
+};
+
+// Certificate number derived from the row id (SC0001, SC0002, ...), so allotments made
+// at the same moment can never be given the same number
+const certificateNumberFor = (certificateId) => `SC${String(certificateId).padStart(4, '0')}`;
+
+// Recompute a member's share_count and share_value from their active certificates
+const syncMemberShares = async (connection, memberId) => {
+    const [[totals]] = await connection.execute(
+        `SELECT COALESCE(SUM(share_count), 0) as share_count, COALESCE(SUM(amount), 0) as share_value
+         FROM share_certificates WHERE member_id = ? AND status = 'Active'`,
+        [memberId]
+    );
+
+    const shareCount = parseInt(totals.share_count);
+    const shareValue = roundCurrency(totals.share_value);
+
+    await connection.execute(
+        'UPDATE members SET share_count = ?, share_value = ?, updated_at = NOW() WHERE member_id = ?',
+        [shareCount, shareValue, memberId]
+    );
+
+    return { share_count: shareCount, share_value: shareValue };
+};
+
+// Lock a member and their active certificates, oldest first
+const lockHoldings = async (connection, memberId) => {
+    const [members] = await connection.execute(
+        'SELECT member_id, status FROM members WHERE member_id = ? FOR UPDATE',
+        [memberId]
+    );
+
+    if (!members.length) {
+        throw new Error('Member not found');
+    }
+
+    const [certificates] = await connection.execute(
+        `SELECT * FROM share_certificates WHERE member_id = ? AND status = 'Active'
+         ORDER BY issue_date, certificate_id FOR UPDATE`,
+        [memberId]
+    );
+
+    return {
+        member: members[0],
+        certificates,
+        share_count: certificates.reduce((sum, row) => sum + row.share_count, 0)
+    };
+};
+
+const issueCertificate = async (connection, {
+    memberId, shareCount, faceValue, issueDate, source, parentCertificateId = null,
+    paymentRequestId = null, paymentReference = null, issuedBy = null
+}) => {
+    const amount = roundCurrency(shareCount * faceValue);
+
+    const [result] = await connection.execute(
+        `INSERT INTO share_certificates
+         (member_id, share_count, face_value, amount, issue_date, source,
+          parent_certificate_id, payment_request_id, payment_reference, issued_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [memberId, shareCount, faceValue, amount, formatDate(issueDate), source,
+         parentCertificateId, paymentRequestId, paymentReference, issuedBy]
+    );
+
+    const certificateNumber = certificateNumberFor(result.insertId);
+    await connection.execute(
+        'UPDATE share_certificates SET certificate_number = ? WHERE certificate_id = ?',
+        [certificateNumber, result.insertId]
+    );
+
+    return {
+        certificate_id: result.insertId,
+        certificate_number: certificateNumber,
+        member_id: memberId,
+        share_count: shareCount,
+        face_value: faceValue,
+        amount,
+        issue_date: formatDate(issueDate),
+        source
+    };
+};
+
+const addRegisterEntry = async (connection, {
+    memberId, certificateId, entryType, shareCount, amount, entryDate,
+    counterpartyMemberId = null, transactionId = null, paymentRequestId = null, processedBy = null, notes = null
+}) => {
+    await connection.execute(
+        `INSERT INTO share_register
+         (member_id, certificate_id, entry_type, share_count, amount, entry_date,
+          counterparty_member_id, transaction_id, payment_request_id, processed_by, notes)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [memberId, certificateId, entryType, shareCount, amount, formatDate(entryDate),
+         counterpartyMemberId, transactionId, paymentRequestId, processedBy, notes]
+    );
+};
+
+// Take shares out of a member's oldest certificates, closing them with closedStatus.
+// A certificate only partly used is replaced by a balance certificate for the rest.
+const takeShares = async (connection, holdings, shareCount, closedStatus, onDate, processedBy) => {
+    let remaining = shareCount;
+    const taken = [];
+    let balanceCertificate = null;
+
+    for (const certificate of holdings.certificates) {
+        if (remaining <= 0) {
+            break;
+        }
+
+        const used = Math.min(certificate.share_count, remaining);
+        remaining -= used;
+
+        await connection.execute(
+            `UPDATE share_certificates SET status = ?, closed_date = ?, updated_at = NOW()
+             WHERE certificate_id = ?`,
+            [closedStatus, formatDate(onDate), certificate.certificate_id]
+        );
+
+        taken.push({
+            certificate_id: certificate.certificate_id,
+            certificate_number: certificate.certificate_number,
+            share_count: used,
+            face_value: parseFloat(certificate.face_value),
+            amount: roundCurrency(used * parseFloat(certificate.face_value))
+        });
+
+        if (used < certificate.share_count) {
+            balanceCertificate = await issueCertificate(connection, {
+                memberId: certificate.member_id,
+                shareCount: certificate.share_count - used,
+                faceValue: parseFloat(certificate.face_value),
+                issueDate: onDate,
+                source: 'Balance',
+                parentCertificateId: certificate.certificate_id,
+                issuedBy: processedBy
+            });
+        }
+    }
+
+    return { taken, balance_certificate: balanceCertificate };
+};
+
+// Holding left after giving up shares must meet the minimum, unless the member
+// is leaving the society and gives up everything
+const checkRemainingHolding = (holdings, shareCount, minHolding) => {
+    if (shareCount > holdings.share_count) {
+        throw new Error(`Member holds only ${holdings.share_count} shares`);
+    }
+
+    const left = holdings.share_count - shareCount;
+    const leaving = left === 0 && String(holdings.member.status).toLowerCase() !== 'active';
+
+    if (left < minHolding && !leaving) {
+        throw new Error(`A member must keep at least ${minHolding} shares while their membership is active`);
+    }
+};
+
+// Allot shares against share money received (inside transaction()). The amount must be
+// a whole number of shares at the current face value.
+const allotShares = async (connection, {
+    memberId, amount, allotmentDate = new Date(), paymentRequestId = null, paymentReference = null,
+    paymentMode = 'UPI', processedBy = null
+}) => {
+    const settings = await getShareSettings();
+    const shareCount = Math.round(amount / settings.face_value);
+
+    if (shareCount < 1 || roundCurrency(shareCount * settings.face_value) !== roundCurrency(amount)) {
+        throw new Error(`Share money must be a multiple of the face value of ₹${settings.face_value}`);
+    }
+
+    await lockHoldings(connection, memberId);
+
+    const certificate = await issueCertificate(connection, {
+        memberId,
+        shareCount,
+        faceValue: settings.face_value,
+        issueDate: allotmentDate,
+        source: 'Allotment',
+        paymentRequestId,
+        paymentReference,
+        issuedBy: processedBy
+    });
+
+    const totals = await syncMemberShares(connection, memberId);
+
+    const txn = await recordTransaction(connection, {
+        memberId,
+        type: 'Deposit',
+        amount: certificate.amount,
+        balanceAfter: totals.share_value,
+        referenceType: 'General',
+        description: `Share capital - ${shareCount} shares allotted on certificate ${certificate.certificate_number} ` +
+                     `(${paymentMode}${paymentReference ? ` ${paymentReference}` : ''})`,
+        processedBy
+    });
+
+    await addRegisterEntry(connection, {
+        memberId,
+        certificateId: certificate.certificate_id,
+        entryType: 'Allotment',
+        shareCount,
+        amount: certificate.amount,
+        entryDate: allotmentDate,
+        transactionId: txn.transaction_id,
+        paymentRequestId,
+        processedBy
+    });
+
+    return { certificate, ...totals, transaction_number: txn.transaction_number };
+};
+
+// Transfer shares from one member to another (inside transaction()). The transferee
+// gets a new certificate; the transferor keeps a balance certificate for any remainder.
+const transferShares = async (connection, {
+    fromMemberId, toMemberId, shareCount, transferDate = new Date(), processedBy = null, notes = null
+}) => {
+    if (fromMemberId === toMemberId) {
+        throw new Error('Shares cannot be transferred to the same member');
+    }
+
+    const settings = await getShareSettings();
+
+    // Lock both members in a fixed order so opposite transfers cannot deadlock
+    const [first, second] = [fromMemberId, toMemberId].sort((a, b) => a - b);
+    const lockedFirst = await lockHoldings(connection, first);
+    const lockedSecond = await lockHoldings(connection, second);
+    const from = first === fromMemberId ? lockedFirst : lockedSecond;
+    const to = first === fromMemberId ? lockedSecond : lockedFirst;
+
+    if (String(to.member.status).toLowerCase() !== 'active') {
+        throw new Error('Shares can only be transferred to an active member');
+    }
+
+    checkRemainingHolding(from, shareCount, settings.min_holding);
+
+    const { taken, balance_certificate } = await takeShares(
+        connection, from, shareCount, 'Transferred', transferDate, processedBy
+    );
+    const amount = roundCurrency(taken.reduce((sum, row) => sum + row.amount, 0));
+
+    const certificate = await issueCertificate(connection, {
+        memberId: toMemberId,
+        shareCount,
+        faceValue: roundCurrency(amount / shareCount),
+        issueDate: transferDate,
+        source: 'Transfer',
+        parentCertificateId: taken[0].certificate_id,
+        issuedBy: processedBy
+    });
+
+    for (const row of taken) {
+        await addRegisterEntry(connection, {
+            memberId: fromMemberId,
+            certificateId: row.certificate_id,
+            entryType: 'Transfer Out',
+            shareCount: row.share_count,
+            amount: row.amount,
+            entryDate: transferDate,
+            counterpartyMemberId: toMemberId,
+            processedBy,
+            notes
+        });
+    }
+
+    await addRegisterEntry(connection, {
+        memberId: toMemberId,
+        certificateId: certificate.certificate_id,
+        entryType: 'Transfer In',
+        shareCount,
+        amount,
+        entryDate: transferDate,
+        counterpartyMemberId: fromMemberId,
+        processedBy,
+        notes
+    });
+
+    return {
+        share_count: shareCount,
+        amount,
+        cancelled_certificates: taken.map(row => row.certificate_number),
+        transferee_certificate: certificate,
+        balance_certificate,
+        transferor: await syncMemberShares(connection, fromMemberId),
+        transferee: await syncMemberShares(connection, toMemberId)
+    };
+};
+
+// Refund shares at face value (inside transaction()), either to the member's savings or in cash
+const refundShares = async (connection, {
+    memberId, shareCount, payoutMode = 'Savings', refundDate = new Date(), processedBy = null, notes = null
+}) => {
+    const settings = await getShareSettings();
+    const holdings = await lockHoldings(connection, memberId);
+
+    checkRemainingHolding(holdings, shareCount, settings.min_holding);
+
+    const { taken, balance_certificate } = await takeShares(
+        connection, holdings, shareCount, 'Refunded', refundDate, processedBy
+    );
+    const amount = roundCurrency(taken.reduce((sum, row) => sum + row.amount, 0));
+    const totals = await syncMemberShares(connection, memberId);
+    const certificates = taken.map(row => row.certificate_number).join(', ');
+
+    let txn;
+    let savingsBalance = null;
+    if (payoutMode === 'Savings') {
+        savingsBalance = await creditSavings(connection, memberId, amount);
+        txn = await recordTransaction(connection, {
+            memberId,
+            type: 'Transfer',
+            amount,
+            balanceAfter: savingsBalance,
+            referenceType: 'General',
+            description: `Share capital refund - ${shareCount} shares (${certificates}) credited to savings`,
+            processedBy
+        });
+    } else {
+        txn = await recordTransaction(connection, {
+            memberId,
+            type: 'Withdrawal',
+            amount,
+            balanceAfter: totals.share_value,
+            referenceType: 'General',
+            description: `Share capital refund - ${shareCount} shares (${certificates}) paid in cash`,
+            processedBy
+        });
+    }
+
+    for (const row of taken) {
+        await addRegisterEntry(connection, {
+            memberId,
+            certificateId: row.certificate_id,
+            entryType: 'Refund',
+            shareCount: row.share_count,
+            amount: row.amount,
+            entryDate: refundDate,
+            transactionId: txn.transaction_id,
+            processedBy,
+            notes
+        });
+    }
+
+    return {
+        share_count: shareCount,
+        amount,
+        payout_mode: payoutMode,
+        refunded_certificates: taken.map(row => row.certificate_number),
+        balance_certificate,
+        holding: totals,
+        transaction_number: txn.transaction_number,
+        savings_balance: savingsBalance
+    };
+};
+
+// A member's holding with their active certificates and register history
+const getMemberShares = async (memberId) => {
+    const member = await getOne(
+        'SELECT member_id, account_number, first_name, last_name, share_count, share_value FROM members WHERE member_id = ?',
+        [memberId]
+    );
+
+    if (!member) {
+        throw new Error('Member not found');
+    }
+
+    const certificates = await executeQuery(
+        `SELECT certificate_id, certificate_number, share_count, face_value, amount, issue_date, source, status
+         FROM share_certificates WHERE member_id = ? AND status = 'Active'
+         ORDER BY issue_date, certificate_id`,
+        [memberId]
+    );
+
+    const register = await executeQuery(
+        `SELECT r.entry_id, r.entry_type, r.share_count, r.amount, r.entry_date, c.certificate_number,
+         r.counterparty_member_id, cm.account_number as counterparty_account_number,
+         t.transaction_number, r.notes
+         FROM share_register r
+         JOIN share_certificates c ON r.certificate_id = c.certificate_id
+         LEFT JOIN members cm ON r.counterparty_member_id = cm.member_id
+         LEFT JOIN transactions t ON r.transaction_id = t.transaction_id
+         WHERE r.member_id = ?
+         ORDER BY r.entry_date, r.entry_id`,
+        [memberId]
+    );
+
+    return {
+        member_id: member.member_id,
+        account_number: member.account_number,
+        name: `${member.first_name} ${member.last_name}`,
+        share_count: member.share_count,
+        share_capital: roundCurrency(member.share_value),
+        certificates,
+        register
+    };
+};
+
+// A certificate with its holder, as printed on the share certificate
+const getCertificate = async (certificateNumber) => {
+    return await getOne(
+        `SELECT c.*, m.account_number, m.first_name, m.last_name, m.address
+         FROM share_certificates c
+         JOIN members m ON c.member_id = m.member_id
+         WHERE c.certificate_number = ?`,
+        [certificateNumber]
+    );
+};
+
+module.exports = {
+    REFUND_MODES,
+    getShareSettings,
+    syncMemberShares,
+    allotShares,
+    transferShares,
+    refundShares,
+    getMemberShares,
+    getCertificate
+};
@@ -0,0 +1,250 @@
+// TDS on deposit interest for Kafal Cooperative Society
+// Tracks each member's interest per financial year, deducts TDS above the threshold
+// and honours Form 15G/15H declarations
+
+const { executeQuery, getOne } = require('../config/database');
+const { getNumericSettings } = require('../utils/settings');
+const { recordTransaction } = require('../utils/transactions');
+const {
+    roundCurrency, formatDate, getFinancialYear, getFinancialQuarterNumber
+} = require('../utils/finance');
+const { isSeniorCitizen } = require('./interestRates');
+
+// Read TDS rules from system_settings
+const getTdsSettings = async () => {
+    const settings = await getNumericSettings({
+        tds_interest_threshold: 40000,
+        tds_senior_citizen_threshold: 50000,
+        tds_rate: 10,
+        tds_rate_without_pan: 20
+    });
+
+    return {
+        threshold: settings.tds_interest_threshold,
+        senior_citizen_threshold: settings.tds_senior_citizen_threshold,
+        rate: settings.tds_rate,
+        rate_without_pan: settings.tds_rate_without_pan
+    };
+};
+
+// Active Form 15G/15H declaration for a member and financial year, if any
+const getActiveDeclaration = async (memberId, financialYear, connection = null) => {
+    const sql = `SELECT * FROM tds_declarations
+                 WHERE member_id = ? AND financial_year = ? AND status = 'Active'
+                 ORDER BY declaration_id DESC LIMIT 1`;
+
+    if (connection) {
+        const [rows] = await connection.execute(sql, [memberId, financialYear]);
+        return rows[0] || null;
+    }
+    return await getOne(sql, [memberId, financialYear]);
+};
+
+// Work out the TDS on an interest credit (inside transaction(); locks the member so
+// concurrent credits see each other). Once the member's interest for the year crosses
+// the threshold, TDS is due on this credit and on any earlier credits not yet taxed.
+const calculateTds = async (connection, memberId, interestAmount, creditedOn = new Date()) => {
+    const settings = await getTdsSettings();
+    const financialYear = getFinancialYear(creditedOn).label;
+
+    const [members] = await connection.execute(
+        'SELECT member_id, date_of_birth, pan_number FROM members WHERE member_id = ? FOR UPDATE',
+        [memberId]
+    );
+
+    if (!members.length) {
+        throw new Error('Member not found');
+    }
+
+    const member = members[0];
+
+    const [[totals]] = await connection.execute(
+        `SELECT COALESCE(SUM(interest_amount), 0) as interest, COALESCE(SUM(taxable_amount), 0) as taxed
+         FROM tds_records WHERE member_id = ? AND financial_year = ?`,
+        [memberId, financialYear]
+    );
+
+    const interest = roundCurrency(interestAmount);
+    const cumulativeInterest = roundCurrency(parseFloat(totals.interest) + interest);
+    const untaxed = roundCurrency(Math.max(parseFloat(totals.interest) - parseFloat(totals.taxed), 0));
+    const senior = await isSeniorCitizen(member.date_of_birth, creditedOn);
+    const threshold = senior ? settings.senior_citizen_threshold : settings.threshold;
+
+    const result = {
+        financial_year: financialYear,
+        quarter: getFinancialQuarterNumber(creditedOn),
+        interest_amount: interest,
+        cumulative_interest: cumulativeInterest,
+        threshold,
+        taxable_amount: 0,
+        tds_rate: 0,
+        tds_amount: 0,
+        exemption: null
+    };
+
+    // Recovered interest only lowers the year's total; TDS already deducted is not refunded here
+    if (interest <= 0) {
+        return result;
+    }
+
+    const declaration = await getActiveDeclaration(memberId, financialYear, connection);
+    if (declaration) {
+        result.exemption = `Form ${declaration.form_type}`;
+        return result;
+    }
+
+    if (cumulativeInterest <= threshold) {
+        result.exemption = 'Below Threshold';
+        return result;
+    }
+
+    result.taxable_amount = roundCurrency(interest + untaxed);
+    result.tds_rate = member.pan_number ? settings.rate : settings.rate_without_pan;
+    result.tds_amount = roundCurrency(result.taxable_amount * result.tds_rate / 100);
+    return result;
+};
+
+// Record an interest credit against the member's TDS ledger, writing a separate TDS
+// transaction when tax was deducted. balanceAfter is the balance the TDS came out of.
+const recordTds = async (connection, {
+    memberId, depositId = null, depositNumber, tds, interestTransactionId = null,
+    balanceAfter, creditedOn = new Date(), processedBy = null
+}) => {
+    let tdsTransaction = null;
+
+    if (tds.tds_amount > 0) {
+        tdsTransaction = await recordTransaction(connection, {
+            memberId,
+            type: 'TDS',
+            amount: tds.tds_amount,
+            balanceAfter,
+            referenceType: depositId ? 'Deposit' : 'General',
+            referenceId: depositId,
+            description: `TDS at ${tds.tds_rate}% on interest of ₹${tds.taxable_amount} - ${depositNumber} (FY ${tds.financial_year})`,
+            processedBy
+        });
+    }
+
+    await connection.execute(
+        `INSERT INTO tds_records
+         (member_id, deposit_id, financial_year, quarter, interest_amount, taxable_amount, tds_rate,
+          tds_amount, exemption, cumulative_interest, interest_transaction_id, tds_transaction_id, credited_on)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [memberId, depositId, tds.financial_year, tds.quarter, tds.interest_amount, tds.taxable_amount,
+         tds.tds_rate, tds.tds_amount, tds.exemption, tds.cumulative_interest, interestTransactionId,
+         tdsTransaction ? tdsTransaction.transaction_id : null, formatDate(creditedOn)]
+    );
+
+    return {
+        ...tds,
+        tds_transaction_number: tdsTransaction ? tdsTransaction.transaction_number : null
+    };
+};
+
+// Deduct TDS on interest just credited to a deposit, taking it out of the deposit
+// balance. Returns the TDS details with the deposit balance after deduction.
+const deductTdsFromDeposit = async (connection, {
+    deposit, interestAmount, interestTransactionId = null, balanceAfterInterest,
+    creditedOn = new Date(), processedBy = null
+}) => {
+    const tds = await calculateTds(connection, deposit.member_id, interestAmount, creditedOn);
+    const balanceAfter = roundCurrency(balanceAfterInterest - tds.tds_amount);
+
+    if (tds.tds_amount > 0) {
+        await connection.execute(
+            'UPDATE deposits SET current_balance = ?, updated_at = NOW() WHERE deposit_id = ?',
+            [balanceAfter, deposit.deposit_id]
+        );
+    }
+
+    const recorded = await recordTds(connection, {
+        memberId: deposit.member_id,
+        depositId: deposit.deposit_id,
+        depositNumber: deposit.deposit_number,
+        tds,
+        interestTransactionId,
+        balanceAfter,
+        creditedOn,
+        processedBy
+    });
+
+    return { ...recorded, balance_after: balanceAfter };
+};
+
+// A member's interest and TDS for a financial year, by quarter and by deposit
+const getMemberTdsSummary = async (memberId, financialYear) => {
+    const member = await getOne(
+        `SELECT member_id, account_number, first_name, last_name, address, pan_number, date_of_birth
+         FROM members WHERE member_id = ?`,
+        [memberId]
+    );
+
+    if (!member) {
+        throw new Error('Member not found');
+    }
+
+    const quarters = await executeQuery(
+        `SELECT quarter, SUM(interest_amount) as interest_amount, SUM(taxable_amount) as taxable_amount,
+         SUM(tds_amount) as tds_amount
+         FROM tds_records WHERE member_id = ? AND financial_year = ?
+         GROUP BY quarter ORDER BY quarter`,
+        [memberId, financialYear]
+    );
+
+    const records = await executeQuery(
+        `SELECT r.credited_on, d.deposit_number, r.interest_amount, r.taxable_amount, r.tds_rate,
+         r.tds_amount, r.exemption, t.transaction_number as tds_transaction_number
+         FROM tds_records r
+         LEFT JOIN deposits d ON r.deposit_id = d.deposit_id
+         LEFT JOIN transactions t ON r.tds_transaction_id = t.transaction_id
+         WHERE r.member_id = ? AND r.financial_year = ?
+         ORDER BY r.credited_on, r.tds_record_id`,
+        [memberId, financialYear]
+    );
+
+    const declaration = await getActiveDeclaration(memberId, financialYear);
+
+    const sum = (key) => roundCurrency(quarters.reduce((total, row) => total + parseFloat(row[key]), 0));
+
+    return {
+        member,
+        financial_year: financialYear,
+        declaration,
+        total_interest: sum('interest_amount'),
+        total_taxable: sum('taxable_amount'),
+        total_tds: sum('tds_amount'),
+        quarters: quarters.map(row => ({
+            quarter: row.quarter,
+            interest_amount: roundCurrency(row.interest_amount),
+            taxable_amount: roundCurrency(row.taxable_amount),
+            tds_amount: roundCurrency(row.tds_amount)
+        })),
+        records
+    };
+};
+
+// Per-member interest and TDS for one quarter, for the quarterly TDS return
+const getQuarterlyTdsSummary = async (financialYear, quarter) => {
+    return await executeQuery(
+        `SELECT m.member_id, m.account_number, m.first_name, m.last_name, m.pan_number,
+         SUM(r.interest_amount) as interest_amount, SUM(r.taxable_amount) as taxable_amount,
+         SUM(r.tds_amount) as tds_amount, MAX(r.tds_rate) as tds_rate,
+         GROUP_CONCAT(DISTINCT r.exemption) as exemptions
+         FROM tds_records r
+         JOIN members m ON r.member_id = m.member_id
+         WHERE r.financial_year = ? AND r.quarter = ?
+         GROUP BY m.member_id, m.account_number, m.first_name, m.last_name, m.pan_number
+         ORDER BY m.account_number`,
+        [financialYear, quarter]
+    );
+};
+
+module.exports = {
+    getTdsSettings,
+    getActiveDeclaration,
+    calculateTds,
+    recordTds,
+    deductTdsFromDeposit,
+    getMemberTdsSummary,
+    getQuarterlyTdsSummary
+};
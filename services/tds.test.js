@@ -0,0 +1,99 @@
+jest.mock('../config/database', () => ({
+    executeQuery: jest.fn(),
+    getOne: jest.fn(),
+    transaction: jest.fn()
+}));
+jest.mock('../utils/settings', () => ({
+    getNumericSettings: jest.fn()
+}));
+jest.mock('./interestRates', () => ({
+    isSeniorCitizen: jest.fn()
+}));
+
+const { getNumericSettings } = require('../utils/settings');
+const { isSeniorCitizen } = require('./interestRates');
+const { calculateTds } = require('./tds');
+
+// Connection stand-in for a member with interest already on the TDS ledger this year
+const fakeConnection = ({ interest = 0, taxed = 0, pan = 'ABCDE1234F', declaration = null } = {}) => ({
+    execute: jest.fn(async (sql) => {
+        if (sql.includes('FROM members')) {
+            return [[{ member_id: 1, date_of_birth: '1980-01-01', pan_number: pan }]];
+        }
+        if (sql.includes('FROM tds_records')) {
+            return [[{ interest: String(interest), taxed: String(taxed) }]];
+        }
+        if (sql.includes('FROM tds_declarations')) {
+            return [declaration ? [declaration] : []];
+        }
+        return [[]];
+    })
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    getNumericSettings.mockResolvedValue({
+        tds_interest_threshold: 40000,
+        tds_senior_citizen_threshold: 50000,
+        tds_rate: 10,
+        tds_rate_without_pan: 20
+    });
+    isSeniorCitizen.mockResolvedValue(false);
+});
+
+describe('calculateTds', () => {
+    test('no TDS while the year stays within the threshold', async () => {
+        const tds = await calculateTds(fakeConnection({ interest: 10000 }), 1, 5000, '2025-09-30');
+
+        expect(tds).toMatchObject({
+            financial_year: '2025-26',
+            quarter: 2,
+            cumulative_interest: 15000,
+            tds_amount: 0,
+            exemption: 'Below Threshold'
+        });
+    });
+
+    test('crossing the threshold taxes this credit and earlier untaxed ones', async () => {
+        const tds = await calculateTds(fakeConnection({ interest: 38000 }), 1, 5000, '2026-01-15');
+
+        expect(tds).toMatchObject({ quarter: 4, taxable_amount: 43000, tds_rate: 10, tds_amount: 4300, exemption: null });
+    });
+
+    test('credits after the threshold only tax what has not been taxed', async () => {
+        const tds = await calculateTds(fakeConnection({ interest: 43000, taxed: 43000 }), 1, 2000, '2026-03-31');
+
+        expect(tds.taxable_amount).toBe(2000);
+        expect(tds.tds_amount).toBe(200);
+    });
+
+    test('the higher rate applies without a PAN', async () => {
+        const tds = await calculateTds(fakeConnection({ interest: 38000, pan: null }), 1, 5000, '2026-01-15');
+
+        expect(tds.tds_rate).toBe(20);
+        expect(tds.tds_amount).toBe(8600);
+    });
+
+    test('senior citizens have the higher threshold', async () => {
+        isSeniorCitizen.mockResolvedValue(true);
+        const tds = await calculateTds(fakeConnection({ interest: 38000 }), 1, 5000, '2026-01-15');
+
+        expect(tds.threshold).toBe(50000);
+        expect(tds.exemption).toBe('Below Threshold');
+    });
+
+    test('a Form 15G/15H declaration exempts the credit', async () => {
+        const connection = fakeConnection({ interest: 38000, declaration: { form_type: '15G' } });
+        const tds = await calculateTds(connection, 1, 5000, '2026-01-15');
+
+        expect(tds.exemption).toBe('Form 15G');
+        expect(tds.tds_amount).toBe(0);
+    });
+
+    test('recovered interest is not taxed', async () => {
+        const tds = await calculateTds(fakeConnection({ interest: 45000, taxed: 45000 }), 1, -1500, '2026-01-15');
+
+        expect(tds.cumulative_interest).toBe(43500);
+        expect(tds.tds_amount).toBe(0);
+    });
+});
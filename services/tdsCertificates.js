@@ -0,0 +1,106 @@
+// TDS certificate generation for Kafal Cooperative Society
+// Produces a member's yearly certificate of interest paid and tax deducted on deposits
+
+const PDFDocument = require('pdfkit');
+const society = require('../config/society');
+const { formatDate, roundCurrency, getFinancialQuarter } = require('../utils/finance');
+const { getMemberTdsSummary } = require('./tds');
+
+const formatAmount = (value) => `Rs. ${roundCurrency(value).toFixed(2)}`;
+
+const QUARTER_COLUMNS = [
+    { label: 'Quarter', x: 50, width: 150 },
+    { label: 'Interest paid', x: 200, width: 110 },
+    { label: 'Taxable', x: 310, width: 110 },
+    { label: 'TDS deducted', x: 420, width: 110 }
+];
+
+const renderRow = (doc, values, bold = false) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    QUARTER_COLUMNS.forEach((column, index) => {
+        doc.text(values[index], column.x, y, { width: column.width, align: index === 0 ? 'left' : 'right' });
+    });
+    doc.x = 50;
+    doc.moveDown(0.5);
+};
+
+const renderCertificate = (doc, summary) => {
+    const { member } = summary;
+    const startYear = parseInt(summary.financial_year.substring(0, 4));
+
+    doc.fontSize(16).font('Helvetica-Bold').text(society.name, { align: 'center' });
+    doc.fontSize(9).font('Helvetica')
+        .text(`Registration No. ${society.registration_no} dated ${society.registration_date}`, { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(14).font('Helvetica-Bold')
+        .text('CERTIFICATE OF TAX DEDUCTED AT SOURCE ON INTEREST', { align: 'center', underline: true });
+    doc.moveDown();
+    doc.fontSize(10).font('Helvetica')
+        .text(`Financial Year: ${summary.financial_year}`, { continued: true })
+        .text(`Date: ${formatDate(new Date())}`, { align: 'right' });
+    doc.moveDown();
+
+    [
+        ['Member', `${member.first_name} ${member.last_name}`],
+        ['Account number', member.account_number],
+        ['PAN', member.pan_number || 'Not furnished'],
+        ['Address', member.address || '']
+    ].forEach(([label, value]) => {
+        doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+            .font('Helvetica').text(String(value));
+    });
+    doc.moveDown();
+
+    renderRow(doc, QUARTER_COLUMNS.map(column => column.label), true);
+    for (let quarter = 1; quarter <= 4; quarter++) {
+        const row = summary.quarters.find(entry => entry.quarter === quarter) ||
+            { interest_amount: 0, taxable_amount: 0, tds_amount: 0 };
+        const period = getFinancialQuarter(startYear, quarter);
+        renderRow(doc, [
+            `Q${quarter} (${period.start_date} to ${period.end_date})`,
+            formatAmount(row.interest_amount),
+            formatAmount(row.taxable_amount),
+            formatAmount(row.tds_amount)
+        ]);
+    }
+    renderRow(doc, [
+        'Total',
+        formatAmount(summary.total_interest),
+        formatAmount(summary.total_taxable),
+        formatAmount(summary.total_tds)
+    ], true);
+    doc.moveDown();
+
+    doc.font('Helvetica');
+    if (summary.declaration) {
+        doc.text(`The member furnished Form ${summary.declaration.form_type} on ` +
+                 `${formatDate(summary.declaration.declaration_date)} for this financial year, and interest ` +
+                 'credited while it was in force was paid without deduction of tax.');
+        doc.moveDown();
+    }
+
+    doc.text(`Certified that a sum of ${formatAmount(summary.total_tds)} has been deducted at source on the interest ` +
+             `of ${formatAmount(summary.total_interest)} credited to the member's deposits during the financial year ` +
+             `${summary.financial_year}, and has been remitted to the credit of the Central Government.`);
+    doc.moveDown(3);
+    doc.text('For ' + society.name, { align: 'right' });
+    doc.moveDown(2);
+    doc.text('Authorised Signatory', { align: 'right' });
+};
+
+// Stream a member's TDS certificate for a financial year as a PDF
+const streamTdsCertificate = async (memberId, financialYear, output) => {
+    const summary = await getMemberTdsSummary(memberId, financialYear);
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+
+    doc.pipe(output);
+    renderCertificate(doc, summary);
+    doc.end();
+
+    return summary;
+};
+
+module.exports = {
+    streamTdsCertificate
+};
@@ -0,0 +1,311 @@
+// Compulsory thrift contributions for Kafal Cooperative Society
+// Keeps each member's monthly thrift subscription, raises a due for every month from the
+// start month onwards, and settles dues oldest first from UPI or counter payments.
+
+const { executeQuery, getOne, transaction } = require('../config/database');
+const { getNumericSettings } = require('../utils/settings');
+const { recordTransaction } = require('../utils/transactions');
+const { roundCurrency, formatDate, addMonths } = require('../utils/finance');
+const { creditSavings } = require('./savings');
+
+const SUBSCRIPTION_STATUSES = ['Active', 'Paused', 'Closed'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Read thrift rules from system_settings
+const getThriftSettings = async () => {
+    const settings = await getNumericSettings({
+        thrift_monthly_amount: 500,
+        thrift_due_day: 10
+    });
+
+    return {
+        monthly_amount: settings.thrift_monthly_amount,
+        // Capped at 28 so every month has the due day
+        due_day: Math.min(Math.max(Math.floor(settings.thrift_due_day), 1), 28)
+    };
+};
+
+// First day of the month a date falls in
+const monthStart = (date) => `${formatDate(date).substring(0, 7)}-01`;
+
+const nextMonth = (date) => monthStart(addMonths(`${monthStart(date)}T00:00:00`, 1));
+
+const monthLabel = (date) => {
+    const month = formatDate(date);
+    return `${MONTH_NAMES[parseInt(month.substring(5, 7), 10) - 1]} ${month.substring(0, 4)}`;
+};
+
+// Raise the dues of one subscription (inside transaction()) for every month up to asOf
+// that does not have one yet. Returns the months raised.
+const raiseSubscriptionDues = async (connection, subscription, asOf, dueDay) => {
+    const [lastDue] = await connection.execute(
+        'SELECT MAX(due_month) as last_month FROM thrift_dues WHERE subscription_id = ?',
+        [subscription.subscription_id]
+    );
+
+    const lastMonth = lastDue[0].last_month ? formatDate(lastDue[0].last_month) : null;
+    const startMonth = monthStart(subscription.start_month);
+    let month = lastMonth && nextMonth(lastMonth) > startMonth ? nextMonth(lastMonth) : startMonth;
+    const until = monthStart(asOf);
+    const raised = [];
+
+    while (month <= until) {
+        await connection.execute(
+            `INSERT INTO thrift_dues (subscription_id, member_id, due_month, due_date, amount)
+             VALUES (?, ?, ?, ?, ?)`,
+            [subscription.subscription_id, subscription.member_id, month,
+             `${month.substring(0, 8)}${String(dueDay).padStart(2, '0')}`, subscription.monthly_amount]
+        );
+        raised.push(month);
+        month = nextMonth(month);
+    }
+
+    return raised;
+};
+
+// Monthly job: raise the current month's due (and any missed months) for every active subscription
+const raiseThriftDues = async (asOf = new Date()) => {
+    const { due_day } = await getThriftSettings();
+    const subscriptions = await executeQuery(
+        `SELECT subscription_id FROM thrift_subscriptions
+         WHERE status = 'Active' AND start_month <= ?`,
+        [formatDate(asOf)]
+    );
+
+    const summary = { subscriptions: subscriptions.length, dues_raised: 0, raised: [] };
+
+    for (const { subscription_id } of subscriptions) {
+        try {
+            const result = await transaction(async (connection) => {
+                const [rows] = await connection.execute(
+                    'SELECT * FROM thrift_subscriptions WHERE subscription_id = ? FOR UPDATE',
+                    [subscription_id]
+                );
+                const months = await raiseSubscriptionDues(connection, rows[0], asOf, due_day);
+                return {
+                    member_id: rows[0].member_id,
+                    months: months.map(monthLabel),
+                    amount: roundCurrency(months.length * parseFloat(rows[0].monthly_amount))
+                };
+            });
+
+            if (result.months.length) {
+                summary.dues_raised += result.months.length;
+                summary.raised.push(result);
+            }
+        } catch (error) {
+            console.error(`Raising thrift dues failed for subscription ${subscription_id}:`, error);
+        }
+    }
+
+    return summary;
+};
+
+// Start a member's thrift subscription (inside transaction()) and raise dues up to this month
+const createSubscription = async (connection, { memberId, monthlyAmount, startMonth, createdBy }) => {
+    const [members] = await connection.execute('SELECT member_id FROM members WHERE member_id = ?', [memberId]);
+    if (!members.length) {
+        throw new Error('Member not found');
+    }
+
+    const [existing] = await connection.execute(
+        'SELECT subscription_id FROM thrift_subscriptions WHERE member_id = ?',
+        [memberId]
+    );
+    if (existing.length) {
+        throw new Error('Member already has a thrift subscription');
+    }
+
+    const [result] = await connection.execute(
+        `INSERT INTO thrift_subscriptions (member_id, monthly_amount, start_month, created_by)
+         VALUES (?, ?, ?, ?)`,
+        [memberId, monthlyAmount, monthStart(startMonth), createdBy]
+    );
+
+    const subscription = {
+        subscription_id: result.insertId,
+        member_id: memberId,
+        monthly_amount: monthlyAmount,
+        start_month: monthStart(startMonth)
+    };
+
+    const { due_day } = await getThriftSettings();
+    const months = await raiseSubscriptionDues(connection, subscription, new Date(), due_day);
+
+    return { ...subscription, dues_raised: months.map(monthLabel) };
+};
+
+// Settle thrift dues oldest first (inside transaction()). Only dues already raised can be paid;
+// anything beyond is refused unless excessToSavings is set (money already received, e.g. a
+// confirmed UPI payment), in which case it is credited to the member's savings.
+const postThriftPayment = async (connection, {
+    memberId, amount, paymentDate = new Date(), paymentMode, paymentRequestId = null,
+    referenceNumber = null, processedBy = null, excessToSavings = false
+}) => {
+    const [subscriptions] = await connection.execute(
+        'SELECT * FROM thrift_subscriptions WHERE member_id = ? FOR UPDATE',
+        [memberId]
+    );
+
+    if (!subscriptions.length) {
+        throw new Error('Thrift subscription not found');
+    }
+
+    const subscription = subscriptions[0];
+    const paidOn = formatDate(paymentDate);
+
+    const [dues] = await connection.execute(
+        `SELECT * FROM thrift_dues
+         WHERE subscription_id = ? AND status IN ('Pending', 'Partially Paid')
+         ORDER BY due_month
+         FOR UPDATE`,
+        [subscription.subscription_id]
+    );
+
+    let remaining = roundCurrency(amount);
+    const applied = [];
+
+    for (const due of dues) {
+        if (remaining <= 0) {
+            break;
+        }
+
+        const unpaid = roundCurrency(parseFloat(due.amount) - parseFloat(due.amount_paid));
+        const towardsDue = Math.min(unpaid, remaining);
+        remaining = roundCurrency(remaining - towardsDue);
+
+        const amountPaid = roundCurrency(parseFloat(due.amount_paid) + towardsDue);
+        const status = amountPaid >= parseFloat(due.amount) ? 'Paid' : 'Partially Paid';
+
+        await connection.execute(
+            `UPDATE thrift_dues SET amount_paid = ?, status = ?, paid_date = ?, updated_at = NOW()
+             WHERE due_id = ?`,
+            [amountPaid, status, paidOn, due.due_id]
+        );
+
+        applied.push({ month: monthLabel(due.due_month), amount: towardsDue, status });
+    }
+
+    if (remaining > 0 && !excessToSavings) {
+        throw new Error(`Payment exceeds the thrift dues outstanding by ₹${remaining}`);
+    }
+
+    const towardsDues = roundCurrency(amount - remaining);
+    const balanceAfter = roundCurrency(parseFloat(subscription.thrift_balance) + towardsDues);
+
+    let txn = null;
+    if (towardsDues > 0) {
+        await connection.execute(
+            'UPDATE thrift_subscriptions SET thrift_balance = ?, updated_at = NOW() WHERE subscription_id = ?',
+            [balanceAfter, subscription.subscription_id]
+        );
+
+        txn = await recordTransaction(connection, {
+            memberId,
+            type: 'Deposit',
+            amount: towardsDues,
+            balanceAfter,
+            referenceType: 'General',
+            description: `Thrift contribution for ${applied.map(item => item.month).join(', ')} (${paymentMode})`,
+            processedBy
+        });
+
+        await connection.execute(
+            `INSERT INTO thrift_payments
+             (subscription_id, member_id, transaction_id, amount, payment_date, payment_mode,
+              payment_request_id, reference_number, processed_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [subscription.subscription_id, memberId, txn.transaction_id, towardsDues, paidOn,
+             paymentMode, paymentRequestId, referenceNumber, processedBy]
+        );
+    }
+
+    let excessTxn = null;
+    if (remaining > 0) {
+        excessTxn = await recordTransaction(connection, {
+            memberId,
+            type: 'Deposit',
+            amount: remaining,
+            balanceAfter: await creditSavings(connection, memberId, remaining),
+            referenceType: 'General',
+            description: 'Thrift payment in excess of dues outstanding, credited to savings',
+            processedBy
+        });
+    }
+
+    return {
+        member_id: memberId,
+        transaction_id: txn ? txn.transaction_id : null,
+        transaction_number: txn ? txn.transaction_number : null,
+        amount: towardsDues,
+        thrift_balance: balanceAfter,
+        excess_to_savings: remaining,
+        excess_transaction_number: excessTxn ? excessTxn.transaction_number : null,
+        applied
+    };
+};
+
+// Dues raised but not yet paid, and how much of that is past its due date
+const getThriftArrears = async (memberId, asOf = new Date()) => {
+    const subscription = await getOne(
+        `SELECT subscription_id, monthly_amount, start_month, status, thrift_balance
+         FROM thrift_subscriptions WHERE member_id = ?`,
+        [memberId]
+    );
+
+    if (!subscription) {
+        return null;
+    }
+
+    const arrears = await getOne(
+        `SELECT COALESCE(SUM(amount - amount_paid), 0) as outstanding,
+         COALESCE(SUM(CASE WHEN due_date < ? THEN amount - amount_paid ELSE 0 END), 0) as overdue_amount,
+         SUM(CASE WHEN due_date < ? THEN 1 ELSE 0 END) as overdue_months,
+         MIN(due_month) as oldest_unpaid_month
+         FROM thrift_dues
+         WHERE subscription_id = ? AND status IN ('Pending', 'Partially Paid')`,
+        [formatDate(asOf), formatDate(asOf), subscription.subscription_id]
+    );
+
+    return {
+        ...subscription,
+        outstanding: roundCurrency(arrears.outstanding),
+        overdue_amount: roundCurrency(arrears.overdue_amount),
+        overdue_months: parseInt(arrears.overdue_months || 0, 10),
+        oldest_unpaid_month: arrears.oldest_unpaid_month ? formatDate(arrears.oldest_unpaid_month) : null
+    };
+};
+
+// Members with at least minMonths thrift dues past their due date
+const getThriftDefaulters = async (asOf = new Date(), minMonths = 1) => {
+    const defaulters = await executeQuery(
+        `SELECT s.subscription_id, s.member_id, m.account_number, m.first_name, m.last_name, m.phone,
+         s.monthly_amount, s.status, COUNT(*) as overdue_months,
+         SUM(d.amount - d.amount_paid) as overdue_amount, MIN(d.due_month) as oldest_unpaid_month
+         FROM thrift_dues d
+         JOIN thrift_subscriptions s ON d.subscription_id = s.subscription_id
+         JOIN members m ON s.member_id = m.member_id
+         WHERE d.status IN ('Pending', 'Partially Paid') AND d.due_date < ?
+         GROUP BY s.subscription_id, s.member_id, m.account_number, m.first_name, m.last_name, m.phone,
+         s.monthly_amount, s.status
+         HAVING COUNT(*) >= ?
+         ORDER BY overdue_months DESC, overdue_amount DESC`,
+        [formatDate(asOf), minMonths]
+    );
+
+    return defaulters.map(row => ({
+        ...row,
+        overdue_amount: roundCurrency(row.overdue_amount),
+        oldest_unpaid_month: formatDate(row.oldest_unpaid_month)
+    }));
+};
+
+module.exports = {
+    SUBSCRIPTION_STATUSES,
+    getThriftSettings,
+    raiseThriftDues,
+    createSubscription,
+    postThriftPayment,
+    getThriftArrears,
+    getThriftDefaulters
+};
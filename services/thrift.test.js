@@ -0,0 +1,92 @@
+jest.mock('../config/database', () => ({
+    executeQuery: jest.fn(),
+    getOne: jest.fn(),
+    transaction: jest.fn()
+}));
+jest.mock('../utils/transactions', () => ({
+    recordTransaction: jest.fn()
+}));
+jest.mock('./savings', () => ({
+    creditSavings: jest.fn()
+}));
+
+const { recordTransaction } = require('../utils/transactions');
+const { creditSavings } = require('./savings');
+const { postThriftPayment } = require('./thrift');
+
+// Connection stand-in for a subscription with the given dues outstanding
+const fakeConnection = (dues) => ({
+    execute: jest.fn(async (sql) => {
+        if (sql.includes('FROM thrift_subscriptions')) {
+            return [[{ subscription_id: 5, member_id: 1, thrift_balance: '1000.00' }]];
+        }
+        if (sql.includes('FROM thrift_dues')) {
+            return [dues];
+        }
+        return [{ insertId: 9 }];
+    })
+});
+
+const due = (dueId, month, amountPaid = '0.00') => ({
+    due_id: dueId, due_month: month, amount: '500.00', amount_paid: amountPaid
+});
+
+const pay = (connection, amount, options = {}) => postThriftPayment(connection, {
+    memberId: 1,
+    amount,
+    paymentDate: '2025-06-15',
+    paymentMode: 'UPI',
+    ...options
+});
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    creditSavings.mockImplementation(async (connection, memberId, amount) => 200 + amount);
+    recordTransaction.mockImplementation(async (connection, { description }) => (
+        description.startsWith('Thrift contribution')
+            ? { transaction_id: 11, transaction_number: 'TXN011' }
+            : { transaction_id: 12, transaction_number: 'TXN012' }
+    ));
+});
+
+describe('postThriftPayment', () => {
+    test('settles dues oldest first', async () => {
+        const result = await pay(fakeConnection([due(1, '2025-05-01', '200.00'), due(2, '2025-06-01')]), 600);
+
+        expect(result.applied).toEqual([
+            { month: 'May 2025', amount: 300, status: 'Paid' },
+            { month: 'Jun 2025', amount: 300, status: 'Partially Paid' }
+        ]);
+        expect(result.thrift_balance).toBe(1600);
+        expect(result.excess_to_savings).toBe(0);
+        expect(creditSavings).not.toHaveBeenCalled();
+    });
+
+    test('refuses a payment beyond the dues outstanding', async () => {
+        await expect(pay(fakeConnection([due(1, '2025-06-01')]), 700))
+            .rejects.toThrow('Payment exceeds the thrift dues outstanding by ₹200');
+    });
+
+    test('credits an overpayment already received to savings', async () => {
+        const connection = fakeConnection([due(1, '2025-06-01')]);
+        const result = await pay(connection, 700, { excessToSavings: true });
+
+        expect(result.amount).toBe(500);
+        expect(result.thrift_balance).toBe(1500);
+        expect(result.excess_to_savings).toBe(200);
+        expect(result.excess_transaction_number).toBe('TXN012');
+        expect(creditSavings).toHaveBeenCalledWith(connection, 1, 200);
+
+        const payment = connection.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO thrift_payments'));
+        expect(payment[1][3]).toBe(500);
+    });
+
+    test('credits the whole payment to savings when no dues are outstanding', async () => {
+        const connection = fakeConnection([]);
+        const result = await pay(connection, 500, { excessToSavings: true });
+
+        expect(result.transaction_number).toBeNull();
+        expect(result.excess_to_savings).toBe(500);
+        expect(connection.execute.mock.calls.some(([sql]) => sql.includes('INSERT INTO thrift_payments'))).toBe(false);
+    });
+});
@@ -0,0 +1,431 @@
+// Welfare fund for Kafal Cooperative Society
+// Keeps the welfare fund as its own ledger (member contributions in, claim payouts out) and
+// takes medical emergency and death benefit claims from filing through review to payout.
+
+const { executeQuery, getOne } = require('../config/database');
+const { getSetting, getNumericSettings } = require('../utils/settings');
+const { recordTransaction } = require('../utils/transactions');
+const { roundCurrency, formatDate, getFinancialYear } = require('../utils/finance');
+const { creditSavings, lockSavingsBalance } = require('./savings');
+
+const CLAIM_CATEGORIES = ['Medical Emergency', 'Death Benefit'];
+const CLAIM_PAYOUT_MODES = ['Savings', 'Cash'];
+const OPEN_CLAIM_STATUSES = ['Submitted', 'Approved'];
+
+// Documents each category must be filed with (document_uploads.document_type) and how its limit applies
+const CATEGORY_RULES = {
+    'Medical Emergency': { documents: ['medical_bill'], limit_period: 'financial_year' },
+    'Death Benefit': { documents: ['death_certificate'], limit_period: 'membership' }
+};
+
+// Read welfare fund rules from system_settings
+const getWelfareSettings = async () => {
+    const settings = await getNumericSettings({
+        welfare_medical_claim_limit: 25000,
+        welfare_death_claim_limit: 50000
+    });
+
+    return {
+        fee_head: await getSetting('welfare_fund_fee_head', 'welfare_fund'),
+        limits: {
+            'Medical Emergency': settings.welfare_medical_claim_limit,
+            'Death Benefit': settings.welfare_death_claim_limit
+        }
+    };
+};
+
+// Current welfare fund balance (the last ledger entry)
+const getFundBalance = async () => {
+    const last = await getOne('SELECT balance_after FROM welfare_fund_ledger ORDER BY entry_id DESC LIMIT 1');
+    return last ? roundCurrency(last.balance_after) : 0;
+};
+
+// Append a ledger entry (inside transaction()). Payouts are negative amounts and may not
+// take the fund below zero. Returns the fund balance after the entry.
+const postLedgerEntry = async (connection, {
+    entryType, memberId, amount, allocationId = null, claimId = null, transactionId = null,
+    description, processedBy = null
+}) => {
+    const [last] = await connection.execute(
+        'SELECT balance_after FROM welfare_fund_ledger ORDER BY entry_id DESC LIMIT 1 FOR UPDATE'
+    );
+
+    const balance = last.length ? roundCurrency(last[0].balance_after) : 0;
+    const balanceAfter = roundCurrency(balance + amount);
+
+    if (balanceAfter < 0) {
+        throw new Error(`Insufficient welfare fund balance (available ₹${balance})`);
+    }
+
+    await connection.execute(
+        `INSERT INTO welfare_fund_ledger
+         (entry_type, member_id, amount, balance_after, allocation_id, claim_id, transaction_id,
+          description, entry_date, processed_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [entryType, memberId, roundCurrency(amount), balanceAfter, allocationId, claimId, transactionId,
+         description, formatDate(new Date()), processedBy]
+    );
+
+    return balanceAfter;
+};
+
+// A membership fee allocated to the welfare fund head is a contribution to the fund
+const recordWelfareContribution = async (connection, {
+    memberId, amount, allocationId, transactionId = null, processedBy = null
+}) => {
+    return await postLedgerEntry(connection, {
+        entryType: 'Contribution',
+        memberId,
+        amount,
+        allocationId,
+        transactionId,
+        description: 'Welfare fund contribution from membership fees',
+        processedBy
+    });
+};
+
+// Approved or paid claims of a member in a category that count against its limit. The
+// medical limit is per financial year of the incident, so asOf is an incident date.
+// Pass the connection to read inside a transaction, under lock.
+const getCategoryUsage = async (memberId, category, asOf = new Date(), excludeClaimId = 0, connection = null) => {
+    let periodClause = '';
+    const params = [memberId, category, excludeClaimId];
+
+    if (CATEGORY_RULES[category].limit_period === 'financial_year') {
+        const year = getFinancialYear(asOf);
+        periodClause = ' AND incident_date >= ? AND incident_date <= ?';
+        params.push(year.start_date, year.end_date);
+    }
+
+    const sql = `SELECT COALESCE(SUM(approved_amount), 0) as used FROM welfare_claims
+         WHERE member_id = ? AND category = ? AND claim_id <> ? AND status IN ('Approved', 'Paid')${periodClause}`;
+
+    if (connection) {
+        const [rows] = await connection.execute(`${sql} FOR UPDATE`, params);
+        return roundCurrency(rows[0].used);
+    }
+
+    const usage = await getOne(sql, params);
+    return roundCurrency(usage.used);
+};
+
+// Limit, amount already used and amount left for each category
+const getClaimLimits = async (memberId, asOf = new Date()) => {
+    const { limits } = await getWelfareSettings();
+    const result = [];
+
+    for (const category of CLAIM_CATEGORIES) {
+        const used = await getCategoryUsage(memberId, category, asOf);
+        result.push({
+            category,
+            limit: limits[category],
+            limit_period: CATEGORY_RULES[category].limit_period,
+            used,
+            available: roundCurrency(Math.max(limits[category] - used, 0)),
+            required_documents: CATEGORY_RULES[category].documents
+        });
+    }
+
+    return result;
+};
+
+// Claim number derived from the row id (WC0001, WC0002, ...), so claims filed at the
+// same moment can never be given the same number
+const claimNumberFor = (claimId) => `WC${String(claimId).padStart(4, '0')}`;
+
+// File a claim (inside transaction()) by the member or, through an admin, by a nominee.
+// documentIds are document_uploads rows of the member covering the category's required types.
+const fileClaim = async (connection, {
+    memberId, category, claimantType, nomineeId = null, claimedAmount, incidentDate,
+    description, documentIds, filedByType, filedBy
+}) => {
+    const [members] = await connection.execute(
+        'SELECT member_id, first_name, last_name, status FROM members WHERE member_id = ?',
+        [memberId]
+    );
+
+    if (!members.length) {
+        throw new Error('Member not found');
+    }
+
+    const member = members[0];
+    let claimantName = `${member.first_name} ${member.last_name}`;
+
+    if (category === 'Death Benefit' && claimantType !== 'Nominee') {
+        throw new Error('Death benefit claims must be filed by a nominee');
+    }
+
+    if (claimantType === 'Member' && String(member.status).toLowerCase() !== 'active') {
+        throw new Error('Only active members can file a welfare claim');
+    }
+
+    if (claimantType === 'Nominee') {
+        const [nominees] = await connection.execute(
+            `SELECT nominee_id, nominee_name FROM nominees
+             WHERE nominee_id = ? AND member_id = ? AND deposit_id IS NULL AND status = 'Active'`,
+            [nomineeId, memberId]
+        );
+
+        if (!nominees.length) {
+            throw new Error('Claimant must be an active nominee of the member');
+        }
+
+        claimantName = nominees[0].nominee_name;
+    }
+
+    // Only members who have paid into the fund can claim from it
+    const [contributions] = await connection.execute(
+        `SELECT COUNT(*) as entries FROM welfare_fund_ledger
+         WHERE member_id = ? AND entry_type = 'Contribution'`,
+        [memberId]
+    );
+    if (!contributions[0].entries) {
+        throw new Error('The member has not contributed to the welfare fund');
+    }
+
+    const [openClaims] = await connection.execute(
+        `SELECT claim_number FROM welfare_claims
+         WHERE member_id = ? AND category = ? AND status IN (?, ?)
+         AND (nominee_id <=> ?)`,
+        [memberId, category, ...OPEN_CLAIM_STATUSES, claimantType === 'Nominee' ? nomineeId : null]
+    );
+    if (openClaims.length) {
+        throw new Error(`Claim ${openClaims[0].claim_number} in this category is still open`);
+    }
+
+    const [documents] = await connection.execute(
+        `SELECT upload_id, document_type, upload_status FROM document_uploads
+         WHERE member_id = ? AND upload_id IN (${documentIds.map(() => '?').join(', ')})`,
+        [memberId, ...documentIds]
+    );
+
+    if (documents.length !== new Set(documentIds).size) {
+        throw new Error('Claim documents must be uploaded for this member');
+    }
+
+    if (documents.some(document => document.upload_status === 'rejected')) {
+        throw new Error('Claim documents cannot include rejected uploads');
+    }
+
+    const missing = CATEGORY_RULES[category].documents
+        .filter(type => !documents.some(document => document.document_type === type));
+    if (missing.length) {
+        throw new Error(`Claim documents must include: ${missing.join(', ')}`);
+    }
+
+    const [result] = await connection.execute(
+        `INSERT INTO welfare_claims
+         (member_id, category, claimant_type, nominee_id, claimant_name, claimed_amount,
+          incident_date, description, filed_by_type, filed_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [memberId, category, claimantType, claimantType === 'Nominee' ? nomineeId : null,
+         claimantName, roundCurrency(claimedAmount), formatDate(incidentDate), description,
+         filedByType, filedBy]
+    );
+
+    const claimNumber = claimNumberFor(result.insertId);
+    await connection.execute(
+        'UPDATE welfare_claims SET claim_number = ? WHERE claim_id = ?',
+        [claimNumber, result.insertId]
+    );
+
+    for (const document of documents) {
+        await connection.execute(
+            'INSERT INTO welfare_claim_documents (claim_id, upload_id) VALUES (?, ?)',
+            [result.insertId, document.upload_id]
+        );
+    }
+
+    return {
+        claim_id: result.insertId,
+        claim_number: claimNumber,
+        member_id: memberId,
+        category,
+        claimant_type: claimantType,
+        claimant_name: claimantName,
+        claimed_amount: roundCurrency(claimedAmount),
+        document_ids: documents.map(document => document.upload_id)
+    };
+};
+
+// Lock a claim that is in the expected status
+const lockClaim = async (connection, claimId, status) => {
+    const [claims] = await connection.execute(
+        'SELECT * FROM welfare_claims WHERE claim_id = ? FOR UPDATE',
+        [claimId]
+    );
+
+    if (!claims.length) {
+        throw new Error('Claim not found');
+    }
+
+    if (claims[0].status !== status) {
+        throw new Error(`Only ${status.toLowerCase()} claims can be processed here (claim is ${claims[0].status})`);
+    }
+
+    return claims[0];
+};
+
+// Approve a claim (inside transaction()) for at most the claimed amount and what is left of the category limit.
+// Every document on the claim must have been verified first.
+const approveClaim = async (connection, { claimId, approvedAmount, reviewNotes = null, reviewedBy }) => {
+    // Lock all of the member's claims in the category first (in id order), so approvals
+    // against the same limit, such as death benefit claims by two nominees, run one at a time
+    const [targets] = await connection.execute(
+        'SELECT member_id, category FROM welfare_claims WHERE claim_id = ?',
+        [claimId]
+    );
+    if (targets.length) {
+        await connection.execute(
+            `SELECT claim_id FROM welfare_claims WHERE member_id = ? AND category = ?
+             ORDER BY claim_id FOR UPDATE`,
+            [targets[0].member_id, targets[0].category]
+        );
+    }
+
+    const claim = await lockClaim(connection, claimId, 'Submitted');
+
+    const [unverified] = await connection.execute(
+        `SELECT u.upload_id FROM welfare_claim_documents cd
+         JOIN document_uploads u ON cd.upload_id = u.upload_id
+         WHERE cd.claim_id = ? AND u.upload_status <> 'verified'`,
+        [claim.claim_id]
+    );
+    if (unverified.length) {
+        throw new Error('All claim documents must be verified before approval');
+    }
+
+    const amount = roundCurrency(approvedAmount);
+    if (amount > parseFloat(claim.claimed_amount)) {
+        throw new Error(`Approved amount cannot exceed the claimed ₹${roundCurrency(claim.claimed_amount)}`);
+    }
+
+    const { limits } = await getWelfareSettings();
+    const used = await getCategoryUsage(claim.member_id, claim.category, claim.incident_date, claim.claim_id, connection);
+    const available = roundCurrency(Math.max(limits[claim.category] - used, 0));
+    if (amount > available) {
+        throw new Error(`Approved amount cannot exceed the ${claim.category.toLowerCase()} limit left of ₹${available}`);
+    }
+
+    await connection.execute(
+        `UPDATE welfare_claims SET status = 'Approved', approved_amount = ?, review_notes = ?,
+         reviewed_by = ?, reviewed_at = NOW(), updated_at = NOW()
+         WHERE claim_id = ?`,
+        [amount, reviewNotes, reviewedBy, claim.claim_id]
+    );
+
+    return { ...claim, status: 'Approved', approved_amount: amount, review_notes: reviewNotes };
+};
+
+// Reject a submitted claim (inside transaction())
+const rejectClaim = async (connection, { claimId, reviewNotes, reviewedBy }) => {
+    const claim = await lockClaim(connection, claimId, 'Submitted');
+
+    await connection.execute(
+        `UPDATE welfare_claims SET status = 'Rejected', review_notes = ?, reviewed_by = ?,
+         reviewed_at = NOW(), updated_at = NOW()
+         WHERE claim_id = ?`,
+        [reviewNotes, reviewedBy, claim.claim_id]
+    );
+
+    return { ...claim, status: 'Rejected', review_notes: reviewNotes };
+};
+
+// Pay an approved claim (inside transaction()) from the welfare fund. A member's own claim
+// can be credited to savings; nominees are paid in cash.
+const payClaim = async (connection, { claimId, payoutMode, processedBy }) => {
+    const claim = await lockClaim(connection, claimId, 'Approved');
+    const amount = roundCurrency(claim.approved_amount);
+
+    if (payoutMode === 'Savings' && claim.claimant_type !== 'Member') {
+        throw new Error('Claims by nominees can only be paid in cash');
+    }
+
+    const description = `Welfare fund ${claim.category.toLowerCase()} claim ${claim.claim_number}` +
+                        (payoutMode === 'Savings' ? ' credited to savings' : ` paid in cash to ${claim.claimant_name}`);
+
+    const savingsBalance = payoutMode === 'Savings'
+        ? await creditSavings(connection, claim.member_id, amount)
+        : await lockSavingsBalance(connection, claim.member_id);
+
+    const txn = await recordTransaction(connection, {
+        memberId: claim.member_id,
+        type: 'Transfer',
+        amount,
+        balanceAfter: savingsBalance,
+        referenceType: 'General',
+        description,
+        processedBy
+    });
+
+    const fundBalance = await postLedgerEntry(connection, {
+        entryType: 'Claim Payout',
+        memberId: claim.member_id,
+        amount: -amount,
+        claimId: claim.claim_id,
+        transactionId: txn.transaction_id,
+        description: `Claim ${claim.claim_number} - ${claim.category}`,
+        processedBy
+    });
+
+    await connection.execute(
+        `UPDATE welfare_claims SET status = 'Paid', payout_mode = ?, transaction_id = ?,
+         paid_at = NOW(), updated_at = NOW()
+         WHERE claim_id = ?`,
+        [payoutMode, txn.transaction_id, claim.claim_id]
+    );
+
+    return {
+        claim_id: claim.claim_id,
+        claim_number: claim.claim_number,
+        member_id: claim.member_id,
+        claimant_name: claim.claimant_name,
+        amount,
+        payout_mode: payoutMode,
+        transaction_id: txn.transaction_id,
+        transaction_number: txn.transaction_number,
+        savings_balance: savingsBalance,
+        fund_balance: fundBalance
+    };
+};
+
+// A claim with its documents
+const getClaim = async (claimId) => {
+    const claim = await getOne(
+        `SELECT c.*, m.account_number, m.first_name, m.last_name, t.transaction_number
+         FROM welfare_claims c
+         JOIN members m ON c.member_id = m.member_id
+         LEFT JOIN transactions t ON c.transaction_id = t.transaction_id
+         WHERE c.claim_id = ?`,
+        [claimId]
+    );
+
+    if (!claim) {
+        return null;
+    }
+
+    const documents = await executeQuery(
+        `SELECT u.upload_id, u.document_type, u.original_filename, u.upload_status, u.verification_notes
+         FROM welfare_claim_documents cd
+         JOIN document_uploads u ON cd.upload_id = u.upload_id
+         WHERE cd.claim_id = ?
+         ORDER BY u.upload_id`,
+        [claim.claim_id]
+    );
+
+    return { ...claim, documents };
+};
+
+module.exports = {
+    CLAIM_CATEGORIES,
+    CLAIM_PAYOUT_MODES,
+    getWelfareSettings,
+    getFundBalance,
+    recordWelfareContribution,
+    getClaimLimits,
+    fileClaim,
+    approveClaim,
+    rejectClaim,
+    payClaim,
+    getClaim
+};
@@ -0,0 +1,240 @@
+// Financial calculation utilities for Kafal Cooperative Society
+// Shared EMI, amortization and deposit maturity math used by routes, services and calculators
+
+// Round a value to two decimal places (paise)
+const roundCurrency = (value) => {
+    return Math.round((parseFloat(value) + Number.EPSILON) * 100) / 100;
+};
+
+// Format a Date as YYYY-MM-DD for DATE columns
+const formatDate = (date) => {
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return date;
+    }
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+};
+
+// Add months to a date, clamping to the last day of shorter months (Jan 31 -> Feb 28)
+const addMonths = (date, months) => {
+    const d = new Date(date);
+    const day = d.getDate();
+    d.setDate(1);
+    d.setMonth(d.getMonth() + months);
+    const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+    d.setDate(Math.min(day, lastDay));
+    return d;
+};
+
+// Whole days from one date to another (date parts only)
+const daysBetween = (from, to) => {
+    const start = new Date(formatDate(from));
+    const end = new Date(formatDate(to));
+    return Math.round((end - start) / (24 * 60 * 60 * 1000));
+};
+
+// The calendar day after a date, as YYYY-MM-DD
+const nextDay = (date) => {
+    const d = new Date(`${formatDate(date)}T00:00:00`);
+    d.setDate(d.getDate() + 1);
+    return formatDate(d);
+};
+
+// The calendar day before a date, as YYYY-MM-DD
+const previousDay = (date) => {
+    const d = new Date(`${formatDate(date)}T00:00:00`);
+    d.setDate(d.getDate() - 1);
+    return formatDate(d);
+};
+
+// Whole calendar months from one date to a later one (0 if not later)
+const monthsBetween = (from, to) => {
+    const start = new Date(`${formatDate(from)}T00:00:00`);
+    const end = new Date(`${formatDate(to)}T00:00:00`);
+    let months = (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth());
+    if (end.getDate() < start.getDate()) {
+        months -= 1;
+    }
+    return Math.max(months, 0);
+};
+
+// Financial year (April to March) a date falls in, e.g. { start_year: 2025, label: '2025-26' }
+const getFinancialYear = (date) => {
+    const d = new Date(`${formatDate(date)}T00:00:00`);
+    const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+    return {
+        start_year: startYear,
+        label: `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`,
+        start_date: `${startYear}-04-01`,
+        end_date: `${startYear + 1}-03-31`
+    };
+};
+
+// Quarter of the financial year a date falls in (1 = April to June)
+const getFinancialQuarterNumber = (date) => {
+    const month = parseInt(formatDate(date).substring(5, 7), 10) - 1;
+    return Math.floor(((month + 9) % 12) / 3) + 1;
+};
+
+// First and last day of a quarter of a financial year (Q1 = April to June)
+const getFinancialQuarter = (startYear, quarter) => {
+    const start = new Date(startYear, 3 + (quarter - 1) * 3, 1);
+    const end = new Date(start.getFullYear(), start.getMonth() + 3, 0);
+    return {
+        label: `FY ${getFinancialYear(start).label} Q${quarter}`,
+        start_date: formatDate(start),
+        end_date: formatDate(end)
+    };
+};
+
+// Calculate EMI on a reducing balance
+const calculateEmi = (principal, annualRate, tenureMonths) => {
+    const monthlyRate = annualRate / 100 / 12;
+    if (monthlyRate === 0) {
+        return principal / tenureMonths;
+    }
+    return (principal * monthlyRate * Math.pow(1 + monthlyRate, tenureMonths)) /
+           (Math.pow(1 + monthlyRate, tenureMonths) - 1);
+};
+
+// Number of monthly installments needed to repay a principal at a given EMI
+const calculateTenure = (principal, annualRate, emi) => {
+    const monthlyRate = annualRate / 100 / 12;
+    if (monthlyRate === 0) {
+        return Math.ceil(principal / emi);
+    }
+    if (emi <= principal * monthlyRate) {
+        throw new Error('EMI does not cover the monthly interest');
+    }
+    return Math.ceil(-Math.log(1 - (principal * monthlyRate) / emi) / Math.log(1 + monthlyRate));
+};
+
+// Build a per-installment amortization schedule on a reducing balance.
+// The final installment absorbs rounding so the closing balance is exactly zero.
+// Due dates count from startDate by installment number, so a schedule rebuilt
+// from a later installment stays on the original due dates.
+const buildAmortizationSchedule = (principal, annualRate, tenureMonths, startDate, firstInstallmentNumber = 1) => {
+    const monthlyRate = annualRate / 100 / 12;
+    const emi = roundCurrency(calculateEmi(principal, annualRate, tenureMonths));
+    const installments = [];
+    let balance = roundCurrency(principal);
+
+    for (let i = 1; i <= tenureMonths; i++) {
+        const interest = roundCurrency(balance * monthlyRate);
+        let principalComponent = roundCurrency(emi - interest);
+
+        if (i === tenureMonths || principalComponent > balance) {
+            principalComponent = balance;
+        }
+
+        const closingBalance = roundCurrency(balance - principalComponent);
+
+        installments.push({
+            installment_number: firstInstallmentNumber + i - 1,
+            due_date: formatDate(addMonths(startDate, firstInstallmentNumber + i - 1)),
+            opening_balance: balance,
+            emi_amount: roundCurrency(principalComponent + interest),
+            principal_component: principalComponent,
+            interest_component: interest,
+            closing_balance: closingBalance
+        });
+
+        balance = closingBalance;
+        if (balance <= 0) {
+            break;
+        }
+    }
+
+    return {
+        monthly_emi: emi,
+        total_interest: roundCurrency(installments.reduce((sum, row) => sum + row.interest_component, 0)),
+        total_payable: roundCurrency(installments.reduce((sum, row) => sum + row.emi_amount, 0)),
+        installments
+    };
+};
+
+// Fixed deposit growth with monthly compounding, month by month to maturity.
+// Rows are rounded for display; the maturity amount comes from the unrounded balance.
+const buildFdSchedule = (principal, annualRate, tenureMonths, startDate) => {
+    const monthlyRate = annualRate / 100 / 12;
+    const months = [];
+    let balance = parseFloat(principal);
+
+    for (let i = 1; i <= tenureMonths; i++) {
+        const opening = balance;
+        balance = balance * (1 + monthlyRate);
+
+        months.push({
+            month: i,
+            date: formatDate(addMonths(startDate, i)),
+            opening_balance: roundCurrency(opening),
+            interest: roundCurrency(roundCurrency(balance) - roundCurrency(opening)),
+            closing_balance: roundCurrency(balance)
+        });
+    }
+
+    const maturityAmount = roundCurrency(balance);
+
+    return {
+        principal_amount: roundCurrency(principal),
+        maturity_amount: maturityAmount,
+        total_interest: roundCurrency(maturityAmount - principal),
+        maturity_date: formatDate(addMonths(startDate, tenureMonths)),
+        months
+    };
+};
+
+// Recurring deposit of a fixed monthly installment. Each installment earns simple
+// interest from the month it is paid until maturity: P*n + P*n*(n+1)*r/2 overall.
+const buildRdSchedule = (monthlyInstallment, annualRate, tenureMonths, startDate) => {
+    const monthlyRate = annualRate / 100 / 12;
+    const installment = roundCurrency(monthlyInstallment);
+    const installments = [];
+    let totalDeposited = 0;
+    let totalInterest = 0;
+
+    for (let i = 1; i <= tenureMonths; i++) {
+        const monthsToMaturity = tenureMonths - i + 1;
+        const interest = roundCurrency(installment * monthlyRate * monthsToMaturity);
+        totalDeposited = roundCurrency(totalDeposited + installment);
+        totalInterest = roundCurrency(totalInterest + interest);
+
+        installments.push({
+            installment_number: i,
+            due_date: formatDate(addMonths(startDate, i - 1)),
+            installment_amount: installment,
+            months_to_maturity: monthsToMaturity,
+            interest_earned: interest,
+            total_deposited: totalDeposited
+        });
+    }
+
+    return {
+        monthly_installment: installment,
+        total_deposited: totalDeposited,
+        total_interest: totalInterest,
+        maturity_amount: roundCurrency(totalDeposited + totalInterest),
+        maturity_date: formatDate(addMonths(startDate, tenureMonths)),
+        installments
+    };
+};
+
+module.exports = {
+    roundCurrency,
+    formatDate,
+    addMonths,
+    daysBetween,
+    nextDay,
+    previousDay,
+    monthsBetween,
+    getFinancialYear,
+    getFinancialQuarter,
+    getFinancialQuarterNumber,
+    calculateEmi,
+    calculateTenure,
+    buildAmortizationSchedule,
+    buildFdSchedule,
+    buildRdSchedule
+};
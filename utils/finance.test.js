@@ -0,0 +1,109 @@
+const {
+    roundCurrency,
+    formatDate,
+    addMonths,
+    nextDay,
+    previousDay,
+    getFinancialQuarter,
+    getFinancialQuarterNumber,
+    calculateEmi,
+    buildAmortizationSchedule,
+    buildRdSchedule
+} = require('./finance');
+
+describe('calculateEmi', () => {
+    test('reducing balance EMI', () => {
+        expect(roundCurrency(calculateEmi(100000, 12, 12))).toBe(8884.88);
+    });
+
+    test('zero rate splits the principal evenly', () => {
+        expect(calculateEmi(12000, 0, 12)).toBe(1000);
+    });
+});
+
+describe('buildAmortizationSchedule', () => {
+    const schedule = buildAmortizationSchedule(100000, 12, 12, '2025-01-15T00:00:00');
+    const last = schedule.installments[schedule.installments.length - 1];
+
+    test('repays exactly the principal, closing at zero', () => {
+        const principal = schedule.installments.reduce((sum, row) => sum + row.principal_component, 0);
+        expect(schedule.installments).toHaveLength(12);
+        expect(roundCurrency(principal)).toBe(100000);
+        expect(last.closing_balance).toBe(0);
+    });
+
+    test('final installment absorbs the rounding', () => {
+        expect(last.principal_component).toBe(last.opening_balance);
+        expect(last.emi_amount).toBe(roundCurrency(last.principal_component + last.interest_component));
+        expect(Math.abs(last.emi_amount - schedule.monthly_emi)).toBeLessThan(1);
+    });
+
+    test('rows chain opening to closing balance', () => {
+        schedule.installments.slice(1).forEach((row, index) => {
+            expect(row.opening_balance).toBe(schedule.installments[index].closing_balance);
+        });
+    });
+
+    test('due dates follow the start date month by month', () => {
+        expect(schedule.installments[0].due_date).toBe('2025-02-15');
+        expect(last.due_date).toBe('2026-01-15');
+    });
+});
+
+describe('addMonths', () => {
+    test('clamps to the last day of a shorter month', () => {
+        expect(formatDate(addMonths('2025-01-31T00:00:00', 1))).toBe('2025-02-28');
+        expect(formatDate(addMonths('2024-01-31T00:00:00', 1))).toBe('2024-02-29');
+        expect(formatDate(addMonths('2025-03-31T00:00:00', 1))).toBe('2025-04-30');
+    });
+
+    test('crosses year ends', () => {
+        expect(formatDate(addMonths('2025-11-30T00:00:00', 3))).toBe('2026-02-28');
+    });
+});
+
+describe('nextDay and previousDay', () => {
+    test('step across month, year and leap-day boundaries', () => {
+        expect(nextDay('2025-01-31')).toBe('2025-02-01');
+        expect(nextDay('2024-02-28')).toBe('2024-02-29');
+        expect(previousDay('2025-03-01')).toBe('2025-02-28');
+        expect(previousDay('2026-01-01')).toBe('2025-12-31');
+    });
+});
+
+describe('buildRdSchedule', () => {
+    const schedule = buildRdSchedule(1000, 12, 12, '2025-04-10T00:00:00');
+
+    test('each installment earns simple interest until maturity', () => {
+        expect(schedule.installments[0].interest_earned).toBe(120);
+        expect(schedule.installments[11].interest_earned).toBe(10);
+    });
+
+    test('maturity is P*n + P*n*(n+1)*r/2', () => {
+        expect(schedule.total_deposited).toBe(12000);
+        expect(schedule.total_interest).toBe(780);
+        expect(schedule.maturity_amount).toBe(12780);
+        expect(schedule.maturity_date).toBe('2026-04-10');
+    });
+});
+
+describe('getFinancialQuarter', () => {
+    test('quarters run April to March', () => {
+        expect(getFinancialQuarter(2025, 1)).toEqual({
+            label: 'FY 2025-26 Q1',
+            start_date: '2025-04-01',
+            end_date: '2025-06-30'
+        });
+        expect(getFinancialQuarter(2025, 4)).toEqual({
+            label: 'FY 2025-26 Q4',
+            start_date: '2026-01-01',
+            end_date: '2026-03-31'
+        });
+    });
+
+    test('quarter number of a date', () => {
+        expect(getFinancialQuarterNumber('2025-04-01')).toBe(1);
+        expect(getFinancialQuarterNumber('2025-12-31')).toBe(3);
+        expect(getFinancialQuarterNumber('2026-03-15')).toBe(4);
+    });
+});
@@ -0,0 +1,53 @@
+// System settings helpers for Kafal Cooperative Society
+// Reads configurable values from the system_settings table
+
+const { executeQuery } = require('../config/database');
+
+// Get several settings at once as a { key: value } map
+const getSettings = async (keys) => {
+    if (!keys.length) {
+        return {};
+    }
+
+    const rows = await executeQuery(
+        `SELECT setting_key, setting_value FROM system_settings 
+         WHERE setting_key IN (${keys.map(() => '?').join(', ')})`,
+        keys
+    );
+
+    return rows.reduce((settings, row) => {
+        settings[row.setting_key] = row.setting_value;
+        return settings;
+    }, {});
+};
+
+// Get a single setting, falling back to a default when it is not configured
+const getSetting = async (key, defaultValue = null) => {
+    const settings = await getSettings([key]);
+    return settings[key] !== undefined ? settings[key] : defaultValue;
+};
+
+// Get a numeric setting, falling back to a default when missing or not a number
+const getNumericSetting = async (key, defaultValue) => {
+    const value = parseFloat(await getSetting(key));
+    return Number.isNaN(value) ? defaultValue : value;
+};
+
+// Get several numeric settings at once. defaults maps each setting key to the
+// value used when it is missing or not a number.
+const getNumericSettings = async (defaults) => {
+    const settings = await getSettings(Object.keys(defaults));
+
+    return Object.keys(defaults).reduce((values, key) => {
+        const value = parseFloat(settings[key]);
+        values[key] = Number.isNaN(value) ? defaults[key] : value;
+        return values;
+    }, {});
+};
+
+module.exports = {
+    getSettings,
+    getSetting,
+    getNumericSetting,
+    getNumericSettings
+};
@@ -0,0 +1,26 @@
+jest.mock('../config/database', () => ({
+    executeQuery: jest.fn(),
+    getOne: jest.fn(),
+    transaction: jest.fn()
+}));
+
+const { executeQuery } = require('../config/database');
+const { getNumericSettings } = require('./settings');
+
+describe('getNumericSettings', () => {
+    test('parses configured values and falls back to defaults', async () => {
+        executeQuery.mockResolvedValue([
+            { setting_key: 'tds_rate', setting_value: '7.5' },
+            { setting_key: 'tds_interest_threshold', setting_value: 'not set' }
+        ]);
+
+        const settings = await getNumericSettings({
+            tds_rate: 10,
+            tds_interest_threshold: 40000,
+            tds_rate_without_pan: 20
+        });
+
+        expect(settings).toEqual({ tds_rate: 7.5, tds_interest_threshold: 40000, tds_rate_without_pan: 20 });
+        expect(executeQuery.mock.calls[0][1]).toEqual(['tds_rate', 'tds_interest_threshold', 'tds_rate_without_pan']);
+    });
+});
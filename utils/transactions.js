@@ -0,0 +1,37 @@
+// Transaction ledger helpers for Kafal Cooperative Society
+// Generates transaction numbers and writes rows to the transactions table
+
+let sequence = 0;
+
+// Generate a unique transaction number (several rows may be written in the same millisecond)
+const generateTransactionNumber = () => {
+    sequence = (sequence + 1) % 1000;
+    return `TXN${Date.now()}${String(sequence).padStart(3, '0')}`;
+};
+
+// Insert a transaction row using the given connection (inside transaction())
+const recordTransaction = async (connection, {
+    memberId, type, amount, balanceAfter, referenceType = 'General',
+    referenceId = null, description, processedBy = null
+}) => {
+    const transactionNumber = generateTransactionNumber();
+
+    const [result] = await connection.execute(
+        `INSERT INTO transactions
+         (transaction_number, member_id, transaction_type, amount, balance_after,
+          reference_type, reference_id, description, processed_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [transactionNumber, memberId, type, amount, balanceAfter,
+         referenceType, referenceId, description, processedBy]
+    );
+
+    return {
+        transaction_id: result.insertId,
+        transaction_number: transactionNumber
+    };
+};
+
+module.exports = {
+    generateTransactionNumber,
+    recordTransaction
+};